@@ -0,0 +1,147 @@
+/**
+ * Example Host
+ *
+ * Embeds the Document Editor the way a third-party page would: fixed signers
+ * and decorator configuration, a narrowed set of importable types, a log of
+ * every callback and buttons driving the ref handle. Run `npm run dev` and
+ * open /examples/host/. A published host imports from the package instead:
+ *
+ *   import { PdfViewerComponent } from "nutrient-vite-cdn-general";
+ *   import "nutrient-vite-cdn-general/style.css";
+ */
+
+import { StrictMode, useRef, useState } from "react";
+import { createRoot } from "react-dom/client";
+import { PdfViewerComponent } from "../../src/index.js";
+
+const SIGNERS = [
+	{ id: "buyer", name: "Jane Buyer", order: 1 },
+	{ id: "seller", name: "John Seller", order: 2 },
+];
+
+const ACCEPTED_TYPES = [".pdf", ".docx", "image/*"];
+
+const DECORATOR_CONFIG = { preset: "underline" };
+
+/**
+ * Moves the Save button to the front of the main toolbar
+ * @param {Array<Object>} items - Default toolbar items
+ * @returns {Array<Object>}
+ */
+const customizeToolbar = (items) => [
+	...items.filter(({ id }) => id === "custom-save-document"),
+	...items.filter(({ id }) => id !== "custom-save-document"),
+];
+
+function ExampleHost() {
+	const editorRef = useRef(null);
+	const [log, setLog] = useState([]);
+	const [pageNumber, setPageNumber] = useState("1");
+
+	const record = (name, detail = "") =>
+		setLog((entries) => [
+			{ id: crypto.randomUUID(), text: `${new Date().toLocaleTimeString()} ${name} ${detail}` },
+			...entries,
+		]);
+
+	const run = async (name, action) => {
+		try {
+			await action();
+		} catch (error) {
+			record(`${name} failed:`, error.message);
+		}
+	};
+
+	return (
+		<div style={{ display: "grid", gridTemplateColumns: "1fr 320px", height: "100vh" }}>
+			<PdfViewerComponent
+				ref={editorRef}
+				document="/document.pdf"
+				signers={SIGNERS}
+				user="seller"
+				acceptedTypes={ACCEPTED_TYPES}
+				decoratorConfig={DECORATOR_CONFIG}
+				toolbarItems={customizeToolbar}
+				onImportStart={({ files }) => record("onImportStart", `${files.length} file(s)`)}
+				onImportComplete={({ records, failed }) =>
+					record("onImportComplete", `${records.length} imported, ${failed.length} failed`)
+				}
+				onImportError={({ error }) => record("onImportError", error.message)}
+				onSignatureApplied={({ widget }) =>
+					record("onSignatureApplied", widget?.formFieldName ?? "free signature")
+				}
+				onDirtyChange={(isDirty) => record("onDirtyChange", String(isDirty))}
+				onSave={async ({ pdf, fileName }) =>
+					record("onSave", `${fileName}, ${pdf.byteLength} bytes kept by the host`)
+				}
+			/>
+			<aside style={{ padding: 12, overflow: "auto", fontFamily: "sans-serif", fontSize: 13 }}>
+				<h2 style={{ fontSize: 16 }}>Ref handle</h2>
+				<p>
+					<input
+						type="file"
+						multiple
+						onChange={(event) => {
+							const files = [...event.target.files];
+							event.target.value = "";
+							run("importFiles", () => editorRef.current.importFiles(files));
+						}}
+					/>
+				</p>
+				<p>
+					<button
+						type="button"
+						onClick={() =>
+							run("exportPDF", async () => {
+								const pdf = await editorRef.current.exportPDF();
+								record("exportPDF", `${pdf.byteLength} bytes`);
+							})
+						}
+					>
+						Export PDF
+					</button>{" "}
+					<button
+						type="button"
+						onClick={() =>
+							run("getInstance", () => {
+								const instance = editorRef.current.getInstance();
+								record("getInstance", `${instance?.totalPageCount ?? 0} page(s)`);
+							})
+						}
+					>
+						Page count
+					</button>
+				</p>
+				<p>
+					<input
+						type="number"
+						min="1"
+						value={pageNumber}
+						onChange={(event) => setPageNumber(event.target.value)}
+						style={{ width: 60 }}
+					/>{" "}
+					<button
+						type="button"
+						onClick={() =>
+							run("goToPage", () => editorRef.current.goToPage(Number(pageNumber) - 1))
+						}
+					>
+						Go to page
+					</button>
+				</p>
+				<h2 style={{ fontSize: 16 }}>Callbacks</h2>
+				<ol reversed>
+					{log.map(({ id, text }) => (
+						<li key={id}>{text}</li>
+					))}
+				</ol>
+			</aside>
+		</div>
+	);
+}
+
+createRoot(document.getElementById("root")).render(
+	<StrictMode>
+		<ExampleHost />
+	</StrictMode>,
+);
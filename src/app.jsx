@@ -1,19 +1,89 @@
 // src/app.jsx
 import { useRef, useState } from "react";
 
+import DocumentTabs from "./components/document-tabs.jsx";
 import Header from "./components/header.jsx";
 import PdfViewerComponent from "./components/pdf-viewer-component.jsx";
+import { getDocumentKey } from "./utils/autosave";
+import { createDefaultConverterRegistry } from "./utils/converters";
+import {
+	addRecentDocument,
+	loadRecentDocuments,
+	openRecentDocument,
+	removeRecentDocument,
+} from "./utils/recent-documents";
+import { createWorkspace } from "./utils/workspace";
 import "./app.css";
 
+const DEFAULT_DOCUMENT = "document.pdf";
+
+// Conversion runs in the viewer; this registry only lists the accepted formats
+const OPEN_DOCUMENT_ACCEPT = createDefaultConverterRegistry({
+	pool: null,
+}).getAcceptString();
+
+/**
+ * Create a workspace tab for a document. Opened files are passed to the
+ * viewer as they are, so no object URL is created that would need revoking.
+ * @param {string|File} source - Document URL or opened file
+ * @returns {Object} { id, source, key, name }
+ */
+const createTab = (source) => ({
+	id: crypto.randomUUID(),
+	source,
+	key: getDocumentKey(source),
+	name: source instanceof File ? source.name : source,
+});
+
 function App() {
-	const [document, setDocument] = useState("document.pdf");
+	const [tabs, setTabs] = useState(() => [createTab(DEFAULT_DOCUMENT)]);
+	const [activeTabId, setActiveTabId] = useState(() => tabs[0].id);
+	const [saveStates, setSaveStates] = useState({});
+	const [recentDocuments, setRecentDocuments] = useState(loadRecentDocuments);
+	// Lets the viewers of the tabs send pages to each other
+	const [workspace] = useState(createWorkspace);
 	const fileInputRef = useRef(null);
 
+	/**
+	 * Open a document in a new tab, or switch to the tab already showing it
+	 * @param {string|File} source - Document URL or opened file
+	 */
+	const openDocument = (source) => {
+		const key = getDocumentKey(source);
+		const openTab = tabs.find((tab) => tab.key === key);
+		if (openTab) {
+			setActiveTabId(openTab.id);
+			return;
+		}
+		const tab = createTab(source);
+		setTabs((current) => [...current, tab]);
+		setActiveTabId(tab.id);
+	};
+
+	const closeTab = (tabId) => {
+		const index = tabs.findIndex((tab) => tab.id === tabId);
+		if (
+			saveStates[tabId]?.isDirty &&
+			!window.confirm(
+				`${tabs[index].name} has unsaved changes. Autosaved changes can be restored when you open it again. Close it?`,
+			)
+		) {
+			return;
+		}
+		const remaining = tabs.filter((tab) => tab.id !== tabId);
+		setTabs(remaining);
+		setSaveStates(({ [tabId]: _closed, ...current }) => current);
+		if (tabId === activeTabId) {
+			setActiveTabId(remaining[Math.min(index, remaining.length - 1)]?.id ?? null);
+		}
+	};
+
 	const handleFileChange = (event) => {
 		const file = event.target.files[0];
+		// Allow picking the same file again
+		event.target.value = "";
 		if (file) {
-			const objectUrl = URL.createObjectURL(file);
-			setDocument(objectUrl);
+			openDocument(file);
 		}
 	};
 
@@ -21,18 +91,74 @@ function App() {
 		fileInputRef.current?.click();
 	};
 
+	const handleDocumentOpen = (source) => {
+		if (source instanceof File) {
+			addRecentDocument(source)
+				.then(setRecentDocuments)
+				.catch((error) => console.error("Failed to update recent documents:", error));
+		}
+	};
+
+	const handleOpenRecent = async (entry) => {
+		try {
+			openDocument(await openRecentDocument(entry));
+		} catch (error) {
+			alert(error.message);
+			setRecentDocuments(loadRecentDocuments());
+		}
+	};
+
+	const handleRemoveRecent = (entry) =>
+		removeRecentDocument(entry.documentKey)
+			.then(setRecentDocuments)
+			.catch((error) => console.error("Failed to remove recent document:", error));
+
 	return (
 		<div className="App">
-			<Header onOpenDocument={handleOpenDocument} />
+			<Header
+				onOpenDocument={handleOpenDocument}
+				saveState={saveStates[activeTabId]}
+				recentDocuments={recentDocuments}
+				onOpenRecent={handleOpenRecent}
+				onRemoveRecent={handleRemoveRecent}
+			/>
 			<input
 				ref={fileInputRef}
 				type="file"
 				onChange={handleFileChange}
-				accept="application/pdf"
-				name="pdf"
+				accept={OPEN_DOCUMENT_ACCEPT}
+				name="document"
+			/>
+			<DocumentTabs
+				tabs={tabs}
+				activeTabId={activeTabId}
+				saveStates={saveStates}
+				onSelect={setActiveTabId}
+				onClose={closeTab}
 			/>
 			<div className="App-viewer">
-				<PdfViewerComponent document={document} />
+				{tabs.length === 0 && <p className="workspace-empty">Open a document to start editing.</p>}
+				{/* Background tabs stay loaded, keeping their view and undo history */}
+				{tabs.map((tab) => (
+					<div key={tab.id} className="workspace-tab-panel" hidden={tab.id !== activeTabId}>
+						<PdfViewerComponent
+							document={tab.source}
+							documentKey={tab.key}
+							documentName={tab.name}
+							tabId={tab.id}
+							workspace={workspace}
+							isActive={tab.id === activeTabId}
+							onSaveStateChange={(saveState) =>
+								setSaveStates((current) =>
+									current[tab.id] || saveState.isDirty
+										? { ...current, [tab.id]: saveState }
+										: current,
+								)
+							}
+							onDocumentOpen={handleDocumentOpen}
+						/>
+					</div>
+				))}
 			</div>
 		</div>
 	);
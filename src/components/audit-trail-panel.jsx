@@ -0,0 +1,110 @@
+import { describeAuditEntry } from "../utils/audit-trail";
+
+/**
+ * Number of hash characters shown; the exports carry the full hashes
+ */
+const SHORT_HASH_LENGTH = 12;
+
+/**
+ * Format an ISO timestamp for display
+ * @param {string} isoDate - ISO 8601 date
+ * @returns {string}
+ */
+const formatAuditDate = (isoDate) => {
+	const date = new Date(isoDate);
+	return Number.isNaN(date.getTime()) ? "Unknown time" : date.toLocaleString();
+};
+
+/**
+ * Shorten a hash for display
+ * @param {string|null} hash - Hex digest
+ * @returns {string}
+ */
+const shortHash = (hash) => (hash ? hash.slice(0, SHORT_HASH_LENGTH) : "-");
+
+/**
+ * Audit Trail Panel
+ *
+ * Side panel listing the audit trail of the document, newest first, with
+ * the result of verifying its hash chain and the JSON, CSV and certificate
+ * exports.
+ */
+export default function AuditTrailPanel({ entries, verification, onExport, onClose }) {
+	return (
+		<aside className="history-panel" aria-label="Audit trail">
+			<div className="history-panel-header">
+				<h2 className="modal-title">Audit Trail</h2>
+				<button
+					type="button"
+					className="history-panel-close"
+					onClick={onClose}
+					aria-label="Close audit trail"
+				>
+					×
+				</button>
+			</div>
+
+			{!verification ? (
+				<p className="history-empty">Verifying the audit trail...</p>
+			) : verification.isValid ? (
+				<span className="validation-status validation-status-verified">
+					Hash chain intact ({entries.length} entries)
+				</span>
+			) : (
+				<span className="validation-status validation-status-invalid">
+					{verification.brokenAt === null ? "Could not be loaded" : "Tampered"}:{" "}
+					{verification.reason}
+				</span>
+			)}
+
+			<div className="library-actions">
+				<button type="button" className="modal-button" onClick={() => onExport("json")}>
+					Export JSON
+				</button>
+				<button type="button" className="modal-button" onClick={() => onExport("csv")}>
+					Export CSV
+				</button>
+				<button type="button" className="modal-button" onClick={() => onExport("certificate")}>
+					Download with Certificate
+				</button>
+			</div>
+
+			{entries.length === 0 ? (
+				<p className="history-empty">Nothing has been recorded for this document yet.</p>
+			) : (
+				<ol className="history-list">
+					{[...entries].reverse().map((entry) => (
+						<li
+							key={entry.sequence}
+							className={`history-item${
+								verification?.brokenAt === entry.sequence ? " audit-entry-broken" : ""
+							}`}
+						>
+							<span className="history-file">
+								#{entry.sequence} {describeAuditEntry(entry)}
+							</span>
+							<dl className="history-details">
+								<dt>When</dt>
+								<dd>
+									{formatAuditDate(entry.timestamp)} by {entry.user}
+								</dd>
+								<dt>Before</dt>
+								<dd className="audit-hash">{shortHash(entry.beforeHash)}</dd>
+								<dt>After</dt>
+								<dd className="audit-hash">{shortHash(entry.afterHash)}</dd>
+								{entry.details.outputHash && (
+									<>
+										<dt>File</dt>
+										<dd className="audit-hash">{shortHash(entry.details.outputHash)}</dd>
+									</>
+								)}
+								<dt>Entry</dt>
+								<dd className="audit-hash">{shortHash(entry.hash)}</dd>
+							</dl>
+						</li>
+					))}
+				</ol>
+			)}
+		</aside>
+	);
+}
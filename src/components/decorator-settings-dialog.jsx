@@ -0,0 +1,253 @@
+import { useEffect, useRef, useState } from "react";
+import {
+	DECORATOR_DATE_FORMATS,
+	DECORATOR_LOCALES,
+	DEFAULT_DECORATOR_SETTINGS,
+} from "../utils/decorator-settings";
+import {
+	CURVE_STYLES,
+	createDecorationNode,
+	DECORATOR_PRESETS,
+	formatSigningTime,
+	resolveDecoratorConfig,
+} from "../utils/signature-decorator";
+
+const CURVE_STYLE_LABELS = {
+	bracket: "Corner brackets",
+	underline: "Underline",
+	box: "Frame",
+	none: "No lines",
+};
+
+/**
+ * Size of the sample signature in the preview, in pixels
+ */
+const SAMPLE_SIZE = { width: 180, height: 56 };
+
+/**
+ * Resolve draft settings to a configuration, or collect why they can't be
+ * @param {Object} settings - Partial decorator configuration
+ * @returns {Object} { config, issues }
+ */
+const resolveDraft = (settings) => {
+	try {
+		return { config: resolveDecoratorConfig(settings), issues: [] };
+	} catch (error) {
+		return { config: null, issues: error.issues ?? [error.message] };
+	}
+};
+
+/**
+ * Decorator Settings Dialog
+ *
+ * Lets the user pick a decoration preset and adjust its colors, line,
+ * locale and date format, with a live preview on a sample signature.
+ */
+export default function DecoratorSettingsDialog({ settings, signerName, onSave, onCancel }) {
+	const [draft, setDraft] = useState(settings);
+	const previewRef = useRef(null);
+	const { config, issues } = resolveDraft(draft);
+
+	const dateFormatId =
+		DECORATOR_DATE_FORMATS.find(
+			({ options }) => JSON.stringify(options) === JSON.stringify(draft.dateTimeFormat ?? null),
+		)?.id ?? "preset";
+
+	const updateSection = (section, changes) =>
+		setDraft((current) => ({
+			...current,
+			[section]: { ...current[section], ...changes },
+		}));
+
+	useEffect(() => {
+		const preview = previewRef.current;
+		if (!preview || !config) {
+			return;
+		}
+		const node = createDecorationNode(
+			SAMPLE_SIZE,
+			{
+				signerName,
+				signingTime: formatSigningTime(new Date(), undefined, config.dateTimeFormat, config.locale),
+			},
+			config,
+		);
+		preview.appendChild(node);
+		return () => node.remove();
+	}, [config, signerName]);
+
+	const handleSubmit = (event) => {
+		event.preventDefault();
+		onSave(draft);
+	};
+
+	return (
+		<div className="modal-backdrop">
+			<form
+				className="modal-dialog image-options-dialog"
+				role="dialog"
+				aria-modal="true"
+				onSubmit={handleSubmit}
+			>
+				<h2 className="modal-title">Signature Decoration</h2>
+
+				<div className="decorator-preview-area">
+					<div className="decorator-preview" ref={previewRef} style={SAMPLE_SIZE}>
+						<svg
+							width={SAMPLE_SIZE.width}
+							height={SAMPLE_SIZE.height}
+							viewBox="0 0 180 56"
+							aria-hidden="true"
+						>
+							<path
+								d="M8 40c10-26 20-26 18-6s12-24 22-14 4 22 16 8 14-22 22-6 10 12 20-4 18 4 30 2 16-6 18-6"
+								fill="none"
+								stroke="#1f2937"
+								strokeWidth="2"
+								strokeLinecap="round"
+							/>
+						</svg>
+					</div>
+				</div>
+
+				<label className="image-options-field">
+					Preset
+					<select
+						className="modal-input"
+						value={draft.preset ?? "bracket"}
+						onChange={(event) =>
+							setDraft({
+								preset: event.target.value,
+								locale: draft.locale,
+								dateTimeFormat: draft.dateTimeFormat,
+							})
+						}
+					>
+						{Object.entries(DECORATOR_PRESETS).map(([name, { label }]) => (
+							<option key={name} value={name}>
+								{label}
+							</option>
+						))}
+					</select>
+				</label>
+
+				{config && (
+					<>
+						<div className="image-options-row">
+							<label className="image-options-field">
+								Lines
+								<select
+									className="modal-input"
+									value={config.curve.style}
+									onChange={(event) => updateSection("curve", { style: event.target.value })}
+								>
+									{CURVE_STYLES.map((style) => (
+										<option key={style} value={style}>
+											{CURVE_STYLE_LABELS[style]}
+										</option>
+									))}
+								</select>
+							</label>
+							<label className="image-options-field">
+								Line width
+								<input
+									className="modal-input"
+									type="number"
+									min="0.5"
+									max="6"
+									step="0.5"
+									value={draft.curve?.strokeWidth ?? config.curve.strokeWidth}
+									onChange={(event) => updateSection("curve", { strokeWidth: event.target.value })}
+								/>
+							</label>
+						</div>
+						<div className="image-options-row">
+							<label className="image-options-field">
+								Line color
+								<input
+									className="modal-input"
+									type="color"
+									value={config.curve.color.toLowerCase()}
+									onChange={(event) => updateSection("curve", { color: event.target.value })}
+								/>
+							</label>
+							<label className="image-options-field">
+								Text color
+								<input
+									className="modal-input"
+									type="color"
+									value={config.text.color.toLowerCase()}
+									onChange={(event) => updateSection("text", { color: event.target.value })}
+								/>
+							</label>
+						</div>
+					</>
+				)}
+
+				<div className="image-options-row">
+					<label className="image-options-field">
+						Language
+						<select
+							className="modal-input"
+							value={draft.locale ?? ""}
+							onChange={(event) =>
+								setDraft((current) => ({ ...current, locale: event.target.value || null }))
+							}
+						>
+							{DECORATOR_LOCALES.map(({ value, label }) => (
+								<option key={label} value={value ?? ""}>
+									{label}
+								</option>
+							))}
+						</select>
+					</label>
+					<label className="image-options-field">
+						Date format
+						<select
+							className="modal-input"
+							value={dateFormatId}
+							onChange={(event) =>
+								setDraft((current) => ({
+									...current,
+									dateTimeFormat:
+										DECORATOR_DATE_FORMATS.find(({ id }) => id === event.target.value).options ??
+										undefined,
+								}))
+							}
+						>
+							{DECORATOR_DATE_FORMATS.map(({ id, label }) => (
+								<option key={id} value={id}>
+									{label}
+								</option>
+							))}
+						</select>
+					</label>
+				</div>
+
+				{issues.length > 0 && (
+					<ul className="modal-error">
+						{issues.map((issue) => (
+							<li key={issue}>{issue}</li>
+						))}
+					</ul>
+				)}
+
+				<div className="modal-actions">
+					<button
+						type="button"
+						className="modal-button"
+						onClick={() => setDraft(DEFAULT_DECORATOR_SETTINGS)}
+					>
+						Reset
+					</button>
+					<button type="button" className="modal-button" onClick={onCancel}>
+						Cancel
+					</button>
+					<button type="submit" className="modal-button primary" disabled={issues.length > 0}>
+						Save
+					</button>
+				</div>
+			</form>
+		</div>
+	);
+}
@@ -0,0 +1,40 @@
+/**
+ * Document Tabs
+ *
+ * Tab bar of the workspace: one tab per open document, with an unsaved
+ * changes dot and a close button.
+ */
+export default function DocumentTabs({ tabs, activeTabId, saveStates, onSelect, onClose }) {
+	return (
+		<div className="document-tabs" role="tablist" aria-label="Open documents">
+			{tabs.map((tab) => (
+				<div
+					key={tab.id}
+					className={`document-tab${tab.id === activeTabId ? " active" : ""}`}
+					title={tab.name}
+				>
+					<button
+						type="button"
+						role="tab"
+						aria-selected={tab.id === activeTabId}
+						className="document-tab-select"
+						onClick={() => onSelect(tab.id)}
+					>
+						{saveStates[tab.id]?.isDirty && (
+							<span className="save-status-dot" title="Unsaved changes" />
+						)}
+						<span className="document-tab-name">{tab.name}</span>
+					</button>
+					<button
+						type="button"
+						className="document-tab-close"
+						onClick={() => onClose(tab.id)}
+						aria-label={`Close ${tab.name}`}
+					>
+						×
+					</button>
+				</div>
+			))}
+		</div>
+	);
+}
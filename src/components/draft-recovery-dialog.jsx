@@ -0,0 +1,28 @@
+/**
+ * Draft Recovery Dialog
+ *
+ * Offers to restore the autosaved changes of a document that was closed
+ * without saving.
+ */
+export default function DraftRecoveryDialog({ documentName, savedAt, onRestore, onDiscard }) {
+	return (
+		<div className="modal-backdrop">
+			<div className="modal-dialog" role="dialog" aria-modal="true">
+				<h2 className="modal-title">Restore unsaved changes?</h2>
+				<p>
+					{documentName} was closed with unsaved changes. A draft was saved automatically on{" "}
+					{new Date(savedAt).toLocaleString()}.
+				</p>
+				<p>Discarding opens the document as it was last saved and deletes the draft.</p>
+				<div className="modal-actions">
+					<button type="button" className="modal-button" onClick={onDiscard}>
+						Discard
+					</button>
+					<button type="button" className="modal-button primary" onClick={onRestore}>
+						Restore draft
+					</button>
+				</div>
+			</div>
+		</div>
+	);
+}
@@ -1,7 +1,15 @@
+import RecentDocumentsMenu from "./recent-documents-menu.jsx";
+
 /**
  * Professional Header Component with Nutrient branding
  */
-export default function Header({ onOpenDocument }) {
+export default function Header({
+	onOpenDocument,
+	saveState,
+	recentDocuments = [],
+	onOpenRecent,
+	onRemoveRecent,
+}) {
 	return (
 		<header className="nutrient-header">
 			<div className="header-container">
@@ -30,6 +38,29 @@ export default function Header({ onOpenDocument }) {
 					>
 						<span>Open Document</span>
 					</button>
+					<RecentDocumentsMenu
+						documents={recentDocuments}
+						onOpen={onOpenRecent}
+						onRemove={onRemoveRecent}
+					/>
+
+					{/* Unsaved changes indicator */}
+					{saveState?.isDirty && (
+						<output className="save-status">
+							<span className="save-status-dot" aria-hidden="true" />
+							Unsaved changes
+							{saveState.autosavedAt && (
+								<span className="save-status-detail">
+									{" "}
+									· draft saved{" "}
+									{new Date(saveState.autosavedAt).toLocaleTimeString([], {
+										hour: "2-digit",
+										minute: "2-digit",
+									})}
+								</span>
+							)}
+						</output>
+					)}
 				</div>
 
 				{/* Right Section: CTA Buttons */}
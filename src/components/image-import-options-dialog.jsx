@@ -0,0 +1,178 @@
+import { useState } from "react";
+import {
+	FIT_MODES,
+	IMAGE_OPTION_LIMITS,
+	normalizeImageImportOptions,
+	ORIENTATIONS,
+	PAGE_SIZE_MODES,
+} from "../utils/image-import-options";
+
+const PAGE_SIZE_LABELS = {
+	[PAGE_SIZE_MODES.matchDocument]: "Match current document",
+	[PAGE_SIZE_MODES.a4]: "A4",
+	[PAGE_SIZE_MODES.letter]: "Letter",
+	[PAGE_SIZE_MODES.custom]: "Custom",
+};
+
+const ORIENTATION_LABELS = {
+	[ORIENTATIONS.auto]: "Automatic (follow the image)",
+	[ORIENTATIONS.portrait]: "Portrait",
+	[ORIENTATIONS.landscape]: "Landscape",
+};
+
+const FIT_MODE_LABELS = {
+	[FIT_MODES.fit]: "Fit: show the whole image",
+	[FIT_MODES.fill]: "Fill: cover the page, cropping the edges",
+	[FIT_MODES.center]: "Center: keep the actual size",
+};
+
+/**
+ * Image Import Options Dialog
+ *
+ * Lets the user choose how imported images are laid out: page size,
+ * orientation, fit mode, margins, EXIF rotation and maximum resolution.
+ */
+export default function ImageImportOptionsDialog({ options, onSave, onCancel }) {
+	const [draft, setDraft] = useState(options);
+
+	const update = (changes) => setDraft((current) => ({ ...current, ...changes }));
+
+	const updateCustomSize = (dimension, value) =>
+		update({ customPageSize: { ...draft.customPageSize, [dimension]: value } });
+
+	const handleSubmit = (event) => {
+		event.preventDefault();
+		onSave(normalizeImageImportOptions(draft));
+	};
+
+	const { pageDimension, margin, maxDpi } = IMAGE_OPTION_LIMITS;
+
+	return (
+		<div className="modal-backdrop">
+			<form
+				className="modal-dialog image-options-dialog"
+				role="dialog"
+				aria-modal="true"
+				onSubmit={handleSubmit}
+			>
+				<h2 className="modal-title">Image Import Options</h2>
+				<p>Applied to PNG, JPEG, TIFF and other images. Each TIFF frame becomes its own page.</p>
+
+				<label className="image-options-field">
+					Page size
+					<select
+						className="modal-input"
+						value={draft.pageSize}
+						onChange={(event) => update({ pageSize: event.target.value })}
+					>
+						{Object.entries(PAGE_SIZE_LABELS).map(([value, label]) => (
+							<option key={value} value={value}>
+								{label}
+							</option>
+						))}
+					</select>
+				</label>
+
+				{draft.pageSize === PAGE_SIZE_MODES.custom && (
+					<div className="image-options-row">
+						<label className="image-options-field">
+							Width (mm)
+							<input
+								type="number"
+								className="modal-input"
+								min={pageDimension.min}
+								max={pageDimension.max}
+								value={draft.customPageSize.width}
+								onChange={(event) => updateCustomSize("width", event.target.value)}
+							/>
+						</label>
+						<label className="image-options-field">
+							Height (mm)
+							<input
+								type="number"
+								className="modal-input"
+								min={pageDimension.min}
+								max={pageDimension.max}
+								value={draft.customPageSize.height}
+								onChange={(event) => updateCustomSize("height", event.target.value)}
+							/>
+						</label>
+					</div>
+				)}
+
+				<label className="image-options-field">
+					Orientation
+					<select
+						className="modal-input"
+						value={draft.orientation}
+						onChange={(event) => update({ orientation: event.target.value })}
+					>
+						{Object.entries(ORIENTATION_LABELS).map(([value, label]) => (
+							<option key={value} value={value}>
+								{label}
+							</option>
+						))}
+					</select>
+				</label>
+
+				<fieldset className="staging-insertion">
+					<legend>Placement</legend>
+					{Object.entries(FIT_MODE_LABELS).map(([value, label]) => (
+						<label key={value}>
+							<input
+								type="radio"
+								name="fit-mode"
+								checked={draft.fitMode === value}
+								onChange={() => update({ fitMode: value })}
+							/>
+							{label}
+						</label>
+					))}
+				</fieldset>
+
+				<div className="image-options-row">
+					<label className="image-options-field">
+						Margins (mm)
+						<input
+							type="number"
+							className="modal-input"
+							min={margin.min}
+							max={margin.max}
+							value={draft.margin}
+							onChange={(event) => update({ margin: event.target.value })}
+						/>
+					</label>
+					<label className="image-options-field">
+						Maximum resolution (DPI)
+						<input
+							type="number"
+							className="modal-input"
+							min={maxDpi.min}
+							max={maxDpi.max}
+							value={draft.maxDpi}
+							onChange={(event) => update({ maxDpi: event.target.value })}
+						/>
+					</label>
+				</div>
+
+				<label className="staging-option">
+					<input
+						type="checkbox"
+						checked={draft.autoRotate}
+						onChange={(event) => update({ autoRotate: event.target.checked })}
+					/>
+					Rotate photos using their EXIF orientation
+				</label>
+
+				<div className="modal-actions">
+					<button type="button" className="modal-button" onClick={onCancel}>
+						Cancel
+					</button>
+					<button type="submit" className="modal-button primary">
+						Save
+					</button>
+				</div>
+			</form>
+		</div>
+	);
+}
@@ -0,0 +1,82 @@
+import { formatPageRange } from "../utils/page-range";
+
+/**
+ * Format an ISO timestamp for display
+ * @param {string} isoDate - ISO 8601 date
+ * @returns {string}
+ */
+const formatImportDate = (isoDate) => {
+	const date = new Date(isoDate);
+	return Number.isNaN(date.getTime()) ? "Unknown time" : date.toLocaleString();
+};
+
+/**
+ * Import History Panel
+ *
+ * Side panel listing every import recorded in the document: where its pages
+ * came from, where they are now, and a button removing exactly those pages.
+ */
+export default function ImportHistoryPanel({ history, onRemove, onClose }) {
+	return (
+		<aside className="history-panel" aria-label="Import history">
+			<div className="history-panel-header">
+				<h2 className="modal-title">Import History</h2>
+				<button
+					type="button"
+					className="history-panel-close"
+					onClick={onClose}
+					aria-label="Close import history"
+				>
+					×
+				</button>
+			</div>
+
+			{history.length === 0 ? (
+				<p className="history-empty">No imported pages in this document.</p>
+			) : (
+				<ul className="history-list">
+					{history.map(({ record, pageIndexes }) => (
+						<li key={record.id} className="history-item">
+							<span className="history-file">{record.fileName}</span>
+							<dl className="history-details">
+								{record.format && (
+									<>
+										<dt>Format</dt>
+										<dd>
+											{record.format}
+											{record.converted ? " (converted to PDF)" : ""}
+										</dd>
+									</>
+								)}
+								{record.sourcePages && (
+									<>
+										<dt>Source pages</dt>
+										<dd>{record.sourcePages}</dd>
+									</>
+								)}
+								<dt>Now at pages</dt>
+								<dd>{formatPageRange(pageIndexes)}</dd>
+								{record.importedAt && (
+									<>
+										<dt>Imported</dt>
+										<dd>
+											{formatImportDate(record.importedAt)}
+											{record.importedBy ? ` by ${record.importedBy}` : ""}
+										</dd>
+									</>
+								)}
+							</dl>
+							<button
+								type="button"
+								className="modal-button history-remove"
+								onClick={() => onRemove(record)}
+							>
+								Remove this import
+							</button>
+						</li>
+					))}
+				</ul>
+			)}
+		</aside>
+	);
+}
@@ -0,0 +1,76 @@
+import { useEffect, useState } from "react";
+import { IMPORT_STAGES } from "../utils/import-queue";
+
+/**
+ * Steps shown in the overlay, and the queue stages that belong to each
+ */
+const PROGRESS_STEPS = [
+	{ label: "Reading file", stages: [IMPORT_STAGES.downloading, IMPORT_STAGES.reading] },
+	{ label: "Converting", stages: [IMPORT_STAGES.converting, IMPORT_STAGES.preparing] },
+	{ label: "Merging", stages: [IMPORT_STAGES.merging] },
+	{ label: "Re-rendering", stages: [IMPORT_STAGES.rendering] },
+];
+
+const ELAPSED_REFRESH_INTERVAL = 500;
+
+/**
+ * Format elapsed milliseconds as m:ss
+ * @param {number} milliseconds - Elapsed time
+ * @returns {string}
+ */
+const formatElapsed = (milliseconds) => {
+	const totalSeconds = Math.floor(milliseconds / 1000);
+	const minutes = Math.floor(totalSeconds / 60);
+	const seconds = String(totalSeconds % 60).padStart(2, "0");
+	return `${minutes}:${seconds}`;
+};
+
+/**
+ * Import Progress Overlay
+ *
+ * Full-screen overlay shown while an import runs. Displays the current step,
+ * a detail message, the elapsed time and, while the import can still be
+ * stopped without touching the document, a Cancel button.
+ */
+export default function ImportProgressOverlay({ progress, onCancel }) {
+	const [now, setNow] = useState(() => Date.now());
+
+	useEffect(() => {
+		const interval = setInterval(() => setNow(Date.now()), ELAPSED_REFRESH_INTERVAL);
+		return () => clearInterval(interval);
+	}, []);
+
+	// Other long operations, such as splitting, bring their own steps
+	const steps = progress.steps ?? PROGRESS_STEPS;
+	const currentStep = steps.findIndex(({ stages }) => stages.includes(progress.stage));
+
+	return (
+		<div className="loading-overlay" role="alertdialog" aria-busy="true" aria-live="polite">
+			<div className="loading-spinner" />
+			<ol className="loading-steps">
+				{steps.map(({ label }, index) => (
+					<li
+						key={label}
+						className={index < currentStep ? "done" : index === currentStep ? "active" : undefined}
+					>
+						{label}
+					</li>
+				))}
+			</ol>
+			<div className="loading-message">{progress.message}</div>
+			<div className="loading-elapsed">
+				Elapsed {formatElapsed(Math.max(0, now - progress.startedAt))}
+			</div>
+			{onCancel && (
+				<button
+					type="button"
+					className="loading-cancel"
+					onClick={onCancel}
+					disabled={!progress.cancellable || progress.cancelling}
+				>
+					{progress.cancelling ? "Cancelling..." : "Cancel"}
+				</button>
+			)}
+		</div>
+	);
+}
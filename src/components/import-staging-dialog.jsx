@@ -0,0 +1,217 @@
+import { useRef, useState } from "react";
+import { INSERTION_MODES, insertionFromOffset, resolveInsertionOffset } from "../utils/import-plan";
+import { parsePageRange } from "../utils/page-range";
+
+/**
+ * Import Staging Dialog
+ *
+ * Shown after files are picked and converted, before anything is merged.
+ * Lets the user reorder the staged documents, choose a page range from each,
+ * pick the insertion point and toggle "treat as one page". The insertion
+ * point can be preselected, e.g. from where files were dropped.
+ */
+export default function ImportStagingDialog({
+	items,
+	skipped = [],
+	currentPageIndex,
+	totalPages,
+	initialInsertionOffset,
+	onConfirm,
+	onCancel,
+}) {
+	const [entries, setEntries] = useState(() => items.map((item) => ({ ...item, range: "" })));
+	const initialInsertion = insertionFromOffset(initialInsertionOffset, totalPages);
+	const [mode, setMode] = useState(initialInsertion.mode);
+	const [afterPage, setAfterPage] = useState(String(initialInsertion.afterPage));
+	const [treatAsOnePage, setTreatAsOnePage] = useState(false);
+	const [error, setError] = useState(null);
+	const dragIndexRef = useRef(null);
+
+	const moveEntry = (from, to) => {
+		if (from === to || to < 0 || to >= entries.length) {
+			return;
+		}
+		setEntries((current) => {
+			const next = [...current];
+			const [moved] = next.splice(from, 1);
+			next.splice(to, 0, moved);
+			return next;
+		});
+	};
+
+	const updateRange = (id, range) => {
+		setEntries((current) =>
+			current.map((entry) => (entry.id === id ? { ...entry, range } : entry)),
+		);
+	};
+
+	const handleConfirm = () => {
+		try {
+			onConfirm({
+				entries: entries.map((entry) => ({
+					...entry,
+					pageIndexes: parsePageRange(entry.range, entry.pageCount),
+				})),
+				insertionOffset: resolveInsertionOffset(
+					{ mode, afterPage: Number(afterPage) },
+					{ currentPageIndex, totalPages },
+				),
+				treatAsOnePage,
+			});
+		} catch (confirmError) {
+			setError(confirmError.message);
+		}
+	};
+
+	return (
+		<div className="modal-backdrop">
+			<div className="modal-dialog staging-dialog" role="dialog" aria-modal="true">
+				<h2 className="modal-title">Arrange Imported Documents</h2>
+
+				{skipped.length > 0 && (
+					<div className="staging-skipped">
+						<strong>Skipped:</strong>
+						<ul>
+							{skipped.map(({ file, error: skipError }) => (
+								<li key={file.name}>
+									{file.name}: {skipError?.message || "Unknown error"}
+								</li>
+							))}
+						</ul>
+					</div>
+				)}
+
+				<ol className="staging-list">
+					{entries.map((entry, index) => (
+						<li
+							key={entry.id}
+							className="staging-item"
+							draggable
+							onDragStart={() => {
+								dragIndexRef.current = index;
+							}}
+							onDragOver={(event) => event.preventDefault()}
+							onDrop={(event) => {
+								event.preventDefault();
+								moveEntry(dragIndexRef.current, index);
+								dragIndexRef.current = null;
+							}}
+						>
+							<img
+								src={entry.thumbnailUrl}
+								alt={`First page of ${entry.name}`}
+								className="staging-thumbnail"
+							/>
+							<div className="staging-details">
+								<span className="staging-name">{entry.name}</span>
+								<span className="staging-pages">
+									{entry.pageCount} page{entry.pageCount === 1 ? "" : "s"}
+								</span>
+								{entry.signatureCount > 0 && (
+									<span className="staging-signed">
+										Digitally signed; the signatures do not carry over
+									</span>
+								)}
+								<label>
+									Pages
+									<input
+										type="text"
+										value={entry.range}
+										placeholder="All (e.g. 1-3, 5)"
+										onChange={(event) => updateRange(entry.id, event.target.value)}
+									/>
+								</label>
+							</div>
+							<div className="staging-order-buttons">
+								<button
+									type="button"
+									onClick={() => moveEntry(index, index - 1)}
+									disabled={index === 0}
+									aria-label={`Move ${entry.name} up`}
+								>
+									▲
+								</button>
+								<button
+									type="button"
+									onClick={() => moveEntry(index, index + 1)}
+									disabled={index === entries.length - 1}
+									aria-label={`Move ${entry.name} down`}
+								>
+									▼
+								</button>
+							</div>
+						</li>
+					))}
+				</ol>
+
+				<fieldset className="staging-insertion">
+					<legend>Insert</legend>
+					<label>
+						<input
+							type="radio"
+							name="insertion"
+							checked={mode === INSERTION_MODES.start}
+							onChange={() => setMode(INSERTION_MODES.start)}
+						/>
+						Before the first page
+					</label>
+					<label>
+						<input
+							type="radio"
+							name="insertion"
+							checked={mode === INSERTION_MODES.afterCurrent}
+							onChange={() => setMode(INSERTION_MODES.afterCurrent)}
+						/>
+						After the current page ({currentPageIndex + 1})
+					</label>
+					<label>
+						<input
+							type="radio"
+							name="insertion"
+							checked={mode === INSERTION_MODES.afterPage}
+							onChange={() => setMode(INSERTION_MODES.afterPage)}
+						/>
+						After page
+						<input
+							type="number"
+							min="1"
+							max={totalPages}
+							value={afterPage}
+							onFocus={() => setMode(INSERTION_MODES.afterPage)}
+							onChange={(event) => setAfterPage(event.target.value)}
+						/>
+					</label>
+					<label>
+						<input
+							type="radio"
+							name="insertion"
+							checked={mode === INSERTION_MODES.end}
+							onChange={() => setMode(INSERTION_MODES.end)}
+						/>
+						At the end
+					</label>
+				</fieldset>
+
+				<label className="staging-option">
+					<input
+						type="checkbox"
+						checked={treatAsOnePage}
+						onChange={(event) => setTreatAsOnePage(event.target.checked)}
+					/>
+					Treat each imported document as one page
+				</label>
+
+				{error && <p className="modal-error">{error}</p>}
+
+				<div className="modal-actions">
+					<button type="button" className="modal-button" onClick={onCancel}>
+						Cancel
+					</button>
+					<button type="button" className="modal-button primary" onClick={handleConfirm}>
+						Import
+					</button>
+				</div>
+			</div>
+		</div>
+	);
+}
@@ -0,0 +1,163 @@
+import { useState } from "react";
+import { INSERTION_MODES, resolveInsertionOffset } from "../utils/import-plan";
+import { parsePageRange } from "../utils/page-range";
+
+/**
+ * Page Transfer Dialog
+ *
+ * Sends pages of the current document to another open tab: which pages,
+ * whether they are moved or copied, the destination document and where
+ * they are inserted there. The pages are preselected from the Document
+ * Editor selection.
+ */
+export default function PageTransferDialog({
+	documentName,
+	pageCount,
+	selectedPages,
+	targets,
+	onConfirm,
+	onCancel,
+}) {
+	const [range, setRange] = useState(selectedPages);
+	const [isMove, setIsMove] = useState(false);
+	const [targetTabId, setTargetTabId] = useState(targets[0].tabId);
+	const [mode, setMode] = useState(INSERTION_MODES.end);
+	const [afterPage, setAfterPage] = useState("1");
+	const [error, setError] = useState(null);
+	const target = targets.find(({ tabId }) => tabId === targetTabId);
+
+	const handleConfirm = () => {
+		try {
+			const pageIndexes = parsePageRange(range, pageCount);
+			if (isMove && pageIndexes.length >= pageCount) {
+				throw new Error(
+					"A document cannot give away all of its pages. Copy them instead, or leave at least one page.",
+				);
+			}
+			const insertion = { mode, afterPage: Number(afterPage) };
+			// Validate against the destination as it is now; it is resolved
+			// again when the pages arrive
+			resolveInsertionOffset(insertion, {
+				currentPageIndex: target.currentPageIndex,
+				totalPages: target.pageCount,
+			});
+			onConfirm({ pageIndexes, targetTabId, insertion, isMove });
+		} catch (confirmError) {
+			setError(confirmError.message);
+		}
+	};
+
+	return (
+		<div className="modal-backdrop">
+			<div className="modal-dialog image-options-dialog" role="dialog" aria-modal="true">
+				<h2 className="modal-title">Send Pages to Another Tab</h2>
+
+				<label className="image-options-field">
+					Pages of {documentName} (1-{pageCount})
+					<input
+						className="modal-input"
+						type="text"
+						placeholder="All pages, or e.g. 1-3, 5"
+						value={range}
+						onChange={(event) => setRange(event.target.value)}
+					/>
+				</label>
+
+				<div className="image-options-row">
+					<label className="staging-option">
+						<input
+							type="radio"
+							name="transfer-mode"
+							checked={!isMove}
+							onChange={() => setIsMove(false)}
+						/>
+						Copy
+					</label>
+					<label className="staging-option">
+						<input
+							type="radio"
+							name="transfer-mode"
+							checked={isMove}
+							onChange={() => setIsMove(true)}
+						/>
+						Move
+					</label>
+				</div>
+
+				<label className="image-options-field">
+					Destination
+					<select
+						className="modal-input"
+						value={targetTabId}
+						onChange={(event) => setTargetTabId(event.target.value)}
+					>
+						{targets.map(({ tabId, name, pageCount: targetPageCount }) => (
+							<option key={tabId} value={tabId}>
+								{name} ({targetPageCount} pages)
+							</option>
+						))}
+					</select>
+				</label>
+
+				<fieldset className="staging-insertion">
+					<legend>Insert into {target.name}</legend>
+					<label>
+						<input
+							type="radio"
+							name="transfer-insertion"
+							checked={mode === INSERTION_MODES.start}
+							onChange={() => setMode(INSERTION_MODES.start)}
+						/>
+						Before the first page
+					</label>
+					<label>
+						<input
+							type="radio"
+							name="transfer-insertion"
+							checked={mode === INSERTION_MODES.afterCurrent}
+							onChange={() => setMode(INSERTION_MODES.afterCurrent)}
+						/>
+						After its current page ({target.currentPageIndex + 1})
+					</label>
+					<label>
+						<input
+							type="radio"
+							name="transfer-insertion"
+							checked={mode === INSERTION_MODES.afterPage}
+							onChange={() => setMode(INSERTION_MODES.afterPage)}
+						/>
+						After page
+						<input
+							type="number"
+							min="1"
+							max={target.pageCount}
+							value={afterPage}
+							onFocus={() => setMode(INSERTION_MODES.afterPage)}
+							onChange={(event) => setAfterPage(event.target.value)}
+						/>
+					</label>
+					<label>
+						<input
+							type="radio"
+							name="transfer-insertion"
+							checked={mode === INSERTION_MODES.end}
+							onChange={() => setMode(INSERTION_MODES.end)}
+						/>
+						At the end
+					</label>
+				</fieldset>
+
+				{error && <p className="modal-error">{error}</p>}
+
+				<div className="modal-actions">
+					<button type="button" className="modal-button" onClick={onCancel}>
+						Cancel
+					</button>
+					<button type="button" className="modal-button primary" onClick={handleConfirm}>
+						{isMove ? "Move Pages" : "Copy Pages"}
+					</button>
+				</div>
+			</div>
+		</div>
+	);
+}
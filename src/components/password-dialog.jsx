@@ -0,0 +1,47 @@
+import { useState } from "react";
+
+/**
+ * Password Dialog
+ *
+ * Asks for the password of an encrypted PDF before it is imported.
+ */
+export default function PasswordDialog({ fileName, error, onSubmit, onCancel }) {
+	const [password, setPassword] = useState("");
+
+	const handleSubmit = (event) => {
+		event.preventDefault();
+		onSubmit(password);
+	};
+
+	return (
+		<div className="modal-backdrop">
+			<form
+				className="modal-dialog password-dialog"
+				role="dialog"
+				aria-modal="true"
+				onSubmit={handleSubmit}
+			>
+				<h2 className="modal-title">Password Required</h2>
+				<p>
+					<strong>{fileName}</strong> is password protected. Enter its password to import it.
+				</p>
+				<input
+					type="password"
+					className="modal-input"
+					value={password}
+					onChange={(event) => setPassword(event.target.value)}
+					aria-label="Document password"
+				/>
+				{error && <p className="modal-error">{error}</p>}
+				<div className="modal-actions">
+					<button type="button" className="modal-button" onClick={onCancel}>
+						Skip File
+					</button>
+					<button type="submit" className="modal-button primary">
+						Unlock
+					</button>
+				</div>
+			</form>
+		</div>
+	);
+}
@@ -4,175 +4,2391 @@
  * A React component that integrates Nutrient Web SDK for PDF viewing and editing.
  * Features:
  * - Custom Document Editor toolbar with import functionality
- * - Automatic conversion of images (TIFF, PNG, JPEG) and DOCX to PDF
- * - Seamless document import and merging
- * - Signature decorator support
+ * - Automatic conversion to PDF through a pluggable converter registry
+ * - Seamless document import and merging, with multi-file batch queue
+ * - Staging dialog to reorder imports, pick page ranges and the insertion point
+ * - Drag-and-drop import onto the viewer and page thumbnails
+ * - Content sniffing, size/page limits and password prompts before import
+ * - Bounded pool of headless instances converting files concurrently
+ * - Cancellable imports with staged progress and elapsed time
+ * - Per-user image import options (page size, fit, margins, EXIF, DPI)
+ * - Import from a URL and by pasting files or images from the clipboard
+ * - Import history panel with per-import removal and provenance page labels
+ * - Signature decorator support, with signer and signing time stored on each signature
+ * - Opt-in export with signature decorations flattened into the pages
+ * - Multi-signer workflow: fields assigned to signers, enforced signing order
+ *   and a switchable active signer
+ * - "Sign & Certify": PKCS#7 digital signatures behind visual signatures, with
+ *   verified/invalid badges
+ * - Digital signature validation panel with a local trust store, and a
+ *   warning before page operations that would break existing signatures
+ * - Page transfer between the documents open in workspace tabs
+ * - Split/extract into separate PDFs by range or rule, downloaded as a ZIP
+ * - Tamper-evident audit trail of imports, page, annotation and signature
+ *   changes and exports, exportable as JSON/CSV or a certificate page
+ * - Embeddable: configuration props, host callbacks and an imperative ref
+ *   handle (see src/index.js)
  */
 
-import { useEffect, useRef } from "react";
+import { useEffect, useImperativeHandle, useRef, useState } from "react";
 import {
   createSignatureRenderer,
+  getAnnotationCustomData,
   initializeSignatureDecorator,
+  isDecoratedAnnotation,
+  resolveDecoratorConfig,
 } from "../utils/signature-decorator";
-import "/src/app.css";
+import {
+  CERTIFICATION_BADGES,
+  CERTIFICATION_STATUS,
+  certifyDocument,
+  getCertificationField,
+  loadDocumentSignatures,
+} from "../utils/digital-signature";
+import {
+  addTrustedCertificates,
+  getTrustedCertificates,
+  loadTrustStore,
+  removeTrustedCertificate,
+} from "../utils/trust-store";
+import { createLocalTestSigner } from "../utils/test-certificate-authority";
+import {
+  formatFailureSummary,
+  formatProgressMessage,
+  IMPORT_STAGES,
+  runImportQueue,
+} from "../utils/import-queue";
+import {
+  buildImportOperations,
+  resolveInsertionOffset,
+} from "../utils/import-plan";
+import { formatPageRange } from "../utils/page-range";
+import {
+  createPartFileNames,
+  planSplit,
+  SPLIT_STAGES,
+} from "../utils/page-split";
+import { createZip } from "../utils/zip-writer";
+import {
+  buildProvenanceOperations,
+  createImportRecords,
+  createProvenanceAnnotation,
+  findImportedPages,
+  loadImportHistory,
+  PROVENANCE_DATA_KEY,
+} from "../utils/import-provenance";
+import {
+  AUDIT_ACTIONS,
+  createAuditEntry,
+  createCertificatePdf,
+  formatAuditTrailCsv,
+  formatAuditTrailJson,
+  getAnnotationTypeName,
+  hashBytes,
+  loadAuditTrail,
+  saveAuditTrail,
+  summarizeImportRecord,
+  summarizeOperation,
+  verifyAuditTrail,
+} from "../utils/audit-trail";
+import { resolveDropInsertionOffset } from "../utils/drop-target";
+import { getFileExtension } from "../utils/converter-registry";
+import { createDefaultConverterRegistry } from "../utils/converters";
+import {
+  assertPageCount,
+  DEFAULT_IMPORT_LIMITS,
+  ImportValidationError,
+  VALIDATION_REASONS,
+  validateImportFile,
+} from "../utils/file-validation";
+import { renderPageThumbnail } from "../utils/headless-instance";
+import {
+  loadImageImportOptions,
+  saveImageImportOptions,
+} from "../utils/image-import-options";
+import { fetchImportFile, getClipboardFiles } from "../utils/import-sources";
+import {
+  exportWithSignatureDecorations,
+  findDecoratedSignatures,
+} from "../utils/signature-export";
+import { downloadFile, getDownloadName } from "../utils/download";
+import {
+  AUTOSAVE_INTERVAL,
+  deleteDraft,
+  getDocumentKey,
+  loadDraft,
+  saveDraft,
+} from "../utils/autosave";
+import {
+  applyFieldLocks,
+  assignField,
+  authorizeFieldSignature,
+  createFieldAccessRenderer,
+  EMPTY_SIGNING_WORKFLOW,
+  FIELD_ACCESS,
+  getFieldAccess,
+  loadSigningWorkflow,
+} from "../utils/signing-workflow";
+import {
+  captureSignature,
+  deleteSignature,
+  exportSignatureLibrary,
+  importSignatureLibrary,
+  loadSignatureLibrary,
+  placeSignature,
+  readSignatureImage,
+  saveSignature,
+} from "../utils/signature-library";
+import {
+  loadDecoratorSettings,
+  saveDecoratorSettings,
+} from "../utils/decorator-settings";
+import {
+  createConversionPool,
+  DEFAULT_POOL_SIZE,
+  isAbortError,
+  isPasswordError,
+} from "../utils/conversion-pool";
+import AuditTrailPanel from "./audit-trail-panel.jsx";
+import DecoratorSettingsDialog from "./decorator-settings-dialog.jsx";
+import DraftRecoveryDialog from "./draft-recovery-dialog.jsx";
+import ImageImportOptionsDialog from "./image-import-options-dialog.jsx";
+import ImportHistoryPanel from "./import-history-panel.jsx";
+import ImportProgressOverlay from "./import-progress-overlay.jsx";
+import ImportStagingDialog from "./import-staging-dialog.jsx";
+import PageTransferDialog from "./page-transfer-dialog.jsx";
+import PasswordDialog from "./password-dialog.jsx";
+import SplitDialog from "./split-dialog.jsx";
+import SignatureExportDialog from "./signature-export-dialog.jsx";
+import SignatureLibraryPanel from "./signature-library-panel.jsx";
+import SignatureValidationPanel from "./signature-validation-panel.jsx";
+import SigningWorkflowPanel from "./signing-workflow-panel.jsx";
+import UrlImportDialog from "./url-import-dialog.jsx";
+import "../app.css";
+
+// Configuration constants
+// Users who can sign, in signing order, unless the host passes its own
+// signers. Signers sharing an order number may sign in any order among
+// themselves.
+const DEFAULT_SIGNERS = [
+  { id: "nutrient", name: "Nutrient", order: 1 },
+  { id: "alice", name: "Alice Smith", order: 2 },
+  { id: "bob", name: "Bob Jones", order: 3 },
+];
+// Creates the digital signer for a user; replace to sign with another key
+// store or a remote signing service (see digital-signature.js)
+const createDigitalSigner = createLocalTestSigner;
+const SIGNING_REASON = "I approve this document";
+const IMPORT_BUTTON_ID = "custom-import-documents";
+const IMPORT_BUTTON_TITLE = "Import Documents";
+const IMAGE_OPTIONS_BUTTON_ID = "custom-image-import-options";
+const URL_IMPORT_BUTTON_ID = "custom-import-from-url";
+const IMPORT_HISTORY_BUTTON_ID = "custom-import-history";
+const SIGNATURE_EXPORT_BUTTON_ID = "custom-signature-export";
+const SIGNING_WORKFLOW_BUTTON_ID = "custom-signing-workflow";
+const SIGN_CERTIFY_BUTTON_ID = "custom-sign-certify";
+const SIGNATURE_VALIDATION_BUTTON_ID = "custom-signature-validation";
+const SIGNATURE_LIBRARY_BUTTON_ID = "custom-signature-library";
+const DECORATOR_SETTINGS_BUTTON_ID = "custom-decorator-settings";
+const SAVE_BUTTON_ID = "custom-save-document";
+const TRANSFER_PAGES_BUTTON_ID = "custom-transfer-pages";
+const SPLIT_BUTTON_ID = "custom-split-pages";
+const AUDIT_TRAIL_BUTTON_ID = "custom-audit-trail";
+const EMPTY_AUDIT_TRAIL = { entries: [], verification: null };
+
+/**
+ * Steps of the progress overlay while splitting
+ */
+const SPLIT_PROGRESS_STEPS = [
+  { label: "Finding parts", stages: [SPLIT_STAGES.analysing] },
+  { label: "Extracting", stages: [SPLIT_STAGES.extracting] },
+  { label: "Zipping", stages: [SPLIT_STAGES.zipping] },
+];
+const BUTTON_RE_ENABLE_DELAY = 200;
+const STAGING_THUMBNAIL_WIDTH = 96;
+const DROP_FEEDBACK_DURATION = 3000;
+const IMPORT_LIMITS = DEFAULT_IMPORT_LIMITS;
+const CONVERSION_CONCURRENCY = DEFAULT_POOL_SIZE;
+const AUDIT_SETTLE_DELAY = 1000;
+
+/**
+ * Embeddable Document Editor. Configuration props are read when the document
+ * loads; callbacks always use their latest value. The ref handle exposes
+ * importFiles, exportPDF, goToPage and getInstance.
+ *
+ * @param {Object} props - Component props
+ * @param {string|Blob} props.document - URL or file of the document to open
+ * @param {string} [props.licenseKey] - Nutrient license key; VITE_lkey by default,
+ *   except in the library build, where hosts must pass it
+ * @param {Array<Object>} [props.signers] - { id, name, order } of each signer
+ * @param {string} [props.user] - Id of the signer active after loading
+ * @param {Array<string>} [props.acceptedTypes] - Importable extensions and MIME types
+ * @param {Object} [props.decoratorConfig] - Fixed signature decorator
+ *   configuration; hides the decoration settings
+ * @param {Function} [props.toolbarItems] - (defaultItems) => main toolbar items
+ * @param {Function} [props.documentEditorToolbarItems] - (defaultItems) =>
+ *   Document Editor toolbar items
+ * @param {Function} [props.onImportStart] - ({ files }) when an import begins
+ * @param {Function} [props.onImportComplete] - ({ records, failed }) once pages are merged
+ * @param {Function} [props.onImportError] - ({ error, failed }) when nothing could be imported
+ * @param {Function} [props.onSignatureApplied] - ({ annotation, widget }) after signing
+ * @param {Function} [props.onDirtyChange] - (isDirty) when unsaved changes appear or are saved
+ * @param {Function} [props.onSave] - ({ pdf, fileName }) replaces the download on save
+ * @param {Function} [props.onSaveStateChange] - ({ isDirty, autosavedAt }) for save indicators
+ * @param {Function} [props.onDocumentOpen] - (document) once the document is loaded
+ */
+export default function PdfViewerComponent(props) {
+  const containerRef = useRef(null);
+  // Read from the viewer effect, which must not restart when configuration
+  // or callbacks change
+  const propsRef = useRef(props);
+  propsRef.current = props;
+  const apiRef = useRef(null);
+  const cancelImportRef = useRef(null);
+  const [importProgress, setImportProgress] = useState(null);
+  const [stagingRequest, setStagingRequest] = useState(null);
+  const [dropFeedback, setDropFeedback] = useState(null);
+  const [passwordRequest, setPasswordRequest] = useState(null);
+  const [imageOptionsRequest, setImageOptionsRequest] = useState(null);
+  const [urlImportRequest, setUrlImportRequest] = useState(null);
+  const [importHistory, setImportHistory] = useState([]);
+  const [isHistoryOpen, setIsHistoryOpen] = useState(false);
+  const removeImportRef = useRef(null);
+  const [auditTrail, setAuditTrail] = useState(EMPTY_AUDIT_TRAIL);
+  const [isAuditOpen, setIsAuditOpen] = useState(false);
+  const exportAuditTrailRef = useRef(null);
+  const [signatureExportRequest, setSignatureExportRequest] = useState(null);
+  const [decoratorSettingsRequest, setDecoratorSettingsRequest] =
+    useState(null);
+  const [recoveryRequest, setRecoveryRequest] = useState(null);
+  // Viewers of background tabs stay loaded but must not react to pastes
+  const isActiveRef = useRef(props.isActive ?? true);
+  isActiveRef.current = props.isActive ?? true;
+  const [transferRequest, setTransferRequest] = useState(null);
+  const [splitRequest, setSplitRequest] = useState(null);
+  const signers = props.signers ?? DEFAULT_SIGNERS;
+  const initialSigner =
+    signers.find((signer) => signer.id === props.user) ?? signers[0];
+  const currentUserRef = useRef(initialSigner);
+  const [currentUser, setCurrentUser] = useState(initialSigner);
+  const [signingWorkflow, setSigningWorkflow] = useState(
+    EMPTY_SIGNING_WORKFLOW,
+  );
+  const [isWorkflowOpen, setIsWorkflowOpen] = useState(false);
+  const switchUserRef = useRef(null);
+  const assignFieldRef = useRef(null);
+  const [documentSignatures, setDocumentSignatures] = useState([]);
+  const [isValidationOpen, setIsValidationOpen] = useState(false);
+  const [trustStore, setTrustStore] = useState(loadTrustStore);
+  const [trustStoreError, setTrustStoreError] = useState(null);
+  const [isLibraryOpen, setIsLibraryOpen] = useState(false);
+  const [signatureLibrary, setSignatureLibrary] = useState([]);
+  const [libraryError, setLibraryError] = useState(null);
+  const placeSignatureRef = useRef(null);
+  const saveSelectionRef = useRef(null);
+
+  useImperativeHandle(props.ref, () => {
+    /**
+     * @returns {Object} Methods of the loaded document
+     * @throws {Error} - While no document is loaded
+     */
+    const getApi = () => {
+      if (!apiRef.current) {
+        throw new Error("No document is loaded yet");
+      }
+      return apiRef.current;
+    };
+    return {
+      importFiles: (files, options) => getApi().importFiles(files, options),
+      exportPDF: () => getApi().exportPDF(),
+      goToPage: (pageIndex) => getApi().goToPage(pageIndex),
+      getInstance: () => apiRef.current?.instance ?? null,
+    };
+  }, []);
+
+  /**
+   * Adds the certificates in the chosen files to the trust store
+   * @param {Array<File>} files - PEM or DER certificate files
+   */
+  const addCertificates = async (files) => {
+    let entries = trustStore;
+    let error = null;
+    for (const file of files) {
+      try {
+        entries = await addTrustedCertificates(entries, file);
+      } catch (fileError) {
+        error = fileError.message;
+      }
+    }
+    setTrustStore(entries);
+    setTrustStoreError(error);
+  };
+
+  /**
+   * Applies a change to the signature library, then reloads the current
+   * signer's saved signatures
+   * @param {Function} change - Async library change
+   */
+  const updateSignatureLibrary = async (change) => {
+    try {
+      await change();
+      setSignatureLibrary(
+        await loadSignatureLibrary(currentUserRef.current.name),
+      );
+      setLibraryError(null);
+    } catch (error) {
+      console.error("Signature library error:", error);
+      setLibraryError(error.message);
+    }
+  };
+
+  /**
+   * Downloads the current signer's saved signatures as a JSON file
+   */
+  const exportLibrary = () => {
+    const slug = currentUser.name.toLowerCase().replace(/[^a-z0-9]+/g, "-");
+    downloadFile(
+      exportSignatureLibrary(signatureLibrary),
+      `signature-library-${slug}.json`,
+    );
+  };
+
+  useEffect(() => {
+    let isCurrent = true;
+    loadSignatureLibrary(currentUser.name)
+      .then((entries) => {
+        if (isCurrent) {
+          setSignatureLibrary(entries);
+          setLibraryError(null);
+        }
+      })
+      .catch((error) => {
+        console.error("Failed to load the signature library:", error);
+        if (isCurrent) {
+          setSignatureLibrary([]);
+          setLibraryError("Saved signatures are unavailable in this browser.");
+        }
+      });
+    return () => {
+      isCurrent = false;
+    };
+  }, [currentUser.name]);
+
+  useEffect(() => {
+    const container = containerRef.current;
+    let instance = null;
+    let cleanupSignatureDecorator;
+    let cleanupDropZone;
+    let cleanupPasteHandler;
+    let cleanupAutosave;
+    let cleanupWorkspace;
+    let cleanupAuditTrail;
+    let isImporting = false;
+    let isUnmounted = false;
+    let activeImportController = null;
+    let passwordPrompts = Promise.resolve();
+    const {
+      licenseKey = import.meta.env.VITE_lkey,
+      signers = DEFAULT_SIGNERS,
+      acceptedTypes,
+      decoratorConfig,
+      toolbarItems: customizeToolbarItems,
+      documentEditorToolbarItems: customizeDocumentEditorToolbarItems,
+    } = propsRef.current;
+    let imageImportOptions = loadImageImportOptions(
+      currentUserRef.current.name,
+    );
+    let decoratorSettings = decoratorConfig ?? loadDecoratorSettings();
+    let signingWorkflow = EMPTY_SIGNING_WORKFLOW;
+    let certificationStatuses = null;
+    let documentSignatures = [];
+    let isCertifying = false;
+    const documentKey = props.documentKey ?? getDocumentKey(props.document);
+    const documentName =
+      props.documentName ??
+      (props.document instanceof Blob ? props.document.name : props.document);
+    let isDirty = false;
+    let hasChangesSinceAutosave = false;
+    let isAutosaving = false;
+    let autosavedAt = null;
+    let reportedDirty = false;
+    let auditEntries = [];
+    let auditQueue = Promise.resolve();
+    // Hash of the document as of its last settled change, and the changes
+    // made since then (see openAuditBurst)
+    let documentHash = null;
+    let auditBurst = null;
+    // Releases of the bursts held open by signatures being applied, by id
+    const pendingSignatures = new Map();
+    const openDialogResolvers = new Set();
+    const { NutrientViewer } = window;
+    const conversionPool = NutrientViewer
+      ? createConversionPool({
+          NutrientViewer,
+          licenseKey,
+          size: CONVERSION_CONCURRENCY,
+          onMetric: (metric) => {
+            if (import.meta.env.DEV) {
+              console.debug(
+                `Conversion ${metric.status}: ${metric.label} in ${metric.durationMs} ms (waited ${metric.waitMs} ms)`,
+              );
+            }
+          },
+        })
+      : null;
+    const converterRegistry = createDefaultConverterRegistry({
+      pool: conversionPool,
+      acceptedTypes,
+    });
+
+    /**
+     * Calls a host callback. Errors thrown by the host are logged so they
+     * cannot break the operation that reported them.
+     * @param {string} name - Callback prop name, e.g. "onImportStart"
+     * @param {*} payload - Argument passed to the callback
+     */
+    const notify = (name, payload) => {
+      try {
+        propsRef.current[name]?.(payload);
+      } catch (error) {
+        console.error(`The ${name} callback failed:`, error);
+      }
+    };
+
+    /**
+     * Shows the import progress overlay, keeping the start time of an
+     * overlay that is already visible
+     * @param {string} stage - One of IMPORT_STAGES
+     * @param {string} message - Detail message to display
+     * @param {Object} options - Display options
+     * @param {boolean} options.cancellable - Whether Cancel is still allowed
+     * @param {Array<Object>} [options.steps] - Steps to show instead of the import steps
+     */
+    const showImportProgress = (
+      stage,
+      message,
+      { cancellable = true, steps } = {},
+    ) => {
+      setImportProgress((current) => ({
+        startedAt: current?.startedAt ?? Date.now(),
+        cancelling: current?.cancelling ?? false,
+        stage,
+        message,
+        cancellable,
+        steps,
+      }));
+    };
+
+    /**
+     * Hides the import progress overlay
+     */
+    const hideImportProgress = () => setImportProgress(null);
+
+    /**
+     * Cancels the running import. Conversions are aborted and the merge is
+     * skipped, so the document is left untouched.
+     */
+    const cancelImport = () => {
+      if (activeImportController) {
+        activeImportController.abort();
+        setImportProgress(
+          (current) => current && { ...current, cancelling: true },
+        );
+      }
+    };
+    cancelImportRef.current = cancelImport;
+
+    /**
+     * Resolves after the browser has painted the next frame
+     * @returns {Promise<void>}
+     */
+    const waitForNextPaint = () =>
+      new Promise((resolve) =>
+        requestAnimationFrame(() => requestAnimationFrame(() => resolve())),
+      );
+
+    /**
+     * Wraps exported PDF bytes in a File named after the source file
+     * @param {ArrayBuffer} pdfArrayBuffer - Exported PDF bytes
+     * @param {string} sourceName - Name of the original file
+     * @returns {File} - Converted PDF file
+     */
+    const toPdfFile = (pdfArrayBuffer, sourceName) => {
+      const pdfBlob = new Blob([pdfArrayBuffer], {
+        type: "application/pdf",
+      });
+      return new File([pdfBlob], `converted-${sourceName}.pdf`, {
+        type: "application/pdf",
+      });
+    };
+
+    /**
+     * Opens a dialog and waits for its answer. Pending dialogs are answered
+     * with null when the component unmounts, so imports never hang.
+     * @param {Function} show - Called with the resolver to render the dialog
+     * @returns {Promise<*>} - The dialog's answer
+     */
+    const openDialog = (show) =>
+      new Promise((resolve) => {
+        const resolveOnce = (value) => {
+          openDialogResolvers.delete(resolveOnce);
+          resolve(value);
+        };
+        openDialogResolvers.add(resolveOnce);
+        show(resolveOnce);
+      });
+
+    /**
+     * Opens the password dialog for an encrypted PDF. Files are prepared
+     * concurrently, so prompts are chained to show one dialog at a time.
+     * @param {string} fileName - Name of the encrypted file
+     * @param {string|null} error - Message from a previous failed attempt
+     * @returns {Promise<string|null>} - Entered password, or null when skipped
+     */
+    const requestPassword = (fileName, error) => {
+      const prompt = passwordPrompts.then(() =>
+        openDialog((resolve) =>
+          setPasswordRequest({ fileName, error, resolve }),
+        ),
+      );
+      passwordPrompts = prompt;
+      return prompt;
+    };
+
+    /**
+     * Asks for the password of an encrypted PDF until it opens, and returns
+     * the PDF exported from the unlocked instance
+     * @param {File} file - Encrypted PDF
+     * @param {AbortSignal} signal - Cancels the import
+     * @returns {Promise<File>} - Unlocked PDF file
+     * @throws {ImportValidationError} - When the user skips the file or it
+     * cannot be opened for another reason than the password
+     */
+    const unlockPdf = async (file, signal) => {
+      let error = null;
+      for (;;) {
+        const password = await requestPassword(file.name, error);
+        if (password === null) {
+          throw new ImportValidationError(
+            VALIDATION_REASONS.passwordRequired,
+            `${file.name} is password protected and was skipped`,
+          );
+        }
+
+        try {
+          const pdfArrayBuffer = await conversionPool.run(
+            { label: file.name, source: await file.arrayBuffer(), password },
+            (headlessInstance) => headlessInstance.exportPDF(),
+            { signal },
+          );
+          return new File([pdfArrayBuffer], file.name, {
+            type: "application/pdf",
+          });
+        } catch (unlockError) {
+          if (isAbortError(unlockError)) {
+            throw unlockError;
+          }
+          if (!isPasswordError(unlockError)) {
+            throw new ImportValidationError(
+              VALIDATION_REASONS.corrupt,
+              `${file.name} could not be opened: ${unlockError?.message || "unknown error"}`,
+            );
+          }
+          error = "The password is incorrect. Please try again.";
+        }
+      }
+    };
+
+    /**
+     * Counts the digital signatures in a document
+     * @param {Object} documentInstance - Nutrient instance, often headless
+     * @returns {Promise<number>} - Signature count; 0 when it cannot be read
+     */
+    const countDigitalSignatures = async (documentInstance) => {
+      try {
+        const { signatures = [] } = await documentInstance.getSignaturesInfo();
+        return signatures.length;
+      } catch {
+        return 0;
+      }
+    };
+
+    /**
+     * Asks before a page operation that would invalidate digital signatures,
+     * either those of the open document or those of imported files
+     * @param {string} action - What is about to happen, e.g. "Importing pages"
+     * @param {Array<string>} [signedImports] - Names of signed files being imported
+     * @returns {boolean} - True when nothing is at risk or the user agrees
+     */
+    const confirmSignatureBreak = (action, signedImports = []) => {
+      const warnings = [];
+      if (documentSignatures.length > 0) {
+        warnings.push(
+          `This document has ${documentSignatures.length} digital signature(s). ${action} changes its pages, so they will no longer validate.`,
+        );
+      }
+      if (signedImports.length > 0) {
+        warnings.push(
+          `The digital signatures of ${signedImports.join(", ")} do not carry over into this document.`,
+        );
+      }
+      return (
+        warnings.length === 0 ||
+        confirm(`${warnings.join("\n\n")}\n\nContinue?`)
+      );
+    };
+
+    /**
+     * Validates a file, converts it to PDF with the matching registry
+     * converter, then loads the PDF in Nutrient's headless mode to collect
+     * the page count and a thumbnail for staging
+     * @param {File} file - The file to prepare
+     * @param {Function} reportStage - Reports the current stage to the queue
+     * @param {AbortSignal} signal - Cancels the import
+     * @returns {Promise<Object>} - Staging item { id, name, file, pageCount, thumbnailUrl }
+     */
+    const prepareDocument = async (file, reportStage, signal) => {
+      signal.throwIfAborted();
+      reportStage(IMPORT_STAGES.reading);
+      const { converter, isEncrypted } = await validateImportFile(file, {
+        registry: converterRegistry,
+        limits: IMPORT_LIMITS,
+      });
+
+      let pdfFile = file;
+      if (isEncrypted) {
+        pdfFile = await unlockPdf(file, signal);
+      } else if (!converter.passthrough) {
+        signal.throwIfAborted();
+        reportStage(IMPORT_STAGES.converting);
+        try {
+          pdfFile = toPdfFile(
+            await converter.convert(file, {
+              signal,
+              imageOptions: {
+                ...imageImportOptions,
+                documentPageSize: getCurrentPageSize(),
+              },
+            }),
+            file.name,
+          );
+        } catch (error) {
+          if (isAbortError(error)) {
+            throw error;
+          }
+          throw new Error(
+            `${file.name} could not be converted from ${converter.label}: ${error?.message || "unknown error"}`,
+          );
+        }
+      }
+
+      // In-browser converters do not observe the signal, so check it again
+      signal.throwIfAborted();
+      reportStage(IMPORT_STAGES.preparing);
+      let stagingItem;
+      try {
+        stagingItem = await conversionPool.run(
+          {
+            label: file.name,
+            source: await pdfFile.arrayBuffer(),
+            // Converted files carry no digital signatures worth counting
+            readOnly: !converter.passthrough,
+          },
+          async (headlessInstance) => ({
+            id: crypto.randomUUID(),
+            signatureCount: await countDigitalSignatures(headlessInstance),
+            name: file.name,
+            format: converter.label,
+            converted: !converter.passthrough,
+            file: pdfFile,
+            pageCount: headlessInstance.totalPageCount,
+            thumbnailUrl: await renderPageThumbnail(
+              headlessInstance,
+              0,
+              STAGING_THUMBNAIL_WIDTH,
+            ),
+          }),
+          { signal },
+        );
+      } catch (error) {
+        if (isAbortError(error)) {
+          throw error;
+        }
+        throw new ImportValidationError(
+          VALIDATION_REASONS.corrupt,
+          `${file.name} could not be opened; it may be damaged`,
+        );
+      }
+
+      assertPageCount(file, stagingItem.pageCount, IMPORT_LIMITS);
+      return stagingItem;
+    };
+
+    /**
+     * Opens the staging dialog and waits for the user's import plan
+     * @param {Array<Object>} items - Prepared staging items
+     * @param {Array<Object>} skipped - Files that failed to prepare
+     * @param {number} [initialInsertionOffset] - Preselected insertion point
+     * @returns {Promise<Object|null>} - Import plan, or null when cancelled
+     */
+    const requestStagingPlan = (items, skipped, initialInsertionOffset) =>
+      openDialog((resolve) =>
+        setStagingRequest({
+          items,
+          skipped,
+          currentPageIndex: instance.viewState.currentPageIndex,
+          totalPages: instance.totalPageCount,
+          initialInsertionOffset,
+          resolve,
+        }),
+      );
+
+    /**
+     * Opens the image import options dialog and saves the user's choice
+     */
+    const editImageImportOptions = async () => {
+      const options = await openDialog((resolve) =>
+        setImageOptionsRequest({ options: imageImportOptions, resolve }),
+      );
+      if (options) {
+        imageImportOptions = saveImageImportOptions(
+          currentUserRef.current.name,
+          options,
+        );
+      }
+    };
+
+    /**
+     * Opens the decoration settings and re-renders the signatures with the
+     * saved choice
+     */
+    const editDecoratorSettings = async () => {
+      const settings = await openDialog((resolve) =>
+        setDecoratorSettingsRequest({
+          settings: decoratorSettings,
+          signerName: currentUserRef.current.name,
+          resolve,
+        }),
+      );
+      if (!settings || isUnmounted) {
+        return;
+      }
+      decoratorSettings = saveDecoratorSettings(settings);
+      instance?.setCustomRenderers({ Annotation: createAnnotationRenderer() });
+    };
+
+    /**
+     * Gets the size of the current page, used by the "match current
+     * document" image page size
+     * @returns {Object|null} - { width, height } in points
+     */
+    const getCurrentPageSize = () => {
+      const pageInfo = instance?.pageInfoForIndex(
+        instance.viewState.currentPageIndex,
+      );
+      return pageInfo
+        ? { width: pageInfo.width, height: pageInfo.height }
+        : null;
+    };
+
+    /**
+     * Updates the import button state (enabled/disabled). The URL import
+     * button follows the same enabled state.
+     * @param {boolean} isDisabled - Whether the button should be disabled
+     * @param {string} title - Button title text
+     */
+    const updateImportButtonState = (isDisabled, title) => {
+      instance.setDocumentEditorToolbarItems((items) =>
+        items.map((item) => {
+          if (item.id === IMPORT_BUTTON_ID) {
+            return { ...item, disabled: isDisabled, title };
+          }
+          if (item.id === URL_IMPORT_BUTTON_ID) {
+            return { ...item, disabled: isDisabled };
+          }
+          return item;
+        }),
+      );
+    };
+
+    /**
+     * Checks if a registered converter accepts the file. Files without an
+     * extension are let through; validation sniffs their real type.
+     * @param {File} file - Candidate file
+     * @returns {boolean} - True if the file can be imported
+     */
+    const isSupportedFile = (file) =>
+      getFileExtension(file.name) === "" ||
+      converterRegistry.findConverter(file) !== null;
+
+    /**
+     * Reloads the import history shown in the side panel from the document
+     */
+    const refreshImportHistory = async () => {
+      if (!instance || isUnmounted) {
+        return;
+      }
+      try {
+        const history = await loadImportHistory(instance);
+        if (!isUnmounted) {
+          setImportHistory(history);
+        }
+      } catch (error) {
+        console.error("Failed to load the import history:", error);
+      }
+    };
+
+    /**
+     * Stores each record in a hidden annotation on its first imported page
+     * @param {Array<Object>} records - Records in insertion order
+     * @param {number} insertionOffset - Index of the first imported page
+     */
+    const storeImportRecords = async (records, insertionOffset) => {
+      let pageIndex = insertionOffset;
+      const annotations = records.map((record) => {
+        const annotation = createProvenanceAnnotation(
+          NutrientViewer,
+          record,
+          pageIndex,
+        );
+        pageIndex += record.pageCount;
+        return annotation;
+      });
+      await instance.create(annotations);
+      await refreshImportHistory();
+    };
+
+    /**
+     * Removes exactly the pages of one import, wherever they are now
+     * @param {Object} record - Provenance record of the import
+     */
+    const removeImport = async (record) => {
+      const pageIndexes = findImportedPages(instance).get(record.id) || [];
+      if (pageIndexes.length === 0) {
+        await refreshImportHistory();
+        return;
+      }
+      if (pageIndexes.length >= instance.totalPageCount) {
+        alert(
+          `${record.fileName} makes up the whole document and cannot be removed.`,
+        );
+        return;
+      }
+      if (
+        !confirm(
+          `Remove the ${pageIndexes.length} page(s) imported from ${record.fileName}?`,
+        ) ||
+        !confirmSignatureBreak("Removing pages")
+      ) {
+        return;
+      }
+
+      try {
+        await instance.applyOperations([{ type: "removePages", pageIndexes }]);
+      } catch (error) {
+        console.error("Failed to remove import:", error);
+        alert("Failed to remove the imported pages. Please try again.");
+      }
+      await refreshImportHistory();
+    };
+    removeImportRef.current = removeImport;
+
+    /**
+     * Verifies the audit trail and shows it in the audit panel
+     */
+    const refreshAuditTrail = async () => {
+      const entries = auditEntries;
+      const verification = await verifyAuditTrail(entries);
+      if (!isUnmounted) {
+        setAuditTrail({ entries, verification });
+      }
+    };
+
+    /**
+     * Starts hashing the document as it is now
+     * @returns {Promise<string>} - SHA-256 of the exported PDF
+     */
+    const hashDocument = () => {
+      const hash = instance.exportPDF().then(hashBytes);
+      // Failures are reported by the entries using the hash
+      hash.catch(() => {});
+      return hash;
+    };
+
+    /**
+     * Appends an entry to the audit trail. Hashes are computed by the caller
+     * when the change happens; entries are only chained and stored one at a
+     * time, in the order they were appended.
+     * @param {Object} record - { action, details, output, user, timestamp }
+     * @param {Promise<string>} beforeHash - Document hash before the change
+     * @param {Promise<string>} afterHash - Document hash after the change
+     * @returns {Promise<void>} - Resolves once the entry is stored
+     */
+    const appendAuditEntry = (record, beforeHash, afterHash) => {
+      const { action, details, output, user, timestamp } = record;
+      const outputHash =
+        output &&
+        Promise.resolve(
+          output instanceof Blob ? output.arrayBuffer() : output,
+        ).then(hashBytes);
+      outputHash?.catch(() => {});
+      auditQueue = auditQueue
+        .then(async () => {
+          if (isUnmounted || !auditEntries) {
+            return;
+          }
+          const entry = await createAuditEntry(
+            auditEntries[auditEntries.length - 1],
+            {
+              action,
+              user,
+              details: output
+                ? { ...details, outputHash: await outputHash }
+                : details,
+              beforeHash: await beforeHash,
+              afterHash: await afterHash,
+            },
+            timestamp,
+          );
+          auditEntries = [...auditEntries, entry];
+          await saveAuditTrail(documentKey, auditEntries);
+          await refreshAuditTrail();
+        })
+        .catch((error) => {
+          console.error("Failed to record the audit entry:", error);
+        });
+      return auditQueue;
+    };
+
+    /**
+     * Returns the burst of changes being made, opening one if needed. A
+     * burst collects the changes made in quick succession, or by one
+     * operation, and is recorded once they settle, with the document hash
+     * from before its first change and after its last one. Every change opens
+     * a burst, recorded or not, so the next one starts from the right hash.
+     * @returns {Object} - { beforeHash, records, holds, timer }
+     */
+    const openAuditBurst = () => {
+      auditBurst ??= {
+        beforeHash: documentHash,
+        records: [],
+        holds: 0,
+        timer: null,
+      };
+      return auditBurst;
+    };
+
+    /**
+     * Records the open burst of changes, if any: hashes the document now and
+     * appends one entry per record of the burst
+     * @returns {Promise<string>} - Document hash as of now
+     */
+    const settleAuditBurst = () => {
+      const burst = auditBurst;
+      if (!burst) {
+        return documentHash;
+      }
+      clearTimeout(burst.timer);
+      auditBurst = null;
+      documentHash = hashDocument();
+      for (const record of burst.records) {
+        appendAuditEntry(record, burst.beforeHash, documentHash);
+      }
+      return documentHash;
+    };
+
+    /**
+     * Records the open burst once no change happened for a while and no
+     * operation holds it open
+     */
+    const scheduleAuditSettle = () => {
+      const burst = openAuditBurst();
+      clearTimeout(burst.timer);
+      if (burst.holds === 0) {
+        burst.timer = setTimeout(settleAuditBurst, AUDIT_SETTLE_DELAY);
+      }
+    };
+
+    /**
+     * Keeps the open burst from settling until the returned release is called
+     * @returns {Function} - Release; calling it again does nothing
+     */
+    const holdAuditBurst = () => {
+      const burst = openAuditBurst();
+      burst.holds += 1;
+      clearTimeout(burst.timer);
+      let isReleased = false;
+      return () => {
+        if (isReleased) {
+          return;
+        }
+        isReleased = true;
+        burst.holds -= 1;
+        if (burst === auditBurst) {
+          scheduleAuditSettle();
+        }
+      };
+    };
+
+    /**
+     * Lets the burst a signature was drawn in settle once the signature is
+     * applied, rejected or failed
+     * @param {Object} annotation - Signature annotation
+     */
+    const releasePendingSignature = (annotation) => {
+      pendingSignatures.get(annotation.id)?.();
+      pendingSignatures.delete(annotation.id);
+    };
+
+    /**
+     * Adds an entry to the audit trail. Changes join the open burst of
+     * changes; exports, which leave the document as it is, are appended at
+     * once unless a burst is open. The user and time are those of the call.
+     * @param {string} action - One of AUDIT_ACTIONS
+     * @param {Object} details - Action-specific details
+     * @param {Object} [options] - Entry options
+     * @param {ArrayBuffer|Uint8Array|Blob} [options.output] - Exported file,
+     *   whose hash is added to the details as outputHash
+     */
+    const recordAudit = (action, details, { output } = {}) => {
+      const record = {
+        action,
+        details,
+        output,
+        user: currentUserRef.current.name,
+        timestamp: new Date(),
+      };
+      if (!auditBurst && action === AUDIT_ACTIONS.documentExport) {
+        appendAuditEntry(record, documentHash, documentHash);
+        return;
+      }
+      openAuditBurst().records.push(record);
+      scheduleAuditSettle();
+    };
+
+    /**
+     * Runs an operation that changes the document as a burst of its own:
+     * earlier changes are recorded first, the document is hashed right before
+     * the operation runs and again as soon as it completes
+     * @param {Function} operation - Async function making the change; the
+     *   entries it records belong to it
+     * @returns {Promise<*>} - Whatever the operation resolves to
+     */
+    const auditOperation = async (operation) => {
+      await settleAuditBurst()?.catch(() => {});
+      const burst = openAuditBurst();
+      const release = holdAuditBurst();
+      try {
+        return await operation();
+      } finally {
+        release();
+        if (burst === auditBurst && burst.holds === 0) {
+          settleAuditBurst();
+        }
+      }
+    };
+
+    /**
+     * Records Document Editor operations and annotation changes. Imports,
+     * page transfers and applied signatures record their own entries.
+     * Annotations added or deleted in one burst of changes share one entry
+     * each, so editing hashes the document once per burst.
+     * @returns {Function} - Cleanup function removing the listeners
+     */
+    const attachAuditTrail = () => {
+      const isSignature = (annotation) =>
+        isDecoratedAnnotation(
+          annotation,
+          NutrientViewer,
+          resolveDecoratorConfig(decoratorSettings),
+        );
+      // Form widgets and import provenance are not user annotations
+      const { WidgetAnnotation } = NutrientViewer.Annotations;
+      const getUserAnnotations = (annotations) =>
+        Array.from(annotations).filter(
+          (annotation) =>
+            !(annotation instanceof WidgetAnnotation) &&
+            !getAnnotationCustomData(annotation)[PROVENANCE_DATA_KEY],
+        );
+      const describeAnnotations = (annotations) =>
+        annotations.map((annotation) => ({
+          id: annotation.id,
+          type: getAnnotationTypeName(annotation, NutrientViewer),
+          pageIndex: annotation.pageIndex,
+        }));
+
+      const recordAnnotations = (action, annotations) => {
+        const record = auditBurst?.records.find(
+          (candidate) => candidate.action === action,
+        );
+        if (record) {
+          record.details.annotations.push(...describeAnnotations(annotations));
+          scheduleAuditSettle();
+        } else {
+          recordAudit(action, {
+            annotations: describeAnnotations(annotations),
+          });
+        }
+      };
+      // Unrecorded changes still move the document hash on
+      const changeEvents = [
+        "document.change",
+        "annotations.update",
+        "formFieldValues.update",
+      ];
+
+      const onDocumentChange = (operations) => {
+        if (!isImporting) {
+          recordAudit(AUDIT_ACTIONS.pagesChange, {
+            operations: operations.map(summarizeOperation),
+          });
+        }
+      };
+      const onAnnotationsCreate = (created) => {
+        const userAnnotations = getUserAnnotations(created);
+        // The signature entry waits until the signature is applied
+        for (const annotation of userAnnotations.filter(isSignature)) {
+          pendingSignatures.set(annotation.id, holdAuditBurst());
+        }
+        const annotations = userAnnotations.filter(
+          (annotation) => !isSignature(annotation),
+        );
+        if (annotations.length > 0) {
+          recordAnnotations(AUDIT_ACTIONS.annotationCreate, annotations);
+        }
+        scheduleAuditSettle();
+      };
+      const onAnnotationsDelete = (deleted) => {
+        const userAnnotations = getUserAnnotations(deleted);
+        for (const annotation of userAnnotations.filter(isSignature)) {
+          // Rejected or failed signatures were never stamped nor applied
+          const { signedAt, signerName } = getAnnotationCustomData(annotation);
+          if (signedAt) {
+            recordAudit(AUDIT_ACTIONS.signatureDelete, {
+              signerName,
+              pageIndex: annotation.pageIndex,
+            });
+          }
+        }
+        const annotations = userAnnotations.filter(
+          (annotation) => !isSignature(annotation),
+        );
+        if (annotations.length > 0) {
+          recordAnnotations(AUDIT_ACTIONS.annotationDelete, annotations);
+        }
+        scheduleAuditSettle();
+      };
+
+      for (const eventName of changeEvents) {
+        instance.addEventListener(eventName, scheduleAuditSettle);
+      }
+      instance.addEventListener("document.change", onDocumentChange);
+      instance.addEventListener("annotations.create", onAnnotationsCreate);
+      instance.addEventListener("annotations.delete", onAnnotationsDelete);
+      return () => {
+        for (const eventName of changeEvents) {
+          instance.removeEventListener(eventName, scheduleAuditSettle);
+        }
+        instance.removeEventListener("document.change", onDocumentChange);
+        instance.removeEventListener("annotations.create", onAnnotationsCreate);
+        instance.removeEventListener("annotations.delete", onAnnotationsDelete);
+        clearTimeout(auditBurst?.timer);
+      };
+    };
+
+    /**
+     * Downloads the audit trail as JSON or CSV, or the document with a
+     * certificate of completion appended as its last page(s)
+     * @param {string} format - "json", "csv" or "certificate"
+     */
+    const exportAuditTrail = async (format) => {
+      // Include the changes not yet settled and the entries being written
+      settleAuditBurst();
+      await auditQueue;
+      if (!auditEntries) {
+        alert("The audit trail of this document could not be loaded.");
+        return;
+      }
+      const verification = await verifyAuditTrail(auditEntries);
+      try {
+        if (format === "json") {
+          downloadFile(
+            formatAuditTrailJson(auditEntries, { documentName, verification }),
+            getDownloadName(documentName, "-audit", ".json"),
+            "application/json",
+          );
+        } else if (format === "csv") {
+          downloadFile(
+            formatAuditTrailCsv(auditEntries),
+            getDownloadName(documentName, "-audit", ".csv"),
+            "text/csv",
+          );
+        } else {
+          const certificate = await createCertificatePdf(auditEntries, {
+            documentName,
+            verification,
+            user: currentUserRef.current.name,
+          });
+          const pdf = await instance.exportPDFWithOperations([
+            {
+              type: "importDocument",
+              afterPageIndex: instance.totalPageCount - 1,
+              treatImportedDocumentAsOnePage: false,
+              document: new Blob([certificate], { type: "application/pdf" }),
+            },
+          ]);
+          const fileName = getDownloadName(documentName, "-certificate");
+          downloadFile(pdf, fileName);
+          recordAudit(
+            AUDIT_ACTIONS.documentExport,
+            { fileName, kind: "with certificate of completion" },
+            { output: pdf },
+          );
+        }
+      } catch (error) {
+        console.error("Failed to export the audit trail:", error);
+        alert("Failed to export the audit trail. Please try again.");
+      }
+    };
+    exportAuditTrailRef.current = exportAuditTrail;
+
+    /**
+     * Builds the annotation renderer: assigned signature fields are
+     * highlighted for the current user, signatures get their decorations.
+     * Each call returns a new function, so passing it to
+     * setCustomRenderers makes Nutrient render every annotation again.
+     * @returns {Function} - Custom annotation renderer
+     */
+    const createAnnotationRenderer = () => {
+      const renderFieldAccess = createFieldAccessRenderer(
+        NutrientViewer,
+        () => ({
+          workflow: signingWorkflow,
+          userId: currentUserRef.current.id,
+        }),
+      );
+      const renderSignature = createSignatureRenderer(NutrientViewer, {
+        loggedInUser: signers[0].name,
+        config: decoratorSettings,
+        getBadge: (annotation) => {
+          const fieldName = getCertificationField(annotation);
+          if (!fieldName || !certificationStatuses) {
+            return null;
+          }
+          // A linked digital signature that no longer exists is invalid
+          return CERTIFICATION_BADGES[
+            certificationStatuses.get(fieldName) ?? CERTIFICATION_STATUS.invalid
+          ];
+        },
+      });
+      return (params) => renderFieldAccess(params) ?? renderSignature(params);
+    };
+
+    /**
+     * Reloads the signing workflow from the document, locks the fields the
+     * current user may not sign and re-renders the field highlights
+     */
+    const refreshSigningWorkflow = async () => {
+      if (!instance || isUnmounted) {
+        return;
+      }
+      try {
+        const workflow = await loadSigningWorkflow(instance, NutrientViewer);
+        await applyFieldLocks(instance, workflow, currentUserRef.current.id);
+        if (isUnmounted) {
+          return;
+        }
+        signingWorkflow = workflow;
+        instance.setCustomRenderers({ Annotation: createAnnotationRenderer() });
+        setSigningWorkflow(workflow);
+      } catch (error) {
+        console.error("Failed to load the signing workflow:", error);
+      }
+    };
+
+    /**
+     * Validates the document's digital signatures, updates the validation
+     * panel and the badges on certified signatures
+     */
+    const refreshDigitalSignatures = async () => {
+      if (!instance || isUnmounted) {
+        return;
+      }
+      try {
+        documentSignatures = await loadDocumentSignatures(
+          instance,
+          NutrientViewer,
+        );
+        certificationStatuses = new Map(
+          documentSignatures.map(({ fieldName, status }) => [
+            fieldName,
+            status,
+          ]),
+        );
+        if (!isUnmounted) {
+          instance.setCustomRenderers({
+            Annotation: createAnnotationRenderer(),
+          });
+          setDocumentSignatures(documentSignatures);
+        }
+      } catch (error) {
+        console.error("Failed to validate digital signatures:", error);
+      }
+    };
+
+    /**
+     * Warns when the Document Editor opens on a signed document, since any
+     * page change there invalidates the signatures. Declining returns to the
+     * previous mode.
+     * @param {Object} viewState - New view state
+     * @param {Object} previousViewState - View state before the change
+     */
+    const warnBeforeDocumentEditor = (viewState, previousViewState) => {
+      const { DOCUMENT_EDITOR } = NutrientViewer.InteractionMode;
+      if (
+        isImporting ||
+        viewState.interactionMode !== DOCUMENT_EDITOR ||
+        previousViewState.interactionMode === DOCUMENT_EDITOR
+      ) {
+        return;
+      }
+      if (!confirmSignatureBreak("Editing pages")) {
+        instance.setViewState((current) =>
+          current.set("interactionMode", previousViewState.interactionMode),
+        );
+      }
+    };
+
+    /**
+     * Backs the current user's visual signatures with a digital signature
+     * over the document
+     */
+    const signAndCertify = async () => {
+      if (isCertifying) {
+        return;
+      }
+      const user = currentUserRef.current;
+      const signatures = (
+        await findDecoratedSignatures(
+          instance,
+          NutrientViewer,
+          resolveDecoratorConfig(decoratorSettings),
+        )
+      ).filter(
+        (annotation) =>
+          getAnnotationCustomData(annotation).signerId === user.id &&
+          !getCertificationField(annotation),
+      );
+      if (signatures.length === 0) {
+        alert(
+          `${user.name} has no uncertified signatures. Sign a field first, then certify it.`,
+        );
+        return;
+      }
+      if (
+        !confirm(
+          `Digitally sign the document as ${user.name}? This certifies ${signatures.length} signature(s); later changes to the document will show up as modifications.`,
+        )
+      ) {
+        return;
+      }
+
+      isCertifying = true;
+      try {
+        await auditOperation(async () => {
+          await certifyDocument(instance, NutrientViewer, {
+            signatures,
+            signer: createDigitalSigner(user),
+            metadata: {
+              signerName: user.name,
+              signatureReason: SIGNING_REASON,
+            },
+          });
+          recordAudit(AUDIT_ACTIONS.signatureCertify, {
+            signatureCount: signatures.length,
+          });
+        });
+      } catch (error) {
+        console.error("Failed to certify signatures:", error);
+        alert("Failed to apply the digital signature. Please try again.");
+      } finally {
+        isCertifying = false;
+      }
+      await refreshDigitalSignatures();
+    };
+
+    /**
+     * Makes another user the active signer
+     * @param {string} userId - Id of one of the signers
+     */
+    const switchUser = async (userId) => {
+      const user = signers.find((signer) => signer.id === userId);
+      if (!user) {
+        return;
+      }
+      currentUserRef.current = user;
+      setCurrentUser(user);
+      imageImportOptions = loadImageImportOptions(user.name);
+      instance?.setAnnotationCreatorName(user.name);
+      await refreshSigningWorkflow();
+    };
+    switchUserRef.current = switchUser;
+
+    /**
+     * Assigns every widget of a signature field to a signer
+     * @param {string} fieldName - Signature form field name
+     * @param {string|null} userId - Id of one of the signers, or null to unassign
+     */
+    const assignSignatureField = async (fieldName, userId) => {
+      const signer = signers.find((user) => user.id === userId) || null;
+      const fields = signingWorkflow.fields.filter(
+        (field) => field.fieldName === fieldName,
+      );
+      if (fields.length === 0) {
+        return;
+      }
+
+      // Unassigned fields are no longer locked by the workflow
+      const updates = fields.map(({ widget }) => assignField(widget, signer));
+      if (!signer) {
+        updates.push(fields[0].formField.set("readOnly", false));
+      }
+      try {
+        await instance.update(updates);
+      } catch (error) {
+        console.error("Failed to assign signature field:", error);
+        alert("Failed to assign the signature field. Please try again.");
+      }
+      await refreshSigningWorkflow();
+    };
+    assignFieldRef.current = assignSignatureField;
+
+    /**
+     * Places a saved signature on a signature field. The decorator's
+     * annotations.create handler replaces the field and applies the
+     * workflow rules, as for a drawn signature.
+     * @param {Object} entry - Signature library entry
+     * @param {Object} widget - Widget annotation of the field
+     */
+    const placeSavedSignature = async (entry, widget) => {
+      try {
+        await placeSignature(instance, NutrientViewer, entry, widget);
+      } catch (error) {
+        console.error("Failed to place saved signature:", error);
+        alert("Failed to place the saved signature. Please try again.");
+      }
+    };
+    placeSignatureRef.current = placeSavedSignature;
+
+    /**
+     * Saves the selected ink or image annotation to the current signer's
+     * library
+     * @param {string} variant - One of SIGNATURE_VARIANTS
+     * @returns {Promise<void>}
+     */
+    const saveSelectedSignature = async (variant) => {
+      const selected = instance?.getSelectedAnnotations()?.first();
+      const template =
+        selected &&
+        (await captureSignature(instance, NutrientViewer, selected));
+      if (!template) {
+        throw new Error(
+          "Select a drawn signature or an image on the page first.",
+        );
+      }
+      await saveSignature(currentUserRef.current.name, variant, template);
+    };
+    saveSelectionRef.current = saveSelectedSignature;
+
+    /**
+     * Asks for export options, then downloads the document with signature
+     * decorations flattened into the pages
+     */
+    const exportWithSignatureDetails = async () => {
+      const signatures = await findDecoratedSignatures(
+        instance,
+        NutrientViewer,
+        resolveDecoratorConfig(decoratorSettings),
+      );
+      const options = await openDialog((resolve) =>
+        setSignatureExportRequest({
+          signatureCount: signatures.length,
+          resolve,
+        }),
+      );
+      if (!options) {
+        return;
+      }
+
+      try {
+        const pdf = await exportWithSignatureDecorations(
+          instance,
+          conversionPool,
+          NutrientViewer,
+          {
+            ...options,
+            loggedInUser: signers[0].name,
+            config: decoratorSettings,
+          },
+        );
+        if (!isUnmounted) {
+          const fileName = getDownloadName(documentName, "-signed");
+          downloadFile(pdf, fileName);
+          recordAudit(
+            AUDIT_ACTIONS.documentExport,
+            { fileName, kind: "with signature details" },
+            { output: pdf },
+          );
+        }
+      } catch (error) {
+        if (!isAbortError(error)) {
+          console.error("Failed to export signatures:", error);
+          alert("Failed to export the document. Please try again.");
+        }
+      }
+    };
+
+    /**
+     * Handles the document import process for a batch of files. Ignored
+     * while another import, download or split is running.
+     * @param {Array<File>} files - Files to import, in selection order
+     * @param {Object} options - Import options
+     * @param {number} [options.insertionOffset] - Preselected insertion point
+     * @param {Array<Object>} [options.rejected] - Files already rejected as { file, error }
+     */
+    const handleDocumentImport = async (files, options = {}) => {
+      if (isImporting) {
+        return;
+      }
+      const { insertionOffset, rejected = [] } = options;
+      const controller = new AbortController();
+      const { signal } = controller;
+      activeImportController = controller;
+      isImporting = true;
+      updateImportButtonState(true, "Converting & Importing...");
+      notify("onImportStart", { files });
+
+      try {
+        const queueResult = await runImportQueue(
+          files,
+          (file, reportStage) => prepareDocument(file, reportStage, signal),
+          {
+            concurrency: CONVERSION_CONCURRENCY,
+            onProgress: (progress) =>
+              showImportProgress(
+                progress.stage,
+                formatProgressMessage(progress),
+              ),
+          },
+        );
+        if (signal.aborted) {
+          return;
+        }
+        const { imported } = queueResult;
+        const failed = [...rejected, ...queueResult.failed];
+        hideImportProgress();
+
+        if (imported.length === 0) {
+          const summary = formatFailureSummary(
+            failed,
+            files.length + rejected.length,
+          );
+          notify("onImportError", { error: new Error(summary), failed });
+          alert(summary);
+          return;
+        }
+
+        const plan = await requestStagingPlan(
+          imported.map(({ result }) => result),
+          failed,
+          insertionOffset,
+        );
+        if (!plan || signal.aborted) {
+          return;
+        }
+        const signedImports = plan.entries
+          .filter((entry) => entry.signatureCount > 0)
+          .map((entry) => entry.name);
+        if (!confirmSignatureBreak("Importing pages", signedImports)) {
+          return;
+        }
+
+        // Past this point the document changes, so Cancel is no longer offered
+        showImportProgress(
+          IMPORT_STAGES.merging,
+          `Merging ${plan.entries.length} document(s)...`,
+          { cancellable: false },
+        );
+        const records = createImportRecords(plan.entries, {
+          treatAsOnePage: plan.treatAsOnePage,
+          user: currentUserRef.current.name,
+        });
+        await auditOperation(async () => {
+          await instance.applyOperations([
+            ...buildImportOperations(
+              plan.entries,
+              plan.insertionOffset,
+              plan.treatAsOnePage,
+            ),
+            ...buildProvenanceOperations(records, plan.insertionOffset),
+          ]);
+          await storeImportRecords(records, plan.insertionOffset);
+          recordAudit(AUDIT_ACTIONS.documentImport, {
+            files: records.map(summarizeImportRecord),
+            insertionOffset: plan.insertionOffset,
+          });
+        });
+        notify("onImportComplete", { records, failed });
+
+        showImportProgress(IMPORT_STAGES.rendering, "Updating pages...", {
+          cancellable: false,
+        });
+        instance.setViewState((viewState) =>
+          viewState.set(
+            "interactionMode",
+            NutrientViewer.InteractionMode.DOCUMENT_EDITOR,
+          ),
+        );
+        await waitForNextPaint();
+      } catch (error) {
+        if (!isAbortError(error)) {
+          notify("onImportError", { error, failed: [] });
+          alert("Failed to import document. Please try again.");
+        }
+      } finally {
+        activeImportController = null;
+        isImporting = false;
+        if (!isUnmounted) {
+          hideImportProgress();
+          setTimeout(() => {
+            updateImportButtonState(false, IMPORT_BUTTON_TITLE);
+          }, BUTTON_RE_ENABLE_DELAY);
+        }
+      }
+    };
+
+    /**
+     * Asks for a URL, downloads the document and imports it. A failed
+     * download reopens the dialog with the reason, until the user cancels.
+     */
+    const importFromUrl = async () => {
+      if (isImporting) {
+        return;
+      }
+
+      let url = "";
+      let error = null;
+      let file = null;
+      while (!file) {
+        url = await openDialog((resolve) =>
+          setUrlImportRequest({ url, error, resolve }),
+        );
+        if (!url) {
+          return;
+        }
+
+        const controller = new AbortController();
+        activeImportController = controller;
+        isImporting = true;
+        updateImportButtonState(true, "Downloading...");
+        showImportProgress(IMPORT_STAGES.downloading, `Downloading ${url}`);
+        try {
+          file = await fetchImportFile(url, {
+            registry: converterRegistry,
+            limits: IMPORT_LIMITS,
+            signal: controller.signal,
+          });
+        } catch (fetchError) {
+          if (isAbortError(fetchError)) {
+            return;
+          }
+          error = fetchError.message;
+        } finally {
+          activeImportController = null;
+          isImporting = false;
+          if (!isUnmounted) {
+            hideImportProgress();
+            updateImportButtonState(false, IMPORT_BUTTON_TITLE);
+          }
+        }
+      }
+
+      if (!isUnmounted) {
+        await handleDocumentImport([file]);
+      }
+    };
+
+    /**
+     * Creates file input element and triggers file selection
+     * @returns {HTMLInputElement} - File input element
+     */
+    const createFileInput = () => {
+      const fileInput = document.createElement("input");
+      fileInput.type = "file";
+      fileInput.accept = converterRegistry.getAcceptString();
+      fileInput.multiple = true;
+
+      fileInput.onchange = async (event) => {
+        const files = Array.from(event.target.files);
+        if (files.length > 0) {
+          await handleDocumentImport(files);
+        }
+      };
+
+      return fileInput;
+    };
+
+    /**
+     * Attaches drag-and-drop import handlers to the viewer container.
+     * Listeners run in the capture phase so drops on Nutrient's own UI
+     * (including page thumbnails) reach the import pipeline first.
+     * @returns {Function} - Cleanup function removing the listeners
+     */
+    const attachDropZone = () => {
+      let dragDepth = 0;
+      let feedbackTimeout;
+
+      const isFileDrag = (event) =>
+        Array.from(event.dataTransfer?.types || []).includes("Files");
+
+      const hasOnlyUnsupportedItems = (dataTransfer) => {
+        const fileItems = Array.from(dataTransfer.items).filter(
+          (item) => item.kind === "file",
+        );
+        return (
+          fileItems.length > 0 &&
+          fileItems.every(
+            (item) =>
+              item.type && !converterRegistry.isSupportedMimeType(item.type),
+          )
+        );
+      };
+
+      const showRejection = (message) => {
+        clearTimeout(feedbackTimeout);
+        setDropFeedback({ rejected: true, message });
+        feedbackTimeout = setTimeout(
+          () => setDropFeedback(null),
+          DROP_FEEDBACK_DURATION,
+        );
+      };
+
+      const onDragEnter = (event) => {
+        if (!isFileDrag(event)) {
+          return;
+        }
+        event.preventDefault();
+        dragDepth++;
+        clearTimeout(feedbackTimeout);
+
+        if (isImporting) {
+          setDropFeedback({
+            rejected: true,
+            message: "An import is already in progress",
+          });
+        } else if (hasOnlyUnsupportedItems(event.dataTransfer)) {
+          setDropFeedback({ rejected: true, message: "Unsupported file type" });
+        } else {
+          setDropFeedback({ rejected: false, message: "Drop files to import" });
+        }
+      };
+
+      const onDragOver = (event) => {
+        if (!isFileDrag(event)) {
+          return;
+        }
+        event.preventDefault();
+        event.dataTransfer.dropEffect = isImporting ? "none" : "copy";
+      };
 
-// Configuration constants
-const LOGGED_IN_USER = "Nutrient";
-const IMPORT_BUTTON_ID = "custom-import-documents";
-const SUPPORTED_FILE_TYPES = ".pdf,.docx,.tiff,.tif,.png,.jpg,.jpeg";
-const CONVERTIBLE_EXTENSIONS = ["docx", "tiff", "tif", "png", "jpg", "jpeg"];
-const BUTTON_RE_ENABLE_DELAY = 200;
+      const onDragLeave = (event) => {
+        if (!isFileDrag(event)) {
+          return;
+        }
+        dragDepth = Math.max(0, dragDepth - 1);
+        if (dragDepth === 0) {
+          setDropFeedback(null);
+        }
+      };
 
-export default function PdfViewerComponent(props) {
-  const containerRef = useRef(null);
-  const loadingOverlayRef = useRef(null);
+      const onDrop = (event) => {
+        if (!isFileDrag(event)) {
+          return;
+        }
+        event.preventDefault();
+        event.stopPropagation();
+        dragDepth = 0;
+        setDropFeedback(null);
 
-  useEffect(() => {
-    const container = containerRef.current;
-    let instance = null;
-    let cleanupSignatureDecorator;
-    const { NutrientViewer } = window;
+        if (isImporting) {
+          showRejection("An import is already in progress");
+          return;
+        }
+
+        const files = Array.from(event.dataTransfer.files);
+        const supported = files.filter(isSupportedFile);
+        const rejected = files
+          .filter((file) => !isSupportedFile(file))
+          .map((file) => ({ file, error: new Error("Unsupported file type") }));
+
+        if (supported.length === 0) {
+          showRejection(
+            `Unsupported file type: ${rejected.map(({ file }) => file.name).join(", ")}`,
+          );
+          return;
+        }
+
+        handleDocumentImport(supported, {
+          insertionOffset: resolveDropInsertionOffset(
+            event,
+            instance.totalPageCount,
+          ),
+          rejected,
+        });
+      };
+
+      container.addEventListener("dragenter", onDragEnter, true);
+      container.addEventListener("dragover", onDragOver, true);
+      container.addEventListener("dragleave", onDragLeave, true);
+      container.addEventListener("drop", onDrop, true);
+
+      return () => {
+        clearTimeout(feedbackTimeout);
+        container.removeEventListener("dragenter", onDragEnter, true);
+        container.removeEventListener("dragover", onDragOver, true);
+        container.removeEventListener("dragleave", onDragLeave, true);
+        container.removeEventListener("drop", onDrop, true);
+      };
+    };
+
+    /**
+     * Tells the host whether the document has unsaved changes.
+     * onDirtyChange only fires when that actually changes.
+     */
+    const reportSaveState = () => {
+      notify("onSaveStateChange", { isDirty, autosavedAt });
+      if (isDirty !== reportedDirty) {
+        reportedDirty = isDirty;
+        notify("onDirtyChange", isDirty);
+      }
+    };
+
+    /**
+     * Records that the document changed since it was last saved
+     */
+    const markDirty = () => {
+      hasChangesSinceAutosave = true;
+      if (!isDirty) {
+        isDirty = true;
+        reportSaveState();
+      }
+    };
+
+    /**
+     * Stores the working PDF as the document's draft, if it changed since
+     * the last autosave. Skipped while an import or signing is in progress.
+     */
+    const autosave = async () => {
+      if (
+        !instance ||
+        isUnmounted ||
+        !hasChangesSinceAutosave ||
+        isAutosaving ||
+        isImporting ||
+        isCertifying
+      ) {
+        return;
+      }
+      isAutosaving = true;
+      hasChangesSinceAutosave = false;
+      try {
+        const pdf = await instance.exportPDF();
+        autosavedAt = await saveDraft(documentKey, documentName, pdf);
+        if (!isUnmounted) {
+          reportSaveState();
+        }
+      } catch (error) {
+        hasChangesSinceAutosave = true;
+        console.error("Autosave failed:", error);
+      } finally {
+        isAutosaving = false;
+      }
+    };
 
     /**
-     * Shows or hides the loading overlay
-     * @param {boolean} show - Whether to show the overlay
-     * @param {string} message - Message to display
+     * Downloads the edited document, or hands it to the host's onSave, and
+     * drops its draft
      */
-    const toggleLoadingOverlay = (show, message = "Loading...") => {
-      if (loadingOverlayRef.current) {
-        if (show) {
-          loadingOverlayRef.current.style.display = "flex";
-          loadingOverlayRef.current.querySelector(".loading-message").textContent = message;
+    const saveDocument = async () => {
+      try {
+        const pdf = await instance.exportPDF();
+        const fileName = getDownloadName(documentName);
+        const { onSave } = propsRef.current;
+        if (onSave) {
+          await onSave({ pdf, fileName });
         } else {
-          loadingOverlayRef.current.style.display = "none";
+          downloadFile(pdf, fileName);
         }
+        recordAudit(
+          AUDIT_ACTIONS.documentExport,
+          { fileName, kind: onSave ? "saved by the host" : "download" },
+          { output: pdf },
+        );
+        isDirty = false;
+        hasChangesSinceAutosave = false;
+        autosavedAt = null;
+        reportSaveState();
+        await deleteDraft(documentKey);
+      } catch (error) {
+        console.error("Failed to save the document:", error);
+        alert("Failed to save the document. Please try again.");
       }
     };
 
     /**
-     * Converts non-PDF files to PDF using Nutrient's headless mode
-     * @param {File} file - The file to convert (DOCX, TIFF, PNG, JPEG)
-     * @returns {Promise<File>} - Converted PDF file
+     * Validates a file opened as the document and converts it to PDF with the
+     * matching registry converter, exactly as imported files are. Encrypted
+     * PDFs are passed through; the viewer asks for their password itself.
+     * @param {File} file - Opened file
+     * @returns {Promise<ArrayBuffer|null>} - PDF bytes, or null when cancelled
+     * @throws {Error} - When the file cannot be opened, with a readable reason
      */
-    const convertToPDF = async (file) => {
-      const arrayBuffer = await file.arrayBuffer();
-      const tempContainer = document.createElement("div");
-      tempContainer.style.display = "none";
-      document.body.appendChild(tempContainer);
+    const openDocumentFile = async (file) => {
+      const controller = new AbortController();
+      const { signal } = controller;
+      activeImportController = controller;
+      isImporting = true;
+      showImportProgress(IMPORT_STAGES.reading, `Opening ${file.name}...`);
 
       try {
-        const headlessInstance = await NutrientViewer.load({
-          headless: true,
-          container: tempContainer,
-          document: arrayBuffer,
-          licenseKey: import.meta.env.VITE_lkey,
+        const { converter } = await validateImportFile(file, {
+          registry: converterRegistry,
+          limits: IMPORT_LIMITS,
         });
+        if (converter.passthrough) {
+          return await file.arrayBuffer();
+        }
 
-        const pdfArrayBuffer = await headlessInstance.exportPDF();
-        await NutrientViewer.unload(tempContainer);
-
-        const pdfBlob = new Blob([pdfArrayBuffer], {
-          type: "application/pdf",
-        });
-        return new File([pdfBlob], `converted-${file.name}.pdf`, {
-          type: "application/pdf",
-        });
+        showImportProgress(
+          IMPORT_STAGES.converting,
+          `Converting ${file.name} from ${converter.label}...`,
+        );
+        const pdf = toPdfFile(
+          await converter.convert(file, {
+            signal,
+            imageOptions: imageImportOptions,
+          }),
+          file.name,
+        );
+        signal.throwIfAborted();
+        return await pdf.arrayBuffer();
+      } catch (error) {
+        if (isAbortError(error)) {
+          return null;
+        }
+        if (error instanceof ImportValidationError) {
+          throw error;
+        }
+        throw new Error(
+          `${file.name} could not be opened: ${error?.message || "unknown error"}`,
+        );
       } finally {
-        document.body.removeChild(tempContainer);
+        activeImportController = null;
+        isImporting = false;
+        if (!isUnmounted) {
+          hideImportProgress();
+        }
       }
     };
 
     /**
-     * Updates the import button state (enabled/disabled)
-     * @param {boolean} isDisabled - Whether the button should be disabled
-     * @param {string} title - Button title text
+     * Offers to restore the autosaved draft of the document, if there is one
+     * @returns {Promise<ArrayBuffer|null>} - The draft PDF to open instead
      */
-    const updateImportButtonState = (isDisabled, title) => {
-      instance.setDocumentEditorToolbarItems((items) =>
-        items.map((item) =>
-          item.id === IMPORT_BUTTON_ID
-            ? { ...item, disabled: isDisabled, title }
-            : item,
-        ),
+    const recoverDraft = async () => {
+      let draft = null;
+      try {
+        draft = await loadDraft(documentKey);
+      } catch (error) {
+        console.error("Failed to read autosaved drafts:", error);
+      }
+      if (!draft) {
+        return null;
+      }
+
+      const restore = await openDialog((resolve) =>
+        setRecoveryRequest({
+          documentName: draft.documentName,
+          savedAt: draft.savedAt,
+          resolve,
+        }),
       );
+      // Unmounting answers null; keep the draft for the next time
+      if (restore === null) {
+        return null;
+      }
+      if (!restore) {
+        await deleteDraft(documentKey).catch((error) =>
+          console.error("Failed to delete the draft:", error),
+        );
+        return null;
+      }
+      isDirty = true;
+      autosavedAt = draft.savedAt;
+      return draft.pdf;
     };
 
     /**
-     * Checks if file requires conversion to PDF
-     * @param {string} filename - Name of the file
-     * @returns {boolean} - True if conversion is needed
+     * Tracks changes and autosaves them periodically and when the tab is
+     * hidden; closing the tab with changes that are not autosaved yet asks
+     * for confirmation
+     * @returns {Function} - Cleanup function stopping the autosave
      */
-    const requiresConversion = (filename) => {
-      const extension = filename.split(".").pop().toLowerCase();
-      return CONVERTIBLE_EXTENSIONS.includes(extension);
+    const attachAutosave = () => {
+      const changeEvents = [
+        "document.change",
+        "annotations.create",
+        "annotations.update",
+        "annotations.delete",
+        "formFieldValues.update",
+      ];
+      for (const eventName of changeEvents) {
+        instance.addEventListener(eventName, markDirty);
+      }
+      const onVisibilityChange = () => {
+        if (document.visibilityState === "hidden") {
+          autosave();
+        }
+      };
+      const onBeforeUnload = (event) => {
+        if (hasChangesSinceAutosave) {
+          event.preventDefault();
+        }
+      };
+      const timer = setInterval(autosave, AUTOSAVE_INTERVAL);
+      document.addEventListener("visibilitychange", onVisibilityChange);
+      window.addEventListener("beforeunload", onBeforeUnload);
+
+      return () => {
+        clearInterval(timer);
+        document.removeEventListener("visibilitychange", onVisibilityChange);
+        window.removeEventListener("beforeunload", onBeforeUnload);
+      };
     };
 
     /**
-     * Handles the document import process
-     * @param {File} file - File to import
+     * Imports files and images pasted while the Document Editor is open.
+     * Pastes into text fields and pastes without files are left alone.
+     * @returns {Function} - Cleanup function removing the listener
      */
-    const handleDocumentImport = async (file) => {
-      try {
-        updateImportButtonState(true, "Converting & Importing...");
+    const attachPasteHandler = () => {
+      const onPaste = (event) => {
+        const isDocumentEditor =
+          instance?.viewState.interactionMode ===
+          NutrientViewer.InteractionMode.DOCUMENT_EDITOR;
+        const [target] = event.composedPath();
+        const isTextField =
+          target instanceof HTMLElement &&
+          (target.isContentEditable ||
+            ["INPUT", "TEXTAREA", "SELECT"].includes(target.tagName));
+        if (!isDocumentEditor || isTextField || !isActiveRef.current) {
+          return;
+        }
 
-        const conversionNeeded = requiresConversion(file.name);
-        toggleLoadingOverlay(
-          true,
-          conversionNeeded ? "Converting document to PDF..." : "Importing document..."
-        );
+        const files = getClipboardFiles(event.clipboardData);
+        if (files.length === 0) {
+          return;
+        }
+        event.preventDefault();
+        event.stopPropagation();
+        if (isImporting) {
+          return;
+        }
 
-        let documentToImport = file;
-        if (conversionNeeded) {
-          documentToImport = await convertToPDF(file);
+        const supported = files.filter(isSupportedFile);
+        const rejected = files
+          .filter((file) => !isSupportedFile(file))
+          .map((file) => ({ file, error: new Error("Unsupported file type") }));
+        if (supported.length === 0) {
+          alert(formatFailureSummary(rejected, rejected.length));
+          return;
         }
 
-        const totalPages = instance.totalPageCount;
+        handleDocumentImport(supported, { rejected });
+      };
+
+      document.addEventListener("paste", onPaste, true);
+      return () => document.removeEventListener("paste", onPaste, true);
+    };
+
+    /**
+     * Imports files handed over by the host through the ref handle, with the
+     * same validation and staging as the toolbar button
+     * @param {FileList|Array<File>} files - Files to import
+     * @param {Object} [options] - Import options
+     * @param {number} [options.insertionOffset] - Preselected insertion point
+     * @returns {Promise<void>} - Resolves once the import finished or was cancelled
+     * @throws {Error} - When another import is running or no file is supported
+     */
+    const importFiles = async (files, { insertionOffset } = {}) => {
+      if (isImporting) {
+        throw new Error("Another import is in progress");
+      }
+      const list = Array.from(files);
+      const supported = list.filter(isSupportedFile);
+      const rejected = list
+        .filter((file) => !isSupportedFile(file))
+        .map((file) => ({ file, error: new Error("Unsupported file type") }));
+      if (supported.length === 0) {
+        const error = new Error(formatFailureSummary(rejected, list.length));
+        notify("onImportError", { error, failed: rejected });
+        throw error;
+      }
+      await handleDocumentImport(supported, { insertionOffset, rejected });
+    };
+
+    /**
+     * Scrolls to a page on behalf of the host
+     * @param {number} pageIndex - Zero-based page index
+     * @throws {RangeError} - When the page does not exist
+     */
+    const goToPage = (pageIndex) => {
+      if (
+        !Number.isInteger(pageIndex) ||
+        pageIndex < 0 ||
+        pageIndex >= instance.totalPageCount
+      ) {
+        throw new RangeError(
+          `Page index ${pageIndex} is outside 0-${instance.totalPageCount - 1}`,
+        );
+      }
+      instance.setViewState((viewState) =>
+        viewState.set("currentPageIndex", pageIndex),
+      );
+    };
 
-        await instance.applyOperations([
+    /**
+     * Inserts pages sent from another tab and records them in the import
+     * history, named after the document they came from
+     * @param {Object} transfer - Transferred pages
+     * @param {ArrayBuffer} transfer.pdf - PDF holding only the transferred pages
+     * @param {string} transfer.sourceName - Name of the sending document
+     * @param {Array<number>} transfer.sourcePageIndexes - Their pages there
+     * @param {number} transfer.sourcePageCount - Page count of the sending document
+     * @param {Object} insertion - { mode, afterPage } where afterPage is 1-based
+     * @returns {Promise<boolean>} - False when the user declined
+     * @throws {Error} - When the document is busy or the insertion point is invalid
+     */
+    const receivePages = async (transfer, insertion) => {
+      if (isImporting || isCertifying) {
+        throw new Error(`${documentName} is busy with another operation`);
+      }
+      if (!confirmSignatureBreak(`Inserting pages into ${documentName}`)) {
+        return false;
+      }
+      const insertionOffset = resolveInsertionOffset(insertion, {
+        currentPageIndex: instance.viewState.currentPageIndex,
+        totalPages: instance.totalPageCount,
+      });
+      const pageCount = transfer.sourcePageIndexes.length;
+      const records = createImportRecords(
+        [
           {
-            type: "importDocument",
-            afterPageIndex: totalPages - 1,
-            treatImportedDocumentAsOnePage: false,
-            document: documentToImport,
+            name: transfer.sourceName,
+            format: "PDF",
+            converted: false,
+            pageCount: transfer.sourcePageCount,
+            pageIndexes: transfer.sourcePageIndexes,
           },
-        ]);
+        ],
+        { treatAsOnePage: false, user: currentUserRef.current.name },
+      );
 
-        instance.setViewState((viewState) =>
-          viewState.set(
-            "interactionMode",
-            NutrientViewer.InteractionMode.DOCUMENT_EDITOR,
-          ),
-        );
+      isImporting = true;
+      try {
+        await auditOperation(async () => {
+          await instance.applyOperations([
+            ...buildImportOperations(
+              [
+                {
+                  file: new Blob([transfer.pdf], { type: "application/pdf" }),
+                  pageCount,
+                  pageIndexes: Array.from({ length: pageCount }, (_, i) => i),
+                },
+              ],
+              insertionOffset,
+              false,
+            ),
+            ...buildProvenanceOperations(records, insertionOffset),
+          ]);
+          await storeImportRecords(records, insertionOffset);
+          recordAudit(AUDIT_ACTIONS.documentImport, {
+            files: records.map(summarizeImportRecord),
+            insertionOffset,
+          });
+        });
+      } finally {
+        isImporting = false;
+      }
+      return true;
+    };
+
+    /**
+     * Copies or moves pages into the document of another tab. Moved pages
+     * are removed here only once the other document has inserted them.
+     * @param {Array<number>} selectedPageIndexes - Pages selected in the Document Editor
+     */
+    const transferPages = async (selectedPageIndexes) => {
+      const targets = props.workspace.getTargets(props.tabId);
+      if (targets.length === 0) {
+        alert("Open another document in a new tab to send pages to it.");
+        return;
+      }
+      if (isImporting || isCertifying) {
+        return;
+      }
 
-        toggleLoadingOverlay(false);
+      const request = await openDialog((resolve) =>
+        setTransferRequest({
+          documentName,
+          pageCount: instance.totalPageCount,
+          selectedPages: formatPageRange(selectedPageIndexes),
+          targets,
+          resolve,
+        }),
+      );
+      if (!request) {
+        return;
+      }
+      const { pageIndexes, targetTabId, insertion, isMove } = request;
+      if (isMove && !confirmSignatureBreak("Moving pages out")) {
+        return;
+      }
+      const target = props.workspace.getHandle(targetTabId);
+      if (!target) {
+        alert("The destination document was closed.");
+        return;
+      }
 
-        setTimeout(() => {
-          updateImportButtonState(false, "Import Documents");
-        }, BUTTON_RE_ENABLE_DELAY);
-      } catch {
-        toggleLoadingOverlay(false);
-        alert("Failed to import document. Please try again.");
-        updateImportButtonState(false, "Import Documents");
+      try {
+        const pdf = await instance.exportPDFWithOperations([
+          { type: "keepPages", pageIndexes },
+        ]);
+        const isInserted = await target.receivePages(
+          {
+            pdf,
+            sourceName: documentName,
+            sourcePageIndexes: pageIndexes,
+            sourcePageCount: instance.totalPageCount,
+          },
+          insertion,
+        );
+        if (isInserted) {
+          await auditOperation(async () => {
+            if (isMove) {
+              await instance.applyOperations([
+                { type: "removePages", pageIndexes },
+              ]);
+              await refreshImportHistory();
+            }
+            recordAudit(AUDIT_ACTIONS.pagesTransfer, {
+              target: target.getName(),
+              pageIndexes,
+              isMove,
+            });
+          });
+        }
+      } catch (error) {
+        console.error("Failed to transfer pages:", error);
+        alert(
+          `Failed to send the pages to ${target.getName()}: ${error.message}`,
+        );
       }
     };
 
     /**
-     * Creates file input element and triggers file selection
-     * @returns {HTMLInputElement} - File input element
+     * Asks how to split the document, then exports each part as its own PDF
+     * and downloads them together in one ZIP file. The document is unchanged.
+     * @param {Array<number>} selectedPageIndexes - Pages selected in the Document Editor
      */
-    const createFileInput = () => {
-      const fileInput = document.createElement("input");
-      fileInput.type = "file";
-      fileInput.accept = SUPPORTED_FILE_TYPES;
+    const splitDocument = async (selectedPageIndexes) => {
+      if (isImporting || isCertifying) {
+        return;
+      }
+      const options = await openDialog((resolve) =>
+        setSplitRequest({
+          documentName,
+          pageCount: instance.totalPageCount,
+          selectedPages: formatPageRange(selectedPageIndexes),
+          resolve,
+        }),
+      );
+      if (!options) {
+        return;
+      }
 
-      fileInput.onchange = async (event) => {
-        const file = event.target.files[0];
-        if (file) {
-          await handleDocumentImport(file);
+      const controller = new AbortController();
+      const { signal } = controller;
+      activeImportController = controller;
+      isImporting = true;
+      updateImportButtonState(true, "Splitting...");
+      const showSplitProgress = (stage, message) =>
+        showImportProgress(stage, message, { steps: SPLIT_PROGRESS_STEPS });
+
+      try {
+        showSplitProgress(SPLIT_STAGES.analysing, "Finding where to split...");
+        const parts = await planSplit(instance, options, signal);
+        const fileNames = createPartFileNames(
+          parts,
+          options.template,
+          documentName,
+        );
+
+        const files = [];
+        for (const [index, part] of parts.entries()) {
+          signal.throwIfAborted();
+          showSplitProgress(
+            SPLIT_STAGES.extracting,
+            `Extracting ${fileNames[index]} (${index + 1} of ${parts.length})...`,
+          );
+          files.push({
+            name: fileNames[index],
+            data: await instance.exportPDFWithOperations([
+              { type: "keepPages", pageIndexes: part.pageIndexes },
+            ]),
+          });
         }
-      };
 
-      return fileInput;
+        signal.throwIfAborted();
+        showSplitProgress(
+          SPLIT_STAGES.zipping,
+          `Creating a ZIP file with ${files.length} PDF(s)...`,
+        );
+        const zip = createZip(files);
+        const zipName = getDownloadName(documentName, "-split", ".zip");
+        downloadFile(zip, zipName);
+        recordAudit(
+          AUDIT_ACTIONS.documentExport,
+          {
+            fileName: zipName,
+            kind: `split into ${files.length} PDFs`,
+            files: fileNames,
+          },
+          { output: zip },
+        );
+      } catch (error) {
+        if (!isAbortError(error)) {
+          console.error("Failed to split the document:", error);
+          alert(`Failed to split the document: ${error.message}`);
+        }
+      } finally {
+        activeImportController = null;
+        isImporting = false;
+        if (!isUnmounted) {
+          hideImportProgress();
+          updateImportButtonState(false, IMPORT_BUTTON_TITLE);
+        }
+      }
     };
 
     /**
@@ -188,40 +2404,167 @@ export default function PdfViewerComponent(props) {
       const customImportButton = {
         type: "custom",
         id: IMPORT_BUTTON_ID,
-        title: "Import Documents",
+        title: IMPORT_BUTTON_TITLE,
         icon: `<svg xmlns='http://www.w3.org/2000/svg' width='20' height='20' fill='currentColor' viewBox='0 0 20 20' style='color:%20var(--bui-color-icon-primary);'><path fill-rule='evenodd' d='M10%2020c5.523%200%2010-4.477%2010-10S15.523%200%2010%200%200%204.477%200%2010s4.477%2010%2010%2010m0-15.56L5.97%208.47a.75.75%200%201%200%201.06%201.06l2.22-2.22v7.19a.75.75%200%200%200%201.5%200V7.31l2.22%202.22a.75.75%200%200%200%201.06-1.06z'%20clip-rule='evenodd'></path></svg>`,
         onPress: () => createFileInput().click(),
       };
 
+      const imageOptionsButton = {
+        type: "custom",
+        id: IMAGE_OPTIONS_BUTTON_ID,
+        title: "Image Import Options",
+        icon: `<svg xmlns='http://www.w3.org/2000/svg' width='20' height='20' fill='none' stroke='currentColor' stroke-width='1.5' viewBox='0 0 20 20'><rect x='2.75' y='3.75' width='14.5' height='12.5' rx='1.5'/><circle cx='7' cy='8' r='1.5'/><path d='m3 14 4-4 3 3 2.5-2.5L17 15' stroke-linejoin='round'/></svg>`,
+        onPress: () => editImageImportOptions(),
+      };
+
+      const urlImportButton = {
+        type: "custom",
+        id: URL_IMPORT_BUTTON_ID,
+        title: "Import from URL",
+        icon: `<svg xmlns='http://www.w3.org/2000/svg' width='20' height='20' fill='none' stroke='currentColor' stroke-width='1.5' stroke-linecap='round' viewBox='0 0 20 20'><path d='M8.5 11.5a3.5 3.5 0 0 0 5 0l2.5-2.5a3.5 3.5 0 0 0-5-5l-1 1'/><path d='M11.5 8.5a3.5 3.5 0 0 0-5 0L4 11a3.5 3.5 0 0 0 5 5l1-1'/></svg>`,
+        onPress: () => importFromUrl(),
+      };
+
+      // Only offered inside a workspace, where other tabs can receive pages
+      const transferPagesButton = props.workspace && {
+        type: "custom",
+        id: TRANSFER_PAGES_BUTTON_ID,
+        title: "Send Pages to Another Tab",
+        icon: `<svg xmlns='http://www.w3.org/2000/svg' width='20' height='20' fill='none' stroke='currentColor' stroke-width='1.5' stroke-linecap='round' stroke-linejoin='round' viewBox='0 0 20 20'><rect x='2.75' y='3.75' width='8.5' height='12.5' rx='1'/><path d='M13 10h5m-2-2.5L18.5 10 16 12.5'/></svg>`,
+        onPress: (_event, documentEditorUIHandler) =>
+          transferPages(
+            documentEditorUIHandler?.getSelectedPageIndexes?.() ?? [],
+          ),
+      };
+
+      const splitButton = {
+        type: "custom",
+        id: SPLIT_BUTTON_ID,
+        title: "Split / Extract to ZIP",
+        icon: `<svg xmlns='http://www.w3.org/2000/svg' width='20' height='20' fill='none' stroke='currentColor' stroke-width='1.5' stroke-linejoin='round' viewBox='0 0 20 20'><rect x='2.75' y='2.75' width='6' height='8.5' rx='1'/><rect x='11.25' y='2.75' width='6' height='8.5' rx='1'/><path d='M10 13.5v4m-2-2 2 2 2-2' stroke-linecap='round'/></svg>`,
+        onPress: (_event, documentEditorUIHandler) =>
+          splitDocument(
+            documentEditorUIHandler?.getSelectedPageIndexes?.() ?? [],
+          ),
+      };
+
       const middleIndex = Math.floor(filteredItems.length / 2);
       return [
         ...filteredItems.slice(0, middleIndex),
         customImportButton,
+        urlImportButton,
+        imageOptionsButton,
+        splitButton,
+        ...(transferPagesButton ? [transferPagesButton] : []),
         ...filteredItems.slice(middleIndex),
       ];
     };
 
+    /**
+     * Creates the main toolbar items. Decoration settings are left out when
+     * the host fixes the decorator configuration.
+     * @returns {Array} - Toolbar items configuration
+     */
+    const createToolbarItems = () => {
+      const items = [
+        ...NutrientViewer.defaultToolbarItems,
+        { type: "undo" },
+        { type: "redo" },
+        {
+          type: "custom",
+          id: SAVE_BUTTON_ID,
+          title: "Save / Download",
+          icon: `<svg xmlns='http://www.w3.org/2000/svg' width='20' height='20' fill='none' stroke='currentColor' stroke-width='1.5' stroke-linecap='round' stroke-linejoin='round' viewBox='0 0 20 20'><path d='M4.5 3h9l3 3v9.5a1.5 1.5 0 0 1-1.5 1.5h-10A1.5 1.5 0 0 1 3.5 15.5v-11A1.5 1.5 0 0 1 5 3z'/><path d='M6.5 3v4h6V3'/><rect x='6' y='11' width='8' height='6'/></svg>`,
+          onPress: () => saveDocument(),
+        },
+        {
+          type: "custom",
+          id: IMPORT_HISTORY_BUTTON_ID,
+          title: "Import History",
+          icon: `<svg xmlns='http://www.w3.org/2000/svg' width='20' height='20' fill='none' stroke='currentColor' stroke-width='1.5' stroke-linecap='round' viewBox='0 0 20 20'><path d='M3.5 10a6.5 6.5 0 1 0 1.9-4.6L3.5 7.3'/><path d='M3.5 3.5v3.8h3.8'/><path d='M10 6.5V10l2.5 1.5'/></svg>`,
+          onPress: () => setIsHistoryOpen((isOpen) => !isOpen),
+        },
+        {
+          type: "custom",
+          id: AUDIT_TRAIL_BUTTON_ID,
+          title: "Audit Trail",
+          icon: `<svg xmlns='http://www.w3.org/2000/svg' width='20' height='20' fill='none' stroke='currentColor' stroke-width='1.5' stroke-linecap='round' stroke-linejoin='round' viewBox='0 0 20 20'><path d='M5.5 2.5h6l3 3v5'/><path d='M11.5 2.5v3h3'/><path d='M14.5 17.5h-9a1 1 0 0 1-1-1v-13'/><path d='M7 8h4M7 11h3'/><rect x='11.5' y='12.5' width='6' height='5' rx='1'/><path d='M12.75 12.5v-1.25a1.75 1.75 0 0 1 3.5 0v1.25'/></svg>`,
+          onPress: () => setIsAuditOpen((isOpen) => !isOpen),
+        },
+        {
+          type: "custom",
+          id: SIGNING_WORKFLOW_BUTTON_ID,
+          title: "Signing Workflow",
+          icon: `<svg xmlns='http://www.w3.org/2000/svg' width='20' height='20' fill='none' stroke='currentColor' stroke-width='1.5' stroke-linecap='round' stroke-linejoin='round' viewBox='0 0 20 20'><circle cx='6' cy='6' r='2.5'/><path d='M2 16c0-2.5 1.8-4.5 4-4.5s4 2 4 4.5'/><path d='M12 5.5h6M12 9.5h6M14 13.5l1.5 1.5 3-3'/></svg>`,
+          onPress: () => setIsWorkflowOpen((isOpen) => !isOpen),
+        },
+        {
+          type: "custom",
+          id: SIGNATURE_LIBRARY_BUTTON_ID,
+          title: "Signature Library",
+          icon: `<svg xmlns='http://www.w3.org/2000/svg' width='20' height='20' fill='none' stroke='currentColor' stroke-width='1.5' stroke-linecap='round' stroke-linejoin='round' viewBox='0 0 20 20'><rect x='2.5' y='3' width='15' height='14' rx='1.5'/><path d='M5 12c1.2-3 2.2-3 2.7-1.2s1.3 1.8 2.3-.3 1.8-1.6 2.5.5'/><path d='M5 14.5h10'/></svg>`,
+          onPress: () => setIsLibraryOpen((isOpen) => !isOpen),
+        },
+        {
+          type: "custom",
+          id: DECORATOR_SETTINGS_BUTTON_ID,
+          title: "Signature Decoration",
+          icon: `<svg xmlns='http://www.w3.org/2000/svg' width='20' height='20' fill='none' stroke='currentColor' stroke-width='1.5' stroke-linecap='round' stroke-linejoin='round' viewBox='0 0 20 20'><path d='M3 8V5.5A2.5 2.5 0 0 1 5.5 3H9'/><path d='M3 12v2.5A2.5 2.5 0 0 0 5.5 17H11'/><path d='M7 11c1-2.5 2-2.5 2.3-1s1.2 1.5 2-.2'/><circle cx='15.5' cy='5.5' r='2'/><path d='M15.5 1.5v1.2M15.5 8.3v1.2M11.5 5.5h1.2M18.3 5.5h1.2'/></svg>`,
+          onPress: () => editDecoratorSettings(),
+        },
+        {
+          type: "custom",
+          id: SIGN_CERTIFY_BUTTON_ID,
+          title: "Sign & Certify",
+          icon: `<svg xmlns='http://www.w3.org/2000/svg' width='20' height='20' fill='none' stroke='currentColor' stroke-width='1.5' stroke-linecap='round' stroke-linejoin='round' viewBox='0 0 20 20'><path d='M10 2.5 4 5v4.5c0 3.7 2.6 6.8 6 8 3.4-1.2 6-4.3 6-8V5z'/><path d='m7.5 10 1.8 1.8 3.4-3.6'/></svg>`,
+          onPress: () => signAndCertify(),
+        },
+        {
+          type: "custom",
+          id: SIGNATURE_VALIDATION_BUTTON_ID,
+          title: "Digital Signatures",
+          icon: `<svg xmlns='http://www.w3.org/2000/svg' width='20' height='20' fill='none' stroke='currentColor' stroke-width='1.5' stroke-linecap='round' stroke-linejoin='round' viewBox='0 0 20 20'><rect x='3' y='2.5' width='11' height='15' rx='1.5'/><path d='M6 6.5h5M6 9.5h3'/><circle cx='14' cy='13.5' r='3'/><path d='m12.8 13.5.8.8 1.6-1.6'/></svg>`,
+          onPress: () => setIsValidationOpen((isOpen) => !isOpen),
+        },
+        {
+          type: "custom",
+          id: SIGNATURE_EXPORT_BUTTON_ID,
+          title: "Download with Signature Details",
+          icon: `<svg xmlns='http://www.w3.org/2000/svg' width='20' height='20' fill='none' stroke='currentColor' stroke-width='1.5' stroke-linecap='round' stroke-linejoin='round' viewBox='0 0 20 20'><path d='M10 3v9m0 0-3.5-3.5M10 12l3.5-3.5'/><path d='M3 14.5c1.5-1.5 2.5 1.5 4 0s2.5 1.5 4 0'/><path d='M13.5 16.5H17'/></svg>`,
+          onPress: () => exportWithSignatureDetails(),
+        },
+      ];
+      return decoratorConfig
+        ? items.filter(({ id }) => id !== DECORATOR_SETTINGS_BUTTON_ID)
+        : items;
+    };
+
     /**
      * Nutrient Viewer configuration
      */
     const config = {
-      licenseKey: import.meta.env.VITE_lkey,
+      licenseKey,
       container,
-      document: props.document,
       enableRichText: () => true,
       enableHistory: true,
       enableClipboardActions: true,
       allowLinearizedLoading: true,
-      toolbarItems: [
-        ...NutrientViewer.defaultToolbarItems,
-        { type: "undo" },
-        { type: "redo" },
+      toolbarItems: customizeToolbarItems
+        ? customizeToolbarItems(createToolbarItems())
+        : createToolbarItems(),
+      documentEditorToolbarItems: customizeDocumentEditorToolbarItems
+        ? customizeDocumentEditorToolbarItems(
+            createCustomDocumentEditorToolbarItems(),
+          )
+        : createCustomDocumentEditorToolbarItems(),
+      trustedCAsCallback: async () => [
+        ...getTrustedCertificates(loadTrustStore()),
+        ...((await createDigitalSigner(
+          currentUserRef.current,
+        ).getTrustedCertificates?.()) ?? []),
       ],
-      documentEditorToolbarItems: createCustomDocumentEditorToolbarItems(),
       customRenderers: {
-        Annotation: createSignatureRenderer(NutrientViewer, {
-          loggedInUser: LOGGED_IN_USER,
-        }),
+        Annotation: createAnnotationRenderer(),
       },
     };
 
@@ -241,15 +2584,146 @@ export default function PdfViewerComponent(props) {
           // No existing instance to unload
         }
 
-        instance = await NutrientViewer.load(config);
+        let source = props.document;
+        if (props.document instanceof Blob) {
+          try {
+            source = await openDocumentFile(props.document);
+          } catch (error) {
+            if (!isUnmounted) {
+              alert(error.message);
+            }
+            return;
+          }
+          if (!source || isUnmounted) {
+            return;
+          }
+        }
+
+        const draft = await recoverDraft();
+        if (isUnmounted) {
+          return;
+        }
+        instance = await NutrientViewer.load({
+          ...config,
+          document: draft ?? source,
+        });
+        // Entries start from the document as loaded, draft included
+        documentHash = hashDocument();
+        // Entries recorded from now on are chained to the stored trail. A
+        // trail that cannot be read is not overwritten.
+        auditQueue = loadAuditTrail(documentKey).then(
+          (entries) => {
+            auditEntries = entries;
+          },
+          (error) => {
+            auditEntries = null;
+            console.error("Failed to load the audit trail:", error);
+            if (!isUnmounted) {
+              setAuditTrail({
+                entries: [],
+                verification: {
+                  isValid: false,
+                  brokenAt: null,
+                  reason: "The stored audit trail could not be read",
+                },
+              });
+            }
+          },
+        );
 
         cleanupSignatureDecorator = initializeSignatureDecorator(
           instance,
           NutrientViewer,
           {
-            loggedInUser: LOGGED_IN_USER,
+            signingReason: SIGNING_REASON,
+            // Saved settings apply to the next signature
+            getConfig: () => decoratorSettings,
+            authorizeSignature: ({ widget }) =>
+              authorizeFieldSignature(
+                widget,
+                currentUserRef.current,
+                signingWorkflow,
+                SIGNING_REASON,
+              ),
+            onSignatureRejected: (message, annotation) => {
+              releasePendingSignature(annotation);
+              alert(message);
+            },
+            onSignatureFailed: (error, annotation) => {
+              releasePendingSignature(annotation);
+              console.error("Failed to apply signature:", error);
+              alert(
+                "The signature could not be applied to the field, which is unchanged. Please sign again.",
+              );
+            },
+            onSignatureApplied: (details) => {
+              refreshSigningWorkflow();
+              recordAudit(AUDIT_ACTIONS.signatureCreate, {
+                fieldName: details.widget?.formFieldName ?? null,
+                pageIndex: details.annotation.pageIndex,
+                annotationId: details.annotation.id,
+              });
+              releasePendingSignature(details.annotation);
+              notify("onSignatureApplied", details);
+            },
           },
         );
+        instance.setAnnotationCreatorName(currentUserRef.current.name);
+
+        cleanupDropZone = attachDropZone();
+        cleanupPasteHandler = attachPasteHandler();
+
+        instance.addEventListener("document.change", refreshImportHistory);
+        instance.addEventListener("document.change", refreshSigningWorkflow);
+        instance.addEventListener("annotations.delete", refreshSigningWorkflow);
+        await refreshImportHistory();
+        await refreshSigningWorkflow();
+        await refreshDigitalSignatures();
+        instance.addEventListener("document.change", refreshDigitalSignatures);
+        instance.addEventListener("viewState.change", warnBeforeDocumentEditor);
+        // Only changes after loading count as unsaved work
+        cleanupAutosave = attachAutosave();
+        appendAuditEntry(
+          {
+            action: AUDIT_ACTIONS.documentOpen,
+            details: { documentName, draftRestored: Boolean(draft) },
+            user: currentUserRef.current.name,
+            timestamp: new Date(),
+          },
+          documentHash,
+          documentHash,
+        );
+        cleanupAuditTrail = attachAuditTrail();
+        reportSaveState();
+        notify("onDocumentOpen", props.document);
+        cleanupWorkspace = props.workspace?.register(props.tabId, {
+          getName: () => documentName,
+          getPageCount: () => instance.totalPageCount,
+          getCurrentPageIndex: () => instance.viewState.currentPageIndex,
+          receivePages,
+        });
+        apiRef.current = {
+          instance,
+          importFiles,
+          exportPDF: async () => {
+            const pdf = await instance.exportPDF();
+            recordAudit(
+              AUDIT_ACTIONS.documentExport,
+              {
+                fileName: getDownloadName(documentName),
+                kind: "exported by the host",
+              },
+              { output: pdf },
+            );
+            return pdf;
+          },
+          goToPage,
+        };
+
+        // Point out signatures that came with the opened document
+        if (documentSignatures.length > 0 && !isUnmounted) {
+          setIsValidationOpen(true);
+        }
       } catch (error) {
         // Log error for debugging but don't show alert on initial load
         console.error("Error loading Nutrient Viewer:", error);
@@ -262,9 +2736,56 @@ export default function PdfViewerComponent(props) {
      * Cleanup function
      */
     return () => {
+      isUnmounted = true;
+      activeImportController?.abort();
+      cancelImportRef.current = null;
+      removeImportRef.current = null;
+      exportAuditTrailRef.current = null;
+      apiRef.current = null;
+      switchUserRef.current = null;
+      assignFieldRef.current = null;
+      placeSignatureRef.current = null;
+      saveSelectionRef.current = null;
+      conversionPool?.dispose();
+      for (const resolve of openDialogResolvers) {
+        resolve(null);
+      }
+      setImportProgress(null);
+      setStagingRequest(null);
+      setPasswordRequest(null);
+      setImageOptionsRequest(null);
+      setUrlImportRequest(null);
+      setImportHistory([]);
+      setAuditTrail(EMPTY_AUDIT_TRAIL);
+      setSignatureExportRequest(null);
+      setDecoratorSettingsRequest(null);
+      setRecoveryRequest(null);
+      setTransferRequest(null);
+      setSplitRequest(null);
+      setSigningWorkflow(EMPTY_SIGNING_WORKFLOW);
+      setDocumentSignatures([]);
+      setDropFeedback(null);
       if (cleanupSignatureDecorator) {
         cleanupSignatureDecorator();
       }
+      if (cleanupDropZone) {
+        cleanupDropZone();
+      }
+      if (cleanupPasteHandler) {
+        cleanupPasteHandler();
+      }
+      if (cleanupAutosave) {
+        cleanupAutosave();
+      }
+      if (cleanupWorkspace) {
+        cleanupWorkspace();
+      }
+      if (cleanupAuditTrail) {
+        cleanupAuditTrail();
+      }
+      isDirty = false;
+      autosavedAt = null;
+      reportSaveState();
       if (container && NutrientViewer) {
         try {
           NutrientViewer.unload(container);
@@ -273,50 +2794,236 @@ export default function PdfViewerComponent(props) {
         }
       }
     };
-  }, [props.document]);
+  }, [
+    props.document,
+    props.documentKey,
+    props.documentName,
+    props.tabId,
+    props.workspace,
+  ]);
 
   return (
     <>
       <div ref={containerRef} style={{ width: "100%", height: "100vh" }} />
-      <div
-        ref={loadingOverlayRef}
-        style={{
-          display: "none",
-          position: "fixed",
-          top: 0,
-          left: 0,
-          width: "100%",
-          height: "100%",
-          backgroundColor: "rgba(0, 0, 0, 0.7)",
-          zIndex: 9999,
-          justifyContent: "center",
-          alignItems: "center",
-          flexDirection: "column",
-        }}
-      >
-        <div
-          className="loading-spinner"
-          style={{
-            border: "4px solid rgba(255, 255, 255, 0.3)",
-            borderTop: "4px solid #fff",
-            borderRadius: "50%",
-            width: "50px",
-            height: "50px",
-            animation: "spin 1s linear infinite",
+      {dropFeedback && (
+        <div className={`drop-zone${dropFeedback.rejected ? " rejected" : ""}`}>
+          <span className="drop-zone-message">{dropFeedback.message}</span>
+        </div>
+      )}
+      {signatureExportRequest && (
+        <SignatureExportDialog
+          signatureCount={signatureExportRequest.signatureCount}
+          onExport={(options) => {
+            signatureExportRequest.resolve(options);
+            setSignatureExportRequest(null);
+          }}
+          onCancel={() => {
+            signatureExportRequest.resolve(null);
+            setSignatureExportRequest(null);
           }}
         />
-        <div
-          className="loading-message"
-          style={{
-            color: "white",
-            marginTop: "20px",
-            fontSize: "18px",
-            fontWeight: "500",
+      )}
+      {splitRequest && (
+        <SplitDialog
+          documentName={splitRequest.documentName}
+          pageCount={splitRequest.pageCount}
+          selectedPages={splitRequest.selectedPages}
+          onConfirm={(options) => {
+            splitRequest.resolve(options);
+            setSplitRequest(null);
           }}
-        >
-          Loading...
-        </div>
-      </div>
+          onCancel={() => {
+            splitRequest.resolve(null);
+            setSplitRequest(null);
+          }}
+        />
+      )}
+      {transferRequest && (
+        <PageTransferDialog
+          documentName={transferRequest.documentName}
+          pageCount={transferRequest.pageCount}
+          selectedPages={transferRequest.selectedPages}
+          targets={transferRequest.targets}
+          onConfirm={(request) => {
+            transferRequest.resolve(request);
+            setTransferRequest(null);
+          }}
+          onCancel={() => {
+            transferRequest.resolve(null);
+            setTransferRequest(null);
+          }}
+        />
+      )}
+      {recoveryRequest && (
+        <DraftRecoveryDialog
+          documentName={recoveryRequest.documentName}
+          savedAt={recoveryRequest.savedAt}
+          onRestore={() => {
+            recoveryRequest.resolve(true);
+            setRecoveryRequest(null);
+          }}
+          onDiscard={() => {
+            recoveryRequest.resolve(false);
+            setRecoveryRequest(null);
+          }}
+        />
+      )}
+      {decoratorSettingsRequest && (
+        <DecoratorSettingsDialog
+          settings={decoratorSettingsRequest.settings}
+          signerName={decoratorSettingsRequest.signerName}
+          onSave={(settings) => {
+            decoratorSettingsRequest.resolve(settings);
+            setDecoratorSettingsRequest(null);
+          }}
+          onCancel={() => {
+            decoratorSettingsRequest.resolve(null);
+            setDecoratorSettingsRequest(null);
+          }}
+        />
+      )}
+      {isValidationOpen && (
+        <SignatureValidationPanel
+          signatures={documentSignatures}
+          trustStore={trustStore}
+          trustStoreError={trustStoreError}
+          onAddCertificates={addCertificates}
+          onRemoveCertificate={(id) =>
+            setTrustStore(removeTrustedCertificate(trustStore, id))
+          }
+          onClose={() => setIsValidationOpen(false)}
+        />
+      )}
+      {isLibraryOpen && (
+        <SignatureLibraryPanel
+          signerName={currentUser.name}
+          entries={signatureLibrary}
+          fields={signingWorkflow.fields.filter(({ assignment }) =>
+            [FIELD_ACCESS.open, FIELD_ACCESS.own].includes(
+              getFieldAccess(assignment, currentUser.id, signingWorkflow),
+            ),
+          )}
+          error={libraryError}
+          onPlace={(entry, widget) =>
+            placeSignatureRef.current?.(entry, widget)
+          }
+          onSaveSelection={(variant) =>
+            updateSignatureLibrary(() => saveSelectionRef.current?.(variant))
+          }
+          onUploadImage={(variant, file) =>
+            updateSignatureLibrary(async () =>
+              saveSignature(
+                currentUser.name,
+                variant,
+                await readSignatureImage(file),
+              ),
+            )
+          }
+          onDelete={(variant) =>
+            updateSignatureLibrary(() =>
+              deleteSignature(currentUser.name, variant),
+            )
+          }
+          onExport={exportLibrary}
+          onImport={(file) =>
+            updateSignatureLibrary(() => importSignatureLibrary(file))
+          }
+          onClose={() => setIsLibraryOpen(false)}
+        />
+      )}
+      {isWorkflowOpen && (
+        <SigningWorkflowPanel
+          workflow={signingWorkflow}
+          users={signers}
+          currentUserId={currentUser.id}
+          onSwitchUser={(userId) => switchUserRef.current?.(userId)}
+          onAssign={(fieldName, userId) =>
+            assignFieldRef.current?.(fieldName, userId)
+          }
+          onClose={() => setIsWorkflowOpen(false)}
+        />
+      )}
+      {isAuditOpen && (
+        <AuditTrailPanel
+          entries={auditTrail.entries}
+          verification={auditTrail.verification}
+          onExport={(format) => exportAuditTrailRef.current?.(format)}
+          onClose={() => setIsAuditOpen(false)}
+        />
+      )}
+      {isHistoryOpen && (
+        <ImportHistoryPanel
+          history={importHistory}
+          onRemove={(record) => removeImportRef.current?.(record)}
+          onClose={() => setIsHistoryOpen(false)}
+        />
+      )}
+      {importProgress && (
+        <ImportProgressOverlay
+          progress={importProgress}
+          onCancel={() => cancelImportRef.current?.()}
+        />
+      )}
+      {passwordRequest && (
+        <PasswordDialog
+          key={`${passwordRequest.fileName}-${passwordRequest.error}`}
+          fileName={passwordRequest.fileName}
+          error={passwordRequest.error}
+          onSubmit={(password) => {
+            passwordRequest.resolve(password);
+            setPasswordRequest(null);
+          }}
+          onCancel={() => {
+            passwordRequest.resolve(null);
+            setPasswordRequest(null);
+          }}
+        />
+      )}
+      {urlImportRequest && (
+        <UrlImportDialog
+          key={`${urlImportRequest.url}-${urlImportRequest.error}`}
+          initialUrl={urlImportRequest.url}
+          error={urlImportRequest.error}
+          onSubmit={(url) => {
+            urlImportRequest.resolve(url);
+            setUrlImportRequest(null);
+          }}
+          onCancel={() => {
+            urlImportRequest.resolve(null);
+            setUrlImportRequest(null);
+          }}
+        />
+      )}
+      {imageOptionsRequest && (
+        <ImageImportOptionsDialog
+          options={imageOptionsRequest.options}
+          onSave={(options) => {
+            imageOptionsRequest.resolve(options);
+            setImageOptionsRequest(null);
+          }}
+          onCancel={() => {
+            imageOptionsRequest.resolve(null);
+            setImageOptionsRequest(null);
+          }}
+        />
+      )}
+      {stagingRequest && (
+        <ImportStagingDialog
+          items={stagingRequest.items}
+          skipped={stagingRequest.skipped}
+          currentPageIndex={stagingRequest.currentPageIndex}
+          totalPages={stagingRequest.totalPages}
+          initialInsertionOffset={stagingRequest.initialInsertionOffset}
+          onConfirm={(plan) => {
+            stagingRequest.resolve(plan);
+            setStagingRequest(null);
+          }}
+          onCancel={() => {
+            stagingRequest.resolve(null);
+            setStagingRequest(null);
+          }}
+        />
+      )}
     </>
   );
 }
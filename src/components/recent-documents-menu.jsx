@@ -0,0 +1,85 @@
+import { useEffect, useRef, useState } from "react";
+import { formatBytes } from "../utils/file-validation";
+
+/**
+ * Recent Documents Menu
+ *
+ * Header drop-down listing the documents opened recently, most recent
+ * first. Choosing one reopens it from browser storage; × forgets it.
+ */
+export default function RecentDocumentsMenu({ documents, onOpen, onRemove }) {
+	const [isOpen, setIsOpen] = useState(false);
+	const menuRef = useRef(null);
+
+	useEffect(() => {
+		if (!isOpen) {
+			return;
+		}
+		const handlePointerDown = (event) => {
+			if (!menuRef.current?.contains(event.target)) {
+				setIsOpen(false);
+			}
+		};
+		const handleKeyDown = (event) => {
+			if (event.key === "Escape") {
+				setIsOpen(false);
+			}
+		};
+		document.addEventListener("pointerdown", handlePointerDown);
+		document.addEventListener("keydown", handleKeyDown);
+		return () => {
+			document.removeEventListener("pointerdown", handlePointerDown);
+			document.removeEventListener("keydown", handleKeyDown);
+		};
+	}, [isOpen]);
+
+	return (
+		<div className="recent-menu" ref={menuRef}>
+			<button
+				type="button"
+				className="nav-link nav-button open-document-btn"
+				aria-haspopup="true"
+				aria-expanded={isOpen}
+				onClick={() => setIsOpen((open) => !open)}
+			>
+				<span>Recent ▾</span>
+			</button>
+
+			{isOpen && (
+				<div className="recent-menu-popup">
+					{documents.length === 0 ? (
+						<p className="history-empty">No recent documents.</p>
+					) : (
+						<ul className="recent-menu-list">
+							{documents.map((entry) => (
+								<li key={entry.documentKey} className="recent-menu-item">
+									<button
+										type="button"
+										className="recent-menu-open"
+										onClick={() => {
+											setIsOpen(false);
+											onOpen(entry);
+										}}
+									>
+										<span className="recent-menu-name">{entry.name}</span>
+										<span className="recent-menu-details">
+											{formatBytes(entry.size)} · {new Date(entry.openedAt).toLocaleString()}
+										</span>
+									</button>
+									<button
+										type="button"
+										className="history-panel-close"
+										onClick={() => onRemove(entry)}
+										aria-label={`Remove ${entry.name} from recent documents`}
+									>
+										×
+									</button>
+								</li>
+							))}
+						</ul>
+					)}
+				</div>
+			)}
+		</div>
+	);
+}
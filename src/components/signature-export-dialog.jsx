@@ -0,0 +1,61 @@
+import { useState } from "react";
+
+/**
+ * Signature Export Dialog
+ *
+ * Options for downloading the document with signature decorations burned
+ * into the pages. Plain downloads are unaffected.
+ */
+export default function SignatureExportDialog({ signatureCount, onExport, onCancel }) {
+	const [includeReason, setIncludeReason] = useState(true);
+	const [location, setLocation] = useState("");
+
+	const handleSubmit = (event) => {
+		event.preventDefault();
+		onExport({ includeReason, location: location.trim() });
+	};
+
+	return (
+		<div className="modal-backdrop">
+			<form
+				className="modal-dialog signature-export-dialog"
+				role="dialog"
+				aria-modal="true"
+				onSubmit={handleSubmit}
+			>
+				<h2 className="modal-title">Download with Signature Details</h2>
+				<p>
+					{signatureCount === 0
+						? "This document has no signatures; it will be downloaded as is."
+						: `The curves, signer names and signing times of ${signatureCount} signature(s) will be burned into the pages, so every PDF reader shows them.`}
+				</p>
+				<label className="staging-option">
+					<input
+						type="checkbox"
+						checked={includeReason}
+						onChange={(event) => setIncludeReason(event.target.checked)}
+					/>
+					Include the signing reason
+				</label>
+				<label className="image-options-field">
+					Location (optional)
+					<input
+						type="text"
+						className="modal-input"
+						value={location}
+						onChange={(event) => setLocation(event.target.value)}
+						placeholder="e.g. Berlin, Germany"
+					/>
+				</label>
+				<div className="modal-actions">
+					<button type="button" className="modal-button" onClick={onCancel}>
+						Cancel
+					</button>
+					<button type="submit" className="modal-button primary">
+						Download
+					</button>
+				</div>
+			</form>
+		</div>
+	);
+}
@@ -0,0 +1,184 @@
+import { useState } from "react";
+import { SIGNATURE_IMAGE_ACCEPT, SIGNATURE_VARIANTS } from "../utils/signature-library";
+
+const VARIANT_LABELS = {
+	[SIGNATURE_VARIANTS.signature]: "Signature",
+	[SIGNATURE_VARIANTS.initials]: "Initials",
+	[SIGNATURE_VARIANTS.stamp]: "Company stamp",
+};
+
+/**
+ * Preview of a saved signature
+ */
+function SignaturePreview({ entry }) {
+	if (entry.kind === "image") {
+		const url = `data:${entry.contentType};base64,${entry.data}`;
+		return <img className="library-preview" src={url} alt={VARIANT_LABELS[entry.variant]} />;
+	}
+
+	const { r, g, b } = entry.strokeColor;
+	return (
+		<svg
+			className="library-preview"
+			viewBox={`0 0 ${entry.width} ${entry.height}`}
+			role="img"
+			aria-label={VARIANT_LABELS[entry.variant]}
+		>
+			{entry.lines.map((line) => (
+				<polyline
+					key={line.join(" ")}
+					points={line.map(([x, y]) => `${x * entry.width},${y * entry.height}`).join(" ")}
+					fill="none"
+					stroke={`rgb(${r}, ${g}, ${b})`}
+					strokeWidth={entry.lineWidth}
+					strokeLinecap="round"
+					strokeLinejoin="round"
+				/>
+			))}
+		</svg>
+	);
+}
+
+/**
+ * Signature Library Panel
+ *
+ * Side panel with the current signer's saved signature, initials and
+ * company stamp. Each can be placed on an unsigned field in one click,
+ * replaced from the selected annotation or an image, and the whole library
+ * can be exported and imported as JSON.
+ */
+export default function SignatureLibraryPanel({
+	signerName,
+	entries,
+	fields,
+	error,
+	onPlace,
+	onSaveSelection,
+	onUploadImage,
+	onDelete,
+	onExport,
+	onImport,
+	onClose,
+}) {
+	const [targetId, setTargetId] = useState("");
+	const target = fields.find(({ widget }) => widget.id === targetId) ?? fields[0];
+
+	return (
+		<aside className="history-panel" aria-label="Signature library">
+			<div className="history-panel-header">
+				<h2 className="modal-title">Signature Library</h2>
+				<button
+					type="button"
+					className="history-panel-close"
+					onClick={onClose}
+					aria-label="Close signature library"
+				>
+					×
+				</button>
+			</div>
+
+			<p className="history-empty">Saved for {signerName} in this browser.</p>
+
+			<label className="image-options-field">
+				Place on
+				<select
+					className="modal-input"
+					value={target?.widget.id ?? ""}
+					disabled={fields.length === 0}
+					onChange={(event) => setTargetId(event.target.value)}
+				>
+					{fields.length === 0 && <option value="">No field you can sign</option>}
+					{fields.map(({ fieldName, pageIndex, widget }) => (
+						<option key={widget.id} value={widget.id}>
+							{fieldName} (page {pageIndex + 1})
+						</option>
+					))}
+				</select>
+			</label>
+
+			<ul className="history-list">
+				{Object.values(SIGNATURE_VARIANTS).map((variant) => {
+					const entry = entries.find((candidate) => candidate.variant === variant);
+					return (
+						<li key={variant} className="history-item">
+							<span className="history-file">{VARIANT_LABELS[variant]}</span>
+							{entry ? (
+								<SignaturePreview entry={entry} />
+							) : (
+								<span className="history-empty">Not saved yet</span>
+							)}
+							<div className="library-actions">
+								<button
+									type="button"
+									className="modal-button primary"
+									disabled={!entry || !target}
+									onClick={() => onPlace(entry, target.widget)}
+								>
+									Place
+								</button>
+								<button
+									type="button"
+									className="modal-button"
+									onClick={() => onSaveSelection(variant)}
+								>
+									Save selected
+								</button>
+								<label className="modal-button">
+									Image…
+									<input
+										type="file"
+										accept={SIGNATURE_IMAGE_ACCEPT}
+										hidden
+										onChange={(event) => {
+											const [file] = event.target.files;
+											event.target.value = "";
+											if (file) {
+												onUploadImage(variant, file);
+											}
+										}}
+									/>
+								</label>
+								{entry && (
+									<button
+										type="button"
+										className="modal-button history-remove"
+										onClick={() => onDelete(variant)}
+									>
+										Remove
+									</button>
+								)}
+							</div>
+						</li>
+					);
+				})}
+			</ul>
+
+			{error && <p className="modal-error">{error}</p>}
+			<div className="library-actions">
+				<button
+					type="button"
+					className="modal-button"
+					disabled={entries.length === 0}
+					onClick={onExport}
+				>
+					Export…
+				</button>
+				<label className="modal-button">
+					Import…
+					<input
+						type="file"
+						accept=".json,application/json"
+						hidden
+						onChange={(event) => {
+							const [file] = event.target.files;
+							event.target.value = "";
+							if (file) {
+								onImport(file);
+							}
+						}}
+					/>
+				</label>
+			</div>
+		</aside>
+	);
+}
@@ -0,0 +1,132 @@
+import { CERTIFICATION_STATUS } from "../utils/digital-signature";
+import { CERTIFICATE_FILE_ACCEPT } from "../utils/trust-store";
+
+const STATUS_LABELS = {
+	[CERTIFICATION_STATUS.verified]: "Valid",
+	[CERTIFICATION_STATUS.untrusted]: "Valid, not verified",
+	[CERTIFICATION_STATUS.invalid]: "Invalid",
+};
+
+/**
+ * Format an ISO timestamp for display
+ * @param {string|null} isoDate - ISO 8601 date
+ * @returns {string}
+ */
+const formatSigningDate = (isoDate) => {
+	const date = new Date(isoDate);
+	return isoDate && !Number.isNaN(date.getTime()) ? date.toLocaleString() : "Unknown time";
+};
+
+/**
+ * Signature Validation Panel
+ *
+ * Side panel listing every digital signature in the document with its
+ * signer, time, coverage and validity, and the local trust store the
+ * signatures are validated against.
+ */
+export default function SignatureValidationPanel({
+	signatures,
+	trustStore,
+	trustStoreError,
+	onAddCertificates,
+	onRemoveCertificate,
+	onClose,
+}) {
+	return (
+		<aside className="history-panel" aria-label="Digital signatures">
+			<div className="history-panel-header">
+				<h2 className="modal-title">Digital Signatures</h2>
+				<button
+					type="button"
+					className="history-panel-close"
+					onClick={onClose}
+					aria-label="Close digital signatures"
+				>
+					×
+				</button>
+			</div>
+
+			{signatures.length === 0 ? (
+				<p className="history-empty">This document has no digital signatures.</p>
+			) : (
+				<ul className="history-list">
+					{signatures.map((signature) => (
+						<li key={signature.fieldName} className="history-item">
+							<span className="history-file">{signature.signerName}</span>
+							<span className={`validation-status validation-status-${signature.status}`}>
+								{STATUS_LABELS[signature.status]}
+							</span>
+							<dl className="history-details">
+								<dt>Signed</dt>
+								<dd>{formatSigningDate(signature.signedAt)}</dd>
+								<dt>Covers</dt>
+								<dd>
+									{signature.coversWholeDocument
+										? "The entire document"
+										: "An earlier revision of the document"}
+								</dd>
+								{signature.reason && (
+									<>
+										<dt>Reason</dt>
+										<dd>{signature.reason}</dd>
+									</>
+								)}
+								{signature.location && (
+									<>
+										<dt>Location</dt>
+										<dd>{signature.location}</dd>
+									</>
+								)}
+								<dt>Field</dt>
+								<dd>{signature.fieldName}</dd>
+							</dl>
+							{signature.issues.length > 0 && (
+								<ul className="validation-issues">
+									{signature.issues.map((issue) => (
+										<li key={issue}>{issue}</li>
+									))}
+								</ul>
+							)}
+						</li>
+					))}
+				</ul>
+			)}
+
+			<h3 className="workflow-heading">Trusted certificates</h3>
+			<p className="history-empty">
+				Signatures are verified against these authorities and the built-in test CA. Changes apply
+				the next time a document is opened.
+			</p>
+			{trustStore.length > 0 && (
+				<ul className="history-list">
+					{trustStore.map((entry) => (
+						<li key={entry.id} className="history-item workflow-signer">
+							<span className="history-file">{entry.name}</span>
+							<button
+								type="button"
+								className="modal-button history-remove"
+								onClick={() => onRemoveCertificate(entry.id)}
+							>
+								Remove
+							</button>
+						</li>
+					))}
+				</ul>
+			)}
+			{trustStoreError && <p className="modal-error">{trustStoreError}</p>}
+			<label className="modal-button validation-add">
+				Add certificate…
+				<input
+					type="file"
+					accept={CERTIFICATE_FILE_ACCEPT}
+					multiple
+					hidden
+					onChange={(event) => {
+						onAddCertificates(Array.from(event.target.files));
+						event.target.value = "";
+					}}
+				/>
+			</label>
+		</aside>
+	);
+}
@@ -0,0 +1,117 @@
+import { FIELD_ACCESS, getFieldAccess, SIGNER_STATUS } from "../utils/signing-workflow";
+
+const STATUS_LABELS = {
+	[SIGNER_STATUS.done]: "Done",
+	[SIGNER_STATUS.active]: "Signing now",
+	[SIGNER_STATUS.waiting]: "Waiting",
+};
+
+const ACCESS_LABELS = {
+	[FIELD_ACCESS.open]: "Anyone can sign",
+	[FIELD_ACCESS.own]: "Your turn to sign",
+	[FIELD_ACCESS.waiting]: "Yours, after earlier signers",
+	[FIELD_ACCESS.locked]: "Locked for you",
+};
+
+/**
+ * Signing Workflow Panel
+ *
+ * Side panel to switch the active signer, follow which signers are done or
+ * pending in signing order, and assign signature fields to signers.
+ */
+export default function SigningWorkflowPanel({
+	workflow,
+	users,
+	currentUserId,
+	onSwitchUser,
+	onAssign,
+	onClose,
+}) {
+	const { fields, signers } = workflow;
+
+	return (
+		<aside className="history-panel" aria-label="Signing workflow">
+			<div className="history-panel-header">
+				<h2 className="modal-title">Signing Workflow</h2>
+				<button
+					type="button"
+					className="history-panel-close"
+					onClick={onClose}
+					aria-label="Close signing workflow"
+				>
+					×
+				</button>
+			</div>
+
+			<label className="image-options-field">
+				Signing as
+				<select
+					className="modal-input"
+					value={currentUserId}
+					onChange={(event) => onSwitchUser(event.target.value)}
+				>
+					{users.map((user) => (
+						<option key={user.id} value={user.id}>
+							{user.name}
+						</option>
+					))}
+				</select>
+			</label>
+
+			<h3 className="workflow-heading">Progress</h3>
+			{signers.length === 0 ? (
+				<p className="history-empty">No signature fields are assigned yet.</p>
+			) : (
+				<ol className="history-list">
+					{signers.map((signer) => (
+						<li key={signer.signerId} className="history-item workflow-signer">
+							<span className="history-file">
+								{signer.order}. {signer.signerName}
+							</span>
+							<span className={`workflow-status workflow-status-${signer.status}`}>
+								{STATUS_LABELS[signer.status]}
+							</span>
+							<span className="workflow-count">
+								{signer.signed} of {signer.signed + signer.pending} signed
+							</span>
+						</li>
+					))}
+				</ol>
+			)}
+
+			<h3 className="workflow-heading">Unsigned fields</h3>
+			{fields.length === 0 ? (
+				<p className="history-empty">All signature fields are signed.</p>
+			) : (
+				<ul className="history-list">
+					{fields.map(({ fieldName, pageIndex, widget, assignment }) => (
+						<li key={widget.id} className="history-item">
+							<span className="history-file">{fieldName}</span>
+							<dl className="history-details">
+								<dt>Page</dt>
+								<dd>{pageIndex + 1}</dd>
+								<dt>Access</dt>
+								<dd>{ACCESS_LABELS[getFieldAccess(assignment, currentUserId, workflow)]}</dd>
+							</dl>
+							<label className="image-options-field">
+								Signer
+								<select
+									className="modal-input"
+									value={assignment?.signerId ?? ""}
+									onChange={(event) => onAssign(fieldName, event.target.value || null)}
+								>
+									<option value="">Unassigned</option>
+									{users.map((user) => (
+										<option key={user.id} value={user.id}>
+											{user.order}. {user.name}
+										</option>
+									))}
+								</select>
+							</label>
+						</li>
+					))}
+				</ul>
+			)}
+		</aside>
+	);
+}
@@ -0,0 +1,154 @@
+import { useState } from "react";
+import {
+	createPartFileNames,
+	DEFAULT_FILE_NAME_TEMPLATE,
+	SPLIT_RULES,
+	splitByRanges,
+	splitEveryN,
+} from "../utils/page-split";
+
+const RULE_LABELS = {
+	[SPLIT_RULES.ranges]: "One file per page range",
+	[SPLIT_RULES.everyN]: "Every N pages",
+	[SPLIT_RULES.blankPages]: "At each blank separator page",
+	[SPLIT_RULES.imports]: "At each import boundary",
+	[SPLIT_RULES.bookmarks]: "At each top-level bookmark",
+};
+
+/**
+ * Number of file names listed in the preview
+ */
+const PREVIEW_LENGTH = 4;
+
+/**
+ * Split the document for the preview, when the rule needs no page analysis
+ * @param {Object} options - Dialog choices
+ * @param {number} pageCount - Pages in the document
+ * @returns {Object} { parts, error }; parts is null for analysed rules
+ */
+const previewParts = ({ rule, ranges, pagesPerFile }, pageCount) => {
+	try {
+		if (rule === SPLIT_RULES.ranges) {
+			return { parts: splitByRanges(ranges, pageCount), error: null };
+		}
+		if (rule === SPLIT_RULES.everyN) {
+			return { parts: splitEveryN(pageCount, pagesPerFile), error: null };
+		}
+		return { parts: null, error: null };
+	} catch (error) {
+		return { parts: null, error: error.message };
+	}
+};
+
+/**
+ * Split Dialog
+ *
+ * Chooses how the document is split into separate PDFs and how the files
+ * are named. Page ranges are preselected from the Document Editor
+ * selection; rules that analyse the pages are resolved when splitting.
+ */
+export default function SplitDialog({
+	documentName,
+	pageCount,
+	selectedPages,
+	onConfirm,
+	onCancel,
+}) {
+	const [rule, setRule] = useState(SPLIT_RULES.ranges);
+	const [ranges, setRanges] = useState(selectedPages);
+	const [pagesPerFile, setPagesPerFile] = useState("1");
+	const [template, setTemplate] = useState(DEFAULT_FILE_NAME_TEMPLATE);
+	const options = { rule, ranges, pagesPerFile: Number(pagesPerFile), template };
+	const { parts, error } = previewParts(options, pageCount);
+	const fileNames = parts ? createPartFileNames(parts, template, documentName) : [];
+
+	const handleSubmit = (event) => {
+		event.preventDefault();
+		onConfirm(options);
+	};
+
+	return (
+		<div className="modal-backdrop">
+			<form
+				className="modal-dialog image-options-dialog"
+				role="dialog"
+				aria-modal="true"
+				onSubmit={handleSubmit}
+			>
+				<h2 className="modal-title">Split into Separate PDFs</h2>
+
+				<fieldset className="staging-insertion">
+					<legend>Split {documentName}</legend>
+					{Object.values(SPLIT_RULES).map((value) => (
+						<label key={value}>
+							<input
+								type="radio"
+								name="split-rule"
+								checked={rule === value}
+								onChange={() => setRule(value)}
+							/>
+							{RULE_LABELS[value]}
+						</label>
+					))}
+				</fieldset>
+
+				{rule === SPLIT_RULES.ranges && (
+					<label className="image-options-field">
+						Page ranges (1-{pageCount}), one file each
+						<input
+							className="modal-input"
+							type="text"
+							placeholder="e.g. 1-3, 4-6, 7"
+							value={ranges}
+							onChange={(event) => setRanges(event.target.value)}
+						/>
+					</label>
+				)}
+				{rule === SPLIT_RULES.everyN && (
+					<label className="image-options-field">
+						Pages per file
+						<input
+							className="modal-input"
+							type="number"
+							min="1"
+							max={pageCount}
+							value={pagesPerFile}
+							onChange={(event) => setPagesPerFile(event.target.value)}
+						/>
+					</label>
+				)}
+
+				<label className="image-options-field">
+					File names
+					<input
+						className="modal-input"
+						type="text"
+						value={template}
+						onChange={(event) => setTemplate(event.target.value)}
+					/>
+					<span className="split-hint">
+						{"{name}"}, {"{index}"}, {"{count}"}, {"{start}"}, {"{end}"} and {"{label}"} (imported
+						file or bookmark title)
+					</span>
+				</label>
+
+				{fileNames.length > 0 && (
+					<p className="split-hint">
+						{fileNames.length} file(s): {fileNames.slice(0, PREVIEW_LENGTH).join(", ")}
+						{fileNames.length > PREVIEW_LENGTH ? ", ..." : ""}
+					</p>
+				)}
+				{error && <p className="modal-error">{error}</p>}
+
+				<div className="modal-actions">
+					<button type="button" className="modal-button" onClick={onCancel}>
+						Cancel
+					</button>
+					<button type="submit" className="modal-button primary" disabled={Boolean(error)}>
+						Download ZIP
+					</button>
+				</div>
+			</form>
+		</div>
+	);
+}
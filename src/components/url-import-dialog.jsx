@@ -0,0 +1,52 @@
+import { useState } from "react";
+
+/**
+ * URL Import Dialog
+ *
+ * Asks for the link of a document to download and import. A failed download
+ * reopens the dialog with the previous URL and the reason it failed.
+ */
+export default function UrlImportDialog({ initialUrl, error, onSubmit, onCancel }) {
+	const [url, setUrl] = useState(initialUrl || "");
+
+	const handleSubmit = (event) => {
+		event.preventDefault();
+		if (url.trim()) {
+			onSubmit(url.trim());
+		}
+	};
+
+	return (
+		<div className="modal-backdrop">
+			<form
+				className="modal-dialog url-import-dialog"
+				role="dialog"
+				aria-modal="true"
+				onSubmit={handleSubmit}
+			>
+				<h2 className="modal-title">Import from URL</h2>
+				<p>
+					Enter the link to a PDF, Word document or image. The server must allow this site to
+					download the file.
+				</p>
+				<input
+					type="url"
+					className="modal-input"
+					placeholder="https://intranet.example.com/report.pdf"
+					value={url}
+					onChange={(event) => setUrl(event.target.value)}
+					aria-label="Document URL"
+				/>
+				{error && <p className="modal-error">{error}</p>}
+				<div className="modal-actions">
+					<button type="button" className="modal-button" onClick={onCancel}>
+						Cancel
+					</button>
+					<button type="submit" className="modal-button primary" disabled={!url.trim()}>
+						Import
+					</button>
+				</div>
+			</form>
+		</div>
+	);
+}
@@ -0,0 +1,17 @@
+/**
+ * Package Entry
+ *
+ * Public API of the embeddable Document Editor. Hosts render
+ * PdfViewerComponent and configure it through props; the helpers below
+ * build the values some of those props take. Import "style.css" from the
+ * package alongside, and load the Nutrient Web SDK script on the host page.
+ */
+
+export { default as PdfViewerComponent } from "./components/pdf-viewer-component.jsx";
+export { verifyAuditTrail } from "./utils/audit-trail";
+export {
+  DECORATOR_PRESETS,
+  DecoratorConfigError,
+  resolveDecoratorConfig,
+} from "./utils/signature-decorator";
+export { createWorkspace } from "./utils/workspace";
@@ -0,0 +1,405 @@
+/**
+ * Audit Trail
+ *
+ * Tamper-evident log of what happened to a document: imports, Document
+ * Editor operations, annotation and signature changes, and exports. Each
+ * entry records the user, the time and SHA-256 hashes of the document before
+ * and after, and carries the hash of the previous entry, so editing, removing
+ * or reordering entries breaks verification.
+ *
+ * Trails are stored in IndexedDB, one per document, and can be exported as
+ * JSON or CSV, or summarised on a certificate-of-completion page.
+ */
+
+import { htmlToPdf } from "./converters/canvas-pages";
+import { escapeHtml } from "./converters/markdown";
+import { openObjectStore } from "./idb-store";
+import { formatPageRange } from "./page-range";
+
+const encoder = new TextEncoder();
+
+/**
+ * What an entry records
+ */
+export const AUDIT_ACTIONS = {
+  documentOpen: "document.open",
+  documentImport: "document.import",
+  pagesChange: "pages.change",
+  pagesTransfer: "pages.transfer",
+  annotationCreate: "annotation.create",
+  annotationDelete: "annotation.delete",
+  signatureCreate: "signature.create",
+  signatureDelete: "signature.delete",
+  signatureCertify: "signature.certify",
+  documentExport: "document.export",
+};
+
+/**
+ * Previous hash of the first entry
+ */
+export const GENESIS_HASH = "0".repeat(64);
+
+/**
+ * Columns of the CSV export, in order
+ */
+export const AUDIT_CSV_COLUMNS = [
+  "sequence",
+  "timestamp",
+  "user",
+  "action",
+  "description",
+  "beforeHash",
+  "afterHash",
+  "previousHash",
+  "hash",
+  "details",
+];
+
+const store = openObjectStore({
+  databaseName: "document-editor:audit-trail",
+  storeName: "trails",
+  keyPath: "documentKey",
+});
+
+/**
+ * Load the trail of a document
+ * @param {string} documentKey - Identifies the document, see getDocumentKey
+ * @returns {Promise<Array<Object>>} Entries, oldest first
+ */
+export const loadAuditTrail = async (documentKey) =>
+  (await store.get(documentKey))?.entries ?? [];
+
+/**
+ * Store the trail of a document, replacing the stored one
+ * @param {string} documentKey - Identifies the document
+ * @param {Array<Object>} entries - Entries, oldest first
+ * @returns {Promise<void>}
+ */
+export const saveAuditTrail = (documentKey, entries) =>
+  store.put({ documentKey, entries });
+
+/**
+ * Compute the SHA-256 hash of some bytes
+ * @param {ArrayBuffer|Uint8Array} data - Bytes to hash
+ * @returns {Promise<string>} Lower-case hex digest
+ */
+export const hashBytes = async (data) =>
+  Array.from(
+    new Uint8Array(await crypto.subtle.digest("SHA-256", data)),
+    (byte) => byte.toString(16).padStart(2, "0"),
+  ).join("");
+
+/**
+ * Serialise a value as JSON with object keys sorted, so the same entry
+ * always hashes the same
+ * @param {*} value - JSON-compatible value
+ * @returns {string}
+ */
+const canonicalJson = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(",")}]`;
+  }
+  if (value && typeof value === "object") {
+    return `{${Object.keys(value)
+      .filter((key) => value[key] !== undefined)
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${canonicalJson(value[key])}`)
+      .join(",")}}`;
+  }
+  return JSON.stringify(value ?? null);
+};
+
+/**
+ * Hash an entry, without its own hash
+ * @param {Object} entry - Audit entry
+ * @returns {Promise<string>}
+ */
+const hashEntry = ({ hash, ...entry }) =>
+  hashBytes(encoder.encode(canonicalJson(entry)));
+
+/**
+ * Create the entry following the last one of a trail
+ * @param {Object|undefined} previous - Last entry of the trail
+ * @param {Object} event - What happened
+ * @param {string} event.action - One of AUDIT_ACTIONS
+ * @param {string} event.user - Who did it
+ * @param {Object} event.details - Action-specific details
+ * @param {string|null} event.beforeHash - Document hash before
+ * @param {string} event.afterHash - Document hash after
+ * @param {Date} [timestamp] - When it happened
+ * @returns {Promise<Object>} Entry, including its hash
+ */
+export const createAuditEntry = async (
+  previous,
+  { action, user, details, beforeHash, afterHash },
+  timestamp = new Date(),
+) => {
+  const entry = {
+    sequence: previous ? previous.sequence + 1 : 1,
+    timestamp: timestamp.toISOString(),
+    user,
+    action,
+    details,
+    beforeHash,
+    afterHash,
+    previousHash: previous?.hash ?? GENESIS_HASH,
+  };
+  return { ...entry, hash: await hashEntry(entry) };
+};
+
+/**
+ * Check that no entry was changed, removed, inserted or reordered
+ * @param {Array<Object>} entries - Entries, oldest first
+ * @returns {Promise<Object>} { isValid, brokenAt, reason } where brokenAt is
+ *   the sequence number of the first entry that fails
+ */
+export const verifyAuditTrail = async (entries) => {
+  let previousHash = GENESIS_HASH;
+  for (const [index, entry] of entries.entries()) {
+    const fail = (reason) => ({ isValid: false, brokenAt: index + 1, reason });
+    if (entry.sequence !== index + 1) {
+      return fail(`Entry ${index + 1} is numbered ${entry.sequence}`);
+    }
+    if (entry.previousHash !== previousHash) {
+      return fail(`Entry ${index + 1} does not follow the entry before it`);
+    }
+    if ((await hashEntry(entry)) !== entry.hash) {
+      return fail(`Entry ${index + 1} was modified`);
+    }
+    previousHash = entry.hash;
+  }
+  return { isValid: true, brokenAt: null, reason: null };
+};
+
+/**
+ * Keep the parts of a Document Editor operation worth recording; imported
+ * files and other binary data are left out
+ * @param {Object} operation - Nutrient document operation
+ * @returns {Object}
+ */
+export const summarizeOperation = ({
+  type,
+  pageIndexes,
+  afterPageIndex,
+  beforePageIndex,
+  rotateBy,
+}) =>
+  Object.fromEntries(
+    Object.entries({
+      type,
+      pageIndexes,
+      afterPageIndex,
+      beforePageIndex,
+      rotateBy,
+    }).filter(([, value]) => value !== undefined),
+  );
+
+/**
+ * Keep the parts of an import provenance record worth recording
+ * @param {Object} record - Provenance record, see createImportRecords
+ * @returns {Object}
+ */
+export const summarizeImportRecord = ({
+  fileName,
+  format,
+  converted,
+  sourcePages,
+  pageCount,
+}) => ({ fileName, format, converted, sourcePages, pageCount });
+
+/**
+ * Get the annotation type name, e.g. "Ink", from its most specific class
+ * @param {Object} annotation - Nutrient annotation
+ * @param {Object} NutrientViewer - Nutrient Web SDK class
+ * @returns {string}
+ */
+export const getAnnotationTypeName = (annotation, NutrientViewer) => {
+  const matches = Object.entries(NutrientViewer.Annotations).filter(
+    ([, Type]) => typeof Type === "function" && annotation instanceof Type,
+  );
+  const [name = "Annotation"] =
+    matches.find(([, Type]) =>
+      matches.every(
+        ([, Other]) => Other === Type || !(Other.prototype instanceof Type),
+      ),
+    ) ?? [];
+  return name.replace(/(.)Annotation$/, "$1");
+};
+
+/**
+ * Describe an operation for people
+ * @param {Object} operation - Summarised operation, see summarizeOperation
+ * @returns {string}
+ */
+const describeOperation = ({
+  type,
+  pageIndexes,
+  afterPageIndex,
+  beforePageIndex,
+  rotateBy,
+}) => {
+  const pages = pageIndexes ? ` on pages ${formatPageRange(pageIndexes)}` : "";
+  const position =
+    afterPageIndex !== undefined
+      ? ` after page ${afterPageIndex + 1}`
+      : beforePageIndex !== undefined
+        ? ` before page ${beforePageIndex + 1}`
+        : "";
+  const rotation = rotateBy !== undefined ? ` by ${rotateBy}°` : "";
+  return `${type}${pages}${position}${rotation}`;
+};
+
+/**
+ * Describe an entry in one line, for the panel, the CSV export and the
+ * certificate
+ * @param {Object} entry - Audit entry
+ * @returns {string}
+ */
+export const describeAuditEntry = ({ action, details }) => {
+  const listAnnotations = () =>
+    details.annotations
+      .map(({ type, pageIndex }) => `${type} on page ${pageIndex + 1}`)
+      .join(", ");
+
+  switch (action) {
+    case AUDIT_ACTIONS.documentOpen:
+      return `Opened ${details.documentName}${details.draftRestored ? " from a restored draft" : ""}`;
+    case AUDIT_ACTIONS.documentImport:
+      return `Imported ${details.files
+        .map(({ fileName, pageCount }) => `${fileName} (${pageCount} page(s))`)
+        .join(", ")}`;
+    case AUDIT_ACTIONS.pagesChange:
+      return `Changed pages: ${details.operations.map(describeOperation).join("; ")}`;
+    case AUDIT_ACTIONS.pagesTransfer:
+      return `${details.isMove ? "Moved" : "Copied"} pages ${formatPageRange(details.pageIndexes)} to ${details.target}`;
+    case AUDIT_ACTIONS.annotationCreate:
+      return `Added ${listAnnotations()}`;
+    case AUDIT_ACTIONS.annotationDelete:
+      return `Deleted ${listAnnotations()}`;
+    case AUDIT_ACTIONS.signatureCreate:
+      return `Signed ${details.fieldName ? `field "${details.fieldName}"` : "outside a signature field"} on page ${details.pageIndex + 1}`;
+    case AUDIT_ACTIONS.signatureDelete:
+      return `Deleted the signature of ${details.signerName} on page ${details.pageIndex + 1}`;
+    case AUDIT_ACTIONS.signatureCertify:
+      return `Digitally signed ${details.signatureCount} signature(s)`;
+    case AUDIT_ACTIONS.documentExport:
+      return `Exported ${details.fileName} (${details.kind})`;
+    default:
+      return action;
+  }
+};
+
+/**
+ * Format a trail as JSON
+ * @param {Array<Object>} entries - Entries, oldest first
+ * @param {Object} context - Export context
+ * @param {string} context.documentName - Name of the document
+ * @param {Object} context.verification - Result of verifyAuditTrail
+ * @returns {string}
+ */
+export const formatAuditTrailJson = (entries, { documentName, verification }) =>
+  JSON.stringify(
+    {
+      documentName,
+      exportedAt: new Date().toISOString(),
+      verification,
+      entries,
+    },
+    null,
+    2,
+  );
+
+/**
+ * Quote a CSV field when it needs it
+ * @param {*} value - Field value
+ * @returns {string}
+ */
+const csvField = (value) => {
+  const text = String(value ?? "");
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Format a trail as CSV, one row per entry, with the details as JSON
+ * @param {Array<Object>} entries - Entries, oldest first
+ * @returns {string}
+ */
+export const formatAuditTrailCsv = (entries) =>
+  [
+    AUDIT_CSV_COLUMNS.join(","),
+    ...entries.map((entry) =>
+      AUDIT_CSV_COLUMNS.map((column) => {
+        if (column === "description") {
+          return csvField(describeAuditEntry(entry));
+        }
+        if (column === "details") {
+          return csvField(JSON.stringify(entry.details));
+        }
+        return csvField(entry[column]);
+      }).join(","),
+    ),
+  ].join("\r\n");
+
+/**
+ * Summarise a verification result. A trail that could not be loaded has no
+ * entry to blame, unlike a broken hash chain.
+ * @param {Object} verification - Result of verifyAuditTrail, or a load failure
+ *   with brokenAt null
+ * @param {number} entryCount - Entries in the trail
+ * @returns {string}
+ */
+const describeVerification = (verification, entryCount) => {
+  if (verification.isValid) {
+    return `${entryCount} entries, hash chain intact`;
+  }
+  if (verification.brokenAt === null) {
+    return `COULD NOT BE LOADED: ${verification.reason}`;
+  }
+  return `BROKEN at entry ${verification.brokenAt}: ${verification.reason}`;
+};
+
+/**
+ * Render a certificate of completion: the document, its final hash, whether
+ * the trail verifies, and every entry
+ * @param {Array<Object>} entries - Entries, oldest first
+ * @param {Object} context - Certificate context
+ * @param {string} context.documentName - Name of the document
+ * @param {Object} context.verification - Result of verifyAuditTrail
+ * @param {string} context.user - Who generated the certificate
+ * @returns {Promise<Uint8Array>} PDF bytes, one or more pages
+ */
+export const createCertificatePdf = (
+  entries,
+  { documentName, verification, user },
+) => {
+  const last = entries[entries.length - 1];
+  const signers = [
+    ...new Set(
+      entries
+        .filter(({ action }) => action === AUDIT_ACTIONS.signatureCreate)
+        .map(({ user: signer }) => signer),
+    ),
+  ];
+  const rows = entries
+    .map(
+      (entry) =>
+        `<tr><td>${entry.sequence}</td><td>${escapeHtml(new Date(entry.timestamp).toLocaleString())}</td><td>${escapeHtml(entry.user)}</td><td>${escapeHtml(describeAuditEntry(entry))}</td><td><code>${entry.hash.slice(0, 12)}</code></td></tr>`,
+    )
+    .join("");
+
+  return htmlToPdf(`
+    <h1>Certificate of Completion</h1>
+    <p>
+      <strong>Document:</strong> ${escapeHtml(documentName)}<br />
+      <strong>Final document hash (SHA-256):</strong> <code>${last?.afterHash ?? "-"}</code><br />
+      <strong>Audit trail head:</strong> <code>${last?.hash ?? GENESIS_HASH}</code><br />
+      <strong>Signers:</strong> ${escapeHtml(signers.join(", ") || "None")}<br />
+      <strong>Audit trail:</strong> ${escapeHtml(describeVerification(verification, entries.length))}<br />
+      <strong>Generated:</strong> ${escapeHtml(new Date().toLocaleString())} by ${escapeHtml(user)}
+    </p>
+    <table>
+      <thead><tr><th>#</th><th>Time</th><th>User</th><th>Event</th><th>Hash</th></tr></thead>
+      <tbody>${rows}</tbody>
+    </table>
+  `);
+};
@@ -0,0 +1,73 @@
+import { beforeEach, describe, expect, it, vi } from "vitest";
+import {
+  AUDIT_ACTIONS,
+  createAuditEntry,
+  createCertificatePdf,
+  verifyAuditTrail,
+} from "./audit-trail";
+import { htmlToPdf } from "./converters/canvas-pages";
+
+// Rendering needs a canvas; the tests read the certificate's HTML instead
+vi.mock("./converters/canvas-pages", () => ({
+  htmlToPdf: vi.fn(async () => new Uint8Array()),
+}));
+
+const context = { documentName: "contract.pdf", user: "Jane Doe" };
+
+/**
+ * Render a certificate and return the HTML it was rendered from
+ */
+const renderCertificate = async (entries, verification) => {
+  await createCertificatePdf(entries, { ...context, verification });
+  return htmlToPdf.mock.lastCall[0];
+};
+
+/**
+ * Trail of two entries, the second one edited after it was written
+ */
+const createTamperedTrail = async () => {
+  const first = await createAuditEntry(undefined, {
+    action: AUDIT_ACTIONS.documentOpen,
+    user: "Jane Doe",
+    details: {},
+    beforeHash: null,
+    afterHash: "a".repeat(64),
+  });
+  const second = await createAuditEntry(first, {
+    action: AUDIT_ACTIONS.documentExport,
+    user: "Jane Doe",
+    details: { fileName: "contract.pdf", kind: "PDF" },
+    beforeHash: "a".repeat(64),
+    afterHash: "a".repeat(64),
+  });
+  return [first, { ...second, user: "Mallory" }];
+};
+
+describe("createCertificatePdf", () => {
+  beforeEach(() => {
+    htmlToPdf.mockClear();
+  });
+
+  it("says when the trail could not be loaded", async () => {
+    const html = await renderCertificate([], {
+      isValid: false,
+      brokenAt: null,
+      reason: "The stored audit trail could not be read",
+    });
+
+    expect(html).toContain(
+      "COULD NOT BE LOADED: The stored audit trail could not be read",
+    );
+    expect(html).not.toContain("entry null");
+  });
+
+  it("names the entry where the hash chain breaks", async () => {
+    const entries = await createTamperedTrail();
+    const html = await renderCertificate(
+      entries,
+      await verifyAuditTrail(entries),
+    );
+
+    expect(html).toContain("BROKEN at entry 2: Entry 2 was modified");
+  });
+});
@@ -0,0 +1,59 @@
+/**
+ * Autosave
+ *
+ * Unsaved work is kept as a draft in IndexedDB, one per document, so it
+ * survives a closed tab or a crash. A draft is the working PDF as exported by
+ * Nutrient, which includes every pending page and annotation change.
+ */
+
+import { openObjectStore } from "./idb-store";
+
+/**
+ * Time between autosaves of a changed document, in milliseconds
+ */
+export const AUTOSAVE_INTERVAL = 15000;
+
+const store = openObjectStore({
+  databaseName: "document-editor:autosave",
+  storeName: "drafts",
+  keyPath: "documentKey",
+});
+
+/**
+ * Load the draft of a document
+ * @param {string} documentKey - Identifies the document, see getDocumentKey
+ * @returns {Promise<Object|null>} { documentKey, documentName, pdf, savedAt }
+ */
+export const loadDraft = async (documentKey) =>
+  (await store.get(documentKey)) ?? null;
+
+/**
+ * Store a document's working PDF as its draft, replacing the previous one
+ * @param {string} documentKey - Identifies the document
+ * @param {string} documentName - File name shown when offering recovery
+ * @param {ArrayBuffer} pdf - Working PDF
+ * @returns {Promise<string>} Time of the save, ISO 8601
+ */
+export const saveDraft = async (documentKey, documentName, pdf) => {
+  const savedAt = new Date().toISOString();
+  await store.put({ documentKey, documentName, pdf, savedAt });
+  return savedAt;
+};
+
+/**
+ * Delete a document's draft, once it was saved or discarded
+ * @param {string} documentKey - Identifies the document
+ * @returns {Promise<void>}
+ */
+export const deleteDraft = (documentKey) => store.delete(documentKey);
+
+/**
+ * Derive a stable key for a document. Object URLs change every time a file
+ * is opened, so files are identified by name, size and modification time.
+ * @param {string|File} source - Document URL or opened file
+ * @returns {string}
+ */
+export const getDocumentKey = (source) =>
+  source instanceof File
+    ? `file:${source.name}:${source.size}:${source.lastModified}`
+    : `url:${source}`;
@@ -0,0 +1,352 @@
+/**
+ * Conversion Pool
+ *
+ * Runs headless Nutrient jobs (conversion, unlocking, inspection) on a small,
+ * bounded set of headless instances that stay loaded between jobs. Jobs load
+ * their document into the instance of a free slot. Read-only jobs, which
+ * only inspect or render pages, may instead have their document swapped into
+ * the loaded instance with Document Editor operations, which is faster.
+ * Nutrient 1.8 has no public API to replace a loaded document, and the swap
+ * keeps the previous document's metadata, outline, form fields, attachments
+ * and page labels, so jobs whose result is exported always load. Instances
+ * are only unloaded when they fail, are replaced or the pool is disposed.
+ * Jobs beyond the pool size wait in a queue, can be cancelled with an
+ * AbortSignal, and report timing metrics.
+ *
+ * @example
+ * const pool = createConversionPool({ NutrientViewer, licenseKey, size: 2 });
+ * const pdf = await pool.run(
+ *   { label: file.name, source: await file.arrayBuffer() },
+ *   (instance) => instance.exportPDF(),
+ *   { signal },
+ * );
+ * pool.dispose();
+ */
+
+/**
+ * Default number of headless instances allowed to run at the same time
+ */
+export const DEFAULT_POOL_SIZE = 2;
+
+/**
+ * Create the error used for cancelled jobs
+ * @param {string} message - Error message
+ * @returns {DOMException}
+ */
+export const createAbortError = (message = "The conversion was cancelled") =>
+  new DOMException(message, "AbortError");
+
+/**
+ * Check whether an error comes from a cancelled job
+ * @param {*} error - Error to check
+ * @returns {boolean}
+ */
+export const isAbortError = (error) => error?.name === "AbortError";
+
+/**
+ * Check whether an error comes from loading an encrypted PDF with a wrong or
+ * missing password. Headless loads do not prompt, so Nutrient rejects them
+ * with this message.
+ * @param {*} error - Error to check
+ * @returns {boolean}
+ */
+export const isPasswordError = (error) => error?.message === "INVALID_PASSWORD";
+
+/**
+ * Create a hidden container for a headless instance
+ * @returns {HTMLDivElement}
+ */
+const createHiddenContainer = () => {
+  const container = document.createElement("div");
+  container.style.display = "none";
+  document.body.appendChild(container);
+  return container;
+};
+
+/**
+ * Replace the pages of a loaded headless instance with those of another
+ * document: the new pages are appended, then the old ones removed, in one
+ * operation batch. Document-level data of the old document stays.
+ * @param {Object} instance - Loaded headless instance
+ * @param {ArrayBuffer} source - Document bytes
+ * @returns {Promise<void>}
+ * @throws {Error} - When Nutrient cannot import the source; the instance may
+ *   then be left in any state
+ */
+const swapDocument = (instance, source) => {
+  const pageCount = instance.totalPageCount;
+  return instance.applyOperations([
+    {
+      type: "importDocument",
+      afterPageIndex: pageCount - 1,
+      document: new Blob([source]),
+      treatImportedDocumentAsOnePage: false,
+    },
+    {
+      type: "removePages",
+      pageIndexes: Array.from({ length: pageCount }, (_, index) => index),
+    },
+  ]);
+};
+
+/**
+ * Create a conversion pool
+ * @param {Object} options - Pool options
+ * @param {Object} options.NutrientViewer - Nutrient Web SDK class
+ * @param {string} options.licenseKey - Nutrient license key
+ * @param {number} [options.size] - Maximum number of concurrent headless instances
+ * @param {Function} [options.onMetric] - Called with each job's timing metric
+ * @returns {Object} Pool API: run, cancelAll, getMetrics, dispose
+ */
+export const createConversionPool = ({
+  NutrientViewer,
+  licenseKey,
+  size = DEFAULT_POOL_SIZE,
+  onMetric,
+}) => {
+  const slots = Array.from({ length: size }, () => ({
+    container: null,
+    instance: null,
+    task: null,
+  }));
+  const pending = [];
+  const metrics = [];
+  let nextTaskId = 1;
+  let disposed = false;
+
+  // Loading the worker and WASM runtime up front makes the first conversion
+  // as fast as the following ones. Not every SDK build exposes it.
+  try {
+    NutrientViewer.preloadWorker?.({ licenseKey });
+  } catch {
+    // Preloading is an optimisation only
+  }
+
+  /**
+   * Record the timing metric for a finished job
+   * @param {Object} task - Pool task
+   * @param {string} status - "done", "failed" or "cancelled"
+   */
+  const recordMetric = (task, status) => {
+    const finishedAt = performance.now();
+    const startedAt = task.startedAt ?? finishedAt;
+    const metric = {
+      id: task.id,
+      label: task.label,
+      status,
+      waitMs: Math.round(startedAt - task.queuedAt),
+      durationMs: Math.round(finishedAt - startedAt),
+      reused: task.reused,
+    };
+    metrics.push(metric);
+    onMetric?.(metric);
+  };
+
+  /**
+   * Settle a task once; later results of a cancelled task are ignored
+   * @param {Object} task - Pool task
+   * @param {string} status - Metric status
+   * @param {Function} settle - resolve or reject
+   * @param {*} value - Settled value or error
+   */
+  const settleTask = (task, status, settle, value) => {
+    if (task.settled) {
+      return;
+    }
+    task.settled = true;
+    recordMetric(task, status);
+    settle(value);
+  };
+
+  /**
+   * Unload a slot's headless instance, if any
+   * @param {Object} slot - Pool slot
+   * @returns {Promise<void>}
+   */
+  const unloadSlot = async (slot) => {
+    const { instance } = slot;
+    if (!instance) {
+      return;
+    }
+    slot.instance = null;
+    try {
+      await NutrientViewer.unload(instance);
+    } catch {
+      // Already unloaded
+    }
+  };
+
+  /**
+   * Get a slot's instance showing a task's document: the loaded instance with
+   * the document swapped in, or a newly loaded one
+   * @param {Object} slot - Pool slot
+   * @param {Object} task - Pool task
+   * @returns {Promise<Object>} Headless instance
+   */
+  const loadTaskDocument = async (slot, task) => {
+    // Document Editor imports take no password
+    if (slot.instance && task.readOnly && task.password === undefined) {
+      try {
+        await swapDocument(slot.instance, task.source);
+        task.reused = true;
+        return slot.instance;
+      } catch {
+        // This source needs a fresh load
+      }
+    }
+
+    await unloadSlot(slot);
+    slot.container ??= createHiddenContainer();
+    slot.instance = await NutrientViewer.load({
+      headless: true,
+      container: slot.container,
+      document: task.source,
+      licenseKey,
+      ...(task.password !== undefined ? { password: task.password } : {}),
+    });
+    return slot.instance;
+  };
+
+  /**
+   * Run a task on a free slot and start the next queued task afterwards.
+   * The slot's instance stays loaded for the next task unless the task fails.
+   * @param {Object} slot - Pool slot
+   * @param {Object} task - Pool task
+   */
+  const execute = async (slot, task) => {
+    slot.task = task;
+    task.startedAt = performance.now();
+
+    try {
+      const instance = await loadTaskDocument(slot, task);
+      if (!task.settled) {
+        const result = await task.callback(instance);
+        settleTask(task, "done", task.resolve, result);
+      }
+    } catch (error) {
+      await unloadSlot(slot);
+      settleTask(task, "failed", task.reject, error);
+    } finally {
+      slot.task = null;
+      // Loading may have finished after the pool was disposed
+      if (disposed) {
+        await unloadSlot(slot);
+      }
+      schedule();
+    }
+  };
+
+  /**
+   * Hand queued tasks to free slots
+   */
+  const schedule = () => {
+    if (disposed) {
+      return;
+    }
+    for (const slot of slots) {
+      if (!slot.task && pending.length > 0) {
+        execute(slot, pending.shift());
+      }
+    }
+  };
+
+  /**
+   * Queue a headless job
+   * @param {Object} job - Job description
+   * @param {string} job.label - Name used in metrics (usually the file name)
+   * @param {ArrayBuffer} job.source - Document bytes to load
+   * @param {string} [job.password] - Password for encrypted PDFs
+   * @param {boolean} [job.readOnly] - The callback only reads or renders
+   *   pages and exports nothing, so the pages may be swapped into a loaded
+   *   instance; never set it for callbacks reading document-level data
+   * @param {Function} callback - Async callback receiving the headless instance
+   * @param {Object} [options] - Run options
+   * @param {AbortSignal} [options.signal] - Cancels the job when aborted
+   * @returns {Promise<*>} Whatever the callback resolves to
+   */
+  const run = (job, callback, { signal } = {}) => {
+    if (disposed) {
+      return Promise.reject(
+        createAbortError("The conversion pool was disposed"),
+      );
+    }
+    if (signal?.aborted) {
+      return Promise.reject(createAbortError());
+    }
+
+    return new Promise((resolve, reject) => {
+      const task = {
+        id: nextTaskId++,
+        label: job.label,
+        source: job.source,
+        password: job.password,
+        readOnly: Boolean(job.readOnly),
+        callback,
+        resolve,
+        reject,
+        settled: false,
+        queuedAt: performance.now(),
+        startedAt: null,
+        reused: false,
+      };
+
+      // Queued jobs are dropped; running jobs reject right away and their
+      // instance is handed to the next job once loading completes
+      signal?.addEventListener(
+        "abort",
+        () => {
+          const index = pending.indexOf(task);
+          if (index !== -1) {
+            pending.splice(index, 1);
+          }
+          settleTask(task, "cancelled", reject, createAbortError());
+        },
+        { once: true },
+      );
+
+      pending.push(task);
+      schedule();
+    });
+  };
+
+  /**
+   * Cancel every queued and running job
+   */
+  const cancelAll = () => {
+    for (const task of pending.splice(0)) {
+      settleTask(task, "cancelled", task.reject, createAbortError());
+    }
+    for (const { task } of slots) {
+      if (task) {
+        settleTask(task, "cancelled", task.reject, createAbortError());
+      }
+    }
+  };
+
+  /**
+   * Cancel all jobs, unload every headless instance and remove the hidden
+   * containers. The pool cannot be used afterwards.
+   * @returns {Promise<void>}
+   */
+  const dispose = async () => {
+    cancelAll();
+    disposed = true;
+    await Promise.all(
+      slots.map(async (slot) => {
+        if (!slot.container) {
+          return;
+        }
+        await unloadSlot(slot);
+        slot.container.remove();
+        slot.container = null;
+      }),
+    );
+  };
+
+  return {
+    run,
+    cancelAll,
+    dispose,
+    getMetrics: () => [...metrics],
+  };
+};
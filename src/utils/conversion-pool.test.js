@@ -0,0 +1,152 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { createConversionPool } from "./conversion-pool";
+
+/**
+ * Document-level data of the fake documents, by source
+ */
+const documents = new Map();
+
+/**
+ * Create a fake document source
+ * @param {Object} [data] - { formFields, outline } of the document
+ * @returns {ArrayBuffer}
+ */
+const createSource = (data = {}) => {
+  const source = new Uint8Array([37, 80, 68, 70]).buffer;
+  documents.set(source, { formFields: [], outline: [], ...data });
+  return source;
+};
+
+/**
+ * Fake Nutrient Web SDK. Like Nutrient, a swap replaces the pages of an
+ * instance but keeps its form fields and outline. Empty sources cannot be
+ * swapped in, like the formats Nutrient only converts on load.
+ */
+const createNutrientViewer = () => ({
+  load: vi.fn(async ({ document }) => {
+    const { formFields = [], outline = [] } = documents.get(document) ?? {};
+    const instance = {
+      pages: document,
+      formFields: [...formFields],
+      outline: [...outline],
+      totalPageCount: 1,
+      applyOperations: vi.fn(async ([importOperation]) => {
+        if (importOperation.document.size === 0) {
+          throw new Error("Not a PDF");
+        }
+        instance.pages = importOperation.document;
+      }),
+      getFormFields: async () => instance.formFields,
+      getDocumentOutline: async () => instance.outline,
+    };
+    return instance;
+  }),
+  unload: vi.fn(async () => true),
+});
+
+/**
+ * Pool with a single instance, so every job lands on the same one
+ */
+const createPool = (NutrientViewer) =>
+  createConversionPool({ NutrientViewer, licenseKey: "", size: 1 });
+
+const readDocumentData = async (instance) => ({
+  formFields: await instance.getFormFields(),
+  outline: await instance.getDocumentOutline(),
+});
+
+describe("createConversionPool", () => {
+  beforeEach(() => {
+    vi.stubGlobal("document", {
+      createElement: () => ({ style: {}, remove: () => {} }),
+      body: { appendChild: () => {} },
+    });
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it("does not carry form fields or outline into the next job", async () => {
+    const NutrientViewer = createNutrientViewer();
+    const pool = createPool(NutrientViewer);
+    const form = createSource({
+      formFields: ["Signature1"],
+      outline: ["Chapter 1"],
+    });
+
+    await pool.run({ label: "form.pdf", source: form }, readDocumentData);
+    const next = await pool.run(
+      { label: "plain.pdf", source: createSource() },
+      readDocumentData,
+    );
+
+    expect(next).toEqual({ formFields: [], outline: [] });
+    await pool.dispose();
+  });
+
+  it("swaps pages into the loaded instance for read-only jobs", async () => {
+    const NutrientViewer = createNutrientViewer();
+    const pool = createPool(NutrientViewer);
+
+    const instances = await Promise.all(
+      ["a.pdf", "b.pdf", "c.pdf"].map((label) =>
+        pool.run(
+          { label, source: createSource(), readOnly: true },
+          async (instance) => instance,
+        ),
+      ),
+    );
+
+    expect(NutrientViewer.load).toHaveBeenCalledTimes(1);
+    expect(NutrientViewer.unload).not.toHaveBeenCalled();
+    expect(new Set(instances).size).toBe(1);
+    expect(instances[0].applyOperations).toHaveBeenCalledTimes(2);
+    expect(pool.getMetrics().map(({ reused }) => reused)).toEqual([
+      false,
+      true,
+      true,
+    ]);
+
+    await pool.dispose();
+    expect(NutrientViewer.unload).toHaveBeenCalledTimes(1);
+  });
+
+  it("loads read-only jobs whose source cannot be swapped in", async () => {
+    const NutrientViewer = createNutrientViewer();
+    const pool = createPool(NutrientViewer);
+    const docx = new ArrayBuffer(0);
+    const getPages = async (instance) => instance.pages;
+
+    await pool.run(
+      { label: "a.pdf", source: createSource(), readOnly: true },
+      getPages,
+    );
+    const converted = await pool.run(
+      { label: "b.docx", source: docx, readOnly: true },
+      getPages,
+    );
+
+    expect(converted).toBe(docx);
+
+    expect(NutrientViewer.load).toHaveBeenCalledTimes(2);
+    expect(NutrientViewer.unload).toHaveBeenCalledTimes(1);
+    await pool.dispose();
+  });
+
+  it("unloads an instance whose job fails", async () => {
+    const NutrientViewer = createNutrientViewer();
+    const pool = createPool(NutrientViewer);
+
+    await expect(
+      pool.run({ label: "a.pdf", source: createSource() }, async () => {
+        throw new Error("Export failed");
+      }),
+    ).rejects.toThrow("Export failed");
+    expect(NutrientViewer.unload).toHaveBeenCalledTimes(1);
+
+    await pool.run({ label: "b.pdf", source: createSource() }, async () => {});
+    expect(NutrientViewer.load).toHaveBeenCalledTimes(2);
+    await pool.dispose();
+  });
+});
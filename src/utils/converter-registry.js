@@ -0,0 +1,130 @@
+/**
+ * Converter Registry
+ *
+ * Keeps track of the converters that can turn an imported file into PDF
+ * bytes. Each converter declares what it accepts (extensions, MIME types and
+ * magic bytes) and how to convert, so new formats can be added without
+ * touching the import pipeline.
+ *
+ * @example
+ * registry.register({
+ *   id: "text",
+ *   label: "Plain text",
+ *   extensions: [".txt"],
+ *   mimeTypes: ["text/plain"],
+ *   convert: async (file, { signal }) => pdfBytes,
+ * });
+ */
+
+import { hasSignature } from "./file-signatures";
+
+/**
+ * Number of leading bytes read from a file to match magic numbers
+ */
+export const FILE_HEADER_LENGTH = 16;
+
+/**
+ * Read the first bytes of a file
+ * @param {Blob} file - File to read
+ * @param {number} length - Number of bytes to read
+ * @returns {Promise<Uint8Array>}
+ */
+export const readFileHeader = async (file, length = FILE_HEADER_LENGTH) =>
+  new Uint8Array(await file.slice(0, length).arrayBuffer());
+
+/**
+ * Get the lower-cased extension of a file name, including the dot
+ * @param {string} fileName - File name
+ * @returns {string} Extension such as ".pdf", or "" when there is none
+ */
+export const getFileExtension = (fileName) => {
+  const dotIndex = fileName.lastIndexOf(".");
+  return dotIndex > 0 ? fileName.slice(dotIndex).toLowerCase() : "";
+};
+
+/**
+ * Check whether a file header matches one of a converter's magic signatures
+ * @param {Uint8Array} header - Leading file bytes
+ * @param {Array<Object>} signatures - { offset, bytes } signatures
+ * @returns {boolean}
+ */
+export const matchesMagic = (header, signatures = []) =>
+  signatures.some((signature) => hasSignature(header, signature));
+
+/**
+ * Create a converter registry
+ * @param {Array<Object>} converters - Initial converters, in priority order
+ * @returns {Object} Registry API
+ */
+export const createConverterRegistry = (converters = []) => {
+  const entries = [];
+
+  /**
+   * Register a converter
+   * @param {Object} converter - Converter definition
+   * @param {string} converter.id - Unique identifier
+   * @param {string} converter.label - Human readable format name
+   * @param {Array<string>} converter.extensions - Accepted extensions, e.g. [".png"]
+   * @param {Array<string>} converter.mimeTypes - Accepted MIME types
+   * @param {Array<Object>} [converter.magic] - Magic byte signatures { offset, bytes }
+   * @param {boolean} [converter.passthrough] - True when the input already is PDF
+   * @param {Function} converter.convert - Async (file, { signal, imageOptions }) => PDF bytes
+   */
+  const register = (converter) => {
+    if (entries.some(({ id }) => id === converter.id)) {
+      throw new Error(`Converter "${converter.id}" is already registered`);
+    }
+    entries.push({ magic: [], passthrough: false, ...converter });
+  };
+
+  /**
+   * Find the converter for a file. Magic bytes win over the declared MIME
+   * type, which wins over the file extension.
+   * @param {File} file - File to convert
+   * @param {Uint8Array} [header] - Leading file bytes, see readFileHeader
+   * @returns {Object|null} Matching converter
+   */
+  const findConverter = (file, header) => {
+    const extension = getFileExtension(file.name);
+    return (
+      (header && entries.find(({ magic }) => matchesMagic(header, magic))) ||
+      entries.find(({ mimeTypes }) => mimeTypes.includes(file.type)) ||
+      entries.find(({ extensions }) => extensions.includes(extension)) ||
+      null
+    );
+  };
+
+  /**
+   * Check if a MIME type is accepted by any converter
+   * @param {string} mimeType - MIME type
+   * @returns {boolean}
+   */
+  const isSupportedMimeType = (mimeType) =>
+    entries.some(({ mimeTypes }) => mimeTypes.includes(mimeType));
+
+  /**
+   * Build the file picker accept string from all registered converters
+   * @returns {string} e.g. ".pdf,.docx,application/pdf,..."
+   */
+  const getAcceptString = () =>
+    [
+      ...new Set(
+        entries.flatMap(({ extensions, mimeTypes }) => [
+          ...extensions,
+          ...mimeTypes,
+        ]),
+      ),
+    ].join(",");
+
+  for (const converter of converters) {
+    register(converter);
+  }
+
+  return {
+    register,
+    findConverter,
+    isSupportedMimeType,
+    getAcceptString,
+    getConverters: () => [...entries],
+  };
+};
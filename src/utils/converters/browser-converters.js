@@ -0,0 +1,181 @@
+/**
+ * In-Browser Converters
+ *
+ * Converters that need neither Nutrient nor a server: text-like formats are
+ * rendered as HTML and paginated, image formats are rasterised onto a page
+ * following the image import options.
+ */
+
+import { MAGIC } from "../file-signatures";
+import { htmlToPdf, imageToPdf } from "./canvas-pages";
+import { escapeHtml, markdownToHtml } from "./markdown";
+
+/**
+ * Elements removed from HTML snippets before rendering
+ */
+const UNSAFE_HTML_ELEMENTS = "script, iframe, object, embed, link, meta, base, form";
+
+/**
+ * Strip scripts, event handlers and external resources from an HTML snippet
+ * @param {string} html - Untrusted HTML
+ * @returns {string} Sanitised HTML body content
+ */
+export const sanitizeHtml = (html) => {
+  const parsed = new DOMParser().parseFromString(html, "text/html");
+
+  for (const element of parsed.body.querySelectorAll(UNSAFE_HTML_ELEMENTS)) {
+    element.remove();
+  }
+  for (const element of parsed.body.querySelectorAll("*")) {
+    for (const { name, value } of Array.from(element.attributes)) {
+      const isHandler = name.toLowerCase().startsWith("on");
+      const isExternal =
+        ["src", "href", "srcset"].includes(name.toLowerCase()) &&
+        !value.trim().startsWith("data:");
+      if (isHandler || isExternal) {
+        element.removeAttribute(name);
+      }
+    }
+  }
+
+  const styles = Array.from(parsed.head.querySelectorAll("style"))
+    .map((style) => style.outerHTML)
+    .join("");
+  return styles + parsed.body.innerHTML;
+};
+
+/**
+ * Parse CSV text into rows, honouring quoted fields and escaped quotes
+ * @param {string} text - CSV source
+ * @returns {Array<Array<string>>}
+ */
+export const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let inQuotes = false;
+
+  for (let index = 0; index < text.length; index++) {
+    const char = text[index];
+
+    if (inQuotes) {
+      if (char === '"' && text[index + 1] === '"') {
+        field += '"';
+        index++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ",") {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[index + 1] === "\n") {
+        index++;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== "" || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows;
+};
+
+/**
+ * Render CSV rows as an HTML table, using the first row as header
+ * @param {Array<Array<string>>} rows - Parsed CSV rows
+ * @returns {string} HTML
+ */
+const csvRowsToHtml = ([header = [], ...body]) => {
+  const cells = (row, tag) =>
+    row.map((cell) => `<${tag}>${escapeHtml(cell)}</${tag}>`).join("");
+  return `<table><thead><tr>${cells(header, "th")}</tr></thead><tbody>${body
+    .map((row) => `<tr>${cells(row, "td")}</tr>`)
+    .join("")}</tbody></table>`;
+};
+
+/**
+ * Converters for text-like formats
+ */
+export const textConverters = [
+  {
+    id: "text",
+    label: "Plain text",
+    extensions: [".txt", ".log"],
+    mimeTypes: ["text/plain"],
+    convert: async (file) =>
+      htmlToPdf(`<pre>${escapeHtml(await file.text())}</pre>`),
+  },
+  {
+    id: "markdown",
+    label: "Markdown",
+    extensions: [".md", ".markdown"],
+    mimeTypes: ["text/markdown", "text/x-markdown"],
+    convert: async (file) => htmlToPdf(markdownToHtml(await file.text())),
+  },
+  {
+    id: "html",
+    label: "HTML snippet",
+    extensions: [".html", ".htm"],
+    mimeTypes: ["text/html"],
+    convert: async (file) => htmlToPdf(sanitizeHtml(await file.text())),
+  },
+  {
+    id: "csv",
+    label: "CSV table",
+    extensions: [".csv"],
+    mimeTypes: ["text/csv"],
+    convert: async (file) =>
+      htmlToPdf(csvRowsToHtml(parseCsv(await file.text()))),
+  },
+];
+
+/**
+ * Converters for image formats the browser can decode but Nutrient does not
+ * import directly; each image is rasterised onto one page
+ */
+export const rasterConverters = [
+  {
+    id: "svg",
+    label: "SVG image",
+    extensions: [".svg"],
+    mimeTypes: ["image/svg+xml"],
+    convert: (file, { imageOptions } = {}) =>
+      imageToPdf(new Blob([file], { type: "image/svg+xml" }), imageOptions),
+  },
+  {
+    id: "gif",
+    label: "GIF image",
+    extensions: [".gif"],
+    mimeTypes: ["image/gif"],
+    magic: [MAGIC.gif],
+    convert: (file, { imageOptions } = {}) => imageToPdf(file, imageOptions),
+  },
+  {
+    id: "bmp",
+    label: "BMP image",
+    extensions: [".bmp"],
+    mimeTypes: ["image/bmp"],
+    magic: [MAGIC.bmp],
+    convert: (file, { imageOptions } = {}) => imageToPdf(file, imageOptions),
+  },
+  {
+    id: "webp",
+    label: "WebP image",
+    extensions: [".webp"],
+    mimeTypes: ["image/webp"],
+    magic: [MAGIC.webp],
+    convert: (file, { imageOptions } = {}) => imageToPdf(file, imageOptions),
+  },
+];
@@ -0,0 +1,250 @@
+/**
+ * Canvas Page Rendering
+ *
+ * Rasterises images and HTML into page images with a canvas, then writes them
+ * into a PDF with the minimal PDF writer. Used by the in-browser converters.
+ */
+
+import {
+  computeImageLayout,
+  normalizeImageImportOptions,
+} from "../image-import-options";
+import { createPdfFromImages, PAGE_SIZES } from "../pdf-writer";
+
+/**
+ * Default layout for rasterised pages
+ */
+export const CANVAS_PAGE_DEFAULTS = {
+  pageSize: PAGE_SIZES.a4,
+  margin: 48, // points
+  renderScale: 2, // pixels per point (144 DPI)
+  jpegQuality: 0.92,
+  fallbackImageSize: { width: 800, height: 600 },
+};
+
+/**
+ * Stylesheet applied to HTML-based content (text, Markdown, HTML, CSV)
+ */
+export const CONTENT_STYLESHEET = `
+  .converted-content {
+    font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+    font-size: 11px;
+    line-height: 1.45;
+    color: #111827;
+    word-wrap: break-word;
+  }
+  .converted-content h1, .converted-content h2, .converted-content h3 { margin: 0.8em 0 0.4em; }
+  .converted-content p, .converted-content ul, .converted-content ol,
+  .converted-content blockquote, .converted-content table { margin: 0 0 0.7em; }
+  .converted-content ul, .converted-content ol { padding-left: 1.5em; }
+  .converted-content blockquote { padding-left: 0.8em; border-left: 3px solid #d1d5db; color: #4b5563; }
+  .converted-content pre { font-family: Menlo, Consolas, monospace; font-size: 10px; white-space: pre-wrap; }
+  .converted-content code { font-family: Menlo, Consolas, monospace; }
+  .converted-content table { border-collapse: collapse; width: 100%; }
+  .converted-content th, .converted-content td { border: 1px solid #9ca3af; padding: 2px 4px; text-align: left; }
+  .converted-content th { background: #f3f4f6; }
+  .converted-content img { max-width: 100%; }
+`;
+
+/**
+ * Load an image from a Blob or URL
+ * @param {Blob|string} source - Image blob or URL
+ * @returns {Promise<HTMLImageElement>}
+ */
+export const loadImage = (source) =>
+  new Promise((resolve, reject) => {
+    const objectUrl =
+      typeof source === "string" ? null : URL.createObjectURL(source);
+    const image = new Image();
+    image.onload = () => {
+      if (objectUrl) URL.revokeObjectURL(objectUrl);
+      resolve(image);
+    };
+    image.onerror = () => {
+      if (objectUrl) URL.revokeObjectURL(objectUrl);
+      reject(new Error("The image could not be decoded"));
+    };
+    image.src = objectUrl || source;
+  });
+
+/**
+ * Create a canvas filled with white (JPEG has no transparency)
+ * @param {number} width - Width in pixels
+ * @param {number} height - Height in pixels
+ * @returns {{canvas: HTMLCanvasElement, context: CanvasRenderingContext2D}}
+ */
+export const createWhiteCanvas = (width, height) => {
+  const canvas = document.createElement("canvas");
+  canvas.width = Math.max(1, Math.round(width));
+  canvas.height = Math.max(1, Math.round(height));
+  const context = canvas.getContext("2d");
+  context.fillStyle = "#ffffff";
+  context.fillRect(0, 0, canvas.width, canvas.height);
+  return { canvas, context };
+};
+
+/**
+ * Encode a canvas as a JPEG page image for the PDF writer
+ * @param {HTMLCanvasElement} canvas - Rendered page
+ * @param {number} quality - JPEG quality between 0 and 1
+ * @returns {Promise<Object>} { bytes, width, height }
+ */
+export const canvasToJpeg = async (
+  canvas,
+  quality = CANVAS_PAGE_DEFAULTS.jpegQuality,
+) => {
+  const blob = await new Promise((resolve, reject) => {
+    canvas.toBlob(
+      (result) =>
+        result
+          ? resolve(result)
+          : reject(new Error("The page image could not be encoded")),
+      "image/jpeg",
+      quality,
+    );
+  });
+  return {
+    bytes: new Uint8Array(await blob.arrayBuffer()),
+    width: canvas.width,
+    height: canvas.height,
+  };
+};
+
+/**
+ * Decode an image file for drawing. EXIF orientation is applied unless
+ * autoRotate is off; formats createImageBitmap cannot read (such as SVG in
+ * some browsers) fall back to an image element.
+ * @param {Blob} blob - Image file
+ * @param {Object} options - Decoding options
+ * @param {boolean} options.autoRotate - Apply the EXIF orientation
+ * @returns {Promise<Object>} { source, width, height } drawable image
+ */
+export const decodeImage = async (blob, { autoRotate = true } = {}) => {
+  try {
+    const bitmap = await createImageBitmap(blob, {
+      imageOrientation: autoRotate ? "from-image" : "none",
+    });
+    return { source: bitmap, width: bitmap.width, height: bitmap.height };
+  } catch {
+    const image = await loadImage(blob);
+    const { fallbackImageSize } = CANVAS_PAGE_DEFAULTS;
+    return {
+      source: image,
+      width: image.naturalWidth || fallbackImageSize.width,
+      height: image.naturalHeight || fallbackImageSize.height,
+    };
+  }
+};
+
+/**
+ * Lay out decoded images one per page, following the image import options
+ * @param {Array<Object>} images - { source, width, height, dpi? } drawable images
+ * @param {Object} [imageOptions] - Image import options, plus the
+ *   documentPageSize used by the "match document" page size
+ * @returns {Promise<Uint8Array>} PDF bytes
+ */
+export const imagesToPdf = async (images, imageOptions = {}) => {
+  const options = normalizeImageImportOptions(imageOptions);
+  const pages = [];
+
+  for (const image of images) {
+    const { page, placement, crop, renderWidth, renderHeight } =
+      computeImageLayout(image, options, imageOptions.documentPageSize);
+
+    const { canvas, context } = createWhiteCanvas(renderWidth, renderHeight);
+    context.imageSmoothingQuality = "high";
+    context.drawImage(
+      image.source,
+      crop.x,
+      crop.y,
+      crop.width,
+      crop.height,
+      0,
+      0,
+      canvas.width,
+      canvas.height,
+    );
+    image.source.close?.();
+
+    pages.push({
+      ...page,
+      image: await canvasToJpeg(canvas),
+      placement,
+    });
+  }
+
+  return createPdfFromImages(pages);
+};
+
+/**
+ * Rasterise an image file onto a single PDF page
+ * @param {Blob} blob - Image file (anything the browser can decode)
+ * @param {Object} [imageOptions] - Image import options, see imagesToPdf
+ * @returns {Promise<Uint8Array>} PDF bytes
+ */
+export const imageToPdf = async (blob, imageOptions = {}) =>
+  imagesToPdf([await decodeImage(blob, imageOptions)], imageOptions);
+
+/**
+ * Lay out HTML at the page content width and rasterise it onto as many pages
+ * as needed. Rendering goes through an SVG foreignObject, so the HTML must not
+ * reference external resources.
+ * @param {string} html - HTML fragment
+ * @param {Object} options - Overrides for CANVAS_PAGE_DEFAULTS
+ * @returns {Promise<Uint8Array>} PDF bytes
+ */
+export const htmlToPdf = async (html, options = {}) => {
+  const { pageSize, margin, renderScale, jpegQuality } = {
+    ...CANVAS_PAGE_DEFAULTS,
+    ...options,
+  };
+  const contentWidth = pageSize.width - margin * 2;
+  const contentHeight = pageSize.height - margin * 2;
+
+  // Lay the content out off-screen to measure its height
+  const host = document.createElement("div");
+  host.style.cssText = `position: fixed; left: -100000px; top: 0; width: ${contentWidth}px; visibility: hidden;`;
+  const content = document.createElement("div");
+  content.className = "converted-content";
+  content.innerHTML = `<style>${CONTENT_STYLESHEET}</style>${html}`;
+  host.appendChild(content);
+  document.body.appendChild(host);
+
+  let markup;
+  let totalHeight;
+  try {
+    totalHeight = content.scrollHeight;
+    markup = new XMLSerializer().serializeToString(content);
+  } finally {
+    document.body.removeChild(host);
+  }
+
+  const pageCount = Math.max(1, Math.ceil(totalHeight / contentHeight));
+  const pages = [];
+
+  for (let pageIndex = 0; pageIndex < pageCount; pageIndex++) {
+    const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${contentWidth}" height="${contentHeight}"><foreignObject width="100%" height="100%"><div xmlns="http://www.w3.org/1999/xhtml" style="width: ${contentWidth}px; transform: translateY(-${pageIndex * contentHeight}px);">${markup}</div></foreignObject></svg>`;
+    const image = await loadImage(
+      `data:image/svg+xml;charset=utf-8,${encodeURIComponent(svg)}`,
+    );
+
+    const { canvas, context } = createWhiteCanvas(
+      pageSize.width * renderScale,
+      pageSize.height * renderScale,
+    );
+    context.drawImage(
+      image,
+      margin * renderScale,
+      margin * renderScale,
+      contentWidth * renderScale,
+      contentHeight * renderScale,
+    );
+
+    pages.push({
+      ...pageSize,
+      image: await canvasToJpeg(canvas, jpegQuality),
+    });
+  }
+
+  return createPdfFromImages(pages);
+};
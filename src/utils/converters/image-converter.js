@@ -0,0 +1,86 @@
+/**
+ * Image Converter
+ *
+ * Lays PNG, JPEG and TIFF images out on PDF pages according to the image
+ * import options (page size, orientation, fit mode, margins, EXIF rotation
+ * and maximum resolution). PNG and JPEG are decoded by the browser; TIFF is
+ * decoded by a headless Nutrient instance, one page per frame.
+ */
+
+import { readFileHeader, matchesMagic } from "../converter-registry";
+import { MAGIC } from "../file-signatures";
+import { renderPageToCanvas } from "../headless-instance";
+import { normalizeImageImportOptions } from "../image-import-options";
+import { decodeImage, imagesToPdf } from "./canvas-pages";
+
+/**
+ * Largest width in pixels a TIFF frame is rendered at
+ */
+const MAX_FRAME_RENDER_WIDTH = 4096;
+
+const TIFF_MAGIC = [MAGIC.tiffLittleEndian, MAGIC.tiffBigEndian];
+
+/**
+ * Render every frame of a TIFF file with a headless Nutrient instance
+ * @param {Object} pool - Conversion pool
+ * @param {File} file - TIFF file
+ * @param {Object} options - Normalized image import options
+ * @param {AbortSignal} [signal] - Cancels the rendering
+ * @returns {Promise<Array<Object>>} { source, width, height, dpi } per frame
+ */
+const renderTiffFrames = async (pool, file, options, signal) =>
+  pool.run(
+    { label: file.name, source: await file.arrayBuffer(), readOnly: true },
+    async (headlessInstance) => {
+      const frames = [];
+      for (
+        let pageIndex = 0;
+        pageIndex < headlessInstance.totalPageCount;
+        pageIndex++
+      ) {
+        const { width: pageWidth } =
+          headlessInstance.pageInfoForIndex(pageIndex);
+        const renderWidth = Math.min(
+          MAX_FRAME_RENDER_WIDTH,
+          Math.round((pageWidth / 72) * options.maxDpi),
+        );
+        const canvas = await renderPageToCanvas(
+          headlessInstance,
+          pageIndex,
+          renderWidth,
+        );
+        frames.push({
+          source: canvas,
+          width: canvas.width,
+          height: canvas.height,
+          dpi: renderWidth / (pageWidth / 72),
+        });
+      }
+      return frames;
+    },
+    { signal },
+  );
+
+/**
+ * Create the image converter
+ * @param {Object} options - Converter options
+ * @param {Object} options.pool - Conversion pool used to decode TIFF frames
+ * @returns {Object} Converter definition
+ */
+export const createImageConverter = ({ pool }) => ({
+  id: "image",
+  label: "PNG, JPEG or TIFF image",
+  extensions: [".png", ".jpg", ".jpeg", ".tiff", ".tif"],
+  mimeTypes: ["image/png", "image/jpeg", "image/tiff"],
+  magic: [MAGIC.png, MAGIC.jpeg, ...TIFF_MAGIC],
+  convert: async (file, { signal, imageOptions } = {}) => {
+    const options = normalizeImageImportOptions(imageOptions);
+    const isTiff = matchesMagic(await readFileHeader(file), TIFF_MAGIC);
+    const images = isTiff
+      ? await renderTiffFrames(pool, file, options, signal)
+      : [await decodeImage(file, options)];
+
+    signal?.throwIfAborted();
+    return imagesToPdf(images, imageOptions);
+  },
+});
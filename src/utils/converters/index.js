@@ -0,0 +1,75 @@
+/**
+ * Default Converter Set
+ *
+ * Builds the converter registry used by the viewer: PDF pass-through first,
+ * then the headless Nutrient converter, the image converter and the in-browser
+ * converters.
+ */
+
+import { createConverterRegistry } from "../converter-registry";
+import { rasterConverters, textConverters } from "./browser-converters";
+import { createImageConverter } from "./image-converter";
+import { createNutrientConverter, pdfConverter } from "./nutrient-converter";
+
+/**
+ * Check whether a MIME type or extension is in a list of accepted types.
+ * Wildcards such as "image/*" accept a whole MIME family.
+ * @param {string} type - Extension or MIME type of a converter
+ * @param {Array<string>} acceptedTypes - Lower-cased accepted types
+ * @returns {boolean}
+ */
+const isAcceptedType = (type, acceptedTypes) =>
+  acceptedTypes.some(
+    (accepted) =>
+      accepted === type ||
+      (accepted.endsWith("/*") && type.startsWith(accepted.slice(0, -1))),
+  );
+
+/**
+ * Narrow a converter to the accepted extensions and MIME types
+ * @param {Object} converter - Converter definition
+ * @param {Array<string>} acceptedTypes - Lower-cased accepted types
+ * @returns {Object|null} Narrowed converter, or null when it accepts none
+ */
+const restrictConverter = (converter, acceptedTypes) => {
+  const extensions = converter.extensions.filter((extension) =>
+    isAcceptedType(extension, acceptedTypes),
+  );
+  const mimeTypes = converter.mimeTypes.filter((mimeType) =>
+    isAcceptedType(mimeType, acceptedTypes),
+  );
+  if (extensions.length === 0 && mimeTypes.length === 0) {
+    return null;
+  }
+  return { ...converter, extensions, mimeTypes };
+};
+
+/**
+ * Create a registry with all built-in converters
+ * @param {Object} options - Options for the Nutrient and image converters
+ * @param {Object} options.pool - Conversion pool running the headless instances
+ * @param {Array<string>} [options.acceptedTypes] - Extensions and MIME types
+ *   to accept, e.g. [".pdf", "image/*"]; all built-in formats when omitted
+ * @returns {Object} Converter registry
+ */
+export const createDefaultConverterRegistry = (options) => {
+  const converters = [
+    pdfConverter,
+    createNutrientConverter(options),
+    createImageConverter(options),
+    ...rasterConverters,
+    ...textConverters,
+  ];
+  if (!options.acceptedTypes) {
+    return createConverterRegistry(converters);
+  }
+
+  const acceptedTypes = options.acceptedTypes.map((type) =>
+    type.trim().toLowerCase(),
+  );
+  return createConverterRegistry(
+    converters
+      .map((converter) => restrictConverter(converter, acceptedTypes))
+      .filter(Boolean),
+  );
+};
@@ -0,0 +1,110 @@
+/**
+ * Markdown to HTML
+ *
+ * A deliberately small Markdown renderer covering what shows up in notes and
+ * READMEs: headings, paragraphs, emphasis, inline code, fenced code blocks,
+ * block quotes, ordered/unordered lists, horizontal rules and links.
+ */
+
+/**
+ * Escape text for safe inclusion in HTML
+ * @param {string} text - Raw text
+ * @returns {string}
+ */
+export const escapeHtml = (text) =>
+  text
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+/**
+ * Render inline Markdown (code, bold, italic, links) for one line of text
+ * @param {string} text - Raw line text
+ * @returns {string} HTML
+ */
+const renderInline = (text) =>
+  escapeHtml(text)
+    .replace(/`([^`]+)`/g, "<code>$1</code>")
+    .replace(/\*\*([^*]+)\*\*|__([^_]+)__/g, "<strong>$1$2</strong>")
+    .replace(/\*([^*]+)\*|_([^_]+)_/g, "<em>$1$2</em>")
+    .replace(/\[([^\]]+)\]\(([^)]+)\)/g, "<u>$1</u>");
+
+/**
+ * Convert Markdown to HTML
+ * @param {string} markdown - Markdown source
+ * @returns {string} HTML
+ */
+export const markdownToHtml = (markdown) => {
+  const lines = markdown.replace(/\r\n?/g, "\n").split("\n");
+  const html = [];
+  let paragraph = [];
+  let list = null;
+
+  const flushParagraph = () => {
+    if (paragraph.length > 0) {
+      html.push(`<p>${paragraph.map(renderInline).join(" ")}</p>`);
+      paragraph = [];
+    }
+  };
+
+  const flushList = () => {
+    if (list) {
+      html.push(
+        `<${list.tag}>${list.items.map((item) => `<li>${renderInline(item)}</li>`).join("")}</${list.tag}>`,
+      );
+      list = null;
+    }
+  };
+
+  for (let index = 0; index < lines.length; index++) {
+    const line = lines[index];
+
+    if (line.startsWith("```")) {
+      flushParagraph();
+      flushList();
+      const code = [];
+      for (index++; index < lines.length && !lines[index].startsWith("```"); index++) {
+        code.push(lines[index]);
+      }
+      html.push(`<pre><code>${escapeHtml(code.join("\n"))}</code></pre>`);
+      continue;
+    }
+
+    const heading = line.match(/^(#{1,6})\s+(.*)$/);
+    const listItem = line.match(/^\s*([-*+]|\d+[.)])\s+(.*)$/);
+
+    if (heading) {
+      flushParagraph();
+      flushList();
+      const level = heading[1].length;
+      html.push(`<h${level}>${renderInline(heading[2])}</h${level}>`);
+    } else if (/^\s*([-*_])(\s*\1){2,}\s*$/.test(line)) {
+      flushParagraph();
+      flushList();
+      html.push("<hr>");
+    } else if (listItem) {
+      flushParagraph();
+      const tag = /\d/.test(listItem[1]) ? "ol" : "ul";
+      if (list?.tag !== tag) {
+        flushList();
+        list = { tag, items: [] };
+      }
+      list.items.push(listItem[2]);
+    } else if (line.startsWith(">")) {
+      flushParagraph();
+      flushList();
+      html.push(`<blockquote>${renderInline(line.replace(/^>\s?/, ""))}</blockquote>`);
+    } else if (line.trim() === "") {
+      flushParagraph();
+      flushList();
+    } else {
+      flushList();
+      paragraph.push(line.trim());
+    }
+  }
+
+  flushParagraph();
+  flushList();
+  return html.join("\n");
+};
@@ -0,0 +1,44 @@
+/**
+ * Nutrient Converters
+ *
+ * The default converter: loads the file in Nutrient's headless mode (through
+ * the conversion pool) and exports it as PDF. Also exposes the pass-through converter for files that
+ * already are PDF. Images have their own converter, see image-converter.js.
+ */
+
+import { MAGIC } from "../file-signatures";
+
+/**
+ * Converter for files that already are PDF; returns the bytes unchanged
+ */
+export const pdfConverter = {
+  id: "pdf",
+  label: "PDF",
+  extensions: [".pdf"],
+  mimeTypes: ["application/pdf"],
+  magic: [MAGIC.pdf],
+  passthrough: true,
+  convert: (file) => file.arrayBuffer(),
+};
+
+/**
+ * Create the headless Nutrient converter for DOCX documents
+ * @param {Object} options - Converter options
+ * @param {Object} options.pool - Conversion pool running the headless instances
+ * @returns {Object} Converter definition
+ */
+export const createNutrientConverter = ({ pool }) => ({
+  id: "nutrient",
+  label: "Word document",
+  extensions: [".docx"],
+  mimeTypes: [
+    "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+  ],
+  magic: [MAGIC.zip],
+  convert: async (file, { signal } = {}) =>
+    pool.run(
+      { label: file.name, source: await file.arrayBuffer() },
+      (headlessInstance) => headlessInstance.exportPDF(),
+      { signal },
+    ),
+});
@@ -0,0 +1,92 @@
+/**
+ * Decorator Settings
+ *
+ * The signature decoration look chosen in the settings panel: a preset plus
+ * color, stroke, locale and date format overrides. Settings are a partial
+ * decorator configuration (see resolveDecoratorConfig) kept in localStorage.
+ */
+
+import { resolveDecoratorConfig } from "./signature-decorator";
+
+const STORAGE_KEY = "document-editor:decorator-settings";
+
+/**
+ * Settings used when none are saved
+ */
+export const DEFAULT_DECORATOR_SETTINGS = { preset: "bracket" };
+
+/**
+ * Locales offered for signing times; null follows the browser
+ */
+export const DECORATOR_LOCALES = [
+  { value: null, label: "Browser default" },
+  { value: "en-US", label: "English (US)" },
+  { value: "en-GB", label: "English (UK)" },
+  { value: "de-DE", label: "Deutsch" },
+  { value: "fr-FR", label: "Français" },
+  { value: "es-ES", label: "Español" },
+  { value: "ja-JP", label: "日本語" },
+];
+
+/**
+ * Date formats offered for signing times, as Intl.DateTimeFormat options;
+ * null keeps the preset's format
+ */
+export const DECORATOR_DATE_FORMATS = [
+  { id: "preset", label: "Preset default", options: null },
+  {
+    id: "full",
+    label: "Date and time with seconds",
+    options: {
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+      hour: "2-digit",
+      minute: "2-digit",
+      second: "2-digit",
+    },
+  },
+  {
+    id: "short",
+    label: "Short",
+    options: { dateStyle: "short", timeStyle: "short" },
+  },
+  {
+    id: "long",
+    label: "Long",
+    options: { dateStyle: "long", timeStyle: "short" },
+  },
+  { id: "date", label: "Date only", options: { dateStyle: "medium" } },
+];
+
+/**
+ * Load the saved settings. Settings that no longer resolve to a valid
+ * configuration are dropped.
+ * @returns {Object} Partial decorator configuration
+ */
+export const loadDecoratorSettings = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    if (saved) {
+      resolveDecoratorConfig(saved);
+      return saved;
+    }
+  } catch {
+    // Unreadable or invalid; use the defaults
+  }
+  return DEFAULT_DECORATOR_SETTINGS;
+};
+
+/**
+ * Save the settings
+ * @param {Object} settings - Partial decorator configuration
+ * @returns {Object} The saved settings
+ */
+export const saveDecoratorSettings = (settings) => {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+  } catch {
+    // Storage can be full or disabled; the settings still apply this session
+  }
+  return settings;
+};
@@ -0,0 +1,218 @@
+/**
+ * Digital Signatures
+ *
+ * Backs decorated (visual) signatures with a PKCS#7/CMS digital signature
+ * over the whole PDF, and reads back whether those signatures validate.
+ *
+ * Certifying creates an invisible signature field, links the visual
+ * signatures to it through their customData and signs the document into
+ * that field with Nutrient's signDocument. The cryptography is delegated to
+ * a pluggable signer:
+ *
+ *   {
+ *     getCertificates: () => Promise<Array<ArrayBuffer>>, // DER, signer first, then its chain
+ *     sign: (dataToBeSigned: ArrayBuffer) => Promise<ArrayBuffer>, // raw RSA PKCS#1 v1.5 SHA-256 signature
+ *     getTrustedCertificates: () => Promise<Array<ArrayBuffer>>, // optional trust anchors for validation
+ *   }
+ *
+ * Nutrient builds the CMS container around the returned signature. See
+ * test-certificate-authority.js for the default, offline signer.
+ */
+
+import { getAnnotationCustomData } from "./signature-decorator";
+
+/**
+ * customData key linking a visual signature to its digital signature field
+ */
+export const CERTIFICATION_DATA_KEY = "certificationField";
+
+/**
+ * customData flag marking the widget of a certification field
+ */
+export const CERTIFICATION_WIDGET_FLAG = "isCertification";
+
+const CERTIFICATION_FIELD_PREFIX = "Certification-";
+
+/**
+ * Validation outcome of a certified signature
+ * - verified: intact document, trusted certificate
+ * - untrusted: intact document, but the certificate chain could not be
+ *   verified or the document changed after signing
+ * - invalid: the signature does not match the document
+ */
+export const CERTIFICATION_STATUS = {
+  verified: "verified",
+  untrusted: "untrusted",
+  invalid: "invalid",
+};
+
+/**
+ * Badges shown on certified signatures, by status
+ */
+export const CERTIFICATION_BADGES = {
+  [CERTIFICATION_STATUS.verified]: { text: "✓ Verified", color: "#15803d" },
+  [CERTIFICATION_STATUS.untrusted]: { text: "! Unverified", color: "#b45309" },
+  [CERTIFICATION_STATUS.invalid]: { text: "✗ Invalid", color: "#b91c1c" },
+};
+
+/**
+ * Get the certification field a visual signature is linked to
+ * @param {Object} annotation - Signature annotation
+ * @returns {string|null} Signature form field name
+ */
+export const getCertificationField = (annotation) =>
+  getAnnotationCustomData(annotation)[CERTIFICATION_DATA_KEY] || null;
+
+/**
+ * Check whether a widget belongs to a certification field
+ * @param {Object} annotation - Widget annotation
+ * @returns {boolean}
+ */
+export const isCertificationWidget = (annotation) =>
+  Boolean(getAnnotationCustomData(annotation)[CERTIFICATION_WIDGET_FLAG]);
+
+/**
+ * Digitally sign the document and link the given visual signatures to the
+ * digital signature. If signing fails, the field and links are removed again.
+ * @param {Object} instance - Nutrient instance
+ * @param {Object} NutrientViewer - Nutrient Web SDK class
+ * @param {Object} options - Certification options
+ * @param {Array<Object>} options.signatures - Visual signature annotations to certify
+ * @param {Object} options.signer - Digital signer, see the module comment
+ * @param {Object} options.metadata - { signerName, signatureReason, signatureLocation }
+ * @returns {Promise<string>} Name of the certification field
+ */
+export const certifyDocument = async (
+  instance,
+  NutrientViewer,
+  { signatures, signer, metadata },
+) => {
+  const { Annotations, FormFields, Geometry, Immutable } = NutrientViewer;
+  const fieldName = `${CERTIFICATION_FIELD_PREFIX}${crypto.randomUUID().slice(0, 8)}`;
+  const certificates = await signer.getCertificates();
+
+  // A zero-sized widget makes the digital signature invisible; the visual
+  // signatures remain its appearance
+  const widget = new Annotations.WidgetAnnotation({
+    id: NutrientViewer.generateInstantId(),
+    pageIndex: signatures[0].pageIndex,
+    formFieldName: fieldName,
+    boundingBox: new Geometry.Rect({ left: 0, top: 0, width: 0, height: 0 }),
+    customData: { [CERTIFICATION_WIDGET_FLAG]: true },
+  });
+  const formField = new FormFields.SignatureFormField({
+    name: fieldName,
+    annotationIds: Immutable.List([widget.id]),
+  });
+
+  await instance.create([widget, formField]);
+  await instance.update(
+    signatures.map((signature) =>
+      signature.set("customData", {
+        ...getAnnotationCustomData(signature),
+        [CERTIFICATION_DATA_KEY]: fieldName,
+      }),
+    ),
+  );
+
+  try {
+    await instance.signDocument(
+      {
+        formFieldName: fieldName,
+        signatureMetadata: metadata,
+        signingData: {
+          certificates,
+          signatureType: NutrientViewer.SignatureType.CMS,
+        },
+      },
+      ({ dataToBeSigned }) => signer.sign(dataToBeSigned),
+    );
+  } catch (error) {
+    await instance.update(signatures);
+    await instance.delete(widget);
+    await instance.delete(formField).catch(() => {
+      // Already removed together with its widget
+    });
+    throw error;
+  }
+
+  return fieldName;
+};
+
+/**
+ * Map a Nutrient signature info entry to a certification status
+ * @param {Object} info - Entry of instance.getSignaturesInfo().signatures
+ * @param {Object} NutrientViewer - Nutrient Web SDK class
+ * @returns {string} One of CERTIFICATION_STATUS
+ */
+export const toCertificationStatus = (info, NutrientViewer) => {
+  if (
+    info.documentIntegrityStatus !==
+      NutrientViewer.DocumentIntegrityStatus.ok ||
+    info.signatureValidationStatus ===
+      NutrientViewer.SignatureValidationStatus.error
+  ) {
+    return CERTIFICATION_STATUS.invalid;
+  }
+  return info.signatureValidationStatus ===
+    NutrientViewer.SignatureValidationStatus.valid
+    ? CERTIFICATION_STATUS.verified
+    : CERTIFICATION_STATUS.untrusted;
+};
+
+/**
+ * List what keeps a signature from being fully verified
+ * @param {Object} info - Entry of instance.getSignaturesInfo().signatures
+ * @param {Object} NutrientViewer - Nutrient Web SDK class
+ * @returns {Array<string>} User-readable issues
+ */
+const getValidationIssues = (info, NutrientViewer) => {
+  const issues = [];
+  if (
+    info.documentIntegrityStatus !== NutrientViewer.DocumentIntegrityStatus.ok
+  ) {
+    issues.push("The signed content has been altered");
+  } else if (
+    info.signatureValidationStatus ===
+    NutrientViewer.SignatureValidationStatus.error
+  ) {
+    issues.push("The signature could not be verified");
+  }
+  if (info.isExpired) {
+    issues.push("The certificate has expired");
+  }
+  if (info.isSelfSigned) {
+    issues.push("The certificate is self-signed");
+  } else if (!info.isTrusted) {
+    issues.push("The certificate is not issued by a trusted authority");
+  }
+  if (info.documentModifiedSinceSignature) {
+    issues.push("The document was changed after signing");
+  }
+  return issues;
+};
+
+/**
+ * Read and validate every digital signature in the document, whether it
+ * was applied here or came with an opened or imported PDF
+ * @param {Object} instance - Nutrient instance
+ * @param {Object} NutrientViewer - Nutrient Web SDK class
+ * @returns {Promise<Array<Object>>} Signatures:
+ *   { fieldName, signerName, signedAt, reason, location, status,
+ *     coversWholeDocument, issues }
+ */
+export const loadDocumentSignatures = async (instance, NutrientViewer) => {
+  const { signatures = [] } = await instance.getSignaturesInfo();
+  return signatures.map((info) => ({
+    fieldName: info.signatureFormFieldName,
+    signerName: info.signerName || "Unknown signer",
+    signedAt: info.creationDate
+      ? new Date(info.creationDate).toISOString()
+      : null,
+    reason: info.signatureReason || null,
+    location: info.signatureLocation || null,
+    status: toCertificationStatus(info, NutrientViewer),
+    coversWholeDocument: !info.documentModifiedSinceSignature,
+    issues: getValidationIssues(info, NutrientViewer),
+  }));
+};
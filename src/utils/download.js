@@ -0,0 +1,46 @@
+/**
+ * Download Helpers
+ *
+ * Save generated files through a temporary object URL.
+ */
+
+/**
+ * Delay before the object URL of a download is revoked, giving the browser
+ * time to start reading it
+ */
+const REVOKE_DELAY = 1000;
+
+/**
+ * Offer bytes to the user as a file download
+ * @param {ArrayBuffer|Uint8Array|Blob} data - File content
+ * @param {string} fileName - Suggested file name
+ * @param {string} type - MIME type
+ */
+export const downloadFile = (data, fileName, type = "application/pdf") => {
+  const blob = data instanceof Blob ? data : new Blob([data], { type });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), REVOKE_DELAY);
+};
+
+/**
+ * Derive a download name from a document URL or file name
+ * @param {string} source - Document URL or file name
+ * @param {string} suffix - Text added before the extension, e.g. "-signed"
+ * @param {string} extension - Extension of the download
+ * @returns {string} e.g. "contract-signed.pdf"
+ */
+export const getDownloadName = (source, suffix = "", extension = ".pdf") => {
+  const lastSegment =
+    String(source || "")
+      .split(/[?#]/)[0]
+      .split("/")
+      .pop() || "document.pdf";
+  const baseName = lastSegment.replace(/\.[^.]+$/, "") || "document";
+  return `${baseName}${suffix}${extension}`;
+};
@@ -0,0 +1,124 @@
+/**
+ * Drop Target Resolution
+ *
+ * Works out where files dropped onto the viewer should be inserted, based on
+ * the page thumbnail (Document Editor grid or sidebar) under the pointer.
+ */
+
+/**
+ * Thumbnails rendered by Nutrient in the Document Editor and the sidebar.
+ * These are undocumented Nutrient internals, checked against Nutrient Web
+ * SDK 1.8.0, the version index.html loads: both lists render each thumbnail
+ * image with a "data-image-key" holding its position, which is the page
+ * index in the sidebar and the position in the edited document in the
+ * Document Editor. When no thumbnail matches, drops append to the document.
+ */
+export const THUMBNAIL_SELECTOR = [
+  ".PSPDFKit-DocumentEditor [data-image-key]",
+  ".PSPDFKit-Sidebar-Thumbnails [data-image-key]",
+].join(", ");
+
+/**
+ * Distance from a point to a range, 0 when the point lies inside it
+ * @param {number} value - Point coordinate
+ * @param {number} start - Range start
+ * @param {number} end - Range end
+ * @returns {number}
+ */
+const distanceToRange = (value, start, end) =>
+  value < start ? start - value : value > end ? value - end : 0;
+
+/**
+ * Find the thumbnails rendered in the same tree as the drop event target.
+ * Nutrient renders its UI inside a shadow root, so the lookup starts from
+ * the innermost element of the composed path.
+ * @param {DragEvent} event - Drop event
+ * @returns {Array<Object>} { pageIndex, rect } of each thumbnail
+ */
+const findThumbnails = (event) => {
+  const [innermost] = event.composedPath();
+  const root = innermost?.getRootNode?.();
+  return root?.querySelectorAll
+    ? Array.from(root.querySelectorAll(THUMBNAIL_SELECTOR), (thumbnail) => ({
+        pageIndex: Number(thumbnail.dataset.imageKey),
+        rect: thumbnail.getBoundingClientRect(),
+      })).filter(({ pageIndex }) => Number.isInteger(pageIndex))
+    : [];
+};
+
+/**
+ * Check whether a point lies past the end of the thumbnails: below the last
+ * row, or right of the last thumbnail in that row
+ * @param {Object} rect - Bounding rectangle of the last page's thumbnail
+ * @param {number} clientX - Pointer x
+ * @param {number} clientY - Pointer y
+ * @returns {boolean}
+ */
+const isPastLastThumbnail = (rect, clientX, clientY) =>
+  clientY > rect.bottom || (clientY >= rect.top && clientX > rect.right);
+
+/**
+ * Check whether another thumbnail shares the row of a thumbnail
+ * @param {Array<Object>} thumbnails - { pageIndex, rect } of each thumbnail
+ * @param {number} pageIndex - Page of the thumbnail
+ * @param {Object} rect - Bounding rectangle of the thumbnail
+ * @returns {boolean}
+ */
+const hasRowNeighbour = (thumbnails, pageIndex, rect) =>
+  thumbnails.some(
+    (other) =>
+      other.pageIndex !== pageIndex &&
+      other.rect.top < rect.bottom &&
+      other.rect.bottom > rect.top,
+  );
+
+/**
+ * Resolve the insertion offset for a drop: the number of existing pages that
+ * will precede the dropped documents
+ * @param {DragEvent} event - Drop event
+ * @param {number} totalPages - Page count of the current document
+ * @returns {number} Offset between 0 and totalPages; totalPages means append
+ */
+export const resolveDropInsertionOffset = (event, totalPages) => {
+  const { clientX, clientY } = event;
+  const thumbnails = findThumbnails(event);
+  let best = null;
+
+  // Empty space after a partial last row belongs to no thumbnail. The last
+  // thumbnail may not be rendered in long documents; the grid scrolls then.
+  const last = thumbnails.find(({ pageIndex }) => pageIndex === totalPages - 1);
+  if (last && isPastLastThumbnail(last.rect, clientX, clientY)) {
+    return totalPages;
+  }
+
+  for (const { pageIndex, rect } of thumbnails) {
+    const dx = distanceToRange(clientX, rect.left, rect.right);
+    const dy = distanceToRange(clientY, rect.top, rect.bottom);
+
+    // Only thumbnails in the same row (grid) or column (sidebar) qualify, so
+    // drops in the gap between two neighbours resolve to one of them.
+    if (dx > 0 && dy > 0) {
+      continue;
+    }
+
+    // Over a thumbnail, its neighbours decide: side by side in the grid,
+    // stacked in the sidebar.
+    const isRow =
+      dx > 0 || (dy === 0 && hasRowNeighbour(thumbnails, pageIndex, rect));
+    const distance = dx + dy;
+    if (!best || distance < best.distance) {
+      best = { pageIndex, rect, isRow, distance };
+    }
+  }
+
+  if (!best) {
+    return totalPages;
+  }
+
+  const { pageIndex } = best;
+  const isBefore = best.isRow
+    ? clientX < best.rect.left + best.rect.width / 2
+    : clientY < best.rect.top + best.rect.height / 2;
+
+  return Math.min(isBefore ? pageIndex : pageIndex + 1, totalPages);
+};
@@ -0,0 +1,74 @@
+import { describe, expect, it } from "vitest";
+import { resolveDropInsertionOffset } from "./drop-target";
+
+const THUMBNAIL_SIZE = 100;
+const GAP = 20;
+
+/**
+ * Grid of thumbnails: three per row in the Document Editor, one in the sidebar
+ * @param {number} pageCount - Pages in the document
+ * @param {number} [columns] - Thumbnails per row
+ * @returns {Array<Object>} Fake thumbnail elements
+ */
+const createGrid = (pageCount, columns = 3) =>
+  Array.from({ length: pageCount }, (_, pageIndex) => {
+    const left = (pageIndex % columns) * (THUMBNAIL_SIZE + GAP);
+    const top = Math.floor(pageIndex / columns) * (THUMBNAIL_SIZE + GAP);
+    return {
+      dataset: { imageKey: String(pageIndex) },
+      getBoundingClientRect: () => ({
+        left,
+        top,
+        right: left + THUMBNAIL_SIZE,
+        bottom: top + THUMBNAIL_SIZE,
+        width: THUMBNAIL_SIZE,
+        height: THUMBNAIL_SIZE,
+      }),
+    };
+  });
+
+/**
+ * Drop event at a point over the given thumbnails
+ */
+const createDropEvent = (thumbnails, clientX, clientY) => ({
+  clientX,
+  clientY,
+  composedPath: () => [
+    { getRootNode: () => ({ querySelectorAll: () => thumbnails }) },
+  ],
+});
+
+describe("resolveDropInsertionOffset", () => {
+  // Pages 0-2 in the first row, 3-4 in the second
+  const grid = createGrid(5);
+  const dropAt = (clientX, clientY) =>
+    resolveDropInsertionOffset(createDropEvent(grid, clientX, clientY), 5);
+
+  it("inserts before or after the thumbnail under the pointer", () => {
+    expect(dropAt(10, 50)).toBe(0);
+    expect(dropAt(210, 50)).toBe(2);
+    expect(dropAt(90, 170)).toBe(4);
+  });
+
+  it("appends when dropped below a partial last row", () => {
+    expect(dropAt(10, 300)).toBe(5);
+  });
+
+  it("appends when dropped right of the last thumbnail", () => {
+    expect(dropAt(300, 170)).toBe(5);
+  });
+
+  it("inserts between sidebar thumbnails", () => {
+    const sidebar = createGrid(5, 1);
+    const dropInSidebar = (clientY) =>
+      resolveDropInsertionOffset(createDropEvent(sidebar, 50, clientY), 5);
+
+    expect(dropInSidebar(10)).toBe(0);
+    expect(dropInSidebar(230)).toBe(2);
+    expect(dropInSidebar(600)).toBe(5);
+  });
+
+  it("appends when no thumbnail matches", () => {
+    expect(resolveDropInsertionOffset(createDropEvent([], 10, 50), 5)).toBe(5);
+  });
+});
@@ -0,0 +1,27 @@
+/**
+ * Encoding Helpers
+ *
+ * Conversions between binary data and text, for values kept in browser
+ * storage or JSON files.
+ */
+
+/**
+ * Encode bytes as base64
+ * @param {ArrayBuffer|Uint8Array} bytes - Binary data
+ * @returns {string}
+ */
+export const bytesToBase64 = (bytes) => {
+  let binary = "";
+  for (const byte of new Uint8Array(bytes)) {
+    binary += String.fromCharCode(byte);
+  }
+  return btoa(binary);
+};
+
+/**
+ * Decode base64 to bytes
+ * @param {string} text - Base64 text
+ * @returns {Uint8Array}
+ */
+export const base64ToBytes = (text) =>
+  Uint8Array.from(atob(text), (character) => character.charCodeAt(0));
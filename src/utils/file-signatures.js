@@ -0,0 +1,145 @@
+/**
+ * File Signatures
+ *
+ * Magic byte signatures for the binary formats the import pipeline knows
+ * about, and content sniffing based on them. File names and declared MIME
+ * types can lie; the first bytes of a file do not.
+ */
+
+const latin1Decoder = new TextDecoder("latin1");
+const utf8Decoder = new TextDecoder();
+
+/**
+ * Magic byte signatures as { offset, bytes }
+ */
+export const MAGIC = {
+  pdf: { offset: 0, bytes: [0x25, 0x50, 0x44, 0x46, 0x2d] }, // %PDF-
+  png: { offset: 0, bytes: [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a] },
+  jpeg: { offset: 0, bytes: [0xff, 0xd8, 0xff] },
+  tiffLittleEndian: { offset: 0, bytes: [0x49, 0x49, 0x2a, 0x00] }, // II*.
+  tiffBigEndian: { offset: 0, bytes: [0x4d, 0x4d, 0x00, 0x2a] }, // MM.*
+  zip: { offset: 0, bytes: [0x50, 0x4b, 0x03, 0x04] }, // PK.. (DOCX container)
+  gif: { offset: 0, bytes: [0x47, 0x49, 0x46, 0x38] }, // GIF8
+  bmp: { offset: 0, bytes: [0x42, 0x4d] }, // BM
+  webp: { offset: 8, bytes: [0x57, 0x45, 0x42, 0x50] }, // RIFF....WEBP
+};
+
+/**
+ * Content types detected by sniffFileType, with the signatures that identify
+ * them. Order matters: the first match wins.
+ */
+const SNIFFED_TYPES = [
+  { type: "pdf", label: "PDF", signatures: [MAGIC.pdf] },
+  { type: "png", label: "PNG", signatures: [MAGIC.png] },
+  { type: "jpeg", label: "JPEG", signatures: [MAGIC.jpeg] },
+  {
+    type: "tiff",
+    label: "TIFF",
+    signatures: [MAGIC.tiffLittleEndian, MAGIC.tiffBigEndian],
+  },
+  { type: "gif", label: "GIF", signatures: [MAGIC.gif] },
+  { type: "webp", label: "WebP", signatures: [MAGIC.webp] },
+  { type: "bmp", label: "BMP", signatures: [MAGIC.bmp] },
+  { type: "zip", label: "ZIP", signatures: [MAGIC.zip] },
+];
+
+/**
+ * Check whether bytes start with (or contain at the offset) a signature
+ * @param {Uint8Array} bytes - File bytes (or at least its header)
+ * @param {Object} signature - { offset, bytes }
+ * @returns {boolean}
+ */
+export const hasSignature = (bytes, { offset = 0, bytes: expected }) =>
+  expected.every((byte, index) => bytes[offset + index] === byte);
+
+/**
+ * Check whether a ZIP archive is a Word document by looking for
+ * word/document.xml in its central directory
+ * @param {Uint8Array} bytes - Complete ZIP file bytes
+ * @returns {boolean}
+ */
+export const isDocxArchive = (bytes) => {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const searchStart = Math.max(0, bytes.length - 65557);
+
+  // The end of central directory record sits in the last 64 KB + 22 bytes
+  for (let offset = bytes.length - 22; offset >= searchStart; offset--) {
+    if (view.getUint32(offset, true) !== 0x06054b50) {
+      continue;
+    }
+
+    const entryCount = view.getUint16(offset + 10, true);
+    let position = view.getUint32(offset + 16, true);
+
+    for (let entry = 0; entry < entryCount; entry++) {
+      if (
+        position + 46 > bytes.length ||
+        view.getUint32(position, true) !== 0x02014b50
+      ) {
+        return false;
+      }
+      const nameLength = view.getUint16(position + 28, true);
+      const extraLength = view.getUint16(position + 30, true);
+      const commentLength = view.getUint16(position + 32, true);
+      const name = utf8Decoder.decode(
+        bytes.subarray(position + 46, position + 46 + nameLength),
+      );
+      if (name === "word/document.xml") {
+        return true;
+      }
+      position += 46 + nameLength + extraLength + commentLength;
+    }
+    return false;
+  }
+  return false;
+};
+
+/**
+ * Detect the real type of a file from its content
+ * @param {Uint8Array} bytes - Complete file bytes
+ * @returns {{type: string, label: string}|null} Detected type, or null for
+ * content without a known signature (e.g. text formats)
+ */
+export const sniffFileType = (bytes) => {
+  const match = SNIFFED_TYPES.find(({ signatures }) =>
+    signatures.some((signature) => hasSignature(bytes, signature)),
+  );
+  if (!match) {
+    return null;
+  }
+  if (match.type === "zip" && isDocxArchive(bytes)) {
+    return { type: "docx", label: "Word" };
+  }
+  return { type: match.type, label: match.label };
+};
+
+/**
+ * Decode the start and end of a file as Latin-1 text, where PDF structure
+ * keywords (trailer, /Encrypt, %%EOF) live
+ * @param {Uint8Array} bytes - File bytes
+ * @param {number} length - Bytes to decode from each end
+ * @returns {{head: string, tail: string}}
+ */
+const decodeEnds = (bytes, length) => ({
+  head: latin1Decoder.decode(bytes.subarray(0, length)),
+  tail: latin1Decoder.decode(bytes.subarray(Math.max(0, bytes.length - length))),
+});
+
+/**
+ * Check whether a PDF declares an encryption dictionary
+ * @param {Uint8Array} bytes - PDF bytes
+ * @returns {boolean}
+ */
+export const isEncryptedPdf = (bytes) => {
+  const { head, tail } = decodeEnds(bytes, 65536);
+  return /\/Encrypt\b/.test(head) || /\/Encrypt\b/.test(tail);
+};
+
+/**
+ * Check whether a PDF ends with an end-of-file marker; truncated downloads
+ * and damaged files usually do not
+ * @param {Uint8Array} bytes - PDF bytes
+ * @returns {boolean}
+ */
+export const hasPdfEndMarker = (bytes) =>
+  decodeEnds(bytes, 1024).tail.includes("%%EOF");
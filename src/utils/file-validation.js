@@ -0,0 +1,155 @@
+/**
+ * Import Validation
+ *
+ * Checks a file before any conversion runs: size limits, real content type
+ * (sniffed from its bytes rather than trusted from its extension), PDF
+ * integrity and encryption. Every rejection carries a specific reason that
+ * can be shown to the user as-is.
+ */
+
+import { FILE_HEADER_LENGTH } from "./converter-registry";
+import {
+  hasPdfEndMarker,
+  isEncryptedPdf,
+  sniffFileType,
+} from "./file-signatures";
+
+/**
+ * Default import limits
+ */
+export const DEFAULT_IMPORT_LIMITS = {
+  maxFileSizeBytes: 50 * 1024 * 1024,
+  maxPageCount: 500,
+};
+
+/**
+ * Machine readable rejection reasons
+ */
+export const VALIDATION_REASONS = {
+  empty: "empty",
+  tooLarge: "too-large",
+  tooManyPages: "too-many-pages",
+  unsupportedType: "unsupported-type",
+  contentMismatch: "content-mismatch",
+  corrupt: "corrupt",
+  passwordRequired: "password-required",
+};
+
+/**
+ * Error thrown when a file is rejected by import validation
+ */
+export class ImportValidationError extends Error {
+  /**
+   * @param {string} reason - One of VALIDATION_REASONS
+   * @param {string} message - User-readable explanation
+   */
+  constructor(reason, message) {
+    super(message);
+    this.name = "ImportValidationError";
+    this.reason = reason;
+  }
+}
+
+/**
+ * Format a byte count for messages, e.g. "12.4 MB"
+ * @param {number} bytes - Byte count
+ * @returns {string}
+ */
+export const formatBytes = (bytes) => {
+  const units = ["bytes", "KB", "MB", "GB"];
+  let value = bytes;
+  let unit = 0;
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit++;
+  }
+  return `${unit === 0 ? value : value.toFixed(1)} ${units[unit]}`;
+};
+
+/**
+ * Validate a file and resolve the converter for its real content type
+ * @param {File} file - File to validate
+ * @param {Object} options - Validation options
+ * @param {Object} options.registry - Converter registry
+ * @param {Object} [options.limits] - Overrides for DEFAULT_IMPORT_LIMITS
+ * @returns {Promise<Object>} { converter, detectedType, isEncrypted }
+ * @throws {ImportValidationError}
+ */
+export const validateImportFile = async (file, { registry, limits = {} }) => {
+  const { maxFileSizeBytes } = { ...DEFAULT_IMPORT_LIMITS, ...limits };
+
+  if (file.size === 0) {
+    throw new ImportValidationError(
+      VALIDATION_REASONS.empty,
+      `${file.name} is empty`,
+    );
+  }
+  if (file.size > maxFileSizeBytes) {
+    throw new ImportValidationError(
+      VALIDATION_REASONS.tooLarge,
+      `${file.name} is ${formatBytes(file.size)}, which exceeds the ${formatBytes(maxFileSizeBytes)} limit`,
+    );
+  }
+
+  const bytes = new Uint8Array(await file.arrayBuffer());
+  const detectedType = sniffFileType(bytes);
+
+  if (detectedType?.type === "zip") {
+    throw new ImportValidationError(
+      VALIDATION_REASONS.unsupportedType,
+      `${file.name} is a ZIP archive, not a Word document`,
+    );
+  }
+
+  const converter = registry.findConverter(
+    file,
+    bytes.subarray(0, FILE_HEADER_LENGTH),
+  );
+  if (!converter) {
+    throw new ImportValidationError(
+      VALIDATION_REASONS.unsupportedType,
+      detectedType
+        ? `${file.name} is a ${detectedType.label} file, which cannot be imported`
+        : `${file.name} is not a recognised document or image format`,
+    );
+  }
+
+  // The extension (or MIME type) claims a binary format, but the content
+  // does not carry any of its signatures
+  if (!detectedType && converter.magic.length > 0) {
+    throw new ImportValidationError(
+      VALIDATION_REASONS.contentMismatch,
+      `${file.name} does not contain ${converter.label} data; it may be damaged or have the wrong extension`,
+    );
+  }
+
+  if (detectedType?.type === "pdf" && !hasPdfEndMarker(bytes)) {
+    throw new ImportValidationError(
+      VALIDATION_REASONS.corrupt,
+      `${file.name} appears to be truncated or damaged`,
+    );
+  }
+
+  return {
+    converter,
+    detectedType,
+    isEncrypted: detectedType?.type === "pdf" && isEncryptedPdf(bytes),
+  };
+};
+
+/**
+ * Enforce the page count limit once a document has been opened
+ * @param {File} file - Source file (for the message)
+ * @param {number} pageCount - Number of pages in the converted document
+ * @param {Object} [limits] - Overrides for DEFAULT_IMPORT_LIMITS
+ * @throws {ImportValidationError}
+ */
+export const assertPageCount = (file, pageCount, limits = {}) => {
+  const { maxPageCount } = { ...DEFAULT_IMPORT_LIMITS, ...limits };
+  if (pageCount > maxPageCount) {
+    throw new ImportValidationError(
+      VALIDATION_REASONS.tooManyPages,
+      `${file.name} has ${pageCount} pages, which exceeds the ${maxPageCount} page limit`,
+    );
+  }
+};
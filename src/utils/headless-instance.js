@@ -0,0 +1,42 @@
+/**
+ * Headless Instance Helpers
+ *
+ * Small helpers for headless Nutrient instances, used to inspect documents
+ * without rendering any UI. Instances themselves come from the conversion
+ * pool.
+ */
+
+/**
+ * Render a page of an instance onto a canvas
+ * @param {Object} instance - Nutrient instance (headless or not)
+ * @param {number} pageIndex - Zero-based page index
+ * @param {number} width - Target width in pixels
+ * @returns {Promise<HTMLCanvasElement>}
+ */
+export const renderPageToCanvas = async (instance, pageIndex, width) => {
+  const pixels = await instance.renderPageAsArrayBuffer({ width }, pageIndex);
+  const height = Math.round(pixels.byteLength / 4 / width);
+
+  const canvas = document.createElement("canvas");
+  canvas.width = width;
+  canvas.height = height;
+  canvas
+    .getContext("2d")
+    .putImageData(
+      new ImageData(new Uint8ClampedArray(pixels), width, height),
+      0,
+      0,
+    );
+
+  return canvas;
+};
+
+/**
+ * Render a page of an instance to a PNG data URL
+ * @param {Object} instance - Nutrient instance (headless or not)
+ * @param {number} pageIndex - Zero-based page index
+ * @param {number} width - Target width in pixels
+ * @returns {Promise<string>} PNG data URL
+ */
+export const renderPageThumbnail = async (instance, pageIndex, width) =>
+  (await renderPageToCanvas(instance, pageIndex, width)).toDataURL("image/png");
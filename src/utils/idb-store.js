@@ -0,0 +1,80 @@
+/**
+ * IndexedDB Store
+ *
+ * Promise-based access to one IndexedDB object store, for data that is too
+ * large or too structured for localStorage. Each store lives in its own
+ * database, opened on first use.
+ */
+
+/**
+ * Open an object store
+ * @param {Object} options - Store options
+ * @param {string} options.databaseName - IndexedDB database name
+ * @param {string} options.storeName - Object store name
+ * @param {string|Array<string>} options.keyPath - Key path of stored values
+ * @param {Array<Object>} [options.indexes] - { name, keyPath } indexes to create
+ * @returns {Object} { get, getAll, getAllFromIndex, put, putAll, delete }
+ */
+export const openObjectStore = ({
+  databaseName,
+  storeName,
+  keyPath,
+  indexes = [],
+}) => {
+  let databasePromise = null;
+
+  const openDatabase = () => {
+    if (!databasePromise) {
+      databasePromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(databaseName, 1);
+        request.onupgradeneeded = () => {
+          const store = request.result.createObjectStore(storeName, {
+            keyPath,
+          });
+          for (const index of indexes) {
+            store.createIndex(index.name, index.keyPath);
+          }
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+      // Allow a later call to retry, e.g. after storage was unavailable
+      databasePromise.catch(() => {
+        databasePromise = null;
+      });
+    }
+    return databasePromise;
+  };
+
+  /**
+   * Run an operation in its own transaction
+   * @param {string} mode - "readonly" or "readwrite"
+   * @param {Function} operation - Receives the object store, may return a request
+   * @returns {Promise<*>} The request's result once the transaction completes
+   */
+  const run = async (mode, operation) => {
+    const database = await openDatabase();
+    return new Promise((resolve, reject) => {
+      const transaction = database.transaction(storeName, mode);
+      const request = operation(transaction.objectStore(storeName));
+      transaction.oncomplete = () => resolve(request?.result);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  };
+
+  return {
+    get: (key) => run("readonly", (store) => store.get(key)),
+    getAll: () => run("readonly", (store) => store.getAll()),
+    getAllFromIndex: (indexName, query) =>
+      run("readonly", (store) => store.index(indexName).getAll(query)),
+    put: (value) => run("readwrite", (store) => store.put(value)),
+    putAll: (values) =>
+      run("readwrite", (store) => {
+        for (const value of values) {
+          store.put(value);
+        }
+      }),
+    delete: (key) => run("readwrite", (store) => store.delete(key)),
+  };
+};
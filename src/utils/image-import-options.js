@@ -0,0 +1,293 @@
+/**
+ * Image Import Options
+ *
+ * Settings that control how imported images (PNG, JPEG, TIFF, ...) are laid
+ * out on PDF pages, how they are persisted per user, and the layout math
+ * that turns them into a page size, a placement and a render resolution.
+ *
+ * Sizes shown to the user are in millimetres; PDF geometry is in points.
+ */
+
+import { PAGE_SIZES } from "./pdf-writer";
+
+/**
+ * Points per millimetre
+ */
+export const POINTS_PER_MM = 72 / 25.4;
+
+/**
+ * Resolution assumed for images that carry no resolution of their own
+ */
+export const SCREEN_DPI = 96;
+
+/**
+ * Target page size choices
+ */
+export const PAGE_SIZE_MODES = {
+  matchDocument: "match-document",
+  a4: "a4",
+  letter: "letter",
+  custom: "custom",
+};
+
+/**
+ * Page orientation choices; "auto" follows the image's aspect ratio
+ */
+export const ORIENTATIONS = {
+  auto: "auto",
+  portrait: "portrait",
+  landscape: "landscape",
+};
+
+/**
+ * How an image is placed inside the page margins
+ * - fit: scale to fit entirely, keeping the aspect ratio
+ * - fill: scale to cover the whole area, cropping the overflow
+ * - center: keep the image's actual size, shrinking it only when too large
+ */
+export const FIT_MODES = {
+  fit: "fit",
+  fill: "fill",
+  center: "center",
+};
+
+/**
+ * Options used when the user has not saved any
+ */
+export const DEFAULT_IMAGE_IMPORT_OPTIONS = {
+  pageSize: PAGE_SIZE_MODES.matchDocument,
+  customPageSize: { width: 210, height: 297 }, // millimetres
+  orientation: ORIENTATIONS.auto,
+  fitMode: FIT_MODES.fit,
+  margin: 10, // millimetres
+  autoRotate: true,
+  maxDpi: 150,
+};
+
+/**
+ * Allowed ranges for numeric options
+ */
+export const IMAGE_OPTION_LIMITS = {
+  pageDimension: { min: 25, max: 1200 }, // millimetres
+  margin: { min: 0, max: 100 }, // millimetres
+  maxDpi: { min: 36, max: 600 },
+};
+
+const STORAGE_KEY_PREFIX = "document-editor:image-import-options:";
+
+/**
+ * Clamp a value to a range, falling back when it is not a finite number
+ * @param {*} value - Candidate value
+ * @param {Object} range - { min, max }
+ * @param {number} fallback - Value used when the candidate is invalid
+ * @returns {number}
+ */
+const clampNumber = (value, { min, max }, fallback) => {
+  const number = Number(value);
+  return Number.isFinite(number)
+    ? Math.min(max, Math.max(min, number))
+    : fallback;
+};
+
+/**
+ * Check whether a value is one of an enumeration's values
+ * @param {Object} enumeration - e.g. FIT_MODES
+ * @param {*} value - Candidate value
+ * @returns {boolean}
+ */
+const isOneOf = (enumeration, value) =>
+  Object.values(enumeration).includes(value);
+
+/**
+ * Merge partial options with the defaults and correct invalid values
+ * @param {Object} options - Partial or untrusted options
+ * @returns {Object} Complete, valid options
+ */
+export const normalizeImageImportOptions = (options = {}) => {
+  const defaults = DEFAULT_IMAGE_IMPORT_OPTIONS;
+  const { pageDimension, margin, maxDpi } = IMAGE_OPTION_LIMITS;
+
+  return {
+    pageSize: isOneOf(PAGE_SIZE_MODES, options.pageSize)
+      ? options.pageSize
+      : defaults.pageSize,
+    customPageSize: {
+      width: clampNumber(
+        options.customPageSize?.width,
+        pageDimension,
+        defaults.customPageSize.width,
+      ),
+      height: clampNumber(
+        options.customPageSize?.height,
+        pageDimension,
+        defaults.customPageSize.height,
+      ),
+    },
+    orientation: isOneOf(ORIENTATIONS, options.orientation)
+      ? options.orientation
+      : defaults.orientation,
+    fitMode: isOneOf(FIT_MODES, options.fitMode)
+      ? options.fitMode
+      : defaults.fitMode,
+    margin: clampNumber(options.margin, margin, defaults.margin),
+    autoRotate:
+      typeof options.autoRotate === "boolean"
+        ? options.autoRotate
+        : defaults.autoRotate,
+    maxDpi: clampNumber(options.maxDpi, maxDpi, defaults.maxDpi),
+  };
+};
+
+/**
+ * Load the image import options saved for a user
+ * @param {string} userId - User the options belong to
+ * @returns {Object} Saved options, or the defaults
+ */
+export const loadImageImportOptions = (userId) => {
+  try {
+    const saved = localStorage.getItem(`${STORAGE_KEY_PREFIX}${userId}`);
+    return normalizeImageImportOptions(saved ? JSON.parse(saved) : {});
+  } catch {
+    return normalizeImageImportOptions();
+  }
+};
+
+/**
+ * Save the image import options for a user
+ * @param {string} userId - User the options belong to
+ * @param {Object} options - Options to save
+ * @returns {Object} The normalized options that were saved
+ */
+export const saveImageImportOptions = (userId, options) => {
+  const normalized = normalizeImageImportOptions(options);
+  try {
+    localStorage.setItem(
+      `${STORAGE_KEY_PREFIX}${userId}`,
+      JSON.stringify(normalized),
+    );
+  } catch {
+    // Storage can be full or disabled; the options still apply this session
+  }
+  return normalized;
+};
+
+/**
+ * Resolve the target page size in points, before orientation is applied
+ * @param {Object} options - Image import options
+ * @param {Object} [documentPageSize] - { width, height } of the current page in points
+ * @returns {{width: number, height: number}}
+ */
+export const resolveImagePageSize = (options, documentPageSize) => {
+  switch (options.pageSize) {
+    case PAGE_SIZE_MODES.custom:
+      return {
+        width: options.customPageSize.width * POINTS_PER_MM,
+        height: options.customPageSize.height * POINTS_PER_MM,
+      };
+    case PAGE_SIZE_MODES.letter:
+      return PAGE_SIZES.letter;
+    case PAGE_SIZE_MODES.matchDocument:
+      if (documentPageSize?.width > 0 && documentPageSize?.height > 0) {
+        return {
+          width: documentPageSize.width,
+          height: documentPageSize.height,
+        };
+      }
+      return PAGE_SIZES.a4;
+    default:
+      return PAGE_SIZES.a4;
+  }
+};
+
+/**
+ * Swap page dimensions to match the requested orientation
+ * @param {Object} pageSize - { width, height } in points
+ * @param {string} orientation - One of ORIENTATIONS
+ * @param {boolean} isLandscapeImage - Whether the image is wider than tall
+ * @returns {{width: number, height: number}}
+ */
+const orientPage = ({ width, height }, orientation, isLandscapeImage) => {
+  const landscape =
+    orientation === ORIENTATIONS.auto
+      ? isLandscapeImage
+      : orientation === ORIENTATIONS.landscape;
+  return landscape === width > height
+    ? { width, height }
+    : { width: height, height: width };
+};
+
+/**
+ * Compute how an image is drawn on its page
+ * @param {Object} image - { width, height } in pixels and optional dpi
+ * @param {Object} options - Normalized image import options
+ * @param {Object} [documentPageSize] - { width, height } of the current page in points
+ * @returns {Object} Layout:
+ *   - page: { width, height } in points
+ *   - placement: visible image rectangle { x, y, width, height } in points,
+ *     from the bottom-left corner
+ *   - crop: source rectangle { x, y, width, height } in image pixels
+ *   - renderWidth/renderHeight: pixel size of the page image, capped at maxDpi
+ */
+export const computeImageLayout = (image, options, documentPageSize) => {
+  const page = orientPage(
+    resolveImagePageSize(options, documentPageSize),
+    options.orientation,
+    image.width > image.height,
+  );
+
+  const margin = Math.min(
+    options.margin * POINTS_PER_MM,
+    page.width / 2 - 1,
+    page.height / 2 - 1,
+  );
+  const box = {
+    x: margin,
+    y: margin,
+    width: page.width - margin * 2,
+    height: page.height - margin * 2,
+  };
+
+  // Scale in points per image pixel
+  const fitScale = Math.min(box.width / image.width, box.height / image.height);
+  const scale =
+    options.fitMode === FIT_MODES.fill
+      ? Math.max(box.width / image.width, box.height / image.height)
+      : options.fitMode === FIT_MODES.center
+        ? Math.min(72 / (image.dpi || SCREEN_DPI), fitScale)
+        : fitScale;
+
+  const drawnWidth = image.width * scale;
+  const drawnHeight = image.height * scale;
+  const drawn = {
+    x: box.x + (box.width - drawnWidth) / 2,
+    y: box.y + (box.height - drawnHeight) / 2,
+    width: drawnWidth,
+    height: drawnHeight,
+  };
+
+  // Fill mode overflows the margin box; only the part inside it is kept
+  const placement = {
+    x: Math.max(drawn.x, box.x),
+    y: Math.max(drawn.y, box.y),
+    width: Math.min(drawn.width, box.width),
+    height: Math.min(drawn.height, box.height),
+  };
+  const crop = {
+    x: (placement.x - drawn.x) / scale,
+    // Image rows run top-down, PDF coordinates bottom-up
+    y: (drawn.y + drawn.height - (placement.y + placement.height)) / scale,
+    width: placement.width / scale,
+    height: placement.height / scale,
+  };
+
+  // Pixels per point: never above maxDpi, and never upsampling the source
+  const pixelsPerPoint = Math.min(options.maxDpi / 72, 1 / scale);
+
+  return {
+    page,
+    placement,
+    crop,
+    renderWidth: Math.max(1, Math.round(placement.width * pixelsPerPoint)),
+    renderHeight: Math.max(1, Math.round(placement.height * pixelsPerPoint)),
+  };
+};
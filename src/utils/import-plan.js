@@ -0,0 +1,90 @@
+/**
+ * Import Plan
+ *
+ * Turns the choices made in the import staging dialog (order, page ranges,
+ * insertion point, "treat as one page") into Nutrient document operations.
+ */
+
+/**
+ * Where the staged documents are inserted into the current document
+ */
+export const INSERTION_MODES = {
+  start: "start",
+  afterCurrent: "after-current",
+  afterPage: "after-page",
+  end: "end",
+};
+
+/**
+ * Resolve an insertion choice to the number of existing pages that will
+ * precede the imported pages
+ * @param {Object} insertion - { mode, afterPage } where afterPage is 1-based
+ * @param {Object} documentState - { currentPageIndex, totalPages }
+ * @returns {number} Insertion offset between 0 and totalPages
+ */
+export const resolveInsertionOffset = (
+  { mode, afterPage },
+  { currentPageIndex, totalPages },
+) => {
+  switch (mode) {
+    case INSERTION_MODES.start:
+      return 0;
+    case INSERTION_MODES.afterCurrent:
+      return currentPageIndex + 1;
+    case INSERTION_MODES.afterPage:
+      if (!Number.isInteger(afterPage) || afterPage < 1 || afterPage > totalPages) {
+        throw new Error(`Page number must be between 1 and ${totalPages}`);
+      }
+      return afterPage;
+    default:
+      return totalPages;
+  }
+};
+
+/**
+ * Map an insertion offset (e.g. from a drop position) back to an insertion
+ * choice that can preselect the staging dialog
+ * @param {number} offset - Pages preceding the insertion point
+ * @param {number} totalPages - Page count of the current document
+ * @returns {Object} - { mode, afterPage } where afterPage is 1-based
+ */
+export const insertionFromOffset = (offset, totalPages) => {
+  if (offset === undefined || offset >= totalPages) {
+    return { mode: INSERTION_MODES.end, afterPage: totalPages };
+  }
+  if (offset === 0) {
+    return { mode: INSERTION_MODES.start, afterPage: totalPages };
+  }
+  return { mode: INSERTION_MODES.afterPage, afterPage: offset };
+};
+
+/**
+ * Build importDocument operations for staged entries, keeping their order
+ * @param {Array<Object>} entries - { file, pageCount, pageIndexes } in import order
+ * @param {number} insertionOffset - Pages preceding the first imported page
+ * @param {boolean} treatAsOnePage - Import each entry as a single page
+ * @returns {Array<Object>} Operations for instance.applyOperations
+ */
+export const buildImportOperations = (
+  entries,
+  insertionOffset,
+  treatAsOnePage,
+) => {
+  let offset = insertionOffset;
+
+  return entries.map(({ file, pageCount, pageIndexes }) => {
+    const position =
+      offset === 0 ? { beforePageIndex: 0 } : { afterPageIndex: offset - 1 };
+    const isPartial = pageIndexes.length !== pageCount;
+
+    offset += treatAsOnePage ? 1 : pageIndexes.length;
+
+    return {
+      type: "importDocument",
+      ...position,
+      treatImportedDocumentAsOnePage: treatAsOnePage,
+      document: file,
+      ...(isPartial ? { importedPageIndexes: pageIndexes } : {}),
+    };
+  });
+};
@@ -0,0 +1,185 @@
+/**
+ * Import Provenance
+ *
+ * Records where imported pages came from and stores that record in the
+ * document itself, so it survives export and reopening:
+ * - every imported page gets a page label such as "report.docx (2/5) #a1b2c3",
+ *   which travels with the page when pages are moved, and identifies the
+ *   import it belongs to
+ * - the full record (format, conversion, source pages, time and user) is kept
+ *   in the customData of a hidden annotation on the import's first page
+ */
+
+import { formatPageRange } from "./page-range";
+import { getAnnotationCustomData } from "./signature-classifier";
+
+/**
+ * customData key holding the provenance record
+ */
+export const PROVENANCE_DATA_KEY = "importProvenance";
+
+const LABEL_PATTERN = /^(.*) \((\d+)\/(\d+)\) #([0-9a-f]{6})$/;
+
+/**
+ * Create a short random identifier for an import
+ * @returns {string} Six hex characters
+ */
+const createImportId = () =>
+  Array.from(crypto.getRandomValues(new Uint8Array(3)), (byte) =>
+    byte.toString(16).padStart(2, "0"),
+  ).join("");
+
+/**
+ * Create one provenance record per staged entry
+ * @param {Array<Object>} entries - Staged entries { name, format, converted, pageCount, pageIndexes }
+ * @param {Object} context - Import context
+ * @param {boolean} context.treatAsOnePage - Whether each entry became a single page
+ * @param {string} context.user - User who ran the import
+ * @param {Date} [context.importedAt] - Import time
+ * @returns {Array<Object>} Records, in insertion order
+ */
+export const createImportRecords = (
+  entries,
+  { treatAsOnePage, user, importedAt = new Date() },
+) =>
+  entries.map((entry) => ({
+    id: createImportId(),
+    fileName: entry.name,
+    format: entry.format,
+    converted: entry.converted,
+    sourcePages:
+      entry.pageIndexes.length === entry.pageCount
+        ? "all"
+        : formatPageRange(entry.pageIndexes),
+    pageCount: treatAsOnePage ? 1 : entry.pageIndexes.length,
+    importedAt: importedAt.toISOString(),
+    importedBy: user,
+  }));
+
+/**
+ * Format the page label of an imported page
+ * @param {Object} record - Provenance record
+ * @param {number} pageNumber - 1-based page number within the import
+ * @returns {string}
+ */
+export const formatProvenanceLabel = (record, pageNumber) =>
+  `${record.fileName} (${pageNumber}/${record.pageCount}) #${record.id}`;
+
+/**
+ * Parse a page label written by formatProvenanceLabel
+ * @param {string} label - Page label
+ * @returns {Object|null} { fileName, pageNumber, pageCount, id }, or null for other labels
+ */
+export const parseProvenanceLabel = (label) => {
+  const match = LABEL_PATTERN.exec(label || "");
+  return match
+    ? {
+        fileName: match[1],
+        pageNumber: Number(match[2]),
+        pageCount: Number(match[3]),
+        id: match[4],
+      }
+    : null;
+};
+
+/**
+ * Build setPageLabel operations for freshly imported pages. They run in the
+ * same applyOperations call as the imports, so the labels are part of the
+ * same undo step.
+ * @param {Array<Object>} records - Records in insertion order
+ * @param {number} insertionOffset - Index of the first imported page
+ * @returns {Array<Object>} Operations for instance.applyOperations
+ */
+export const buildProvenanceOperations = (records, insertionOffset) => {
+  let pageIndex = insertionOffset;
+  return records.flatMap((record) =>
+    Array.from({ length: record.pageCount }, (_, index) => ({
+      type: "setPageLabel",
+      pageIndexes: [pageIndex++],
+      pageLabel: formatProvenanceLabel(record, index + 1),
+    })),
+  );
+};
+
+/**
+ * Create the hidden annotation carrying a record
+ * @param {Object} NutrientViewer - Nutrient Web SDK class
+ * @param {Object} record - Provenance record
+ * @param {number} pageIndex - First page of the import
+ * @returns {Object} Annotation to pass to instance.create
+ */
+export const createProvenanceAnnotation = (NutrientViewer, record, pageIndex) =>
+  new NutrientViewer.Annotations.NoteAnnotation({
+    pageIndex,
+    boundingBox: new NutrientViewer.Geometry.Rect({
+      left: 0,
+      top: 0,
+      width: 1,
+      height: 1,
+    }),
+    text: { format: "plain", value: `Imported from ${record.fileName}` },
+    creatorName: record.importedBy,
+    noView: true,
+    noPrint: true,
+    locked: true,
+    customData: { [PROVENANCE_DATA_KEY]: record },
+  });
+
+/**
+ * Find the current page indexes of every labelled import
+ * @param {Object} instance - Nutrient instance
+ * @returns {Map<string, Array<number>>} Page indexes by import id, in page order
+ */
+export const findImportedPages = (instance) => {
+  const pagesById = new Map();
+  for (let pageIndex = 0; pageIndex < instance.totalPageCount; pageIndex++) {
+    const parsed = parseProvenanceLabel(
+      instance.pageInfoForIndex(pageIndex)?.label,
+    );
+    if (parsed) {
+      pagesById.set(parsed.id, [
+        ...(pagesById.get(parsed.id) || []),
+        pageIndex,
+      ]);
+    }
+  }
+  return pagesById;
+};
+
+/**
+ * Rebuild the import history from the document. Imports whose record
+ * annotation is missing are still listed, from what their labels tell.
+ * @param {Object} instance - Nutrient instance
+ * @returns {Promise<Array<Object>>} { record, pageIndexes } in page order
+ */
+export const loadImportHistory = async (instance) => {
+  const pagesById = findImportedPages(instance);
+  const history = [];
+
+  for (const [id, pageIndexes] of pagesById) {
+    // The record sits on the import's first page, which may have been moved
+    let stored = null;
+    for (const pageIndex of pageIndexes) {
+      const annotations = await instance.getAnnotations(pageIndex);
+      stored = annotations
+        .map((annotation) => getAnnotationCustomData(annotation))
+        .find((customData) => customData[PROVENANCE_DATA_KEY]?.id === id);
+      if (stored) {
+        break;
+      }
+    }
+    const label = parseProvenanceLabel(
+      instance.pageInfoForIndex(pageIndexes[0]).label,
+    );
+    history.push({
+      record: stored?.[PROVENANCE_DATA_KEY] || {
+        id,
+        fileName: label.fileName,
+        pageCount: label.pageCount,
+      },
+      pageIndexes,
+    });
+  }
+
+  return history;
+};
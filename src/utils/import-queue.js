@@ -0,0 +1,86 @@
+/**
+ * Import Queue
+ *
+ * Drives a batch of files through the document import pipeline, a bounded
+ * number at a time, reporting per-file progress and collecting failures
+ * instead of aborting the whole batch on the first error. Results keep the
+ * order in which the files were picked.
+ */
+
+/**
+ * Human readable labels for each stage of an import. Downloading precedes
+ * the queue for URL imports; reading, converting and preparing are per-file
+ * queue stages; merging and rendering apply to the whole batch.
+ */
+export const IMPORT_STAGES = {
+  downloading: "downloading",
+  reading: "reading",
+  converting: "converting",
+  preparing: "preparing",
+  merging: "merging",
+  rendering: "re-rendering",
+};
+
+/**
+ * Run files through an import step
+ * @param {Array<File>} files - Files to import, in the order they were picked
+ * @param {Function} processFile - Async step called as (file, reportStage)
+ * @param {Object} options - Queue options
+ * @param {Function} options.onProgress - Called with { index, total, file, stage }
+ * @param {number} [options.concurrency] - Files processed at the same time
+ * @returns {Promise<{imported: Array<{file: File, result: *}>, failed: Array<{file: File, error: Error}>}>}
+ */
+export const runImportQueue = async (files, processFile, options = {}) => {
+  const { onProgress, concurrency = 1 } = options;
+  const outcomes = new Array(files.length);
+  let nextIndex = 0;
+
+  const worker = async () => {
+    while (nextIndex < files.length) {
+      const index = nextIndex++;
+      const file = files[index];
+      const reportStage = (stage) => {
+        onProgress?.({ index, total: files.length, file, stage });
+      };
+
+      try {
+        outcomes[index] = { file, result: await processFile(file, reportStage) };
+      } catch (error) {
+        outcomes[index] = { file, error };
+      }
+    }
+  };
+
+  await Promise.all(
+    Array.from({ length: Math.min(concurrency, files.length) }, worker),
+  );
+
+  return {
+    imported: outcomes.filter((outcome) => !("error" in outcome)),
+    failed: outcomes.filter((outcome) => "error" in outcome),
+  };
+};
+
+/**
+ * Format a progress message such as "3 of 12: converting scan-003.tiff"
+ * @param {Object} progress - Progress object emitted by runImportQueue
+ * @returns {string}
+ */
+export const formatProgressMessage = ({ index, total, file, stage }) =>
+  `${index + 1} of ${total}: ${stage} ${file.name}`;
+
+/**
+ * Build the end-of-batch report for files that could not be imported
+ * @param {Array<{file: File, error: Error}>} failed - Failed queue entries
+ * @param {number} total - Number of files in the batch
+ * @returns {string}
+ */
+export const formatFailureSummary = (failed, total) => {
+  const lines = failed.map(
+    ({ file, error }) => `• ${file.name}: ${error?.message || "Unknown error"}`,
+  );
+  return [
+    `${failed.length} of ${total} file(s) could not be imported and were skipped:`,
+    ...lines,
+  ].join("\n");
+};
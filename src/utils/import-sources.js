@@ -0,0 +1,230 @@
+/**
+ * Import Sources
+ *
+ * Turns sources other than the file picker into File objects for the import
+ * pipeline: documents fetched from a URL and files or images pasted from the
+ * clipboard. Fetch failures are reported with a specific, user-readable
+ * reason (network/CORS, not found, other HTTP errors, non-document content).
+ */
+
+import { getFileExtension } from "./converter-registry";
+import { DEFAULT_IMPORT_LIMITS, formatBytes } from "./file-validation";
+
+/**
+ * Machine readable reasons for failed URL imports
+ */
+export const REMOTE_IMPORT_REASONS = {
+  invalidUrl: "invalid-url",
+  network: "network",
+  notFound: "not-found",
+  httpError: "http-error",
+  notDocument: "not-document",
+  tooLarge: "too-large",
+};
+
+/**
+ * Error thrown when a document cannot be fetched from a URL
+ */
+export class RemoteImportError extends Error {
+  /**
+   * @param {string} reason - One of REMOTE_IMPORT_REASONS
+   * @param {string} message - User-readable explanation
+   */
+  constructor(reason, message) {
+    super(message);
+    this.name = "RemoteImportError";
+    this.reason = reason;
+  }
+}
+
+/**
+ * Content types that say nothing about the payload; the file is then
+ * identified by its URL extension and, later, by sniffing its bytes
+ */
+const GENERIC_CONTENT_TYPES = [
+  "",
+  "application/octet-stream",
+  "binary/octet-stream",
+];
+
+/**
+ * Extensions for URLs that really point at an HTML snippet. Any other URL
+ * answering with HTML is most likely an error or login page.
+ */
+const HTML_EXTENSIONS = [".html", ".htm"];
+
+/**
+ * Extensions added to pasted files that arrive without a name
+ */
+const PASTED_FILE_EXTENSIONS = {
+  "image/png": ".png",
+  "image/jpeg": ".jpg",
+  "image/gif": ".gif",
+  "image/webp": ".webp",
+  "image/bmp": ".bmp",
+  "image/tiff": ".tiff",
+  "application/pdf": ".pdf",
+};
+
+/**
+ * Parse and check a URL typed by the user
+ * @param {string} value - URL text
+ * @returns {URL}
+ * @throws {RemoteImportError} - When the URL is not http(s)
+ */
+export const parseImportUrl = (value) => {
+  let url;
+  try {
+    url = new URL(value.trim(), window.location.href);
+  } catch {
+    throw new RemoteImportError(
+      REMOTE_IMPORT_REASONS.invalidUrl,
+      `"${value}" is not a valid URL`,
+    );
+  }
+  if (url.protocol !== "http:" && url.protocol !== "https:") {
+    throw new RemoteImportError(
+      REMOTE_IMPORT_REASONS.invalidUrl,
+      "Only http and https links can be imported",
+    );
+  }
+  return url;
+};
+
+/**
+ * Work out the file name of a download, preferring Content-Disposition
+ * @param {URL} url - Requested URL
+ * @param {Headers} headers - Response headers
+ * @returns {string}
+ */
+const getDownloadFileName = (url, headers) => {
+  const disposition = headers.get("content-disposition") || "";
+  const encoded = disposition.match(/filename\*\s*=\s*(?:UTF-8'')?([^;]+)/i);
+  if (encoded) {
+    try {
+      return decodeURIComponent(encoded[1].trim().replace(/^"|"$/g, ""));
+    } catch {
+      // Fall back to the plain filename parameter
+    }
+  }
+  const plain = disposition.match(/filename\s*=\s*"?([^";]+)"?/i);
+  if (plain) {
+    return plain[1].trim();
+  }
+
+  const lastSegment = url.pathname.split("/").filter(Boolean).pop();
+  try {
+    return lastSegment ? decodeURIComponent(lastSegment) : url.hostname;
+  } catch {
+    return lastSegment;
+  }
+};
+
+/**
+ * Fetch a document from a URL as a File
+ * @param {string} value - URL typed by the user
+ * @param {Object} options - Fetch options
+ * @param {Object} options.registry - Converter registry deciding which content types are documents
+ * @param {Object} [options.limits] - Import limits, see DEFAULT_IMPORT_LIMITS
+ * @param {AbortSignal} [options.signal] - Cancels the download
+ * @returns {Promise<File>}
+ * @throws {RemoteImportError} - When the document cannot be fetched
+ */
+export const fetchImportFile = async (
+  value,
+  { registry, limits = DEFAULT_IMPORT_LIMITS, signal } = {},
+) => {
+  const url = parseImportUrl(value);
+
+  let response;
+  try {
+    response = await fetch(url, { signal, credentials: "same-origin" });
+  } catch (error) {
+    if (error?.name === "AbortError") {
+      throw error;
+    }
+    // Browsers report CORS rejections and unreachable hosts the same way
+    throw new RemoteImportError(
+      REMOTE_IMPORT_REASONS.network,
+      url.origin === window.location.origin
+        ? `${url.host} could not be reached`
+        : `${url.host} could not be reached, or it does not allow this site to download its files (CORS)`,
+    );
+  }
+
+  if (response.status === 404 || response.status === 410) {
+    throw new RemoteImportError(
+      REMOTE_IMPORT_REASONS.notFound,
+      `Nothing was found at ${url.href} (HTTP ${response.status})`,
+    );
+  }
+  if (!response.ok) {
+    throw new RemoteImportError(
+      REMOTE_IMPORT_REASONS.httpError,
+      `The server answered with HTTP ${response.status}${response.statusText ? ` ${response.statusText}` : ""}`,
+    );
+  }
+
+  const contentType = (response.headers.get("content-type") || "")
+    .split(";")[0]
+    .trim()
+    .toLowerCase();
+  const fileName = getDownloadFileName(url, response.headers);
+  const extension = getFileExtension(fileName);
+  const isGeneric = GENERIC_CONTENT_TYPES.includes(contentType);
+  const isHtmlPage =
+    contentType === "text/html" && !HTML_EXTENSIONS.includes(extension);
+
+  if (
+    isHtmlPage ||
+    (!isGeneric && !registry.isSupportedMimeType(contentType))
+  ) {
+    throw new RemoteImportError(
+      REMOTE_IMPORT_REASONS.notDocument,
+      `${url.href} returned ${isHtmlPage ? "a web page" : `"${contentType}" content`}, not a document that can be imported`,
+    );
+  }
+
+  const declaredLength = Number(response.headers.get("content-length"));
+  if (declaredLength > limits.maxFileSizeBytes) {
+    throw new RemoteImportError(
+      REMOTE_IMPORT_REASONS.tooLarge,
+      `${fileName} is ${formatBytes(declaredLength)}; the limit is ${formatBytes(limits.maxFileSizeBytes)}`,
+    );
+  }
+
+  const blob = await response.blob();
+  return new File([blob], fileName, {
+    type: isGeneric ? "" : contentType,
+  });
+};
+
+/**
+ * Collect the files on the clipboard of a paste event. Screenshots arrive
+ * as unnamed images, so they get a readable name with the right extension.
+ * @param {DataTransfer} clipboardData - Paste event clipboard data
+ * @returns {Array<File>}
+ */
+export const getClipboardFiles = (clipboardData) => {
+  if (!clipboardData) {
+    return [];
+  }
+
+  const files = Array.from(clipboardData.items || [])
+    .filter((item) => item.kind === "file")
+    .map((item) => item.getAsFile())
+    .filter(Boolean);
+  const pastedAt = new Date().toISOString().slice(0, 19).replace(/:/g, "-");
+
+  return files.map((file, index) => {
+    const isUnnamed = !file.name || /^image\.\w+$/i.test(file.name);
+    if (!isUnnamed) {
+      return file;
+    }
+    const extension = PASTED_FILE_EXTENSIONS[file.type] || "";
+    const suffix = files.length > 1 ? ` (${index + 1})` : "";
+    return new File([file], `Pasted ${pastedAt}${suffix}${extension}`, {
+      type: file.type,
+    });
+  });
+};
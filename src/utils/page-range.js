@@ -0,0 +1,73 @@
+/**
+ * Page Range Utilities
+ *
+ * Parsing and formatting of human readable page ranges such as "1-3, 5, 8-".
+ * Page numbers in ranges are 1-based; the returned indexes are 0-based to
+ * match the Nutrient Web SDK page index convention.
+ */
+
+/**
+ * Parse a page range string into zero-based page indexes
+ * @param {string} range - Range text, e.g. "1-3, 5, 8-". Empty means all pages
+ * @param {number} pageCount - Number of pages in the source document
+ * @returns {Array<number>} Sorted, de-duplicated zero-based page indexes
+ * @throws {Error} When the range is malformed or out of bounds
+ */
+export const parsePageRange = (range, pageCount) => {
+  const text = (range || "").trim();
+  if (!text) {
+    return Array.from({ length: pageCount }, (_, index) => index);
+  }
+
+  const indexes = new Set();
+  for (const part of text.split(",")) {
+    const match = part.trim().match(/^(\d*)\s*(-?)\s*(\d*)$/);
+    if (!match || (!match[1] && !match[3])) {
+      throw new Error(`Invalid page range "${part.trim()}"`);
+    }
+
+    const [, startText, dash, endText] = match;
+    const start = startText ? Number(startText) : 1;
+    const end = dash ? (endText ? Number(endText) : pageCount) : start;
+
+    if (start < 1 || end > pageCount || start > end) {
+      throw new Error(
+        `Page range "${part.trim()}" is outside 1-${pageCount}`,
+      );
+    }
+
+    for (let page = start; page <= end; page++) {
+      indexes.add(page - 1);
+    }
+  }
+
+  return [...indexes].sort((a, b) => a - b);
+};
+
+/**
+ * Format zero-based page indexes as a compact 1-based range string
+ * @param {Array<number>} pageIndexes - Zero-based page indexes
+ * @returns {string} Range text, e.g. "1-3, 5"
+ */
+export const formatPageRange = (pageIndexes) => {
+  const sorted = [...new Set(pageIndexes)].sort((a, b) => a - b);
+  const parts = [];
+  let start = null;
+  let previous = null;
+
+  for (const index of [...sorted, null]) {
+    if (start !== null && index === previous + 1) {
+      previous = index;
+      continue;
+    }
+    if (start !== null) {
+      parts.push(
+        start === previous ? `${start + 1}` : `${start + 1}-${previous + 1}`,
+      );
+    }
+    start = index;
+    previous = index;
+  }
+
+  return parts.join(", ");
+};
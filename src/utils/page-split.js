@@ -0,0 +1,322 @@
+/**
+ * Page Split
+ *
+ * Divides a document into parts, each exported as its own PDF: by page
+ * ranges, every N pages, at blank separator pages, at the boundaries of
+ * earlier imports or at the top-level entries of the document outline (the
+ * PDF's bookmarks). Parts are named from a file name template.
+ *
+ * A part is { pageIndexes, label }, where the label is what the rule knows
+ * about the part: the imported file or the outline entry it comes from.
+ */
+
+import { parseProvenanceLabel } from "./import-provenance";
+import { parsePageRange } from "./page-range";
+
+/**
+ * Ways to split a document
+ */
+export const SPLIT_RULES = {
+  ranges: "ranges",
+  everyN: "every-n",
+  blankPages: "blank-pages",
+  imports: "imports",
+  bookmarks: "bookmarks",
+};
+
+/**
+ * Stages reported while splitting
+ */
+export const SPLIT_STAGES = {
+  analysing: "analysing",
+  extracting: "extracting",
+  zipping: "zipping",
+};
+
+/**
+ * Template used when none is given. Tokens: {name} (document name without
+ * extension), {index} (part number), {count} (number of parts), {start} and
+ * {end} (first and last page) and {label} (imported file or bookmark title)
+ */
+export const DEFAULT_FILE_NAME_TEMPLATE = "{name}-{index}";
+
+/**
+ * Width pages are rendered at to detect blank ones, in pixels
+ */
+const BLANK_PAGE_RENDER_WIDTH = 64;
+
+/**
+ * Share of dark pixels below which a page counts as blank, allowing for
+ * scanner noise
+ */
+const BLANK_PAGE_INK_RATIO = 0.005;
+
+/**
+ * Channel value below which a pixel counts as ink
+ */
+const INK_THRESHOLD = 224;
+
+/**
+ * Split comma-separated page ranges into one part per range
+ * @param {string} ranges - e.g. "1-3, 5, 8-"
+ * @param {number} pageCount - Pages in the document
+ * @returns {Array<Object>} Parts
+ * @throws {Error} When a range is malformed or out of bounds
+ */
+export const splitByRanges = (ranges, pageCount) => {
+  const parts = ranges
+    .split(",")
+    .map((range) => range.trim())
+    .filter(Boolean)
+    .map((range) => ({
+      pageIndexes: parsePageRange(range, pageCount),
+      label: "",
+    }));
+  if (parts.length === 0) {
+    throw new Error("Enter at least one page range");
+  }
+  return parts;
+};
+
+/**
+ * Split into parts of N pages; the last part may be shorter
+ * @param {number} pageCount - Pages in the document
+ * @param {number} size - Pages per part
+ * @returns {Array<Object>} Parts
+ * @throws {Error} When size is not a positive whole number
+ */
+export const splitEveryN = (pageCount, size) => {
+  if (!Number.isInteger(size) || size < 1) {
+    throw new Error("Pages per file must be a whole number of at least 1");
+  }
+  const parts = [];
+  for (let start = 0; start < pageCount; start += size) {
+    parts.push({
+      pageIndexes: Array.from(
+        { length: Math.min(size, pageCount - start) },
+        (_, offset) => start + offset,
+      ),
+      label: "",
+    });
+  }
+  return parts;
+};
+
+/**
+ * Split at separator pages, which are left out of every part
+ * @param {number} pageCount - Pages in the document
+ * @param {Array<number>} separatorIndexes - Separator pages
+ * @returns {Array<Object>} Parts, without empty ones
+ */
+export const splitAtSeparators = (pageCount, separatorIndexes) => {
+  const separators = new Set(separatorIndexes);
+  const parts = [];
+  let current = [];
+  for (let pageIndex = 0; pageIndex < pageCount; pageIndex++) {
+    if (separators.has(pageIndex)) {
+      if (current.length > 0) {
+        parts.push({ pageIndexes: current, label: "" });
+      }
+      current = [];
+    } else {
+      current.push(pageIndex);
+    }
+  }
+  if (current.length > 0) {
+    parts.push({ pageIndexes: current, label: "" });
+  }
+  return parts;
+};
+
+/**
+ * Split where new sections start. Pages before the first section form a
+ * part of their own.
+ * @param {number} pageCount - Pages in the document
+ * @param {Array<Object>} starts - { pageIndex, label } of each section
+ * @returns {Array<Object>} Parts
+ */
+export const splitAtStarts = (pageCount, starts) => {
+  const sorted = [...starts]
+    .filter(({ pageIndex }) => pageIndex >= 0 && pageIndex < pageCount)
+    .sort((a, b) => a.pageIndex - b.pageIndex)
+    // Keep the first section of sections sharing a page
+    .filter(
+      (start, index, all) =>
+        index === 0 || start.pageIndex !== all[index - 1].pageIndex,
+    );
+  if (sorted.length === 0 || sorted[0].pageIndex > 0) {
+    sorted.unshift({ pageIndex: 0, label: "" });
+  }
+  return sorted.map(({ pageIndex, label }, index) => {
+    const end = sorted[index + 1]?.pageIndex ?? pageCount;
+    return {
+      pageIndexes: Array.from(
+        { length: end - pageIndex },
+        (_, offset) => pageIndex + offset,
+      ),
+      label,
+    };
+  });
+};
+
+/**
+ * Check whether a page is blank by rendering it small and counting dark
+ * pixels
+ * @param {Object} instance - Nutrient instance
+ * @param {number} pageIndex - Page to check
+ * @returns {Promise<boolean>}
+ */
+export const isBlankPage = async (instance, pageIndex) => {
+  const pixels = new Uint8Array(
+    await instance.renderPageAsArrayBuffer(
+      { width: BLANK_PAGE_RENDER_WIDTH },
+      pageIndex,
+    ),
+  );
+  const pixelCount = pixels.length / 4;
+  let inkPixels = 0;
+  for (let offset = 0; offset < pixels.length; offset += 4) {
+    if (
+      pixels[offset + 3] > 0 &&
+      (pixels[offset] < INK_THRESHOLD ||
+        pixels[offset + 1] < INK_THRESHOLD ||
+        pixels[offset + 2] < INK_THRESHOLD)
+    ) {
+      inkPixels++;
+    }
+  }
+  return inkPixels / pixelCount < BLANK_PAGE_INK_RATIO;
+};
+
+/**
+ * Find where each import starts, from the provenance page labels. Pages
+ * that were not imported start a section whenever they follow an import.
+ * @param {Object} instance - Nutrient instance
+ * @returns {Array<Object>} { pageIndex, label } where label is the imported file
+ */
+export const findImportStarts = (instance) => {
+  const starts = [];
+  let previousId;
+  for (let pageIndex = 0; pageIndex < instance.totalPageCount; pageIndex++) {
+    const parsed = parseProvenanceLabel(
+      instance.pageInfoForIndex(pageIndex)?.label,
+    );
+    const id = parsed?.id ?? null;
+    if (pageIndex === 0 || id !== previousId) {
+      starts.push({ pageIndex, label: parsed?.fileName ?? "" });
+    }
+    previousId = id;
+  }
+  return starts;
+};
+
+/**
+ * Find the pages the top-level outline entries point to
+ * @param {Object} instance - Nutrient instance
+ * @returns {Promise<Array<Object>>} { pageIndex, label } where label is the entry title
+ */
+export const findBookmarkStarts = async (instance) => {
+  const outline = await instance.getDocumentOutline();
+  return outline
+    .toArray()
+    .filter((element) => Number.isInteger(element.action?.pageIndex))
+    .map((element) => ({
+      pageIndex: element.action.pageIndex,
+      label: element.title,
+    }));
+};
+
+/**
+ * Divide a document into parts by a rule
+ * @param {Object} instance - Nutrient instance
+ * @param {Object} options - Split options
+ * @param {string} options.rule - One of SPLIT_RULES
+ * @param {string} [options.ranges] - Page ranges, for SPLIT_RULES.ranges
+ * @param {number} [options.pagesPerFile] - Part size, for SPLIT_RULES.everyN
+ * @param {AbortSignal} [signal] - Stops blank page detection
+ * @returns {Promise<Array<Object>>} Parts
+ * @throws {Error} When the rule finds nothing to split at
+ */
+export const planSplit = async (instance, options, signal) => {
+  const pageCount = instance.totalPageCount;
+
+  switch (options.rule) {
+    case SPLIT_RULES.ranges:
+      return splitByRanges(options.ranges, pageCount);
+    case SPLIT_RULES.everyN:
+      return splitEveryN(pageCount, options.pagesPerFile);
+    case SPLIT_RULES.blankPages: {
+      const separators = [];
+      for (let pageIndex = 0; pageIndex < pageCount; pageIndex++) {
+        signal?.throwIfAborted();
+        if (await isBlankPage(instance, pageIndex)) {
+          separators.push(pageIndex);
+        }
+      }
+      if (separators.length === 0) {
+        throw new Error("The document has no blank pages to split at");
+      }
+      return splitAtSeparators(pageCount, separators);
+    }
+    case SPLIT_RULES.imports:
+      return splitAtStarts(pageCount, findImportStarts(instance));
+    case SPLIT_RULES.bookmarks: {
+      const starts = await findBookmarkStarts(instance);
+      if (starts.length === 0) {
+        throw new Error("The document has no bookmarks to split at");
+      }
+      return splitAtStarts(pageCount, starts);
+    }
+    default:
+      throw new Error(`Unknown split rule "${options.rule}"`);
+  }
+};
+
+/**
+ * Make text safe to use in a file name
+ * @param {string} text - Text to clean
+ * @returns {string}
+ */
+const sanitizeFileName = (text) =>
+  text
+    .replace(/[\\/:*?"<>|\p{Cc}]/gu, "-")
+    .replace(/\s+/g, " ")
+    .trim();
+
+/**
+ * Name each part from a template. Names are unique and end in ".pdf".
+ * @param {Array<Object>} parts - Parts in order
+ * @param {string} template - File name template, see DEFAULT_FILE_NAME_TEMPLATE
+ * @param {string} documentName - Name of the split document
+ * @returns {Array<string>} One file name per part
+ */
+export const createPartFileNames = (parts, template, documentName) => {
+  const name = documentName.replace(/\.[^.]+$/, "") || "document";
+  const digits = String(parts.length).length;
+  const used = new Set();
+
+  return parts.map((part, index) => {
+    const values = {
+      name,
+      index: String(index + 1).padStart(digits, "0"),
+      count: String(parts.length),
+      start: String(part.pageIndexes[0] + 1),
+      end: String(part.pageIndexes[part.pageIndexes.length - 1] + 1),
+      label: part.label,
+    };
+    const formatted = sanitizeFileName(
+      (template || DEFAULT_FILE_NAME_TEMPLATE).replace(
+        /\{(\w+)\}/g,
+        (token, key) => values[key] ?? token,
+      ),
+    ).replace(/\.pdf$/i, "");
+    const baseName = formatted || `${name}-${values.index}`;
+
+    let fileName = `${baseName}.pdf`;
+    for (let copy = 2; used.has(fileName.toLowerCase()); copy++) {
+      fileName = `${baseName} (${copy}).pdf`;
+    }
+    used.add(fileName.toLowerCase());
+    return fileName;
+  });
+};
@@ -0,0 +1,111 @@
+/**
+ * Minimal PDF Writer
+ *
+ * Builds a PDF document in the browser from pre-rendered page images, without
+ * any third-party dependency. Each page holds a single JPEG image drawn at a
+ * given placement, which is all the in-browser converters need.
+ */
+
+const encoder = new TextEncoder();
+
+/**
+ * Standard page sizes in PDF points (1/72 inch)
+ */
+export const PAGE_SIZES = {
+  a4: { width: 595.28, height: 841.89 },
+  letter: { width: 612, height: 792 },
+};
+
+/**
+ * Format a number for a PDF content stream
+ * @param {number} value - Number to format
+ * @returns {string}
+ */
+const num = (value) => Number(value.toFixed(3)).toString();
+
+/**
+ * Build a PDF from JPEG page images
+ * @param {Array<Object>} pages - Pages to write, in order
+ * @param {number} pages[].width - Page width in points
+ * @param {number} pages[].height - Page height in points
+ * @param {Object} pages[].image - { bytes: Uint8Array (JPEG), width, height } in pixels
+ * @param {Object} [pages[].placement] - { x, y, width, height } in points, from the bottom-left corner; defaults to the full page
+ * @returns {Uint8Array} PDF file bytes
+ */
+export const createPdfFromImages = (pages) => {
+  const chunks = [];
+  const offsets = [];
+  let length = 0;
+
+  const write = (data) => {
+    const bytes = typeof data === "string" ? encoder.encode(data) : data;
+    chunks.push(bytes);
+    length += bytes.length;
+  };
+
+  const writeObject = (id, body, stream) => {
+    offsets[id] = length;
+    write(`${id} 0 obj\n${body}\n`);
+    if (stream) {
+      write("stream\n");
+      write(stream);
+      write("\nendstream\n");
+    }
+    write("endobj\n");
+  };
+
+  // Object 1 is the catalog, 2 the page tree, then three objects per page:
+  // page dictionary, content stream and image XObject.
+  const pageIds = pages.map((_, index) => 3 + index * 3);
+
+  write("%PDF-1.4\n%âãÏÓ\n");
+  writeObject(1, "<< /Type /Catalog /Pages 2 0 R >>");
+  writeObject(
+    2,
+    `<< /Type /Pages /Kids [${pageIds.map((id) => `${id} 0 R`).join(" ")}] /Count ${pages.length} >>`,
+  );
+
+  pages.forEach((page, index) => {
+    const pageId = pageIds[index];
+    const contentId = pageId + 1;
+    const imageId = pageId + 2;
+    const placement = page.placement || {
+      x: 0,
+      y: 0,
+      width: page.width,
+      height: page.height,
+    };
+    const content = encoder.encode(
+      `q ${num(placement.width)} 0 0 ${num(placement.height)} ${num(placement.x)} ${num(placement.y)} cm /Im0 Do Q`,
+    );
+
+    writeObject(
+      pageId,
+      `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${num(page.width)} ${num(page.height)}] /Resources << /XObject << /Im0 ${imageId} 0 R >> >> /Contents ${contentId} 0 R >>`,
+    );
+    writeObject(contentId, `<< /Length ${content.length} >>`, content);
+    writeObject(
+      imageId,
+      `<< /Type /XObject /Subtype /Image /Width ${page.image.width} /Height ${page.image.height} /ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode /Length ${page.image.bytes.length} >>`,
+      page.image.bytes,
+    );
+  });
+
+  const objectCount = 3 + pages.length * 3;
+  const xrefOffset = length;
+  write(`xref\n0 ${objectCount}\n0000000000 65535 f \n`);
+  for (let id = 1; id < objectCount; id++) {
+    write(`${String(offsets[id]).padStart(10, "0")} 00000 n \n`);
+  }
+  write(
+    `trailer\n<< /Size ${objectCount} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`,
+  );
+
+  const output = new Uint8Array(length);
+  let position = 0;
+  for (const chunk of chunks) {
+    output.set(chunk, position);
+    position += chunk.length;
+  }
+  return output;
+};
@@ -0,0 +1,159 @@
+/**
+ * Recent Documents
+ *
+ * Documents opened from the header are remembered so they can be reopened
+ * without picking the file again. The list is kept in localStorage and the
+ * file bytes in IndexedDB, keyed like autosaved drafts (see getDocumentKey).
+ *
+ * Storage is bounded: files above a size limit are not remembered, and the
+ * least recently opened documents are evicted once the list holds too many
+ * documents or too many bytes.
+ */
+
+import { getDocumentKey } from "./autosave";
+import { openObjectStore } from "./idb-store";
+
+const STORAGE_KEY = "document-editor:recent-documents";
+
+/**
+ * Storage limits for remembered documents
+ */
+export const RECENT_DOCUMENT_LIMITS = {
+  maxCount: 8,
+  maxFileSizeBytes: 20 * 1024 * 1024,
+  maxTotalBytes: 100 * 1024 * 1024,
+};
+
+const store = openObjectStore({
+  databaseName: "document-editor:recent-documents",
+  storeName: "files",
+  keyPath: "documentKey",
+});
+
+/**
+ * Load the list of recent documents, most recently opened first
+ * @returns {Array<Object>} { documentKey, name, type, size, lastModified, openedAt }
+ */
+export const loadRecentDocuments = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    return Array.isArray(saved) ? saved : [];
+  } catch {
+    return [];
+  }
+};
+
+/**
+ * Save the list of recent documents
+ * @param {Array<Object>} entries - Recent documents
+ * @returns {Array<Object>} The saved list
+ */
+const saveRecentDocuments = (entries) => {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(entries));
+  } catch {
+    // Storage can be full or disabled; the list still applies this session
+  }
+  return entries;
+};
+
+/**
+ * Split a list into the entries that fit the limits and those to evict
+ * @param {Array<Object>} entries - Recent documents, most recent first
+ * @param {Object} limits - RECENT_DOCUMENT_LIMITS
+ * @returns {Object} { kept, evicted }
+ */
+const applyLimits = (entries, limits) => {
+  const kept = [];
+  const evicted = [];
+  let totalBytes = 0;
+  for (const entry of entries) {
+    if (
+      kept.length < limits.maxCount &&
+      totalBytes + entry.size <= limits.maxTotalBytes
+    ) {
+      kept.push(entry);
+      totalBytes += entry.size;
+    } else {
+      evicted.push(entry);
+    }
+  }
+  return { kept, evicted };
+};
+
+/**
+ * Remember an opened document, moving it to the top of the list and
+ * evicting the oldest documents beyond the limits. Files above the size
+ * limit are not remembered.
+ * @param {File} file - Opened file
+ * @param {Object} [limits] - Overrides for RECENT_DOCUMENT_LIMITS
+ * @returns {Promise<Array<Object>>} The updated list
+ */
+export const addRecentDocument = async (file, limits = {}) => {
+  const effectiveLimits = { ...RECENT_DOCUMENT_LIMITS, ...limits };
+  const entries = loadRecentDocuments();
+  if (file.size > effectiveLimits.maxFileSizeBytes) {
+    return entries;
+  }
+
+  const entry = {
+    documentKey: getDocumentKey(file),
+    name: file.name,
+    type: file.type,
+    size: file.size,
+    lastModified: file.lastModified,
+    openedAt: new Date().toISOString(),
+  };
+  const isStored = entries.some(
+    ({ documentKey }) => documentKey === entry.documentKey,
+  );
+  const { kept, evicted } = applyLimits(
+    [
+      entry,
+      ...entries.filter(({ documentKey }) => documentKey !== entry.documentKey),
+    ],
+    effectiveLimits,
+  );
+
+  for (const { documentKey } of evicted) {
+    await store.delete(documentKey);
+  }
+  if (!isStored) {
+    try {
+      await store.put({ documentKey: entry.documentKey, file });
+    } catch (error) {
+      // Usually the storage quota; remember the document only once it fits
+      console.error(`Failed to remember ${file.name}:`, error);
+      return saveRecentDocuments(kept.slice(1));
+    }
+  }
+  return saveRecentDocuments(kept);
+};
+
+/**
+ * Forget a recent document and delete its bytes
+ * @param {string} documentKey - Key of the document to forget
+ * @returns {Promise<Array<Object>>} The updated list
+ */
+export const removeRecentDocument = async (documentKey) => {
+  await store.delete(documentKey);
+  return saveRecentDocuments(
+    loadRecentDocuments().filter((entry) => entry.documentKey !== documentKey),
+  );
+};
+
+/**
+ * Read the file of a recent document. Documents whose bytes are gone, for
+ * example because the browser cleared its storage, are forgotten.
+ * @param {Object} entry - Recent document
+ * @returns {Promise<File>} The file as it was opened
+ * @throws {Error} - When the file is no longer stored
+ */
+export const openRecentDocument = async (entry) => {
+  const stored = await store.get(entry.documentKey);
+  if (!stored) {
+    await removeRecentDocument(entry.documentKey);
+    throw new Error(`${entry.name} is no longer stored in this browser`);
+  }
+  return stored.file;
+};
@@ -0,0 +1,91 @@
+/**
+ * Signature Classifier
+ *
+ * Decides which annotations are signatures. Only ink and image annotations
+ * can be signatures, and of those only the ones matched by a detection rule:
+ * - predicate: a caller-supplied function; returning true or false decides,
+ *   anything else defers to the other rules
+ * - signatureUi: created through Nutrient's signature UI, which sets the
+ *   annotation's isSignature property; ink drawn with the ink tool does not
+ * - flag: customData.isSignature is set, as on every signature the decorator
+ *   has stamped
+ * Freehand notes and stamped images therefore get no decorations and never
+ * consume a signature field.
+ */
+
+/**
+ * Rule that identified a signature
+ */
+export const SIGNATURE_SOURCES = {
+  predicate: "predicate",
+  signatureUi: "signature-ui",
+  flag: "flag",
+};
+
+/**
+ * Detection rules used when none are configured
+ */
+export const DEFAULT_DETECTION_RULES = {
+  signatureUi: true,
+  flag: true,
+  predicate: null,
+};
+
+/**
+ * Read an annotation's customData as a plain object
+ * @param {Object} annotation - Nutrient annotation
+ * @returns {Object}
+ */
+export const getAnnotationCustomData = (annotation) =>
+  annotation.customData?.toJS?.() || annotation.customData || {};
+
+/**
+ * Check whether an annotation is of a type that can be a signature
+ * @param {Object} annotation - Nutrient annotation
+ * @param {Object} NutrientViewer - Nutrient Web SDK class
+ * @returns {boolean}
+ */
+export const isSignatureCandidate = (annotation, NutrientViewer) =>
+  annotation instanceof NutrientViewer.Annotations.InkAnnotation ||
+  annotation instanceof NutrientViewer.Annotations.ImageAnnotation;
+
+/**
+ * Classify an annotation
+ * @param {Object} annotation - Nutrient annotation
+ * @param {Object} NutrientViewer - Nutrient Web SDK class
+ * @param {Object} rules - Detection rules, see DEFAULT_DETECTION_RULES
+ * @returns {Object} { isSignature, source }; source is one of SIGNATURE_SOURCES, or null
+ */
+export const classifyAnnotation = (
+  annotation,
+  NutrientViewer,
+  rules = DEFAULT_DETECTION_RULES,
+) => {
+  if (!isSignatureCandidate(annotation, NutrientViewer)) {
+    return { isSignature: false, source: null };
+  }
+
+  if (typeof rules.predicate === "function") {
+    const verdict = rules.predicate(annotation);
+    if (typeof verdict === "boolean") {
+      return { isSignature: verdict, source: SIGNATURE_SOURCES.predicate };
+    }
+  }
+  if (rules.signatureUi && annotation.isSignature) {
+    return { isSignature: true, source: SIGNATURE_SOURCES.signatureUi };
+  }
+  if (rules.flag && getAnnotationCustomData(annotation).isSignature) {
+    return { isSignature: true, source: SIGNATURE_SOURCES.flag };
+  }
+  return { isSignature: false, source: null };
+};
+
+/**
+ * Check whether an annotation is a signature
+ * @param {Object} annotation - Nutrient annotation
+ * @param {Object} NutrientViewer - Nutrient Web SDK class
+ * @param {Object} rules - Detection rules, see DEFAULT_DETECTION_RULES
+ * @returns {boolean}
+ */
+export const isSignatureAnnotation = (annotation, NutrientViewer, rules) =>
+  classifyAnnotation(annotation, NutrientViewer, rules).isSignature;
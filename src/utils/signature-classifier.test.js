@@ -0,0 +1,192 @@
+import { describe, expect, it, vi } from "vitest";
+import {
+  classifyAnnotation,
+  isSignatureAnnotation,
+  SIGNATURE_SOURCES,
+} from "./signature-classifier";
+import {
+  createAnnotationHandler,
+  resolveDecoratorConfig,
+} from "./signature-decorator";
+
+class Annotation {
+  constructor(properties = {}) {
+    Object.assign(
+      this,
+      { id: "annotation", pageIndex: 0, customData: null },
+      properties,
+    );
+  }
+
+  set(key, value) {
+    return new this.constructor({ ...this, [key]: value });
+  }
+}
+
+class InkAnnotation extends Annotation {}
+class ImageAnnotation extends Annotation {}
+class StampAnnotation extends Annotation {}
+class WidgetAnnotation extends Annotation {}
+class SignatureFormField {
+  constructor(name) {
+    this.name = name;
+  }
+}
+
+const NutrientViewer = {
+  Annotations: {
+    InkAnnotation,
+    ImageAnnotation,
+    StampAnnotation,
+    WidgetAnnotation,
+  },
+};
+
+const fieldBox = { left: 100, top: 100, width: 200, height: 50 };
+
+/**
+ * Instance with one empty signature field on page 0
+ */
+const createInstance = () => {
+  const widget = new WidgetAnnotation({
+    id: "widget",
+    formFieldName: "Signature1",
+    boundingBox: fieldBox,
+  });
+  return {
+    widget,
+    getAnnotations: async () => ({
+      filter: (predicate) => ({
+        toArray: () => [widget].filter(predicate),
+      }),
+    }),
+    getFormFields: async () => [new SignatureFormField("Signature1")],
+    update: vi.fn(async () => {}),
+    delete: vi.fn(async () => {}),
+    create: vi.fn(async () => {}),
+  };
+};
+
+describe("classifyAnnotation", () => {
+  it("does not treat ink drawn with the ink tool as a signature", () => {
+    const note = new InkAnnotation();
+
+    expect(classifyAnnotation(note, NutrientViewer)).toEqual({
+      isSignature: false,
+      source: null,
+    });
+  });
+
+  it("does not treat a stamped image as a signature", () => {
+    const image = new ImageAnnotation({ description: "logo" });
+
+    expect(isSignatureAnnotation(image, NutrientViewer)).toBe(false);
+  });
+
+  it("ignores annotation types that cannot be signatures", () => {
+    const stamp = new StampAnnotation({ isSignature: true });
+
+    expect(isSignatureAnnotation(stamp, NutrientViewer)).toBe(false);
+  });
+
+  it("recognises signatures created through the signature UI", () => {
+    const signature = new InkAnnotation({ isSignature: true });
+
+    expect(classifyAnnotation(signature, NutrientViewer)).toEqual({
+      isSignature: true,
+      source: SIGNATURE_SOURCES.signatureUi,
+    });
+  });
+
+  it("recognises signatures flagged in customData", () => {
+    const signature = new ImageAnnotation({
+      customData: { isSignature: true },
+    });
+
+    expect(classifyAnnotation(signature, NutrientViewer)).toEqual({
+      isSignature: true,
+      source: SIGNATURE_SOURCES.flag,
+    });
+  });
+
+  it("lets a caller predicate override both the UI and the flag", () => {
+    const rules = {
+      signatureUi: true,
+      flag: true,
+      predicate: (annotation) => annotation.description === "signature",
+    };
+    const flagged = new InkAnnotation({
+      isSignature: true,
+      customData: { isSignature: true },
+    });
+    const named = new ImageAnnotation({ description: "signature" });
+
+    expect(classifyAnnotation(flagged, NutrientViewer, rules)).toEqual({
+      isSignature: false,
+      source: SIGNATURE_SOURCES.predicate,
+    });
+    expect(classifyAnnotation(named, NutrientViewer, rules)).toEqual({
+      isSignature: true,
+      source: SIGNATURE_SOURCES.predicate,
+    });
+  });
+
+  it("falls back to the other rules when the predicate does not decide", () => {
+    const rules = {
+      signatureUi: true,
+      flag: true,
+      predicate: () => undefined,
+    };
+    const signature = new InkAnnotation({ isSignature: true });
+
+    expect(classifyAnnotation(signature, NutrientViewer, rules).source).toBe(
+      SIGNATURE_SOURCES.signatureUi,
+    );
+  });
+});
+
+describe("createAnnotationHandler", () => {
+  const overlapping = { left: 120, top: 110, width: 150, height: 30 };
+
+  it("never binds a non-signature annotation to a nearby field", async () => {
+    const instance = createInstance();
+    const handler = createAnnotationHandler(
+      instance,
+      NutrientViewer,
+      resolveDecoratorConfig(),
+    );
+
+    await handler([
+      new InkAnnotation({ id: "note", boundingBox: overlapping }),
+      new ImageAnnotation({ id: "image", boundingBox: overlapping }),
+    ]);
+
+    expect(instance.delete).not.toHaveBeenCalled();
+    expect(instance.update).not.toHaveBeenCalled();
+  });
+
+  it("binds a signature to the field it overlaps most", async () => {
+    const instance = createInstance();
+    const onSignatureApplied = vi.fn();
+    const handler = createAnnotationHandler(
+      instance,
+      NutrientViewer,
+      resolveDecoratorConfig(),
+      { signerName: "Jane Doe", signerId: "jdoe", reason: "" },
+      { onSignatureApplied },
+    );
+
+    await handler([
+      new InkAnnotation({
+        id: "signature",
+        isSignature: true,
+        boundingBox: overlapping,
+      }),
+    ]);
+
+    expect(instance.delete).toHaveBeenCalledWith(instance.widget);
+    expect(onSignatureApplied).toHaveBeenCalledWith(
+      expect.objectContaining({ widget: instance.widget }),
+    );
+  });
+});
@@ -8,12 +8,21 @@
  * @version 1.0.0
  */
 
+import {
+  DEFAULT_DETECTION_RULES,
+  getAnnotationCustomData,
+  isSignatureAnnotation,
+} from "./signature-classifier";
+
+export { getAnnotationCustomData };
+
 /**
  * Default configuration for signature decorations
  */
 export const DEFAULT_CONFIG = {
   // Curve styling
   curve: {
+    style: "bracket", // One of CURVE_STYLES
     color: "#0078D4", // Blue
     strokeWidth: "1.5",
     topLengthRatio: 0.25, // Percentage of signature width
@@ -48,12 +57,21 @@ export const DEFAULT_CONFIG = {
     namePattern: "SIGNATURE",
   },
 
+  // Signature annotation detection, see signature-classifier.js
+  signatureDetection: DEFAULT_DETECTION_RULES,
+
   // Default values
   defaults: {
     signerName: "Nutrient",
+    signerId: null,
+    reason: "I approve this document",
   },
 
-  // Date/Time formatting
+  // Log how signatures are bound to fields (console.debug)
+  debug: false,
+
+  // Date/Time formatting; replaced as a whole, never merged
+  locale: null, // BCP 47 tag, e.g. "de-DE"; null uses the browser's locale
   dateTimeFormat: {
     year: "numeric",
     month: "2-digit",
@@ -61,21 +79,267 @@ export const DEFAULT_CONFIG = {
     hour: "2-digit",
     minute: "2-digit",
     second: "2-digit",
-    hour12: true,
   },
 };
 
+/**
+ * Shapes drawn around a signature
+ * - bracket: curves at the top-left and bottom-left corners
+ * - underline: a line under the signature
+ * - box: a frame around the signature
+ * - none: labels only
+ */
+export const CURVE_STYLES = ["bracket", "underline", "box", "none"];
+
+/**
+ * Named decoration presets. A preset is applied over DEFAULT_CONFIG, and
+ * the rest of a custom configuration over the preset.
+ */
+export const DECORATOR_PRESETS = {
+  bracket: { label: "Bracket", config: {} },
+  underline: {
+    label: "Underline",
+    config: {
+      curve: { style: "underline", color: "#1F2937", strokeWidth: "1" },
+      text: { color: "#374151" },
+    },
+  },
+  stampBox: {
+    label: "Stamp box",
+    config: {
+      curve: { style: "box", color: "#B91C1C", strokeWidth: "2" },
+      text: {
+        color: "#B91C1C",
+        fontFamily: "'Courier New', Courier, monospace",
+      },
+    },
+  },
+  minimal: {
+    label: "Minimal",
+    config: {
+      curve: { style: "none" },
+      text: { color: "#6B7280", fontSize: { top: 8, bottom: 7 } },
+      dateTimeFormat: { dateStyle: "medium" },
+    },
+  },
+  corporate: {
+    label: "Corporate",
+    config: {
+      curve: { color: "#1E3A8A", strokeWidth: "2" },
+      text: {
+        color: "#1E3A8A",
+        fontFamily: "Georgia, 'Times New Roman', serif",
+      },
+      dateTimeFormat: { dateStyle: "long", timeStyle: "short" },
+    },
+  },
+};
+
+/**
+ * Error thrown for a decorator configuration that cannot be rendered
+ */
+export class DecoratorConfigError extends Error {
+  /**
+   * @param {Array<string>} issues - User-readable problems
+   */
+  constructor(issues) {
+    super(`Invalid signature decorator configuration: ${issues.join("; ")}`);
+    this.name = "DecoratorConfigError";
+    this.issues = issues;
+  }
+}
+
+/**
+ * Check whether a value is a plain object, as opposed to an array, a
+ * function or a class instance
+ * @param {*} value - Value to check
+ * @returns {boolean}
+ */
+const isPlainObject = (value) =>
+  value !== null &&
+  typeof value === "object" &&
+  Object.getPrototypeOf(value) === Object.prototype;
+
+/**
+ * Merge plain objects recursively; other values, including arrays and
+ * functions, replace what they override. Undefined values are ignored.
+ * @param {Object} base - Base object
+ * @param {Object} override - Values to apply
+ * @returns {Object} New merged object
+ */
+const deepMerge = (base, override = {}) => {
+  const merged = { ...base };
+  for (const [key, value] of Object.entries(override)) {
+    if (value === undefined) {
+      continue;
+    }
+    merged[key] =
+      isPlainObject(value) && isPlainObject(base[key])
+        ? deepMerge(base[key], value)
+        : value;
+  }
+  return merged;
+};
+
+const HEX_COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+
+/**
+ * List the problems of a complete decorator configuration
+ * @param {Object} config - Configuration, e.g. from resolveDecoratorConfig
+ * @returns {Array<string>} User-readable issues; empty when valid
+ */
+export const validateDecoratorConfig = (config) => {
+  const issues = [];
+  const isNumber = (value) => Number.isFinite(Number.parseFloat(value));
+  const check = (condition, issue) => {
+    if (!condition) {
+      issues.push(issue);
+    }
+  };
+
+  check(
+    CURVE_STYLES.includes(config.curve.style),
+    `curve.style must be one of ${CURVE_STYLES.join(", ")}`,
+  );
+  check(
+    HEX_COLOR_PATTERN.test(config.curve.color),
+    "curve.color must be a #rrggbb color",
+  );
+  check(
+    HEX_COLOR_PATTERN.test(config.text.color),
+    "text.color must be a #rrggbb color",
+  );
+  check(
+    Number.parseFloat(config.curve.strokeWidth) > 0,
+    "curve.strokeWidth must be a positive number",
+  );
+  for (const key of ["topLengthRatio", "bottomLengthRatio"]) {
+    const ratio = config.curve[key];
+    check(ratio >= 0 && ratio <= 1, `curve.${key} must be between 0 and 1`);
+  }
+  for (const key of ["topLengthMax", "bottomLengthMax"]) {
+    check(config.curve[key] >= 0, `curve.${key} must not be negative`);
+  }
+  for (const key of ["top", "bottom"]) {
+    check(
+      config.text.fontSize[key] > 0,
+      `text.fontSize.${key} must be a positive number`,
+    );
+  }
+  check(isNumber(config.text.gap), "text.gap must be a number");
+  for (const [key, value] of Object.entries(config.position)) {
+    check(isNumber(value), `position.${key} must be a number`);
+  }
+  check(typeof config.debug === "boolean", "debug must be true or false");
+  check(
+    config.signatureDetection.predicate === null ||
+      typeof config.signatureDetection.predicate === "function",
+    "signatureDetection.predicate must be a function or null",
+  );
+  try {
+    new Intl.DateTimeFormat(config.locale ?? undefined, config.dateTimeFormat);
+  } catch (error) {
+    issues.push(`locale and dateTimeFormat are not usable: ${error.message}`);
+  }
+  return issues;
+};
+
+/**
+ * Build the complete decorator configuration: DEFAULT_CONFIG, then the
+ * named preset, then the custom values, merged section by section at any
+ * depth. dateTimeFormat is replaced as a whole, since Intl options such as
+ * dateStyle cannot be combined with the individual fields.
+ * @param {Object} customConfig - Partial configuration, optionally with a
+ *   `preset` name from DECORATOR_PRESETS
+ * @returns {Object} Complete configuration
+ * @throws {DecoratorConfigError} - When the preset is unknown or a value is invalid
+ */
+export const resolveDecoratorConfig = (customConfig = {}) => {
+  const { preset = "bracket", ...overrides } = customConfig;
+  const presetConfig = DECORATOR_PRESETS[preset]?.config;
+  if (!presetConfig) {
+    throw new DecoratorConfigError([`unknown preset "${preset}"`]);
+  }
+
+  const config = deepMerge(deepMerge(DEFAULT_CONFIG, presetConfig), overrides);
+  config.dateTimeFormat =
+    overrides.dateTimeFormat ??
+    presetConfig.dateTimeFormat ??
+    DEFAULT_CONFIG.dateTimeFormat;
+
+  const issues = validateDecoratorConfig(config);
+  if (issues.length > 0) {
+    throw new DecoratorConfigError(issues);
+  }
+  return config;
+};
+
 /**
  * Get current date and time formatted as string
  * @param {Object} formatOptions - Intl.DateTimeFormat options
+ * @param {string|null} locale - BCP 47 locale; null uses the browser's locale
  * @returns {string} Formatted date/time string
  */
 export const getCurrentDateTime = (
   formatOptions = DEFAULT_CONFIG.dateTimeFormat,
+  locale = DEFAULT_CONFIG.locale,
+) => {
+  return new Date().toLocaleString(locale ?? undefined, formatOptions);
+};
+
+/**
+ * Get the time zone of the current environment
+ * @returns {string} IANA time zone name, e.g. "Europe/Berlin"
+ */
+export const getLocalTimeZone = () =>
+  Intl.DateTimeFormat().resolvedOptions().timeZone || "UTC";
+
+/**
+ * Format the time a signature was applied, in the time zone it was applied in
+ * @param {string|Date} signedAt - ISO timestamp or date
+ * @param {string} [timeZone] - IANA time zone recorded with the signature
+ * @param {Object} formatOptions - Intl.DateTimeFormat options
+ * @param {string|null} locale - BCP 47 locale; null uses the browser's locale
+ * @returns {string} Formatted date/time string
+ */
+export const formatSigningTime = (
+  signedAt,
+  timeZone,
+  formatOptions = DEFAULT_CONFIG.dateTimeFormat,
+  locale = DEFAULT_CONFIG.locale,
 ) => {
-  return new Date().toLocaleString("en-US", formatOptions);
+  const date = new Date(signedAt);
+  try {
+    return date.toLocaleString(locale ?? undefined, {
+      ...formatOptions,
+      timeZone,
+    });
+  } catch {
+    // Unknown time zone name; fall back to the local one
+    return date.toLocaleString(locale ?? undefined, formatOptions);
+  }
 };
 
+/**
+ * Create the signing metadata stored in a signature's customData
+ * @param {Object} signer - Signer details
+ * @param {string} signer.signerName - Display name of the signer
+ * @param {string|null} signer.signerId - Stable identifier of the signer
+ * @param {string} signer.reason - Reason for signing
+ * @param {Date} now - Signing time
+ * @returns {Object} { signerName, signerId, signedAt, timeZone, reason }
+ */
+export const createSigningStamp = (
+  { signerName, signerId, reason },
+  now = new Date(),
+) => ({
+  signerName,
+  signerId,
+  signedAt: now.toISOString(),
+  timeZone: getLocalTimeZone(),
+  reason,
+});
+
 /**
  * Check if a form field is a signature field
  * @param {Object} formField - Nutrient form field object
@@ -127,58 +391,235 @@ export const isFormFieldNotFoundError = (error) => {
 };
 
 /**
- * Create an SVG path element
- * @returns {SVGPathElement}
- */
-const createSVGPath = () => {
-  return document.createElementNS("http://www.w3.org/2000/svg", "path");
-};
-
-/**
- * Create top curve SVG path
+ * Get the top curve geometry, in decoration SVG coordinates
  * @param {number} width - Signature width
  * @param {Object} config - Configuration object
- * @returns {Object} Object with path element and length
+ * @returns {Object} { commands, length }; commands are ["M"|"L"|"C", ...coordinates]
  */
-export const createTopCurve = (width, config = DEFAULT_CONFIG) => {
-  const path = createSVGPath();
-  const curveLength = Math.min(
+export const getTopCurveGeometry = (width, config = DEFAULT_CONFIG) => {
+  const length = Math.min(
     width * config.curve.topLengthRatio,
     config.curve.topLengthMax,
   );
-
-  path.setAttribute("d", `M 0,25 L 0,15 C 0,10 2,8 7,8 L ${curveLength},8`);
-  path.setAttribute("stroke", config.curve.color);
-  path.setAttribute("stroke-width", config.curve.strokeWidth);
-  path.setAttribute("fill", "none");
-
-  return { path, length: curveLength };
+  return {
+    length,
+    commands: [
+      ["M", 0, 25],
+      ["L", 0, 15],
+      ["C", 0, 10, 2, 8, 7, 8],
+      ["L", length, 8],
+    ],
+  };
 };
 
 /**
- * Create bottom curve SVG path
+ * Get the bottom curve geometry, in decoration SVG coordinates
  * @param {number} height - Signature height
  * @param {number} width - Signature width
  * @param {Object} config - Configuration object
- * @returns {Object} Object with path element and length
+ * @returns {Object} { commands, length }; commands are ["M"|"L"|"C", ...coordinates]
  */
-export const createBottomCurve = (height, width, config = DEFAULT_CONFIG) => {
-  const path = createSVGPath();
+export const getBottomCurveGeometry = (
+  height,
+  width,
+  config = DEFAULT_CONFIG,
+) => {
   const bottomY = height + 25;
-  const curveLength = Math.min(
+  const length = Math.min(
     width * config.curve.bottomLengthRatio,
     config.curve.bottomLengthMax,
   );
+  return {
+    length,
+    commands: [
+      ["M", 0, bottomY],
+      ["L", 0, bottomY + 8],
+      ["C", 0, bottomY + 13, 2, bottomY + 15, 7, bottomY + 15],
+      ["L", length, bottomY + 15],
+    ],
+  };
+};
+
+/**
+ * Convert curve commands to an SVG path "d" attribute
+ * @param {Array<Array>} commands - Curve commands
+ * @returns {string}
+ */
+export const curveCommandsToPath = (commands) =>
+  commands
+    .map(([operator, ...coordinates]) => {
+      const pairs = [];
+      for (let index = 0; index < coordinates.length; index += 2) {
+        pairs.push(`${coordinates[index]},${coordinates[index + 1]}`);
+      }
+      return `${operator} ${pairs.join(" ")}`;
+    })
+    .join(" ");
+
+/**
+ * Convert curve commands to a polyline, sampling Bézier segments
+ * @param {Array<Array>} commands - Curve commands
+ * @param {number} samples - Points per Bézier segment
+ * @returns {Array<{x: number, y: number}>}
+ */
+export const curveCommandsToPoints = (commands, samples = 8) => {
+  const points = [];
+  for (const [operator, ...coordinates] of commands) {
+    if (operator !== "C") {
+      points.push({ x: coordinates[0], y: coordinates[1] });
+      continue;
+    }
+    const start = points[points.length - 1];
+    const [x1, y1, x2, y2, x, y] = coordinates;
+    for (let step = 1; step <= samples; step++) {
+      const t = step / samples;
+      const u = 1 - t;
+      points.push({
+        x:
+          u ** 3 * start.x +
+          3 * u ** 2 * t * x1 +
+          3 * u * t ** 2 * x2 +
+          t ** 3 * x,
+        y:
+          u ** 3 * start.y +
+          3 * u ** 2 * t * y1 +
+          3 * u * t ** 2 * y2 +
+          t ** 3 * y,
+      });
+    }
+  }
+  return points;
+};
 
-  path.setAttribute(
-    "d",
-    `M 0,${bottomY} L 0,${bottomY + 8} C 0,${bottomY + 13} 2,${bottomY + 15} 7,${bottomY + 15} L ${curveLength},${bottomY + 15}`,
+/**
+ * Get the curves of a curve style, in decoration SVG coordinates
+ * @param {Object} size - { width, height } of the signature
+ * @param {Object} config - Configuration object
+ * @returns {Object} { curves, topIndent, bottomIndent }; the indents are
+ *   where the labels start, after the curve ends
+ */
+const getStyleGeometry = ({ width, height }, config) => {
+  // Signature corners in SVG coordinates
+  const left = -config.position.svgLeftOffset;
+  const top = -config.position.svgTopOffset;
+  const right = left + width;
+  const bottom = top + height;
+
+  switch (config.curve.style) {
+    case "underline":
+      return {
+        curves: [
+          [
+            ["M", left, bottom + 2],
+            ["L", right, bottom + 2],
+          ],
+        ],
+        topIndent: 0,
+        bottomIndent: 0,
+      };
+    case "box":
+      return {
+        curves: [
+          [
+            ["M", left - 3, top - 3],
+            ["L", right + 3, top - 3],
+            ["L", right + 3, bottom + 3],
+            ["L", left - 3, bottom + 3],
+            ["L", left - 3, top - 3],
+          ],
+        ],
+        topIndent: 0,
+        bottomIndent: 0,
+      };
+    case "none":
+      return { curves: [], topIndent: 0, bottomIndent: 0 };
+    default: {
+      const topCurve = getTopCurveGeometry(width, config);
+      const bottomCurve = getBottomCurveGeometry(height, width, config);
+      return {
+        curves: [topCurve.commands, bottomCurve.commands],
+        topIndent: topCurve.length,
+        bottomIndent: bottomCurve.length,
+      };
+    }
+  }
+};
+
+/**
+ * Compute the decoration layout for a signature. Both the on-screen renderer
+ * and the flattened export draw from this layout, so they match.
+ * @param {Object} size - { width, height } of the signature
+ * @param {Object} config - Configuration object
+ * @returns {Object} Positions relative to the signature's top-left corner:
+ *   svg box, curves (command lists in SVG coordinates, see
+ *   config.curve.style), and topLabel/bottomLabel anchors ({ left, top } and
+ *   { left, bottom } respectively)
+ */
+export const computeDecorationLayout = (
+  { width, height },
+  config = DEFAULT_CONFIG,
+) => {
+  const { curves, topIndent, bottomIndent } = getStyleGeometry(
+    { width, height },
+    config,
   );
+  return {
+    svg: {
+      left: config.position.svgLeftOffset,
+      top: config.position.svgTopOffset,
+      width: Math.max(width * 0.4, 80),
+      height: height + 50,
+    },
+    curves,
+    topLabel: {
+      left: topIndent + config.text.gap,
+      top: config.position.topLabelOffset,
+      fontSize: config.text.fontSize.top,
+    },
+    bottomLabel: {
+      left: bottomIndent + config.text.gap,
+      bottom: config.position.bottomLabelOffset,
+      fontSize: config.text.fontSize.bottom,
+    },
+  };
+};
+
+/**
+ * Create an SVG path element
+ * @param {Array<Array>} commands - Curve commands
+ * @param {Object} config - Configuration object
+ * @returns {SVGPathElement}
+ */
+const createSVGPath = (commands, config) => {
+  const path = document.createElementNS("http://www.w3.org/2000/svg", "path");
+  path.setAttribute("d", curveCommandsToPath(commands));
   path.setAttribute("stroke", config.curve.color);
   path.setAttribute("stroke-width", config.curve.strokeWidth);
   path.setAttribute("fill", "none");
+  return path;
+};
 
-  return { path, length: curveLength };
+/**
+ * Create top curve SVG path
+ * @param {number} width - Signature width
+ * @param {Object} config - Configuration object
+ * @returns {Object} Object with path element and length
+ */
+export const createTopCurve = (width, config = DEFAULT_CONFIG) => {
+  const { commands, length } = getTopCurveGeometry(width, config);
+  return { path: createSVGPath(commands, config), length };
+};
+
+/**
+ * Create bottom curve SVG path
+ * @param {number} height - Signature height
+ * @param {number} width - Signature width
+ * @param {Object} config - Configuration object
+ * @returns {Object} Object with path element and length
+ */
+export const createBottomCurve = (height, width, config = DEFAULT_CONFIG) => {
+  const { commands, length } = getBottomCurveGeometry(height, width, config);
+  return { path: createSVGPath(commands, config), length };
 };
 
 /**
@@ -220,17 +661,16 @@ export const createTopLabel = (
 
 /**
  * Create bottom label (date/time)
+ * @param {string} formattedDateTime - Signing time, see formatSigningTime
  * @param {number} curveLength - Length of the curve
- * @param {number} width - Signature width
  * @param {Object} config - Configuration object
  * @returns {HTMLDivElement}
  */
 export const createBottomLabel = (
+  formattedDateTime,
   curveLength,
-  width,
   config = DEFAULT_CONFIG,
 ) => {
-  const formattedDateTime = getCurrentDateTime(config.dateTimeFormat);
   const styles = `
     position: absolute;
     bottom: ${config.position.bottomLabelOffset}px;
@@ -243,105 +683,186 @@ export const createBottomLabel = (
   return createLabel(formattedDateTime, styles);
 };
 
+/**
+ * Create a status badge shown above the signature's top-right corner
+ * @param {Object} badge - { text, color }
+ * @param {Object} config - Configuration object
+ * @returns {HTMLDivElement}
+ */
+export const createStatusBadge = ({ text, color }, config = DEFAULT_CONFIG) => {
+  const styles = `
+    position: absolute;
+    top: ${config.position.topLabelOffset}px;
+    right: 0;
+    padding: 0 4px;
+    border: 1px solid ${color};
+    border-radius: 3px;
+    background-color: #ffffff;
+    font-size: ${config.text.fontSize.bottom}px;
+    font-weight: 600;
+    color: ${color};
+    white-space: nowrap;
+  `;
+  return createLabel(text, styles);
+};
+
+/**
+ * Check if an annotation gets signature decorations. Only annotations
+ * classified as signatures do; freehand ink and images stay undecorated.
+ * @param {Object} annotation - Nutrient annotation
+ * @param {Object} NutrientViewer - Nutrient Web SDK class
+ * @param {Object} config - Configuration object
+ * @returns {boolean}
+ */
+export const isDecoratedAnnotation = (
+  annotation,
+  NutrientViewer,
+  config = DEFAULT_CONFIG,
+) =>
+  isSignatureAnnotation(annotation, NutrientViewer, config.signatureDetection);
+
+/**
+ * Get the label texts of a signature decoration from its stored metadata
+ * @param {Object} annotation - Signature annotation
+ * @param {Object} options - Label options
+ * @param {string} [options.loggedInUser] - Fallback signer name
+ * @param {Object} options.config - Configuration object
+ * @returns {Object} { signerName, signingTime, reason, location }
+ */
+export const getSignatureLabels = (
+  annotation,
+  { loggedInUser = null, config = DEFAULT_CONFIG } = {},
+) => {
+  const customData = getAnnotationCustomData(annotation);
+  const signedAt = customData.signedAt || annotation.createdAt || new Date();
+  return {
+    signerName:
+      customData.signerName || loggedInUser || config.defaults.signerName,
+    signingTime: formatSigningTime(
+      signedAt,
+      customData.timeZone,
+      config.dateTimeFormat,
+      config.locale,
+    ),
+    reason: customData.reason || null,
+    location: customData.location || null,
+  };
+};
+
+/**
+ * Create the decoration drawn over a signature: curves, signer and time
+ * labels, and an optional status badge
+ * @param {Object} size - { width, height } of the signature
+ * @param {Object} labels - { signerName, signingTime }, see getSignatureLabels
+ * @param {Object} config - Configuration object
+ * @param {Object|null} badge - { text, color } status badge
+ * @returns {HTMLDivElement} Node covering the signature
+ */
+export const createDecorationNode = (
+  { width, height },
+  { signerName, signingTime },
+  config = DEFAULT_CONFIG,
+  badge = null,
+) => {
+  const layout = computeDecorationLayout({ width, height }, config);
+
+  // Create wrapper container
+  const wrapper = document.createElement("div");
+  wrapper.className = "signature-metadata-wrapper";
+  wrapper.style.cssText = `
+    position: absolute;
+    top: 0;
+    left: 0;
+    width: 100%;
+    height: 100%;
+    pointer-events: none;
+    font-family: ${config.text.fontFamily};
+    background-color: transparent;
+  `;
+
+  // Create SVG container
+  const svg = document.createElementNS("http://www.w3.org/2000/svg", "svg");
+  svg.setAttribute("width", layout.svg.width);
+  svg.setAttribute("height", layout.svg.height);
+  svg.style.cssText = `
+    position: absolute;
+    top: ${layout.svg.top}px;
+    left: ${layout.svg.left}px;
+    overflow: visible;
+  `;
+
+  // Create and add curves
+  for (const commands of layout.curves) {
+    svg.appendChild(createSVGPath(commands, config));
+  }
+  wrapper.appendChild(svg);
+
+  // Create and add labels
+  const labelStyles = (fontSize) => `
+    position: absolute;
+    font-size: ${fontSize}px;
+    color: ${config.text.color};
+    white-space: nowrap;
+    font-weight: 400;
+  `;
+  const topLabel = createLabel(
+    `By ${signerName}`,
+    labelStyles(layout.topLabel.fontSize),
+  );
+  topLabel.style.top = `${layout.topLabel.top}px`;
+  topLabel.style.left = `${layout.topLabel.left}px`;
+  const bottomLabel = createLabel(
+    signingTime,
+    labelStyles(layout.bottomLabel.fontSize),
+  );
+  bottomLabel.style.bottom = `${layout.bottomLabel.bottom}px`;
+  bottomLabel.style.left = `${layout.bottomLabel.left}px`;
+  wrapper.appendChild(topLabel);
+  wrapper.appendChild(bottomLabel);
+
+  if (badge) {
+    wrapper.appendChild(createStatusBadge(badge, config));
+  }
+  return wrapper;
+};
+
 /**
  * Create signature decoration renderer
  *
+ * Labels show the signer and signing time stored on the annotation by
+ * initializeSignatureDecorator. Signatures created before that metadata
+ * existed fall back to the logged-in user and the annotation's creation time.
+ *
  * @param {Object} NutrientViewer - Nutrient Web SDK instance
  * @param {Object} options - Configuration options
  * @param {string} options.loggedInUser - Current logged-in user name
+ * @param {Function} [options.getBadge] - Returns a { text, color } status badge for an annotation, or null
  * @param {Object} options.config - Custom configuration (merged with defaults)
  * @returns {Function} Custom annotation renderer function
  */
 export const createSignatureRenderer = (NutrientViewer, options = {}) => {
-  const { loggedInUser = null, config: customConfig = {} } = options;
+  const {
+    loggedInUser = null,
+    getBadge = () => null,
+    config: customConfig = {},
+  } = options;
 
   // Merge custom config with defaults
-  const config = {
-    ...DEFAULT_CONFIG,
-    ...customConfig,
-    curve: { ...DEFAULT_CONFIG.curve, ...customConfig.curve },
-    text: {
-      ...DEFAULT_CONFIG.text,
-      ...customConfig.text,
-      fontSize: {
-        ...DEFAULT_CONFIG.text.fontSize,
-        ...customConfig.text?.fontSize,
-      },
-    },
-    position: { ...DEFAULT_CONFIG.position, ...customConfig.position },
-    signatureIdentifiers: {
-      ...DEFAULT_CONFIG.signatureIdentifiers,
-      ...customConfig.signatureIdentifiers,
-    },
-    defaults: { ...DEFAULT_CONFIG.defaults, ...customConfig.defaults },
-  };
+  const config = resolveDecoratorConfig(customConfig);
 
   return ({ annotation }) => {
-    const isInkAnnotation =
-      annotation instanceof NutrientViewer.Annotations.InkAnnotation;
-    const isImageAnnotation =
-      annotation instanceof NutrientViewer.Annotations.ImageAnnotation;
-
-    const customData =
-      annotation.customData?.toJS?.() || annotation.customData || {};
-    const isSignature = customData.isSignature || annotation.isSignature;
-
-    if (!isInkAnnotation && !isImageAnnotation && !isSignature) {
+    if (!isDecoratedAnnotation(annotation, NutrientViewer, config)) {
       return null;
     }
 
-    const signerName =
-      customData.signerName || loggedInUser || config.defaults.signerName;
-    const bbox = annotation.boundingBox;
-    const width = bbox.width;
-    const height = bbox.height;
-
-    // Create wrapper container
-    const wrapper = document.createElement("div");
-    wrapper.className = "signature-metadata-wrapper";
-    wrapper.style.cssText = `
-      position: absolute;
-      top: 0;
-      left: 0;
-      width: 100%;
-      height: 100%;
-      pointer-events: none;
-      font-family: ${config.text.fontFamily};
-      background-color: transparent;
-    `;
-
-    // Create SVG container
-    const svg = document.createElementNS("http://www.w3.org/2000/svg", "svg");
-    const svgWidth = Math.max(width * 0.4, 80);
-    const svgHeight = height + 50;
-    svg.setAttribute("width", svgWidth);
-    svg.setAttribute("height", svgHeight);
-    svg.style.cssText = `
-      position: absolute;
-      top: ${config.position.svgTopOffset}px;
-      left: ${config.position.svgLeftOffset}px;
-      overflow: visible;
-    `;
-
-    // Create and add curves
-    const { path: topPath, length: topLength } = createTopCurve(width, config);
-    const { path: bottomPath, length: bottomLength } = createBottomCurve(
-      height,
-      width,
-      config,
-    );
-    svg.appendChild(topPath);
-    svg.appendChild(bottomPath);
-    wrapper.appendChild(svg);
-
-    // Create and add labels
-    const topLabel = createTopLabel(signerName, topLength, config);
-    const bottomLabel = createBottomLabel(bottomLength, width, config);
-    wrapper.appendChild(topLabel);
-    wrapper.appendChild(bottomLabel);
-
+    const labels = getSignatureLabels(annotation, { loggedInUser, config });
     return {
-      node: wrapper,
+      node: createDecorationNode(
+        annotation.boundingBox,
+        labels,
+        config,
+        getBadge(annotation),
+      ),
       append: true,
       noZoom: false,
     };
@@ -349,131 +870,413 @@ export const createSignatureRenderer = (NutrientViewer, options = {}) => {
 };
 
 /**
- * Handle signature creation and widget deletion
+ * customData key naming the widget a signature is meant for, set by code
+ * that places signatures on a known field (e.g. the signature library)
+ */
+export const TARGET_WIDGET_DATA_KEY = "targetWidgetId";
+
+/**
+ * How long to wait for a known widget to become queryable, in milliseconds
+ */
+const WIDGET_QUERY_TIMEOUT = 2000;
+
+/**
+ * Longest pause between widget queries, in milliseconds
+ */
+const WIDGET_QUERY_MAX_INTERVAL = 200;
+
+/**
+ * Log binding details when config.debug is on
+ * @param {Object} config - Configuration object
+ * @param {...*} details - Values to log
+ */
+const debugLog = (config, ...details) => {
+  if (config.debug) {
+    console.debug("[signature-decorator]", ...details);
+  }
+};
+
+/**
+ * Get the area two bounding boxes have in common
+ * @param {Object} bbox1 - First bounding box
+ * @param {Object} bbox2 - Second bounding box
+ * @returns {number} 0 when they do not overlap
+ */
+export const getIntersectionArea = (bbox1, bbox2) => {
+  const width =
+    Math.min(bbox1.left + bbox1.width, bbox2.left + bbox2.width) -
+    Math.max(bbox1.left, bbox2.left);
+  const height =
+    Math.min(bbox1.top + bbox1.height, bbox2.top + bbox2.height) -
+    Math.max(bbox1.top, bbox2.top);
+  return width > 0 && height > 0 ? width * height : 0;
+};
+
+/**
+ * Get the widgets on a page that a visual signature can be bound to.
+ * Widgets of digital signature fields (see digital-signature.js) never are.
+ * @param {Object} instance - Nutrient Web SDK instance
+ * @param {Object} NutrientViewer - Nutrient Web SDK class
+ * @param {number} pageIndex - Page to search
+ * @returns {Promise<Array<Object>>} Widget annotations
+ */
+const getBindableWidgets = async (instance, NutrientViewer, pageIndex) =>
+  (await instance.getAnnotations(pageIndex))
+    .filter(
+      (annotation) =>
+        annotation instanceof NutrientViewer.Annotations.WidgetAnnotation &&
+        !getAnnotationCustomData(annotation).isCertification,
+    )
+    .toArray();
+
+/**
+ * Wait until a known widget can be queried, backing off between attempts
+ * @param {Object} instance - Nutrient Web SDK instance
+ * @param {Object} NutrientViewer - Nutrient Web SDK class
+ * @param {number} pageIndex - Page of the widget
+ * @param {string} widgetId - Widget annotation id
+ * @returns {Promise<Object|null>} The widget, or null once the timeout passes
+ */
+const waitForWidget = async (instance, NutrientViewer, pageIndex, widgetId) => {
+  const deadline = Date.now() + WIDGET_QUERY_TIMEOUT;
+  for (let interval = 10; ; interval *= 2) {
+    const widgets = await getBindableWidgets(
+      instance,
+      NutrientViewer,
+      pageIndex,
+    );
+    const widget = widgets.find((candidate) => candidate.id === widgetId);
+    if (widget || Date.now() >= deadline) {
+      return widget ?? null;
+    }
+    await new Promise((resolve) =>
+      setTimeout(resolve, Math.min(interval, WIDGET_QUERY_MAX_INTERVAL)),
+    );
+  }
+};
+
+/**
+ * Track the signature field the user last clicked, so the signature drawn
+ * for it is bound to that field rather than to whatever it overlaps. Clicks
+ * on other form fields are ignored.
+ * @param {Object} NutrientViewer - Nutrient Web SDK class
+ * @param {Object} instance - Nutrient Web SDK instance
+ * @param {Object|Function} config - Configuration object, or a function returning the current one
+ * @returns {Object} { capture, take }; capture handles annotations.press and
+ *   annotations.focus events, take(annotation) returns and forgets the
+ *   clicked widget if the signature lies on it
+ */
+export const createSignatureFieldTracker = (
+  NutrientViewer,
+  instance,
+  config = DEFAULT_CONFIG,
+) => {
+  const { WidgetAnnotation } = NutrientViewer.Annotations;
+  const getConfig = typeof config === "function" ? config : () => config;
+  let clickedWidget = null;
+  let lastClick = null;
+
+  return {
+    capture: async ({ annotation }) => {
+      if (!(annotation instanceof WidgetAnnotation)) {
+        return;
+      }
+      const click = {};
+      lastClick = click;
+      clickedWidget = null;
+      // Unknown fields are never bound
+      const formFields = await instance.getFormFields().catch(() => []);
+      const formField = formFields.find(
+        (field) => field.name === annotation.formFieldName,
+      );
+      // A later click wins
+      if (lastClick === click && isSignatureField(formField, getConfig())) {
+        clickedWidget = annotation;
+      }
+    },
+    take: (annotation) => {
+      const widget = clickedWidget;
+      clickedWidget = null;
+      return widget &&
+        widget.pageIndex === annotation.pageIndex &&
+        getIntersectionArea(widget.boundingBox, annotation.boundingBox) > 0
+        ? widget
+        : null;
+    },
+  };
+};
+
+/**
+ * Find the signature field widget a new signature belongs to. In order:
+ * 1. the widget named in the signature's customData (TARGET_WIDGET_DATA_KEY)
+ * 2. the widget the user clicked to sign, when the signature lies on it
+ * 3. the widget of the signature's formFieldName
+ * 4. the signature field widget with the largest intersection
+ * Only widgets of signature fields (see isSignatureField) are bound, since
+ * the bound widget is deleted.
  *
  * @param {Object} annotation - The signature annotation
  * @param {Object} instance - Nutrient Web SDK instance
  * @param {Object} NutrientViewer - Nutrient Web SDK class
  * @param {Object} config - Configuration object
- * @returns {Promise<void>}
+ * @param {Object|null} clickedWidget - Widget the user clicked, see createSignatureFieldTracker
+ * @returns {Promise<Object|null>} { widget, formField }, or null when the signature is not on a field
  */
-export const handleSignatureCreation = async (
+export const findSignatureWidget = async (
   annotation,
   instance,
   NutrientViewer,
   config = DEFAULT_CONFIG,
+  clickedWidget = null,
 ) => {
-  console.log("Signature detected:", annotation.constructor.name);
-
-  await new Promise((resolve) => setTimeout(resolve, 100));
+  const { pageIndex } = annotation;
+  const formFields = await instance.getFormFields();
+  const getFormField = (widget) =>
+    formFields.find((field) => field.name === widget.formFieldName);
+  const isSignatureWidget = (widget) =>
+    isSignatureField(getFormField(widget), config);
+  const withFormField = (widget, strategy) => {
+    debugLog(config, `Bound ${annotation.id} to ${widget.id} by ${strategy}`);
+    return { widget, formField: getFormField(widget) };
+  };
 
-  try {
-    const allAnnotations = await instance.getAnnotations(annotation.pageIndex);
-    const formFields = await instance.getFormFields();
-    const widgetAnnotations = allAnnotations.filter(
-      (ann) => ann instanceof NutrientViewer.Annotations.WidgetAnnotation,
+  const knownWidgetId =
+    getAnnotationCustomData(annotation)[TARGET_WIDGET_DATA_KEY] ||
+    clickedWidget?.id;
+  if (knownWidgetId) {
+    const widget = await waitForWidget(
+      instance,
+      NutrientViewer,
+      pageIndex,
+      knownWidgetId,
     );
+    if (widget && isSignatureWidget(widget)) {
+      return withFormField(widget, "target");
+    }
+  }
 
-    console.log(`Found ${widgetAnnotations.size} widget(s) on page`);
-
-    let widgetToDelete = null;
-    let formFieldToDelete = null;
-
-    // Strategy 1: Match by formFieldName
-    if (annotation.formFieldName) {
-      widgetToDelete = widgetAnnotations.find(
-        (widget) => widget.formFieldName === annotation.formFieldName,
-      );
-      formFieldToDelete = formFields.find(
-        (ff) => ff.name === annotation.formFieldName,
-      );
+  const widgets = await getBindableWidgets(instance, NutrientViewer, pageIndex);
 
-      if (widgetToDelete) {
-        console.log("Strategy 1: Found widget by formFieldName");
-      }
+  if (annotation.formFieldName) {
+    const widget = widgets.find(
+      (candidate) => candidate.formFieldName === annotation.formFieldName,
+    );
+    if (widget && isSignatureWidget(widget)) {
+      return withFormField(widget, "formFieldName");
     }
+  }
 
-    // Strategy 2: Find by bounding box overlap and signature field type
-    if (!widgetToDelete) {
-      const signatureBBox = annotation.boundingBox;
-
-      for (const widget of widgetAnnotations) {
-        const widgetBBox = widget.boundingBox;
-        const overlaps = checkBoundingBoxOverlap(signatureBBox, widgetBBox);
-
-        if (overlaps && widget.formFieldName) {
-          const ff = formFields.find((f) => f.name === widget.formFieldName);
-
-          if (isSignatureField(ff, config)) {
-            widgetToDelete = widget;
-            formFieldToDelete = ff;
-            console.log(
-              "Strategy 2: Found widget by overlap and signature field type",
-            );
-            break;
-          }
-        }
-      }
+  let bestMatch = null;
+  let bestArea = 0;
+  for (const widget of widgets) {
+    const area = getIntersectionArea(
+      annotation.boundingBox,
+      widget.boundingBox,
+    );
+    if (area > bestArea && isSignatureWidget(widget)) {
+      bestMatch = widget;
+      bestArea = area;
     }
+  }
+  if (bestMatch) {
+    return withFormField(bestMatch, "largest intersection");
+  }
 
-    // Delete widget annotation
-    if (widgetToDelete) {
-      await instance.delete(widgetToDelete);
-      console.log("✓ Deleted widget annotation");
-    } else {
-      console.warn("Could not find widget annotation to delete");
-    }
+  debugLog(config, `No signature field under ${annotation.id}`);
+  return null;
+};
 
-    // Delete form field (may already be deleted with widget)
-    if (formFieldToDelete) {
-      try {
-        await instance.delete(formFieldToDelete);
-        console.log("✓ Deleted form field");
-      } catch (formFieldError) {
-        if (isFormFieldNotFoundError(formFieldError)) {
-          console.log("ℹ Form field already deleted (cleaned up with widget)");
-        } else {
-          throw formFieldError;
-        }
-      }
-    }
+/**
+ * Delete a signed field's widget and form field. If the form field cannot be
+ * deleted, the widget is restored, so the field is either fully removed or
+ * left as it was.
+ *
+ * @param {Object} match - { widget, formField } from findSignatureWidget
+ * @param {Object} instance - Nutrient Web SDK instance
+ * @returns {Promise<void>}
+ * @throws {Error} - When the field could not be removed; nothing was changed
+ */
+export const removeSignatureWidget = async (
+  { widget, formField },
+  instance,
+) => {
+  await instance.delete(widget);
+  if (!formField) {
+    return;
+  }
+  try {
+    await instance.delete(formField);
   } catch (error) {
+    // Nutrient removes a form field together with its last widget
     if (isFormFieldNotFoundError(error)) {
-      console.log("ℹ Form field already deleted (cleaned up with widget)");
-    } else {
-      console.error("Error deleting widget/form field:", error);
+      return;
     }
+    await instance.create(widget);
+    throw error;
   }
 };
 
 /**
- * Create annotation event handler
+ * Handle signature creation and widget deletion
  *
+ * @param {Object} annotation - The signature annotation
  * @param {Object} instance - Nutrient Web SDK instance
  * @param {Object} NutrientViewer - Nutrient Web SDK class
  * @param {Object} config - Configuration object
+ * @returns {Promise<void>}
+ */
+export const handleSignatureCreation = async (
+  annotation,
+  instance,
+  NutrientViewer,
+  config = DEFAULT_CONFIG,
+) => {
+  try {
+    const match = await findSignatureWidget(
+      annotation,
+      instance,
+      NutrientViewer,
+      config,
+    );
+    if (match) {
+      await removeSignatureWidget(match, instance);
+    }
+  } catch (error) {
+    console.error("Error deleting widget/form field:", error);
+  }
+};
+
+/**
+ * Stamp a new signature with its signer and signing time, once. Annotations
+ * that already carry a signing time (pasted or restored) keep it.
+ *
+ * @param {Object} annotation - The signature annotation
+ * @param {Object} instance - Nutrient Web SDK instance
+ * @param {Object} signer - { signerName, signerId, reason }
+ * @param {Object} [extraData] - Additional customData stored with the stamp
+ * @returns {Promise<void>}
+ */
+export const stampSignature = async (
+  annotation,
+  instance,
+  signer,
+  extraData = {},
+) => {
+  const customData = getAnnotationCustomData(annotation);
+  if (customData.signedAt) {
+    return;
+  }
+
+  await instance.update(
+    annotation.set("customData", {
+      ...customData,
+      ...extraData,
+      isSignature: true,
+      ...createSigningStamp(signer),
+    }),
+  );
+};
+
+/**
+ * Create annotation event handler
+ *
+ * Each new annotation classified as a signature (see
+ * config.signatureDetection) is bound to its signature field (see
+ * findSignatureWidget), then passed to `hooks.authorizeSignature`, which
+ * either names the signer to stamp or rejects the signature. Rejected
+ * signatures are deleted and the field is left unsigned.
+ *
+ * Stamping the signature and removing the field's widget succeed or fail
+ * together: on failure the signature is deleted, the widget is kept and
+ * `hooks.onSignatureFailed` is called.
+ *
+ * @param {Object} instance - Nutrient Web SDK instance
+ * @param {Object} NutrientViewer - Nutrient Web SDK class
+ * @param {Object|Function} config - Configuration object, or a function returning the current one
+ * @param {Object|Function} [signer] - { signerName, signerId, reason } stamped on new signatures, or a function returning it; the configured defaults if omitted
+ * @param {Object} [hooks] - Workflow hooks
+ * @param {Function} [hooks.authorizeSignature] - ({ annotation, widget }) => { signer, customData } or { rejected: message }
+ * @param {Function} [hooks.onSignatureRejected] - Called with the rejection message and the deleted annotation
+ * @param {Function} [hooks.onSignatureApplied] - Called with { annotation, widget } once a signature is stored
+ * @param {Function} [hooks.onSignatureFailed] - Called with the error and the deleted annotation when a signature could not be applied
+ * @param {Function} [hooks.getClickedWidget] - (annotation) => the widget the user clicked to sign, see createSignatureFieldTracker
  * @returns {Function} Event handler function
  */
 export const createAnnotationHandler = (
   instance,
   NutrientViewer,
   config = DEFAULT_CONFIG,
+  signer = null,
+  hooks = {},
 ) => {
+  const getConfig = typeof config === "function" ? config : () => config;
+  const getSigner =
+    typeof signer === "function"
+      ? signer
+      : () => {
+          const { defaults } = getConfig();
+          return (
+            signer ?? {
+              signerName: defaults.signerName,
+              signerId: defaults.signerId,
+              reason: defaults.reason,
+            }
+          );
+        };
+  const {
+    authorizeSignature = () => ({ signer: getSigner() }),
+    onSignatureRejected = () => {},
+    onSignatureApplied = () => {},
+    onSignatureFailed = (error) =>
+      console.error("Error applying signature:", error),
+    getClickedWidget = () => null,
+  } = hooks;
+
   return async (annotations) => {
+    const config = getConfig();
     for (const annotation of annotations) {
-      const isInkAnnotation =
-        annotation instanceof NutrientViewer.Annotations.InkAnnotation;
-      const isImageAnnotation =
-        annotation instanceof NutrientViewer.Annotations.ImageAnnotation;
+      // Freehand ink and stamped images must not consume signature fields
+      if (!isDecoratedAnnotation(annotation, NutrientViewer, config)) {
+        continue;
+      }
 
-      if (isInkAnnotation || isImageAnnotation) {
-        await handleSignatureCreation(
+      let match = null;
+      try {
+        match = await findSignatureWidget(
           annotation,
           instance,
           NutrientViewer,
           config,
+          getClickedWidget(annotation),
         );
+        const decision = authorizeSignature({
+          annotation,
+          widget: match?.widget ?? null,
+        });
+        if (decision.rejected) {
+          await instance.delete(annotation);
+          onSignatureRejected(decision.rejected, annotation);
+          continue;
+        }
+
+        await stampSignature(
+          annotation,
+          instance,
+          decision.signer,
+          decision.customData,
+        );
+        if (match) {
+          await removeSignatureWidget(match, instance);
+        }
+      } catch (error) {
+        // The widget is still in place; drop the half-applied signature
+        await instance.delete(annotation).catch(() => {
+          // Already gone
+        });
+        onSignatureFailed(error, annotation);
+        continue;
       }
+      onSignatureApplied({ annotation, widget: match?.widget ?? null });
     }
   };
 };
@@ -503,15 +1306,32 @@ export const injectSignatureStyles = () => {
  * @param {Object} NutrientViewer - Nutrient Web SDK class
  * @param {Object} options - Configuration options
  * @param {string} options.loggedInUser - Current logged-in user name
- * @param {Object} options.config - Custom configuration
+ * @param {string} options.signerId - Stable identifier of the logged-in user
+ * @param {string} options.signingReason - Reason stored with new signatures
+ * @param {Function} [options.getSigner] - Returns the current { signerName, signerId, reason }, for apps where the user can change
+ * @param {Function} [options.authorizeSignature] - Decides who signs a field, see createAnnotationHandler
+ * @param {Function} [options.onSignatureRejected] - Called with the message of a rejected signature
+ * @param {Function} [options.onSignatureApplied] - Called once a signature is stored
+ * @param {Function} [options.onSignatureFailed] - Called with the error when a signature could not be applied
+ * @param {Object} options.config - Custom configuration, see resolveDecoratorConfig
+ * @param {Function} [options.getConfig] - Returns the current custom configuration, for apps where the user can change it; replaces options.config
  * @returns {Function} Cleanup function to remove event listener
  *
  * @example
  * const cleanup = initializeSignatureDecorator(instance, NutrientViewer, {
  *   loggedInUser: "John Doe",
+ *   signerId: "jdoe",
+ *   signingReason: "Approved for release",
  *   config: {
+ *     preset: "underline",
+ *     locale: "de-DE",
  *     curve: { color: "#FF0000" },
- *     text: { color: "#0000FF" }
+ *     text: { color: "#0000FF" },
+ *     signatureDetection: {
+ *       // Also treat images named "signature" as signatures
+ *       predicate: (annotation) =>
+ *         annotation.description === "signature" || undefined,
+ *     },
  *   }
  * });
  */
@@ -520,35 +1340,93 @@ export const initializeSignatureDecorator = (
   NutrientViewer,
   options = {},
 ) => {
-  const config = { ...DEFAULT_CONFIG, ...options.config };
+  // Resolved again only when the custom configuration changes
+  let customConfig = options.getConfig ? options.getConfig() : options.config;
+  let config = resolveDecoratorConfig(customConfig);
+  const getConfig = () => {
+    const nextConfig = options.getConfig?.() ?? customConfig;
+    if (nextConfig !== customConfig) {
+      customConfig = nextConfig;
+      config = resolveDecoratorConfig(nextConfig);
+    }
+    return config;
+  };
+  const { defaults } = config;
+  const signer = {
+    signerName: options.loggedInUser || defaults.signerName,
+    signerId: options.signerId ?? defaults.signerId,
+    reason: options.signingReason || defaults.reason,
+  };
 
   // Inject styles
   injectSignatureStyles();
 
+  // Remember which signature field the user clicks to sign
+  const fieldTracker = createSignatureFieldTracker(
+    NutrientViewer,
+    instance,
+    getConfig,
+  );
+  instance.addEventListener("annotations.press", fieldTracker.capture);
+  instance.addEventListener("annotations.focus", fieldTracker.capture);
+
   // Create and register event handler
-  const handler = createAnnotationHandler(instance, NutrientViewer, config);
+  const handler = createAnnotationHandler(
+    instance,
+    NutrientViewer,
+    getConfig,
+    options.getSigner || signer,
+    {
+      authorizeSignature: options.authorizeSignature,
+      onSignatureRejected: options.onSignatureRejected,
+      onSignatureApplied: options.onSignatureApplied,
+      onSignatureFailed: options.onSignatureFailed,
+      getClickedWidget: fieldTracker.take,
+    },
+  );
   instance.addEventListener("annotations.create", handler);
 
   // Return cleanup function
   return () => {
     instance.removeEventListener("annotations.create", handler);
+    instance.removeEventListener("annotations.press", fieldTracker.capture);
+    instance.removeEventListener("annotations.focus", fieldTracker.capture);
   };
 };
 
 export default {
   DEFAULT_CONFIG,
+  DECORATOR_PRESETS,
+  CURVE_STYLES,
+  DecoratorConfigError,
+  resolveDecoratorConfig,
+  validateDecoratorConfig,
+  computeDecorationLayout,
+  createDecorationNode,
+  isDecoratedAnnotation,
+  getSignatureLabels,
   createSignatureRenderer,
+  findSignatureWidget,
+  removeSignatureWidget,
   handleSignatureCreation,
+  stampSignature,
   createAnnotationHandler,
   initializeSignatureDecorator,
   injectSignatureStyles,
   // Utility functions
   getCurrentDateTime,
+  getLocalTimeZone,
+  formatSigningTime,
+  createSigningStamp,
+  getAnnotationCustomData,
   isSignatureField,
   checkBoundingBoxOverlap,
+  getIntersectionArea,
+  createSignatureFieldTracker,
   isFormFieldNotFoundError,
   createTopCurve,
   createBottomCurve,
   createTopLabel,
   createBottomLabel,
+  createStatusBadge,
 };
@@ -0,0 +1,137 @@
+import { describe, expect, it } from "vitest";
+import {
+  createSignatureFieldTracker,
+  findSignatureWidget,
+  resolveDecoratorConfig,
+  TARGET_WIDGET_DATA_KEY,
+} from "./signature-decorator";
+
+class Annotation {
+  constructor(properties = {}) {
+    Object.assign(this, { pageIndex: 0, customData: null }, properties);
+  }
+}
+
+class InkAnnotation extends Annotation {}
+class WidgetAnnotation extends Annotation {}
+class SignatureFormField {
+  constructor(name) {
+    this.name = name;
+  }
+}
+class TextFormField {
+  constructor(name) {
+    this.name = name;
+  }
+}
+
+const NutrientViewer = {
+  Annotations: { InkAnnotation, WidgetAnnotation },
+};
+
+const config = resolveDecoratorConfig();
+
+/**
+ * Instance with a text field and a signature field side by side on page 0
+ */
+const createInstance = () => {
+  const textWidget = new WidgetAnnotation({
+    id: "text-widget",
+    formFieldName: "Name",
+    boundingBox: { left: 100, top: 100, width: 200, height: 50 },
+  });
+  const signatureWidget = new WidgetAnnotation({
+    id: "signature-widget",
+    formFieldName: "Approval",
+    boundingBox: { left: 250, top: 100, width: 200, height: 50 },
+  });
+  return {
+    textWidget,
+    signatureWidget,
+    getAnnotations: async () => ({
+      filter: (predicate) => ({
+        toArray: () => [textWidget, signatureWidget].filter(predicate),
+      }),
+    }),
+    getFormFields: async () => [
+      new TextFormField("Name"),
+      new SignatureFormField("Approval"),
+    ],
+  };
+};
+
+/**
+ * Signature mostly over the text field, partly over the signature field
+ */
+const createSignature = (properties = {}) =>
+  new InkAnnotation({
+    id: "signature",
+    isSignature: true,
+    boundingBox: { left: 110, top: 105, width: 160, height: 40 },
+    ...properties,
+  });
+
+describe("findSignatureWidget", () => {
+  it("skips a targeted widget that is not a signature field", async () => {
+    const instance = createInstance();
+    const signature = createSignature({
+      customData: { [TARGET_WIDGET_DATA_KEY]: "text-widget" },
+    });
+
+    const match = await findSignatureWidget(
+      signature,
+      instance,
+      NutrientViewer,
+      config,
+    );
+
+    expect(match.widget).toBe(instance.signatureWidget);
+  });
+
+  it("skips a clicked widget that is not a signature field", async () => {
+    const instance = createInstance();
+
+    const match = await findSignatureWidget(
+      createSignature(),
+      instance,
+      NutrientViewer,
+      config,
+      instance.textWidget,
+    );
+
+    expect(match.widget).toBe(instance.signatureWidget);
+  });
+
+  it("skips a form field name that is not a signature field", async () => {
+    const instance = createInstance();
+
+    const match = await findSignatureWidget(
+      createSignature({ formFieldName: "Name" }),
+      instance,
+      NutrientViewer,
+      config,
+    );
+
+    expect(match.widget).toBe(instance.signatureWidget);
+  });
+});
+
+describe("createSignatureFieldTracker", () => {
+  it("only remembers clicks on signature fields", async () => {
+    const instance = createInstance();
+    const tracker = createSignatureFieldTracker(
+      NutrientViewer,
+      instance,
+      config,
+    );
+    const signature = createSignature({
+      boundingBox: { left: 260, top: 105, width: 100, height: 40 },
+    });
+
+    await tracker.capture({ annotation: instance.textWidget });
+    expect(tracker.take(createSignature())).toBeNull();
+
+    await tracker.capture({ annotation: instance.signatureWidget });
+    expect(tracker.take(signature)).toBe(instance.signatureWidget);
+  });
+});
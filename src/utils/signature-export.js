@@ -0,0 +1,233 @@
+/**
+ * Signature Export
+ *
+ * Burns the signature decorations (curves, signer name, signing time and
+ * optionally the reason and location) into an exported PDF. Curves become
+ * ink annotations and labels text annotations, laid out with the same
+ * computeDecorationLayout as the on-screen renderer, and are flattened into
+ * the page content on a headless copy. The open document is never modified.
+ */
+
+import {
+  computeDecorationLayout,
+  curveCommandsToPoints,
+  getSignatureLabels,
+  isDecoratedAnnotation,
+  resolveDecoratorConfig,
+} from "./signature-decorator";
+
+/**
+ * Line height of label text relative to its font size, matching the
+ * browser's "normal" line height used by the on-screen labels
+ */
+const LABEL_LINE_HEIGHT = 1.2;
+
+/**
+ * Horizontal room added to measured label widths, so PDF fonts with
+ * slightly wider glyphs do not wrap
+ */
+const LABEL_WIDTH_PADDING = 6;
+
+let measureContext = null;
+
+/**
+ * Measure the width of a label in points
+ * @param {string} text - Label text
+ * @param {number} fontSize - Font size in points
+ * @param {string} fontFamily - CSS font family
+ * @returns {number}
+ */
+const measureLabelWidth = (text, fontSize, fontFamily) => {
+  measureContext ??= document.createElement("canvas").getContext("2d");
+  measureContext.font = `${fontSize}px ${fontFamily}`;
+  return measureContext.measureText(text).width + LABEL_WIDTH_PADDING;
+};
+
+/**
+ * Convert a "#rrggbb" color to a Nutrient color
+ * @param {Object} NutrientViewer - Nutrient Web SDK class
+ * @param {string} hex - Hex color
+ * @returns {Object} NutrientViewer.Color
+ */
+const hexToColor = (NutrientViewer, hex) => {
+  const value = Number.parseInt(hex.replace("#", ""), 16);
+  return new NutrientViewer.Color({
+    r: (value >> 16) & 0xff,
+    g: (value >> 8) & 0xff,
+    b: value & 0xff,
+  });
+};
+
+/**
+ * Create the annotations that draw one signature's decoration
+ * @param {Object} NutrientViewer - Nutrient Web SDK class
+ * @param {Object} signature - Signature annotation
+ * @param {Object} options - Decoration options
+ * @param {Object} options.config - Resolved decorator configuration
+ * @param {string} [options.loggedInUser] - Fallback signer name
+ * @param {boolean} [options.includeReason] - Add the signing reason
+ * @param {string} [options.location] - Signing location added below the time
+ * @returns {Array<Object>} Ink and text annotations, not yet created
+ */
+export const createDecorationAnnotations = (
+  NutrientViewer,
+  signature,
+  { config, loggedInUser, includeReason = false, location = "" },
+) => {
+  const { Annotations, Geometry, Immutable } = NutrientViewer;
+  const bbox = signature.boundingBox;
+  const layout = computeDecorationLayout(bbox, config);
+  const labels = getSignatureLabels(signature, { loggedInUser, config });
+  const color = hexToColor(NutrientViewer, config.curve.color);
+  const textColor = hexToColor(NutrientViewer, config.text.color);
+  const lineWidth = Number.parseFloat(config.curve.strokeWidth) || 1;
+  const { pageIndex } = signature;
+
+  const curves = layout.curves.map((commands) => {
+    const points = curveCommandsToPoints(commands).map(
+      ({ x, y }) =>
+        new Geometry.DrawingPoint({
+          x: bbox.left + layout.svg.left + x,
+          y: bbox.top + layout.svg.top + y,
+        }),
+    );
+    const xs = points.map(({ x }) => x);
+    const ys = points.map(({ y }) => y);
+    return new Annotations.InkAnnotation({
+      pageIndex,
+      lines: Immutable.List([Immutable.List(points)]),
+      lineWidth,
+      strokeColor: color,
+      boundingBox: new Geometry.Rect({
+        left: Math.min(...xs) - lineWidth,
+        top: Math.min(...ys) - lineWidth,
+        width: Math.max(...xs) - Math.min(...xs) + lineWidth * 2,
+        height: Math.max(...ys) - Math.min(...ys) + lineWidth * 2,
+      }),
+    });
+  });
+
+  const createLabel = (text, left, top, fontSize) =>
+    new Annotations.TextAnnotation({
+      pageIndex,
+      text: { format: "plain", value: text },
+      font: "Helvetica",
+      fontSize,
+      fontColor: textColor,
+      boundingBox: new Geometry.Rect({
+        left,
+        top,
+        width: measureLabelWidth(text, fontSize, config.text.fontFamily),
+        height: fontSize * LABEL_LINE_HEIGHT,
+      }),
+    });
+
+  const { topLabel, bottomLabel } = layout;
+  const bottomLineHeight = bottomLabel.fontSize * LABEL_LINE_HEIGHT;
+  const bottomTop =
+    bbox.top + bbox.height - bottomLabel.bottom - bottomLineHeight;
+
+  const details = [
+    includeReason && labels.reason ? `Reason: ${labels.reason}` : null,
+    location ? `Location: ${location}` : null,
+  ].filter(Boolean);
+
+  return [
+    ...curves,
+    createLabel(
+      `By ${labels.signerName}`,
+      bbox.left + topLabel.left,
+      bbox.top + topLabel.top,
+      topLabel.fontSize,
+    ),
+    createLabel(
+      labels.signingTime,
+      bbox.left + bottomLabel.left,
+      bottomTop,
+      bottomLabel.fontSize,
+    ),
+    ...details.map((text, index) =>
+      createLabel(
+        text,
+        bbox.left + bottomLabel.left,
+        bottomTop + bottomLineHeight * (index + 1),
+        bottomLabel.fontSize,
+      ),
+    ),
+  ];
+};
+
+/**
+ * Find every decorated signature in a document
+ * @param {Object} instance - Nutrient instance
+ * @param {Object} NutrientViewer - Nutrient Web SDK class
+ * @param {Object} [config] - Resolved decorator configuration
+ * @returns {Promise<Array<Object>>} Signature annotations
+ */
+export const findDecoratedSignatures = async (
+  instance,
+  NutrientViewer,
+  config,
+) => {
+  const signatures = [];
+  for (let pageIndex = 0; pageIndex < instance.totalPageCount; pageIndex++) {
+    const annotations = await instance.getAnnotations(pageIndex);
+    signatures.push(
+      ...annotations.filter((annotation) =>
+        isDecoratedAnnotation(annotation, NutrientViewer, config),
+      ),
+    );
+  }
+  return signatures;
+};
+
+/**
+ * Export the document with signature decorations flattened into the pages
+ * @param {Object} instance - Nutrient instance showing the document
+ * @param {Object} pool - Conversion pool providing a headless instance
+ * @param {Object} NutrientViewer - Nutrient Web SDK class
+ * @param {Object} options - Export options
+ * @param {Object} [options.config] - Custom decorator configuration
+ * @param {string} [options.loggedInUser] - Fallback signer name
+ * @param {boolean} [options.includeReason] - Add each signature's reason
+ * @param {string} [options.location] - Signing location to add
+ * @returns {Promise<ArrayBuffer>} PDF bytes
+ */
+export const exportWithSignatureDecorations = async (
+  instance,
+  pool,
+  NutrientViewer,
+  options = {},
+) => {
+  const config = resolveDecoratorConfig(options.config);
+  const source = await instance.exportPDF();
+  const signatures = await findDecoratedSignatures(
+    instance,
+    NutrientViewer,
+    config,
+  );
+  if (signatures.length === 0) {
+    return source;
+  }
+
+  const decorations = signatures.flatMap((signature) =>
+    createDecorationAnnotations(NutrientViewer, signature, {
+      ...options,
+      config,
+    }),
+  );
+
+  return pool.run(
+    { label: "Signature export", source },
+    async (headlessInstance) => {
+      const created = await headlessInstance.create(decorations);
+      await headlessInstance.applyOperations([
+        {
+          type: "flattenAnnotations",
+          annotationIds: created.map((annotation) => annotation.id),
+        },
+      ]);
+      return headlessInstance.exportPDF();
+    },
+  );
+};
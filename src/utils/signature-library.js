@@ -0,0 +1,303 @@
+/**
+ * Signature Library
+ *
+ * Saved signatures per signer, kept in IndexedDB so users don't have to draw
+ * them again. Each signer, identified by the signerName the decorator stamps,
+ * has one entry per variant: full signature, initials and company stamp.
+ *
+ * Entries are either ink, stored as lines of points relative to the
+ * signature's box, or images, stored as base64 data:
+ *
+ *   { owner, variant, kind: "ink", width, height, lines, strokeColor, lineWidth, savedAt }
+ *   { owner, variant, kind: "image", width, height, contentType, data, savedAt }
+ *
+ * Placing an entry creates a signature annotation on the chosen field, naming
+ * the field's widget as its target; the decorator's annotations.create
+ * handler then replaces that widget and stamps the signer, exactly as for a
+ * hand-drawn signature.
+ */
+
+import { base64ToBytes, bytesToBase64 } from "./encoding";
+import { openObjectStore } from "./idb-store";
+import { TARGET_WIDGET_DATA_KEY } from "./signature-decorator";
+
+/**
+ * Kinds of saved signatures
+ */
+export const SIGNATURE_VARIANTS = {
+  signature: "signature",
+  initials: "initials",
+  stamp: "stamp",
+};
+
+/**
+ * Image files accepted as saved signatures
+ */
+export const SIGNATURE_IMAGE_ACCEPT = "image/png,image/jpeg";
+
+/**
+ * Identifies exported library files
+ */
+const LIBRARY_FILE_FORMAT = "document-editor-signature-library";
+const LIBRARY_FILE_VERSION = 1;
+
+const store = openObjectStore({
+  databaseName: "document-editor:signature-library",
+  storeName: "signatures",
+  keyPath: ["owner", "variant"],
+  indexes: [{ name: "owner", keyPath: "owner" }],
+});
+
+/**
+ * Load a signer's saved signatures
+ * @param {string} owner - Signer name
+ * @returns {Promise<Array<Object>>} Library entries
+ */
+export const loadSignatureLibrary = (owner) =>
+  store.getAllFromIndex("owner", owner);
+
+/**
+ * Save a signature as one of a signer's variants, replacing the previous one
+ * @param {string} owner - Signer name
+ * @param {string} variant - One of SIGNATURE_VARIANTS
+ * @param {Object} template - Captured signature, see captureSignature
+ * @returns {Promise<Object>} The saved entry
+ */
+export const saveSignature = async (owner, variant, template) => {
+  const entry = {
+    ...template,
+    owner,
+    variant,
+    savedAt: new Date().toISOString(),
+  };
+  await store.put(entry);
+  return entry;
+};
+
+/**
+ * Delete one of a signer's saved variants
+ * @param {string} owner - Signer name
+ * @param {string} variant - One of SIGNATURE_VARIANTS
+ * @returns {Promise<void>}
+ */
+export const deleteSignature = (owner, variant) =>
+  store.delete([owner, variant]);
+
+/**
+ * Capture an ink or image annotation as a library template
+ * @param {Object} instance - Nutrient instance
+ * @param {Object} NutrientViewer - Nutrient Web SDK class
+ * @param {Object} annotation - Ink or image annotation
+ * @returns {Promise<Object|null>} Template, or null for other annotations
+ */
+export const captureSignature = async (
+  instance,
+  NutrientViewer,
+  annotation,
+) => {
+  const { left, top, width, height } = annotation.boundingBox;
+
+  if (annotation instanceof NutrientViewer.Annotations.InkAnnotation) {
+    const { r, g, b } = annotation.strokeColor;
+    return {
+      kind: "ink",
+      width,
+      height,
+      lines: annotation.lines
+        .map((line) =>
+          line
+            .map((point) => [
+              (point.x - left) / width,
+              (point.y - top) / height,
+            ])
+            .toArray(),
+        )
+        .toArray(),
+      strokeColor: { r, g, b },
+      lineWidth: annotation.lineWidth,
+    };
+  }
+
+  if (annotation instanceof NutrientViewer.Annotations.ImageAnnotation) {
+    const image = await instance.getAttachment(annotation.imageAttachmentId);
+    return {
+      kind: "image",
+      width,
+      height,
+      contentType: annotation.contentType || image.type,
+      data: bytesToBase64(await image.arrayBuffer()),
+    };
+  }
+
+  return null;
+};
+
+/**
+ * Read an image file as a library template
+ * @param {File} file - PNG or JPEG image
+ * @returns {Promise<Object>} Template
+ * @throws {Error} - When the file is not a readable image
+ */
+export const readSignatureImage = async (file) => {
+  let bitmap;
+  try {
+    bitmap = await createImageBitmap(file);
+  } catch {
+    throw new Error(`${file.name} is not a PNG or JPEG image`);
+  }
+  const { width, height } = bitmap;
+  bitmap.close();
+  return {
+    kind: "image",
+    width,
+    height,
+    contentType: file.type || "image/png",
+    data: bytesToBase64(await file.arrayBuffer()),
+  };
+};
+
+/**
+ * Fit a saved signature into a field, keeping its aspect ratio
+ * @param {Object} entry - Library entry
+ * @param {Object} fieldBox - Field bounding box
+ * @returns {Object} { left, top, width, height }, centered in the field
+ */
+const fitToField = (entry, fieldBox) => {
+  const scale = Math.min(
+    fieldBox.width / entry.width,
+    fieldBox.height / entry.height,
+  );
+  const width = entry.width * scale;
+  const height = entry.height * scale;
+  return {
+    left: fieldBox.left + (fieldBox.width - width) / 2,
+    top: fieldBox.top + (fieldBox.height - height) / 2,
+    width,
+    height,
+  };
+};
+
+/**
+ * Place a saved signature on a signature field
+ * @param {Object} instance - Nutrient instance
+ * @param {Object} NutrientViewer - Nutrient Web SDK class
+ * @param {Object} entry - Library entry
+ * @param {Object} widget - Widget annotation of the field to sign
+ * @returns {Promise<Object>} The created signature annotation
+ */
+export const placeSignature = async (
+  instance,
+  NutrientViewer,
+  entry,
+  widget,
+) => {
+  const { Annotations, Color, Geometry, Immutable } = NutrientViewer;
+  const box = fitToField(entry, widget.boundingBox);
+  const boundingBox = new Geometry.Rect(box);
+  let annotation;
+
+  if (entry.kind === "ink") {
+    annotation = new Annotations.InkAnnotation({
+      pageIndex: widget.pageIndex,
+      isSignature: true,
+      boundingBox,
+      customData: { [TARGET_WIDGET_DATA_KEY]: widget.id },
+      lines: Immutable.List(
+        entry.lines.map((line) =>
+          Immutable.List(
+            line.map(
+              ([x, y]) =>
+                new Geometry.DrawingPoint({
+                  x: box.left + x * box.width,
+                  y: box.top + y * box.height,
+                }),
+            ),
+          ),
+        ),
+      ),
+      strokeColor: new Color(entry.strokeColor),
+      lineWidth: entry.lineWidth,
+    });
+  } else {
+    const image = new Blob([base64ToBytes(entry.data)], {
+      type: entry.contentType,
+    });
+    annotation = new Annotations.ImageAnnotation({
+      pageIndex: widget.pageIndex,
+      isSignature: true,
+      boundingBox,
+      customData: { [TARGET_WIDGET_DATA_KEY]: widget.id },
+      contentType: entry.contentType,
+      imageAttachmentId: await instance.createAttachment(image),
+      description: entry.variant,
+    });
+  }
+
+  const [created] = await instance.create(annotation);
+  return created;
+};
+
+/**
+ * Check that an imported entry has everything needed to place it
+ * @param {Object} entry - Entry from a library file
+ * @returns {boolean}
+ */
+const isValidEntry = (entry) =>
+  typeof entry?.owner === "string" &&
+  Object.values(SIGNATURE_VARIANTS).includes(entry.variant) &&
+  entry.width > 0 &&
+  entry.height > 0 &&
+  ((entry.kind === "ink" && Array.isArray(entry.lines)) ||
+    (entry.kind === "image" && typeof entry.data === "string"));
+
+/**
+ * Serialize saved signatures as a library file
+ * @param {Array<Object>} entries - Library entries
+ * @returns {Blob} JSON file
+ */
+export const exportSignatureLibrary = (entries) =>
+  new Blob(
+    [
+      JSON.stringify(
+        {
+          format: LIBRARY_FILE_FORMAT,
+          version: LIBRARY_FILE_VERSION,
+          exportedAt: new Date().toISOString(),
+          signatures: entries,
+        },
+        null,
+        2,
+      ),
+    ],
+    { type: "application/json" },
+  );
+
+/**
+ * Import the signatures of a library file. Entries replace saved variants
+ * of the same signer.
+ * @param {File} file - File written by exportSignatureLibrary
+ * @returns {Promise<number>} Number of imported signatures
+ * @throws {Error} - When the file is not a signature library
+ */
+export const importSignatureLibrary = async (file) => {
+  let library;
+  try {
+    library = JSON.parse(await file.text());
+  } catch {
+    throw new Error(`${file.name} is not a JSON file`);
+  }
+  if (
+    library?.format !== LIBRARY_FILE_FORMAT ||
+    library.version > LIBRARY_FILE_VERSION ||
+    !Array.isArray(library.signatures)
+  ) {
+    throw new Error(`${file.name} is not a signature library`);
+  }
+
+  const entries = library.signatures.filter(isValidEntry);
+  if (entries.length === 0) {
+    throw new Error(`${file.name} contains no usable signatures`);
+  }
+  await store.putAll(entries);
+  return entries.length;
+};
@@ -0,0 +1,337 @@
+/**
+ * Signing Workflow
+ *
+ * Assigns signature fields to named signers and enforces the order in which
+ * they sign. The workflow is stored in the document itself:
+ * - an unsigned field's assignment { signerId, signerName, order } is kept in
+ *   the customData of its widget
+ * - when the field is signed, the widget is removed and the assignment moves
+ *   to the signature annotation, together with the field name
+ * Signers sharing an order number may sign in any order among themselves.
+ */
+
+import { isCertificationWidget } from "./digital-signature";
+import { getAnnotationCustomData } from "./signature-decorator";
+
+/**
+ * customData key holding a field's assignment
+ */
+export const ASSIGNMENT_DATA_KEY = "signingAssignment";
+
+/**
+ * Progress of a signer in the workflow
+ */
+export const SIGNER_STATUS = {
+  done: "done",
+  active: "active",
+  waiting: "waiting",
+};
+
+/**
+ * What the current user may do with a signature field
+ * - open: the field is not assigned, anyone may sign it
+ * - own: assigned to the current user, whose turn it is
+ * - waiting: assigned to the current user, after signers still pending
+ * - locked: assigned to someone else
+ */
+export const FIELD_ACCESS = {
+  open: "open",
+  own: "own",
+  waiting: "waiting",
+  locked: "locked",
+};
+
+/**
+ * Workflow of a document without signature fields
+ */
+export const EMPTY_SIGNING_WORKFLOW = { fields: [], signed: [], signers: [] };
+
+/**
+ * Colors used to highlight assigned fields, by access
+ */
+const FIELD_ACCESS_COLORS = {
+  [FIELD_ACCESS.own]: "#16a34a",
+  [FIELD_ACCESS.waiting]: "#d97706",
+  [FIELD_ACCESS.locked]: "#6b7280",
+};
+
+/**
+ * Read the assignment of a widget or signed signature
+ * @param {Object} annotation - Widget or signature annotation
+ * @returns {Object|null} { signerId, signerName, order }
+ */
+export const getFieldAssignment = (annotation) =>
+  (annotation && getAnnotationCustomData(annotation)[ASSIGNMENT_DATA_KEY]) ||
+  null;
+
+/**
+ * Assign a signature widget to a signer, or clear its assignment
+ * @param {Object} widget - Signature widget annotation
+ * @param {Object|null} signer - { id, name, order }, or null to unassign
+ * @returns {Object} Updated widget to pass to instance.update
+ */
+export const assignField = (widget, signer) => {
+  const { [ASSIGNMENT_DATA_KEY]: _previous, ...customData } =
+    getAnnotationCustomData(widget);
+  return widget.set(
+    "customData",
+    signer
+      ? {
+          ...customData,
+          [ASSIGNMENT_DATA_KEY]: {
+            signerId: signer.id,
+            signerName: signer.name,
+            order: signer.order,
+          },
+        }
+      : customData,
+  );
+};
+
+/**
+ * Summarize the workflow per signer, in signing order
+ * @param {Array<Object>} fields - Unsigned fields { assignment }
+ * @param {Array<Object>} signed - Signed fields { assignment }
+ * @returns {Array<Object>} { signerId, signerName, order, pending, signed, status }
+ */
+export const summarizeSigners = (fields, signed) => {
+  const signers = new Map();
+  const count = (assignment, key) => {
+    if (!assignment) {
+      return;
+    }
+    const summary = signers.get(assignment.signerId) || {
+      signerId: assignment.signerId,
+      signerName: assignment.signerName,
+      order: assignment.order,
+      pending: 0,
+      signed: 0,
+    };
+    summary[key]++;
+    signers.set(assignment.signerId, summary);
+  };
+  for (const field of fields) {
+    count(field.assignment, "pending");
+  }
+  for (const field of signed) {
+    count(field.assignment, "signed");
+  }
+
+  const sorted = [...signers.values()].sort(
+    (a, b) => a.order - b.order || a.signerName.localeCompare(b.signerName),
+  );
+  const activeOrder = getActiveOrder(sorted);
+  return sorted.map((signer) => ({
+    ...signer,
+    status:
+      signer.pending === 0
+        ? SIGNER_STATUS.done
+        : signer.order === activeOrder
+          ? SIGNER_STATUS.active
+          : SIGNER_STATUS.waiting,
+  }));
+};
+
+/**
+ * Get the order number whose signers may sign now
+ * @param {Array<Object>} signers - Signer summaries
+ * @returns {number|null} Lowest order with pending fields, or null when all are done
+ */
+export const getActiveOrder = (signers) => {
+  const pending = signers.filter((signer) => signer.pending > 0);
+  return pending.length > 0
+    ? Math.min(...pending.map((signer) => signer.order))
+    : null;
+};
+
+/**
+ * Read the signing workflow from the document
+ * @param {Object} instance - Nutrient instance
+ * @param {Object} NutrientViewer - Nutrient Web SDK class
+ * @returns {Promise<Object>} Workflow:
+ *   - fields: unsigned signature fields { fieldName, pageIndex, widget, formField, assignment }
+ *   - signed: signed fields { fieldName, pageIndex, assignment, signerName, signedAt }
+ *   - signers: see summarizeSigners
+ */
+export const loadSigningWorkflow = async (instance, NutrientViewer) => {
+  const formFields = await instance.getFormFields();
+  const signatureFields = new Map(
+    formFields
+      .filter(
+        (formField) =>
+          formField instanceof NutrientViewer.FormFields.SignatureFormField,
+      )
+      .map((formField) => [formField.name, formField]),
+  );
+
+  const fields = [];
+  const signed = [];
+  for (let pageIndex = 0; pageIndex < instance.totalPageCount; pageIndex++) {
+    const annotations = await instance.getAnnotations(pageIndex);
+    for (const annotation of annotations) {
+      const assignment = getFieldAssignment(annotation);
+      if (
+        annotation instanceof NutrientViewer.Annotations.WidgetAnnotation &&
+        signatureFields.has(annotation.formFieldName) &&
+        !isCertificationWidget(annotation)
+      ) {
+        fields.push({
+          fieldName: annotation.formFieldName,
+          pageIndex,
+          widget: annotation,
+          formField: signatureFields.get(annotation.formFieldName),
+          assignment,
+        });
+      } else if (assignment) {
+        const customData = getAnnotationCustomData(annotation);
+        signed.push({
+          fieldName: customData.signedFieldName,
+          pageIndex,
+          assignment,
+          signerName: customData.signerName,
+          signedAt: customData.signedAt,
+        });
+      }
+    }
+  }
+
+  return { fields, signed, signers: summarizeSigners(fields, signed) };
+};
+
+/**
+ * Work out what a user may do with a field
+ * @param {Object|null} assignment - Field assignment
+ * @param {string} userId - Current user
+ * @param {Object} workflow - Workflow from loadSigningWorkflow
+ * @returns {string} One of FIELD_ACCESS
+ */
+export const getFieldAccess = (assignment, userId, workflow) => {
+  if (!assignment) {
+    return FIELD_ACCESS.open;
+  }
+  if (assignment.signerId !== userId) {
+    return FIELD_ACCESS.locked;
+  }
+  const activeOrder = getActiveOrder(workflow.signers);
+  return activeOrder === null || assignment.order <= activeOrder
+    ? FIELD_ACCESS.own
+    : FIELD_ACCESS.waiting;
+};
+
+/**
+ * Decide whether a user may sign a field, and as whom
+ * @param {Object|null} widget - Signature widget being signed, if any
+ * @param {Object} user - Current user { id, name }
+ * @param {Object} workflow - Workflow from loadSigningWorkflow
+ * @param {string} reason - Signing reason
+ * @returns {Object} { signer, customData } to sign, or { rejected } with a message
+ */
+export const authorizeFieldSignature = (widget, user, workflow, reason) => {
+  const assignment = getFieldAssignment(widget);
+  const signer = { signerName: user.name, signerId: user.id, reason };
+
+  switch (getFieldAccess(assignment, user.id, workflow)) {
+    case FIELD_ACCESS.open:
+      return { signer };
+    case FIELD_ACCESS.locked:
+      return {
+        rejected: `This field is assigned to ${assignment.signerName}. Switch to that signer to sign it.`,
+      };
+    case FIELD_ACCESS.waiting: {
+      const waitingFor = workflow.signers
+        .filter((summary) => summary.status === SIGNER_STATUS.active)
+        .map((summary) => summary.signerName);
+      return {
+        rejected: `It is not your turn yet. Waiting for ${waitingFor.join(", ")} to sign first.`,
+      };
+    }
+    default:
+      return {
+        signer: {
+          ...signer,
+          signerName: assignment.signerName,
+          signerId: assignment.signerId,
+        },
+        customData: {
+          [ASSIGNMENT_DATA_KEY]: assignment,
+          signedFieldName: widget.formFieldName,
+        },
+      };
+  }
+};
+
+/**
+ * Make assigned fields read-only for everyone except the signer whose turn
+ * it is, so Nutrient does not offer to sign them. Unassigned fields are left
+ * as the document defines them.
+ * @param {Object} instance - Nutrient instance
+ * @param {Object} workflow - Workflow from loadSigningWorkflow
+ * @param {string} userId - Current user
+ * @returns {Promise<void>}
+ */
+export const applyFieldLocks = async (instance, workflow, userId) => {
+  const updates = workflow.fields
+    .filter(({ assignment }) => assignment)
+    .map(({ assignment, formField }) => ({
+      formField,
+      readOnly:
+        getFieldAccess(assignment, userId, workflow) !== FIELD_ACCESS.own,
+    }))
+    .filter(({ formField, readOnly }) => formField.readOnly !== readOnly)
+    .map(({ formField, readOnly }) => formField.set("readOnly", readOnly));
+
+  if (updates.length > 0) {
+    await instance.update(updates);
+  }
+};
+
+/**
+ * Create a renderer highlighting assigned signature fields with their
+ * signer, order and whether the current user may sign them
+ * @param {Object} NutrientViewer - Nutrient Web SDK class
+ * @param {Function} getContext - Returns { workflow, userId } at render time
+ * @returns {Function} Custom annotation renderer; null for other annotations
+ */
+export const createFieldAccessRenderer =
+  (NutrientViewer, getContext) =>
+  ({ annotation }) => {
+    const assignment = getFieldAssignment(annotation);
+    if (
+      !assignment ||
+      !(annotation instanceof NutrientViewer.Annotations.WidgetAnnotation)
+    ) {
+      return null;
+    }
+
+    const { workflow, userId } = getContext();
+    const access = getFieldAccess(assignment, userId, workflow);
+    const color = FIELD_ACCESS_COLORS[access];
+
+    const frame = document.createElement("div");
+    frame.className = `signing-field signing-field-${access}`;
+    frame.style.cssText = `
+      position: absolute;
+      inset: 0;
+      border: 2px ${access === FIELD_ACCESS.own ? "solid" : "dashed"} ${color};
+      border-radius: 2px;
+      background-color: ${access === FIELD_ACCESS.own ? "transparent" : "rgba(107, 114, 128, 0.12)"};
+      pointer-events: none;
+    `;
+
+    const badge = document.createElement("div");
+    badge.style.cssText = `
+      position: absolute;
+      left: -2px;
+      bottom: 100%;
+      padding: 1px 4px;
+      background-color: ${color};
+      color: #ffffff;
+      font: 600 8px/1.3 -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+      white-space: nowrap;
+      border-radius: 2px 2px 0 0;
+    `;
+    badge.textContent = `${assignment.order}. ${assignment.signerName}${access === FIELD_ACCESS.locked ? " (locked)" : ""}`;
+    frame.appendChild(badge);
+
+    return { node: frame, append: true, noZoom: false };
+  };
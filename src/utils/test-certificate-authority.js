@@ -0,0 +1,422 @@
+/**
+ * Test Certificate Authority
+ *
+ * Generates an offline test CA and per-signer certificates with WebCrypto, so
+ * digital signatures can be tried without a real PKI. Certificates are X.509
+ * v3, DER encoded by the small ASN.1 writer below; keys are RSA 2048 with
+ * SHA-256. Both are kept in localStorage, so signatures made in one session
+ * still validate in the next.
+ *
+ * For testing only: the private keys are stored unprotected.
+ */
+
+import { base64ToBytes, bytesToBase64 } from "./encoding";
+
+const STORAGE_KEY_PREFIX = "document-editor:test-ca:";
+
+const CA_STORAGE_KEY = `${STORAGE_KEY_PREFIX}authority`;
+
+const CA_NAME = "Document Editor Test CA";
+
+const ORGANIZATION = "Document Editor (test)";
+
+const CA_VALIDITY_YEARS = 10;
+
+const SIGNER_VALIDITY_YEARS = 2;
+
+const KEY_ALGORITHM = {
+  name: "RSASSA-PKCS1-v1_5",
+  modulusLength: 2048,
+  publicExponent: Uint8Array.of(1, 0, 1),
+  hash: "SHA-256",
+};
+
+const OIDS = {
+  sha256WithRsaEncryption: "1.2.840.113549.1.1.11",
+  commonName: "2.5.4.3",
+  organizationName: "2.5.4.10",
+  subjectKeyIdentifier: "2.5.29.14",
+  keyUsage: "2.5.29.15",
+  basicConstraints: "2.5.29.19",
+  authorityKeyIdentifier: "2.5.29.35",
+  extendedKeyUsage: "2.5.29.37",
+  emailProtection: "1.3.6.1.5.5.7.3.4",
+};
+
+/**
+ * Key usage bits, as the first byte of the BIT STRING
+ */
+const KEY_USAGE = {
+  digitalSignature: 0x80,
+  nonRepudiation: 0x40,
+  keyCertSign: 0x04,
+  cRLSign: 0x02,
+};
+
+// ASN.1 DER writer
+
+const concatBytes = (parts) => {
+  const result = new Uint8Array(
+    parts.reduce((total, part) => total + part.length, 0),
+  );
+  let offset = 0;
+  for (const part of parts) {
+    result.set(part, offset);
+    offset += part.length;
+  }
+  return result;
+};
+
+const encodeLength = (length) => {
+  if (length < 0x80) {
+    return [length];
+  }
+  const bytes = [];
+  for (let value = length; value > 0; value = Math.floor(value / 256)) {
+    bytes.unshift(value & 0xff);
+  }
+  return [0x80 | bytes.length, ...bytes];
+};
+
+/**
+ * Encode a tag-length-value element
+ */
+const tlv = (tag, content) =>
+  concatBytes([Uint8Array.of(tag, ...encodeLength(content.length)), content]);
+
+const sequence = (...items) => tlv(0x30, concatBytes(items));
+
+const set = (...items) => tlv(0x31, concatBytes(items));
+
+const explicit = (tagNumber, content) => tlv(0xa0 + tagNumber, content);
+
+const booleanValue = (value) => Uint8Array.of(0x01, 0x01, value ? 0xff : 0);
+
+/**
+ * Encode an unsigned big-endian integer
+ */
+const integer = (bytes) => {
+  let start = 0;
+  while (start < bytes.length - 1 && bytes[start] === 0) {
+    start++;
+  }
+  const trimmed = bytes.subarray(start);
+  // A set high bit would make the integer negative
+  return tlv(
+    0x02,
+    trimmed[0] & 0x80 ? concatBytes([Uint8Array.of(0), trimmed]) : trimmed,
+  );
+};
+
+/**
+ * Encode a dotted object identifier such as "2.5.4.3"
+ */
+const objectIdentifier = (dotted) => {
+  const [first, second, ...rest] = dotted.split(".").map(Number);
+  const bytes = [40 * first + second];
+  for (const part of rest) {
+    const encoded = [part & 0x7f];
+    for (let value = part >>> 7; value > 0; value >>>= 7) {
+      encoded.unshift((value & 0x7f) | 0x80);
+    }
+    bytes.push(...encoded);
+  }
+  return tlv(0x06, Uint8Array.from(bytes));
+};
+
+const utf8String = (text) => tlv(0x0c, new TextEncoder().encode(text));
+
+const octetString = (bytes) => tlv(0x04, bytes);
+
+const bitString = (bytes, unusedBits = 0) =>
+  tlv(0x03, concatBytes([Uint8Array.of(unusedBits), bytes]));
+
+/**
+ * Encode a time as UTCTime, or GeneralizedTime from 2050 on (RFC 5280)
+ */
+const time = (date) => {
+  const iso = date.toISOString().replace(/[-:T]/g, "").slice(0, 14);
+  return date.getUTCFullYear() < 2050
+    ? tlv(0x17, new TextEncoder().encode(`${iso.slice(2)}Z`))
+    : tlv(0x18, new TextEncoder().encode(`${iso}Z`));
+};
+
+// Certificates
+
+const signatureAlgorithm = () =>
+  sequence(
+    objectIdentifier(OIDS.sha256WithRsaEncryption),
+    Uint8Array.of(0x05, 0x00),
+  );
+
+const distinguishedName = (commonName) =>
+  sequence(
+    set(sequence(objectIdentifier(OIDS.commonName), utf8String(commonName))),
+    set(
+      sequence(
+        objectIdentifier(OIDS.organizationName),
+        utf8String(ORGANIZATION),
+      ),
+    ),
+  );
+
+const extension = (oid, value, critical = false) =>
+  sequence(
+    objectIdentifier(oid),
+    ...(critical ? [booleanValue(true)] : []),
+    octetString(value),
+  );
+
+const keyUsage = (bits) => {
+  let unusedBits = 0;
+  while (unusedBits < 7 && !(bits & (1 << unusedBits))) {
+    unusedBits++;
+  }
+  return bitString(Uint8Array.of(bits), unusedBits);
+};
+
+const addYears = (date, years) => {
+  const result = new Date(date);
+  result.setUTCFullYear(result.getUTCFullYear() + years);
+  return result;
+};
+
+/**
+ * Create and sign an X.509 v3 certificate
+ * @param {Object} options - Certificate contents
+ * @param {string} options.subject - Subject common name
+ * @param {string} options.issuer - Issuer common name
+ * @param {ArrayBuffer} options.publicKey - Subject public key (SPKI DER)
+ * @param {CryptoKey} options.signingKey - Issuer private key
+ * @param {ArrayBuffer} options.issuerPublicKey - Issuer public key (SPKI DER)
+ * @param {boolean} options.isAuthority - Whether the certificate is a CA
+ * @param {number} options.validityYears - Years until the certificate expires
+ * @returns {Promise<Uint8Array>} Certificate DER
+ */
+const createCertificate = async ({
+  subject,
+  issuer,
+  publicKey,
+  signingKey,
+  issuerPublicKey,
+  isAuthority,
+  validityYears,
+}) => {
+  const serialNumber = crypto.getRandomValues(new Uint8Array(16));
+  serialNumber[0] &= 0x7f;
+  // Backdated a day so clock differences do not make it "not yet valid"
+  const notBefore = new Date(Date.now() - 24 * 60 * 60 * 1000);
+  const subjectKeyId = new Uint8Array(
+    await crypto.subtle.digest("SHA-1", publicKey),
+  );
+  const authorityKeyId = new Uint8Array(
+    await crypto.subtle.digest("SHA-1", issuerPublicKey),
+  );
+
+  const extensions = [
+    extension(
+      OIDS.basicConstraints,
+      isAuthority ? sequence(booleanValue(true)) : sequence(),
+      true,
+    ),
+    extension(
+      OIDS.keyUsage,
+      keyUsage(
+        isAuthority
+          ? KEY_USAGE.keyCertSign | KEY_USAGE.cRLSign
+          : KEY_USAGE.digitalSignature | KEY_USAGE.nonRepudiation,
+      ),
+      true,
+    ),
+    extension(OIDS.subjectKeyIdentifier, octetString(subjectKeyId)),
+    extension(OIDS.authorityKeyIdentifier, sequence(tlv(0x80, authorityKeyId))),
+    ...(isAuthority
+      ? []
+      : [
+          extension(
+            OIDS.extendedKeyUsage,
+            sequence(objectIdentifier(OIDS.emailProtection)),
+          ),
+        ]),
+  ];
+
+  const tbsCertificate = sequence(
+    explicit(0, integer(Uint8Array.of(2))),
+    integer(serialNumber),
+    signatureAlgorithm(),
+    distinguishedName(issuer),
+    sequence(time(notBefore), time(addYears(notBefore, validityYears))),
+    distinguishedName(subject),
+    new Uint8Array(publicKey),
+    explicit(3, sequence(...extensions)),
+  );
+  const signature = await crypto.subtle.sign(
+    KEY_ALGORITHM.name,
+    signingKey,
+    tbsCertificate,
+  );
+
+  return sequence(
+    tbsCertificate,
+    signatureAlgorithm(),
+    bitString(new Uint8Array(signature)),
+  );
+};
+
+// Storage
+
+/**
+ * Generate a key pair and export the parts that are stored
+ * @returns {Promise<Object>} { keyPair, publicKey: SPKI DER, privateKey: PKCS#8 DER }
+ */
+const generateKeyPair = async () => {
+  const keyPair = await crypto.subtle.generateKey(KEY_ALGORITHM, true, [
+    "sign",
+    "verify",
+  ]);
+  return {
+    keyPair,
+    publicKey: await crypto.subtle.exportKey("spki", keyPair.publicKey),
+    privateKey: await crypto.subtle.exportKey("pkcs8", keyPair.privateKey),
+  };
+};
+
+/**
+ * Read a stored certificate and key
+ * @param {string} key - localStorage key
+ * @returns {Promise<Object|null>} { certificate, publicKey, privateKey: CryptoKey }
+ */
+const loadIdentity = async (key) => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(key));
+    if (!stored) {
+      return null;
+    }
+    return {
+      certificate: base64ToBytes(stored.certificate),
+      publicKey: base64ToBytes(stored.publicKey).buffer,
+      privateKey: await crypto.subtle.importKey(
+        "pkcs8",
+        base64ToBytes(stored.privateKey),
+        KEY_ALGORITHM,
+        false,
+        ["sign"],
+      ),
+    };
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Store a certificate and key
+ * @param {string} key - localStorage key
+ * @param {Object} identity - { certificate, publicKey, privateKey } as DER
+ */
+const saveIdentity = (key, { certificate, publicKey, privateKey }) => {
+  try {
+    localStorage.setItem(
+      key,
+      JSON.stringify({
+        certificate: bytesToBase64(certificate),
+        publicKey: bytesToBase64(publicKey),
+        privateKey: bytesToBase64(privateKey),
+      }),
+    );
+  } catch {
+    // Storage can be full or disabled; the identity still works this session
+  }
+};
+
+let authorityPromise = null;
+
+/**
+ * Signer identities by user id, so a certificate and the key used with it
+ * always match, even when storage is unavailable
+ */
+const signerIdentities = new Map();
+
+/**
+ * Load the test CA, creating it on first use
+ * @returns {Promise<Object>} { certificate, publicKey, privateKey: CryptoKey }
+ */
+export const getTestCertificateAuthority = () => {
+  authorityPromise ??= (async () => {
+    const stored = await loadIdentity(CA_STORAGE_KEY);
+    if (stored) {
+      return stored;
+    }
+
+    const { keyPair, publicKey, privateKey } = await generateKeyPair();
+    const certificate = await createCertificate({
+      subject: CA_NAME,
+      issuer: CA_NAME,
+      publicKey,
+      signingKey: keyPair.privateKey,
+      issuerPublicKey: publicKey,
+      isAuthority: true,
+      validityYears: CA_VALIDITY_YEARS,
+    });
+    saveIdentity(CA_STORAGE_KEY, { certificate, publicKey, privateKey });
+    return { certificate, publicKey, privateKey: keyPair.privateKey };
+  })();
+  return authorityPromise;
+};
+
+/**
+ * Load the test certificate of a signer, issuing it on first use
+ * @param {Object} user - { id, name }
+ * @returns {Promise<Object>} { certificate, privateKey: CryptoKey }
+ */
+export const getTestSignerIdentity = (user) => {
+  if (!signerIdentities.has(user.id)) {
+    signerIdentities.set(
+      user.id,
+      (async () => {
+        const key = `${STORAGE_KEY_PREFIX}signer:${user.id}`;
+        const stored = await loadIdentity(key);
+        if (stored) {
+          return stored;
+        }
+
+        const authority = await getTestCertificateAuthority();
+        const { keyPair, publicKey, privateKey } = await generateKeyPair();
+        const certificate = await createCertificate({
+          subject: user.name,
+          issuer: CA_NAME,
+          publicKey,
+          signingKey: authority.privateKey,
+          issuerPublicKey: authority.publicKey,
+          isAuthority: false,
+          validityYears: SIGNER_VALIDITY_YEARS,
+        });
+        saveIdentity(key, { certificate, publicKey, privateKey });
+        return { certificate, publicKey, privateKey: keyPair.privateKey };
+      })(),
+    );
+  }
+  return signerIdentities.get(user.id);
+};
+
+/**
+ * Create the default digital signer, backed by the test CA. See
+ * certifyDocument for the signer interface.
+ * @param {Object} user - { id, name } of the signer
+ * @returns {Object} Signer
+ */
+export const createLocalTestSigner = (user) => ({
+  getCertificates: async () => {
+    const [identity, authority] = await Promise.all([
+      getTestSignerIdentity(user),
+      getTestCertificateAuthority(),
+    ]);
+    return [identity.certificate.buffer, authority.certificate.buffer];
+  },
+  sign: async (dataToBeSigned) => {
+    const { privateKey } = await getTestSignerIdentity(user);
+    return crypto.subtle.sign(KEY_ALGORITHM.name, privateKey, dataToBeSigned);
+  },
+  getTrustedCertificates: async () => [
+    (await getTestCertificateAuthority()).certificate.buffer,
+  ],
+});
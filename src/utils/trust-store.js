@@ -0,0 +1,109 @@
+/**
+ * Trust Store
+ *
+ * Certificate authorities the user trusts for validating digital
+ * signatures, kept in localStorage. Nutrient reads them through
+ * trustedCAsCallback when a document is loaded.
+ */
+
+import { base64ToBytes, bytesToBase64 } from "./encoding";
+
+const STORAGE_KEY = "document-editor:trust-store";
+
+const PEM_CERTIFICATE_PATTERN =
+  /-----BEGIN CERTIFICATE-----([\s\S]+?)-----END CERTIFICATE-----/g;
+
+/**
+ * File types offered when adding certificates
+ */
+export const CERTIFICATE_FILE_ACCEPT = ".pem,.crt,.cer,.der";
+
+/**
+ * Load the trusted certificates
+ * @returns {Array<Object>} { id, name, certificate (base64 DER), addedAt }
+ */
+export const loadTrustStore = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    return Array.isArray(stored) ? stored : [];
+  } catch {
+    return [];
+  }
+};
+
+/**
+ * Save the trusted certificates
+ * @param {Array<Object>} entries - Trust store entries
+ * @returns {Array<Object>} The saved entries
+ */
+const saveTrustStore = (entries) => {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(entries));
+  } catch {
+    // Storage can be full or disabled; the entries still apply this session
+  }
+  return entries;
+};
+
+/**
+ * Read the certificates in a PEM or DER file
+ * @param {File} file - Certificate file; PEM files may hold a bundle
+ * @returns {Promise<Array<string>>} Base64 DER certificates
+ * @throws {Error} - When the file holds no certificate
+ */
+export const readCertificateFile = async (file) => {
+  const bytes = new Uint8Array(await file.arrayBuffer());
+  const text = new TextDecoder().decode(bytes);
+  const pemCertificates = [...text.matchAll(PEM_CERTIFICATE_PATTERN)].map(
+    (match) => match[1].replace(/\s+/g, ""),
+  );
+  if (pemCertificates.length > 0) {
+    return pemCertificates;
+  }
+  // DER certificates start with a SEQUENCE tag
+  if (bytes[0] === 0x30) {
+    return [bytesToBase64(bytes)];
+  }
+  throw new Error(`${file.name} is not a PEM or DER certificate`);
+};
+
+/**
+ * Add the certificates in a file to the trust store. Certificates that are
+ * already trusted are skipped.
+ * @param {Array<Object>} entries - Current trust store entries
+ * @param {File} file - PEM or DER certificate file
+ * @returns {Promise<Array<Object>>} Updated, saved entries
+ */
+export const addTrustedCertificates = async (entries, file) => {
+  const certificates = (await readCertificateFile(file)).filter(
+    (certificate) =>
+      !entries.some((entry) => entry.certificate === certificate),
+  );
+  const addedAt = new Date().toISOString();
+  return saveTrustStore([
+    ...entries,
+    ...certificates.map((certificate, index) => ({
+      id: crypto.randomUUID(),
+      name: certificates.length > 1 ? `${file.name} (${index + 1})` : file.name,
+      certificate,
+      addedAt,
+    })),
+  ]);
+};
+
+/**
+ * Remove a certificate from the trust store
+ * @param {Array<Object>} entries - Current trust store entries
+ * @param {string} id - Entry to remove
+ * @returns {Array<Object>} Updated, saved entries
+ */
+export const removeTrustedCertificate = (entries, id) =>
+  saveTrustStore(entries.filter((entry) => entry.id !== id));
+
+/**
+ * Get the trusted certificates in the form trustedCAsCallback expects
+ * @param {Array<Object>} entries - Trust store entries
+ * @returns {Array<ArrayBuffer>} DER certificates
+ */
+export const getTrustedCertificates = (entries) =>
+  entries.map((entry) => base64ToBytes(entry.certificate).buffer);
@@ -0,0 +1,66 @@
+/**
+ * Workspace
+ *
+ * Connects the viewers of the open document tabs, so pages can be moved or
+ * copied from one document into another. Each viewer registers a handle for
+ * its tab once its document is loaded and removes it when it unloads; a
+ * viewer sending pages looks up the other tabs here.
+ *
+ * @example
+ * const workspace = createWorkspace();
+ * const unregister = workspace.register(tabId, {
+ *   getName: () => "contract.pdf",
+ *   getPageCount: () => instance.totalPageCount,
+ *   getCurrentPageIndex: () => instance.viewState.currentPageIndex,
+ *   receivePages: async (transfer, insertion) => true,
+ * });
+ */
+
+/**
+ * Create a workspace
+ * @returns {Object} Workspace API: register, getHandle, getTargets
+ */
+export const createWorkspace = () => {
+  const handles = new Map();
+
+  /**
+   * Register the handle of a tab's viewer
+   * @param {string} tabId - Tab identifier
+   * @param {Object} handle - Viewer handle
+   * @param {Function} handle.getName - Returns the document name
+   * @param {Function} handle.getPageCount - Returns the current page count
+   * @param {Function} handle.getCurrentPageIndex - Returns the page in view
+   * @param {Function} handle.receivePages - Async (transfer, insertion) => boolean,
+   *   inserting transferred pages; false when the user declined
+   * @returns {Function} Removes the handle again
+   */
+  const register = (tabId, handle) => {
+    handles.set(tabId, handle);
+    return () => {
+      if (handles.get(tabId) === handle) {
+        handles.delete(tabId);
+      }
+    };
+  };
+
+  /**
+   * List the tabs pages can be sent to
+   * @param {string} sourceTabId - Tab sending the pages, left out of the list
+   * @returns {Array<Object>} { tabId, name, pageCount, currentPageIndex }
+   */
+  const getTargets = (sourceTabId) =>
+    [...handles]
+      .filter(([tabId]) => tabId !== sourceTabId)
+      .map(([tabId, handle]) => ({
+        tabId,
+        name: handle.getName(),
+        pageCount: handle.getPageCount(),
+        currentPageIndex: handle.getCurrentPageIndex(),
+      }));
+
+  return {
+    register,
+    getHandle: (tabId) => handles.get(tabId) ?? null,
+    getTargets,
+  };
+};
@@ -0,0 +1,129 @@
+/**
+ * Minimal ZIP Writer
+ *
+ * Bundles files into a ZIP archive in the browser, without any third-party
+ * dependency. Entries are stored uncompressed: the archive only carries PDFs,
+ * which are compressed already.
+ */
+
+const encoder = new TextEncoder();
+
+/**
+ * Bit flag marking entry names as UTF-8
+ */
+const UTF8_FLAG = 0x0800;
+
+/**
+ * ZIP 2.0, the version needed to extract stored entries with folders
+ */
+const ZIP_VERSION = 20;
+
+let crcTable = null;
+
+/**
+ * Compute the CRC-32 checksum ZIP stores for each entry
+ * @param {Uint8Array} bytes - Entry content
+ * @returns {number} Unsigned CRC-32
+ */
+const crc32 = (bytes) => {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      }
+      crcTable[n] = c >>> 0;
+    }
+  }
+
+  let crc = 0xffffffff;
+  for (const byte of bytes) {
+    crc = crcTable[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+/**
+ * Encode a date in the MS-DOS format of ZIP headers
+ * @param {Date} date - Modification time
+ * @returns {Object} { time, date } as 16-bit numbers
+ */
+const toDosDateTime = (date) => ({
+  time:
+    (date.getHours() << 11) |
+    (date.getMinutes() << 5) |
+    Math.floor(date.getSeconds() / 2),
+  date:
+    ((Math.max(date.getFullYear(), 1980) - 1980) << 9) |
+    ((date.getMonth() + 1) << 5) |
+    date.getDate(),
+});
+
+/**
+ * Build a ZIP archive
+ * @param {Array<Object>} files - Files to add, in order
+ * @param {string} files[].name - Path inside the archive, e.g. "part-1.pdf"
+ * @param {ArrayBuffer|Uint8Array} files[].data - File content
+ * @param {Date} [modifiedAt] - Modification time recorded for every entry
+ * @returns {Blob} ZIP file
+ */
+export const createZip = (files, modifiedAt = new Date()) => {
+  const chunks = [];
+  const centralDirectory = [];
+  const { time, date } = toDosDateTime(modifiedAt);
+  let offset = 0;
+
+  for (const file of files) {
+    const name = encoder.encode(file.name);
+    const data =
+      file.data instanceof Uint8Array ? file.data : new Uint8Array(file.data);
+    const crc = crc32(data);
+
+    const localHeader = new DataView(new ArrayBuffer(30));
+    localHeader.setUint32(0, 0x04034b50, true);
+    localHeader.setUint16(4, ZIP_VERSION, true);
+    localHeader.setUint16(6, UTF8_FLAG, true);
+    localHeader.setUint16(8, 0, true); // stored
+    localHeader.setUint16(10, time, true);
+    localHeader.setUint16(12, date, true);
+    localHeader.setUint32(14, crc, true);
+    localHeader.setUint32(18, data.length, true);
+    localHeader.setUint32(22, data.length, true);
+    localHeader.setUint16(26, name.length, true);
+    localHeader.setUint16(28, 0, true);
+
+    const centralHeader = new DataView(new ArrayBuffer(46));
+    centralHeader.setUint32(0, 0x02014b50, true);
+    centralHeader.setUint16(4, ZIP_VERSION, true);
+    centralHeader.setUint16(6, ZIP_VERSION, true);
+    centralHeader.setUint16(8, UTF8_FLAG, true);
+    centralHeader.setUint16(10, 0, true);
+    centralHeader.setUint16(12, time, true);
+    centralHeader.setUint16(14, date, true);
+    centralHeader.setUint32(16, crc, true);
+    centralHeader.setUint32(20, data.length, true);
+    centralHeader.setUint32(24, data.length, true);
+    centralHeader.setUint16(28, name.length, true);
+    centralHeader.setUint32(42, offset, true);
+    centralDirectory.push(centralHeader, name);
+
+    chunks.push(localHeader, name, data);
+    offset += 30 + name.length + data.length;
+  }
+
+  const directorySize = centralDirectory.reduce(
+    (size, chunk) => size + chunk.byteLength,
+    0,
+  );
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054b50, true);
+  end.setUint16(8, files.length, true);
+  end.setUint16(10, files.length, true);
+  end.setUint32(12, directorySize, true);
+  end.setUint32(16, offset, true);
+
+  return new Blob([...chunks, ...centralDirectory, end], {
+    type: "application/zip",
+  });
+};
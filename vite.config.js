@@ -1,7 +1,34 @@
 import react from "@vitejs/plugin-react";
 import { defineConfig } from "vite";
 
+/**
+ * Library build (`vite build --mode lib`): the embeddable component as an ES
+ * module in lib/, with React left to the host
+ */
+const libraryBuild = {
+	outDir: "lib",
+	copyPublicDir: false,
+	lib: {
+		entry: "src/index.js",
+		formats: ["es"],
+		fileName: "document-editor",
+		cssFileName: "style",
+	},
+	rollupOptions: {
+		external: ["react", "react-dom", "react/jsx-runtime"],
+	},
+};
+
+/**
+ * The library must never embed the developer's license key from .env files;
+ * hosts pass their own through the licenseKey prop
+ */
+const libraryDefine = {
+	"import.meta.env.VITE_lkey": "undefined",
+};
+
 // https://vite.dev/config/
-export default defineConfig({
+export default defineConfig(({ mode }) => ({
 	plugins: [react()],
-});
+	...(mode === "lib" && { build: libraryBuild, define: libraryDefine }),
+}));